@@ -0,0 +1,237 @@
+/**
+ * Graph Note 로컬 참조 서버 (Remote Storage REST API)
+ *
+ * 실행:
+ *   npm run server
+ *   PORT=8787 GRAPH_NOTE_TOKEN=secret npm run server
+ *
+ * 환경 변수:
+ * - PORT: 포트 (기본 8787)
+ * - GRAPH_NOTE_TOKEN: 설정 시 모든 /api 요청에 `Authorization: Bearer <token>` 필요
+ * - GRAPH_NOTE_DATA_DIR: 데이터 저장 폴더 (기본 server/data)
+ *
+ * 저장 구조 (파일 기반, 외부 의존성 없음):
+ *   <dataDir>/graph.json                  그래프 (nodes, links, nodeStyles)
+ *   <dataDir>/notes/<nodeId>.json         블록 노트 (NoteContent)
+ *   <dataDir>/attachments/<fileId>.bin    첨부파일 바이너리
+ *   <dataDir>/attachments/<fileId>.json   첨부파일 메타데이터
+ *
+ * API 계약: guide/REMOTE_STORAGE_API.md
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.GRAPH_NOTE_TOKEN || '';
+const DATA_DIR = process.env.GRAPH_NOTE_DATA_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+
+const NOTES_DIR = path.join(DATA_DIR, 'notes');
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
+const GRAPH_FILE = path.join(DATA_DIR, 'graph.json');
+
+const MAX_JSON_BODY = 20 * 1024 * 1024;        // 20MB
+const MAX_ATTACHMENT_BODY = 200 * 1024 * 1024; // 200MB
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Node-Id, X-File-Name',
+  'Access-Control-Expose-Headers': 'X-Node-Id, X-File-Name',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * 파일명으로 안전한 ID인지 확인 (경로 조작 방지)
+ */
+function safeId(raw) {
+  const id = decodeURIComponent(raw);
+  if (!id || id.length > 200 || /[/\\]|^\.\.?$/.test(id)) {
+    throw new HttpError(400, 'Invalid id');
+  }
+  return encodeURIComponent(id);
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  send(res, status, JSON.stringify(data), { 'Content-Type': 'application/json; charset=utf-8' });
+}
+
+async function readBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, 'Payload too large');
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readJsonBody(req) {
+  const buffer = await readBody(req, MAX_JSON_BODY);
+  try {
+    return JSON.parse(buffer.toString('utf-8'));
+  } catch {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+}
+
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// 쓰기 도중 종료돼도 파일이 깨지지 않도록 임시 파일 후 rename
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+async function removeFile(file) {
+  await fs.rm(file, { force: true });
+}
+
+/**
+ * 라우트 핸들러
+ */
+const routes = [
+  ['GET', /^\/api\/health$/, async (req, res) => {
+    sendJson(res, 200, { ok: true, auth: Boolean(TOKEN) });
+  }],
+
+  // ---- 그래프 ----
+  ['GET', /^\/api\/graph$/, async (req, res) => {
+    const graph = await readJsonFile(GRAPH_FILE);
+    if (!graph) return sendJson(res, 404, { error: 'Graph not found' });
+    sendJson(res, 200, graph);
+  }],
+  ['PUT', /^\/api\/graph$/, async (req, res) => {
+    const graph = await readJsonBody(req);
+    if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.links)) {
+      throw new HttpError(400, 'Graph must contain nodes[] and links[]');
+    }
+    await writeFileAtomic(GRAPH_FILE, JSON.stringify(graph));
+    send(res, 204);
+  }],
+  ['DELETE', /^\/api\/graph$/, async (req, res) => {
+    await removeFile(GRAPH_FILE);
+    send(res, 204);
+  }],
+
+  // ---- 블록 노트 ----
+  ['GET', /^\/api\/notes$/, async (req, res) => {
+    const files = (await fs.readdir(NOTES_DIR)).filter((file) => file.endsWith('.json'));
+    const notes = await Promise.all(files.map(async (file) => {
+      const note = await readJsonFile(path.join(NOTES_DIR, file));
+      return note && { ...note, id: decodeURIComponent(file.slice(0, -'.json'.length)) };
+    }));
+    sendJson(res, 200, notes.filter(Boolean));
+  }],
+  ['GET', /^\/api\/notes\/([^/]+)$/, async (req, res, [rawId]) => {
+    const note = await readJsonFile(path.join(NOTES_DIR, `${safeId(rawId)}.json`));
+    if (!note) return sendJson(res, 404, { error: 'Note not found' });
+    sendJson(res, 200, note);
+  }],
+  ['PUT', /^\/api\/notes\/([^/]+)$/, async (req, res, [rawId]) => {
+    const note = await readJsonBody(req);
+    if (!note || !Array.isArray(note.blocks)) {
+      throw new HttpError(400, 'Note must contain blocks[]');
+    }
+    await writeFileAtomic(path.join(NOTES_DIR, `${safeId(rawId)}.json`), JSON.stringify(note));
+    send(res, 204);
+  }],
+  ['DELETE', /^\/api\/notes\/([^/]+)$/, async (req, res, [rawId]) => {
+    await removeFile(path.join(NOTES_DIR, `${safeId(rawId)}.json`));
+    send(res, 204);
+  }],
+
+  // ---- 첨부파일 ----
+  ['GET', /^\/api\/attachments\/([^/]+)$/, async (req, res, [rawId]) => {
+    const id = safeId(rawId);
+    const meta = await readJsonFile(path.join(ATTACHMENTS_DIR, `${id}.json`));
+    if (!meta) return sendJson(res, 404, { error: 'Attachment not found' });
+    const data = await fs.readFile(path.join(ATTACHMENTS_DIR, `${id}.bin`));
+    send(res, 200, data, {
+      'Content-Type': meta.mimeType || 'application/octet-stream',
+      'Content-Length': data.length,
+      'X-Node-Id': encodeURIComponent(meta.nodeId || ''),
+      'X-File-Name': encodeURIComponent(meta.fileName || ''),
+    });
+  }],
+  ['PUT', /^\/api\/attachments\/([^/]+)$/, async (req, res, [rawId]) => {
+    const id = safeId(rawId);
+    const data = await readBody(req, MAX_ATTACHMENT_BODY);
+    const meta = {
+      id: decodeURIComponent(rawId),
+      nodeId: decodeURIComponent(req.headers['x-node-id'] || ''),
+      fileName: decodeURIComponent(req.headers['x-file-name'] || ''),
+      mimeType: req.headers['content-type'] || 'application/octet-stream',
+      size: data.length,
+      uploadedAt: new Date().toISOString(),
+    };
+    await writeFileAtomic(path.join(ATTACHMENTS_DIR, `${id}.bin`), data);
+    await writeFileAtomic(path.join(ATTACHMENTS_DIR, `${id}.json`), JSON.stringify(meta));
+    send(res, 204);
+  }],
+  ['DELETE', /^\/api\/attachments\/([^/]+)$/, async (req, res, [rawId]) => {
+    const id = safeId(rawId);
+    await removeFile(path.join(ATTACHMENTS_DIR, `${id}.bin`));
+    await removeFile(path.join(ATTACHMENTS_DIR, `${id}.json`));
+    send(res, 204);
+  }],
+];
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (TOKEN && pathname !== '/api/health') {
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+  }
+
+  for (const [method, pattern, handler] of routes) {
+    if (method !== req.method) continue;
+    const match = pathname.match(pattern);
+    if (match) return handler(req, res, match.slice(1));
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+await fs.mkdir(NOTES_DIR, { recursive: true });
+await fs.mkdir(ATTACHMENTS_DIR, { recursive: true });
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch((err) => {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 500) console.error(`❌ ${req.method} ${req.url}`, err);
+    sendJson(res, status, { error: err.message });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Graph Note server: http://localhost:${PORT}/api`);
+  console.log(`   data: ${DATA_DIR}${TOKEN ? ' (token required)' : ''}`);
+});
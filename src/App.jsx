@@ -1,9 +1,22 @@
 import React, { useMemo, useRef, useEffect, useCallback, useState } from 'react';
 import { toId, genId } from './utils/helpers';
-import { initializeSeedNotes } from './adapters/noteStorage';
 import { ensureTagsField } from './utils/tagHelpers';
-import { findValidPositionForNewNode, getParentPosition } from './utils/nodePositionCalculator';
-import { POSITION_SAVE, ZOOM } from './constants/ui';
+import { exportBibTeX } from './utils/bibliographyExport';
+import { exportVault, readVaultFiles, planVaultImport, saveVaultNotes } from './utils/markdownVault';
+import { createBackup, readBackup, buildRestoredState, restoreDatabase } from './utils/backup';
+import { migrateBase64Images } from './utils/imageAttachments';
+import { downloadFile, toSafeFileName } from './utils/download';
+import { findValidPositionForNewNode, getParentPosition, findPositionsForNewNodes } from './utils/nodePositionCalculator';
+import { POSITION_SAVE, ZOOM, SEARCH, GRAPH_VIEW_MODE } from './constants/ui';
+import { ATTACHMENTS, STORAGE_MODE, REMOTE_STATUS } from './constants/storage';
+import { useNoteCreatedDates } from './hooks/useNoteCreatedDates';
+import { useTrashActions } from './hooks/useTrashActions';
+import { useSelectionActions } from './hooks/useSelectionActions';
+import { useLayoutPreview } from './hooks/useLayoutPreview';
+import { useMentionSync } from './hooks/useMentionSync';
+import { useNodeTableView } from './hooks/useNodeTableView';
+import { usePropertyColoring } from './hooks/usePropertyColoring';
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
 import { useGraphStore } from './store/graphStore';
 import { useUIStore } from './store/uiStore';
 import { GraphContainer } from './components/GraphContainer';
@@ -12,8 +25,19 @@ import { NodePreviewMenu } from './components/NodePreviewMenu';
 import { NotePanel } from './components/NotePanel/NotePanel';
 import { SettingsModal } from './components/SettingsModal';
 import { AddNodeModal } from './components/AddNodeModal';
+import { BibImportModal } from './components/BibImportModal';
+import { RestoreBackupModal } from './components/RestoreBackupModal';
+import { TrashModal } from './components/TrashModal';
 import { ContextMenu } from './components/contextMenu';
 import { LinkPreviewMenu } from './components/LinkPreviewMenu';
+import { SearchPalette } from './components/SearchPalette';
+import { TagViewControls } from './components/TagViewControls';
+import { SelectionToolbar } from './components/SelectionToolbar';
+import { NodeTableView } from './components/NodeTableView';
+import { GraphFilterPanel } from './components/GraphFilterPanel';
+import { computeTagClusters, layoutTagClusters, makeTagHullPainter, findClusterAt } from './graph/tagView';
+import { resolveTimelineDates, layoutTimeline, makeTimelineAxisPainter, makeTimelineCurvature } from './graph/timelineView';
+import { isGraphFilterActive, filterGraphNodes, hideFilteredNodes, collectLinkTypes } from './graph/filters';
 
 /**
  * Graph-First Paper Notes (V2.0, Zustand + 컴포넌트 완전 분리)
@@ -48,6 +72,7 @@ export default function App() {
   const {
     graph,
     nodeStyles,
+    propertySchema,
     savedNodePositions,
     tagsIndex,
     updateNode,
@@ -57,17 +82,33 @@ export default function App() {
     clearStorage,
     setStorageMode,
     storageMode,
+    storage,
+    remoteStatus,
+    remoteError,
     addLink,
     updateLink,
-    deleteLink
+    deleteLink,
+    history,
+    undo,
+    redo,
+    transaction,
+    restoreData,
+    trash,
+    restoreFromTrash,
+    autoLinkMentions,
+    addPropertyDefinition,
+    updatePropertyDefinition,
+    removePropertyDefinition
   } = useGraphStore();
 
   const {
     selectedId,
+    selectedIds,
     notePanelOpen,
     panelWidth,
     showSettings,
     showAddNode,
+    showBibImport,
     contextMenu,
     previewMenu,
     zoomLevel,
@@ -75,7 +116,21 @@ export default function App() {
     customColorHistory,
     linkCreationMode,
     sourceLinkNode,
+    showSearch,
+    searchQuery,
+    searchHighlightIds,
+    tagViewCategory,
+    tagViewPath,
+    tableSort,
+    tableFilters,
+    tableQuery,
+    showGraphFilter,
+    graphFilter,
+    graphFilterMode,
+    filterPresets,
     setSelectedId,
+    toggleSelected,
+    clearSelection,
     openNotePanel,
     closeNotePanel,
     setPanelWidth,
@@ -83,14 +138,36 @@ export default function App() {
     closeSettings,
     openAddNode,
     closeAddNode,
+    openBibImport,
+    closeBibImport,
     hideContextMenu,
     hidePreviewMenu,
     handleNodeClick,
     setZoomLevel,
     setGraphViewMode,
     addCustomColor,
+    setColorByProperty,
     startLinkCreation,
-    cancelLinkCreation
+    cancelLinkCreation,
+    openSearch,
+    closeSearch,
+    setSearchHighlight,
+    clearSearchHighlight,
+    setTagViewCategory,
+    setTagViewPath,
+    setTableSort,
+    setTableFilter,
+    setTableQuery,
+    clearTableFilters,
+    toggleTableColumn,
+    toggleGraphFilter,
+    setGraphFilter,
+    resetGraphFilter,
+    setGraphFilterMode,
+    saveFilterPreset,
+    applyFilterPreset,
+    deleteFilterPreset,
+    restoreFilterPresets
   } = useUIStore();
 
   // === Refs ===
@@ -110,6 +187,14 @@ export default function App() {
   const [linkPreviewMenu, setLinkPreviewMenu] = useState({ visible: false, x: 0, y: 0 });
   const [selectedLink, setSelectedLink] = useState(null);
 
+  const closeLinkPreview = useCallback(() => {
+    setLinkPreviewMenu({ visible: false, x: 0, y: 0 });
+    setSelectedLink(null);
+  }, []);
+  
+  // 백업 복원 미리보기 ({ backup, database } | null)
+  const [restoreSession, setRestoreSession] = useState(null);
+
   // === IndexedDB 초기화 (Seed Notes) ===
   useEffect(() => {
     const initNotes = async () => {
@@ -117,7 +202,7 @@ export default function App() {
         const { seedCore5 } = await import('./data/seedData');
         const data = seedCore5();
         if (data.detailedNotes) {
-          await initializeSeedNotes(data.detailedNotes);
+          await useGraphStore.getState().storage.initializeSeedNotes(data.detailedNotes);
           console.log('📦 IndexedDB 초기화 완료 (Seed Notes)');
         }
       } catch (error) {
@@ -131,6 +216,26 @@ export default function App() {
     }
   }, []);
 
+  // === base64 이미지 블록 변환 (한 번) + 휴지통 만료 + 첨부파일 정리 (삭제된 노드/블록의 첨부파일) ===
+  // 시작 직후 작업과 겹치지 않도록 잠시 뒤 한 번만 실행
+  // 원격 모드의 첨부파일 정리는 서버와 동기화된 경우에만 (서버 그래프가 아직 로드 중일 수 있음)
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        await migrateBase64Images(useGraphStore.getState().storage);
+      } catch (error) {
+        console.error('이미지 블록 변환 실패:', error);
+      }
+      await useGraphStore.getState().expireTrash();
+      const { storage: currentStorage, remoteStatus: status, graph: currentGraph, trash: currentTrash } = useGraphStore.getState();
+      if (currentStorage.mode === STORAGE_MODE.REMOTE && status !== REMOTE_STATUS.SYNCED) return;
+      // 휴지통의 노드는 복원할 수 있으므로 첨부파일 유지
+      const liveNodeIds = [...currentGraph.nodes.map((node) => node.id), ...currentTrash.map((entry) => entry.node.id)];
+      currentStorage.garbageCollectAttachments(liveNodeIds).catch(() => {});
+    }, ATTACHMENTS.GC_STARTUP_DELAY);
+    return () => clearTimeout(timer);
+  }, []);
+
   // === 노드 데이터에 tags 필드 확보 (마이그레이션) ===
   useEffect(() => {
     const needsMigration = graph.nodes.some(node => !node.tags || typeof node.tags !== 'object');
@@ -140,11 +245,39 @@ export default function App() {
         ...graph,
         nodes: graph.nodes.map(ensureTagsField)
       });
+      // 마이그레이션은 실행 취소 대상이 아님
+      useGraphStore.getState().clearHistory();
     }
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
 
 
+  // === 태그 뷰 클러스터 ===
+  const isTagView = graphViewMode === GRAPH_VIEW_MODE.TAG;
+  const tagCategories = useMemo(() => Object.keys(tagsIndex || {}).sort(), [tagsIndex]);
+  const activeTagCategory = tagCategories.includes(tagViewCategory) ? tagViewCategory : (tagCategories[0] || null);
+
+  const tagClusters = useMemo(
+    () => (isTagView ? computeTagClusters(graph.nodes, activeTagCategory, tagViewPath) : []),
+    [isTagView, graph.nodes, activeTagCategory, tagViewPath]
+  );
+
+  // === 타임라인 뷰 (노드 날짜 → 노트 생성일 순으로 사용) ===
+  const isTimelineView = graphViewMode === GRAPH_VIEW_MODE.TIMELINE;
+  const noteCreatedDates = useNoteCreatedDates(isTimelineView, storage);
+
+  const timelineLayout = useMemo(
+    () => (isTimelineView ? layoutTimeline(graph.nodes, resolveTimelineDates(graph.nodes, noteCreatedDates)) : null),
+    [isTimelineView, graph.nodes, noteCreatedDates]
+  );
+
+  // 태그/타임라인 뷰는 레이아웃이 정한 위치를 사용 (저장된 위치는 건드리지 않음)
+  const viewPositions = useMemo(() => {
+    if (isTagView) return layoutTagClusters(tagClusters);
+    if (timelineLayout) return timelineLayout.positions;
+    return null;
+  }, [isTagView, tagClusters, timelineLayout]);
+
   const derivedData = useMemo(() => {
     const nodes = graph.nodes.map((n) => ({ ...n }));
     const links = graph.links.map((l) => ({ 
@@ -153,6 +286,20 @@ export default function App() {
       type: l.type 
     }));
     
+    // 태그/타임라인 뷰: 레이아웃 위치로 고정
+    if (viewPositions) {
+      for (const n of nodes) {
+        const pos = viewPositions.get(n.id);
+        if (pos) {
+          n.x = n.fx = pos.x;
+          n.y = n.fy = pos.y;
+          n.vx = 0;
+          n.vy = 0;
+        }
+      }
+      return { nodes, links };
+    }
+    
     // 저장된 위치 적용 (savedNodePositions는 의존성에서 제외됨)
     // 초기 로드 시 위치가 적용되고, 이후 드래그로 변경된 위치는
     // ForceGraph2D 내부에서 노드 객체에 직접 유지됨
@@ -169,7 +316,85 @@ export default function App() {
     
     return { nodes, links };
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [graph]); // savedNodePositions 의존성 제거 (깜빡임 방지)
+  }, [graph, viewPositions]); // savedNodePositions 의존성 제거 (깜빡임 방지)
+
+  // === 태그 뷰 외곽선 렌더러 + 클러스터 클릭 드릴다운 ===
+  const derivedNodeById = useMemo(
+    () => new Map(derivedData.nodes.map((n) => [n.id, n])),
+    [derivedData]
+  );
+
+  // 뷰별 배경 렌더러 (태그 외곽선 / 시간 축)
+  const renderFramePre = useMemo(() => {
+    if (isTagView) return makeTagHullPainter(tagClusters, derivedNodeById);
+    if (timelineLayout) return makeTimelineAxisPainter(timelineLayout);
+    return undefined;
+  }, [isTagView, tagClusters, derivedNodeById, timelineLayout]);
+
+  // 타임라인: based-on / cited-by 링크를 호로 표시
+  const timelineCurvature = useMemo(
+    () => (isTimelineView ? makeTimelineCurvature() : undefined),
+    [isTimelineView]
+  );
+
+  const handleGraphBackgroundClick = useCallback((evt) => {
+    // 배경 클릭은 다중 선택 해제
+    if (!evt?.shiftKey) clearSelection();
+    if (!isTagView || !fgRef.current || !evt) return;
+    const { x, y } = fgRef.current.screen2GraphCoords(evt.offsetX, evt.offsetY);
+    const cluster = findClusterAt(tagClusters, derivedNodeById, x, y);
+    if (cluster && cluster.kind === 'tag' && cluster.hasChildren) {
+      setTagViewPath(cluster.levels);
+    }
+  }, [isTagView, tagClusters, derivedNodeById, setTagViewPath, clearSelection]);
+
+  // 뷰 전환/드릴다운/타임라인 기간 변경 후 전체 보기 (노드 편집마다 다시 맞추지 않음)
+  const fitKey = isTagView
+    ? `tag:${activeTagCategory}:${tagViewPath.join(' > ')}`
+    : timelineLayout ? `timeline:${timelineLayout.t0}:${timelineLayout.t1}` : null;
+
+  useEffect(() => {
+    if (!fitKey) return;
+    const timer = setTimeout(() => {
+      if (!fgRef.current) return;
+      fgRef.current.zoomToFit(ZOOM.FIT_DURATION, ZOOM.FIT_PADDING);
+      setTimeout(() => {
+        if (fgRef.current) setZoomLevel(fgRef.current.zoom());
+      }, ZOOM.FIT_DURATION + 50);
+    }, ZOOM.FIT_DELAY);
+    return () => clearTimeout(timer);
+  }, [fitKey, setZoomLevel]);
+
+  // === 검색 결과 강조 (렌더러용 Set) ===
+  const highlightIds = useMemo(
+    () => (searchHighlightIds.length > 0 ? new Set(searchHighlightIds) : null),
+    [searchHighlightIds]
+  );
+
+  // === 속성별 노드 색칠 (삭제됐거나 색칠할 수 없는 속성이면 기본 색) ===
+  const { nodeColorOf, activeColorProperty } = usePropertyColoring();
+
+  // === 노드 표 보기 (필터는 그래프에서도 맞지 않는 노드를 흐리게) ===
+  const { isTableView, allTableColumns, tableColumns, tableRows, tableFilterIds, handleOpenTableNode } = useNodeTableView();
+
+  // === 그래프 필터 사이드바 (흐리게: 표 필터와 함께 적용 / 숨기기: 맞는 노드와 그 링크만 그래프에 전달) ===
+  const graphLinkTypes = useMemo(() => collectLinkTypes(graph.links), [graph.links]);
+  const graphFilterIds = useMemo(
+    () => (isGraphFilterActive(graphFilter) ? filterGraphNodes(graph.nodes, graph.links, graphFilter) : null),
+    [graph, graphFilter]
+  );
+  const visibleData = useMemo(
+    () => (graphFilterIds && graphFilterMode === 'hide'
+      ? hideFilteredNodes(derivedData, graphFilterIds, graphFilter)
+      : derivedData),
+    [derivedData, graphFilterIds, graphFilterMode, graphFilter]
+  );
+  const dimFilterIds = useMemo(() => {
+    const graphDimIds = graphFilterMode === 'dim' ? graphFilterIds : null;
+    if (!graphDimIds) return tableFilterIds;
+    if (!tableFilterIds) return graphDimIds;
+    return new Set([...graphDimIds].filter((id) => tableFilterIds.has(id)));
+  }, [graphFilterIds, graphFilterMode, tableFilterIds]);
 
   // === 선택된 노트 ===
   const selectedNote = useMemo(() => 
@@ -193,9 +418,6 @@ export default function App() {
       existingPositions: savedNodePositions,
     });
     
-    // 위치 저장
-    saveNodePosition(id, position.x, position.y);
-    
     const newNode = { 
       id, 
       group, 
@@ -203,130 +425,270 @@ export default function App() {
       summary: '' 
     };
     
+    // 시드 데이터/서지 가져오기와 같은 방향: source = 참고/인용하는 논문
+    // (based-on: 연결 노드가 새 논문을 참고, cited-by: 새 논문이 연결 노드를 인용)
     const newLink = { 
-      source: addForm.linkType === 'based-on' ? id : (addForm.connectTo || 'Core'), 
-      target: addForm.linkType === 'based-on' ? (addForm.connectTo || 'Core') : id, 
+      source: addForm.linkType === 'based-on' ? connectToId : id, 
+      target: addForm.linkType === 'based-on' ? id : connectToId, 
       type: addForm.linkType 
     };
     
-    addNodeToGraph(newNode, newLink);
+    // 위치 저장 + 노드 추가를 실행 취소 한 단계로 묶음
+    transaction('노드 추가', () => {
+      saveNodePosition(id, position.x, position.y);
+      addNodeToGraph(newNode, newLink);
+    });
     closeAddNode();
-  }, [addForm, savedNodePositions, graph.nodes, saveNodePosition, addNodeToGraph, closeAddNode]);
+  }, [addForm, savedNodePositions, graph.nodes, saveNodePosition, addNodeToGraph, closeAddNode, transaction]);
+
+  // === 가져온 노드/링크를 그래프에 추가 (서지, 마크다운 볼트 공통) ===
+  const addImportedNodes = useCallback((plan, connectTo, label) => {
+    // 부모 위치: 연결 대상 → 이미 있는(또는 먼저 배치한) 연결 노드 → 원점
+    const order = new Map(plan.nodes.map((n, i) => [n.id, i]));
+    const requests = plan.nodes.map((node, index) => {
+      if (connectTo) return { id: node.id, parentId: connectTo };
+      const neighbor = plan.links
+        .map((l) => (l.source === node.id ? l.target : l.target === node.id ? l.source : null))
+        .find((id) => id && (!order.has(id) || order.get(id) < index));
+      return { id: node.id, parentId: neighbor || null };
+    });
+    const positions = findPositionsForNewNodes(requests, savedNodePositions, graph.nodes);
+    
+    // 노드 + 링크 추가를 실행 취소 한 단계로 묶음
+    transaction(label, () => {
+      plan.nodes.forEach((node) => {
+        saveNodePosition(node.id, positions[node.id].x, positions[node.id].y);
+        addNodeToGraph(node);
+      });
+      plan.links.forEach((link) => addLink(link.source, link.target, link.type, link.description, link.title));
+    });
+  }, [savedNodePositions, graph.nodes, saveNodePosition, addNodeToGraph, addLink, transaction]);
+
+  // === 서지(BibTeX/RIS) 가져오기 핸들러 ===
+  const handleBibImport = useCallback((plan, connectTo) => {
+    addImportedNodes(plan, connectTo, '서지 가져오기');
+    console.log(`📚 서지 가져오기 완료: 노드 ${plan.nodes.length}개, 링크 ${plan.links.length}개`);
+    closeBibImport();
+  }, [addImportedNodes, closeBibImport]);
+
+  // === BibTeX 내보내기 핸들러 ===
+  const handleExportBib = useCallback((scope) => {
+    const { text, count } = exportBibTeX(graph, scope, propertySchema);
+    if (count === 0) {
+      alert('내보낼 노드가 없습니다.');
+      return;
+    }
+    
+    const baseName = scope.type === 'tag'
+      ? `tag-${scope.tag}`
+      : scope.type === 'neighborhood'
+        ? graph.nodes.find((n) => n.id === scope.nodeId)?.title || scope.nodeId
+        : scope.type === 'nodes' ? 'selection' : 'graph';
+    downloadFile(text, `${toSafeFileName(baseName, 'graph')}.bib`, 'application/x-bibtex;charset=utf-8');
+    console.log(`📚 BibTeX 내보내기 완료: ${count}개 항목`);
+  }, [graph, propertySchema]);
+
+  const handleExportNodeBib = useCallback((nodeId) => {
+    handleExportBib({ type: 'neighborhood', nodeId, depth: 1 });
+  }, [handleExportBib]);
+
+  // === 마크다운 볼트 내보내기/가져오기 핸들러 ===
+  const handleExportVault = useCallback(async () => {
+    try {
+      const { blob, noteCount, attachmentCount } = await exportVault(graph, storage);
+      downloadFile(blob, 'graph-vault.zip');
+      console.log(`🗂️ 마크다운 볼트 내보내기 완료: 노트 ${noteCount}개, 첨부파일 ${attachmentCount}개`);
+    } catch (error) {
+      console.error('마크다운 볼트 내보내기 실패:', error);
+      alert(`볼트를 내보낼 수 없습니다: ${error.message}`);
+    }
+  }, [graph, storage]);
+
+  const handleImportVault = useCallback(async (fileList) => {
+    try {
+      const files = await readVaultFiles(fileList);
+      const plan = await planVaultImport(files, graph);
+      if (plan.items.length === 0) {
+        alert('마크다운(.md) 파일이 없습니다.');
+        return;
+      }
+      
+      const duplicates = plan.items.filter((item) => item.status === 'duplicate').length;
+      const message = [
+        `노트 ${plan.items.length}개: 새 노드 ${plan.nodes.length}개, 기존 노드 ${duplicates}개 (내용 유지)`,
+        `링크 ${plan.links.length}개를 추가합니다.`,
+        ...(plan.errors.length > 0 ? ['', ...plan.errors] : []),
+      ].join('\n');
+      if (plan.nodes.length === 0 && plan.links.length === 0) {
+        alert(`${message}\n\n가져올 항목이 없습니다.`);
+        return;
+      }
+      if (!window.confirm(`${message}\n\n가져오시겠습니까?`)) return;
+      
+      addImportedNodes(plan, null, '마크다운 볼트 가져오기');
+      const { saved, failed } = await saveVaultNotes(plan, files, storage);
+      console.log(`🗂️ 마크다운 볼트 가져오기 완료: 노드 ${plan.nodes.length}개, 링크 ${plan.links.length}개, 노트 ${saved}개`);
+      if (failed.length > 0) alert(`노트 내용을 저장하지 못한 파일:\n${failed.join('\n')}`);
+      closeSettings();
+    } catch (error) {
+      console.error('마크다운 볼트 가져오기 실패:', error);
+      alert(`볼트를 가져올 수 없습니다: ${error.message}`);
+    }
+  }, [graph, storage, addImportedNodes, closeSettings]);
+
+  // === 전체 백업 / 복원 핸들러 ===
+  const dataState = useMemo(
+    () => ({ graph, nodeStyles, propertySchema, savedNodePositions, tagsIndex, trash, filterPresets, autoLinkMentions }),
+    [graph, nodeStyles, propertySchema, savedNodePositions, tagsIndex, trash, filterPresets, autoLinkMentions]
+  );
+
+  const handleCreateBackup = useCallback(async () => {
+    try {
+      const { blob, counts } = await createBackup(dataState, storage);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(blob, `graph-notes-backup-${date}.zip`);
+      console.log(`💾 백업 완료: 노드 ${counts.nodes}개, 노트 ${counts.notes}개, 첨부파일 ${counts.attachments}개`);
+    } catch (error) {
+      console.error('백업 실패:', error);
+      alert(`백업을 만들 수 없습니다: ${error.message}`);
+    }
+  }, [dataState, storage]);
+
+  const handleOpenRestore = useCallback(async (file) => {
+    try {
+      const [backup, database] = await Promise.all([readBackup(file), storage.exportDatabase()]);
+      setRestoreSession({ backup, database });
+      closeSettings();
+    } catch (error) {
+      console.error('백업 파일 읽기 실패:', error);
+      alert(error.message);
+    }
+  }, [storage, closeSettings]);
+
+  const handleRestore = useCallback(async (mode) => {
+    const { backup } = restoreSession;
+    try {
+      // 열린 노트 편집기가 복원된 노트를 덮어쓰지 않도록 먼저 닫음
+      closeNotePanel();
+      await restoreDatabase(backup, mode, storage);
+      const restored = buildRestoredState(
+        backup,
+        { ...useGraphStore.getState(), filterPresets: useUIStore.getState().filterPresets },
+        mode
+      );
+      restoreData(restored);
+      restoreFilterPresets(restored.filterPresets);
+      setRestoreSession(null);
+      console.log(`💾 백업 복원 완료 (${mode === 'replace' ? '전체 교체' : '병합'})`);
+    } catch (error) {
+      console.error('백업 복원 실패:', error);
+      alert(`복원하지 못했습니다: ${error.message}`);
+    }
+  }, [restoreSession, storage, closeNotePanel, restoreData, restoreFilterPresets]);
+
+  // === 노드 삭제 / 휴지통 ===
+  const { showTrash, handleDeleteNodes, handleOpenTrash, handleCloseTrash, handlePurgeTrash } = useTrashActions();
+
+  // === 다중 선택 (사각형/올가미) + 일괄 작업 ===
+  const {
+    selectedNodes,
+    handleSelectNodes,
+    handleSelectionStyle,
+    handleSelectionAddTag,
+    handleSelectionRemoveTag,
+    handleSelectionAlign,
+    handleSelectionExport,
+    handleSelectionDelete,
+  } = useSelectionActions({
+    fgRef,
+    derivedNodeById,
+    viewPositions,
+    onDeleteNodes: handleDeleteNodes,
+    onExportBib: handleExportBib,
+  });
+
+  // === 자동 레이아웃 (미리보기 → 적용/취소) ===
+  const { layoutPreview, handlePreviewLayout, handleApplyLayout, handleCancelLayout } = useLayoutPreview({
+    fgRef,
+    derivedData,
+    derivedNodeById,
+    viewPositions,
+  });
+
+  // === 노트 [[위키 링크]] / 백링크 언급 → mention 링크 ===
+  const { handleNoteBlocksSaved, handleToggleAutoLinkMentions, handleLinkMention } = useMentionSync();
 
   // === 노드 드래그 종료 핸들러 ===
-  const scheduleSavePositions = useCallback((node) => {
+  const scheduleSavePositions = useCallback((nodes) => {
     if (savePositionsTimerRef.current) {
       clearTimeout(savePositionsTimerRef.current);
     }
     savePositionsTimerRef.current = setTimeout(() => {
-      if (node.x != null && node.y != null) {
-        saveNodePosition(node.id, node.x, node.y);
-      }
+      nodes.forEach((node) => {
+        if (node.x != null && node.y != null) {
+          saveNodePosition(node.id, node.x, node.y);
+        }
+      });
     }, POSITION_SAVE.DEBOUNCE_DELAY);
   }, [saveNodePosition]);
 
-  const handleNodeDragEnd = useCallback((node) => {
+  // groupNodes: 다중 선택 드래그로 함께 움직인 노드
+  const handleNodeDragEnd = useCallback((node, groupNodes = []) => {
     if (!node) return;
     
     if (node.x != null && node.y != null) {
-      // 위치 저장 (디바운스 적용)
-      scheduleSavePositions(node);
+      const movedNodes = [node, ...groupNodes];
+      
+      // 위치 저장 (디바운스 적용) - 태그/타임라인 뷰의 위치는 레이아웃 결과이므로 저장하지 않음
+      if (!viewPositions) {
+        scheduleSavePositions(movedNodes);
+      }
       
       // 다음 프레임에 고정 설정 (즉시 재드래그 가능하도록)
       requestAnimationFrame(() => {
-        if (node.x != null && node.y != null) {
-          node.fx = node.x;
-          node.fy = node.y;
-          node.vx = 0;
-          node.vy = 0;
-        }
+        movedNodes.forEach((n) => {
+          if (n.x != null && n.y != null) {
+            n.fx = n.x;
+            n.fy = n.y;
+            n.vx = 0;
+            n.vy = 0;
+          }
+        });
       });
     }
-  }, [scheduleSavePositions]);
+  }, [scheduleSavePositions, viewPositions]);
 
-  // === 키보드 단축키 ===
-  useEffect(() => {
-    const onEsc = (e) => { 
-      if (e.key === 'Escape') {
-        // 링크 프리뷰가 열려있으면 닫기
-        if (linkPreviewMenu.visible) {
-          setLinkPreviewMenu({ visible: false, x: 0, y: 0 });
-          setSelectedLink(null);
-        } else if (notePanelOpen) {
-          // 노트패널이 열려있으면 닫기 (Close 버튼과 동일한 동작)
-          closeNotePanel();
-        } else {
-          setSelectedId(null); 
-          hideContextMenu();
-        }
-      } 
-    };
-    
-    const onDelete = (e) => {
-      if (e.key === 'Delete' && linkPreviewMenu.visible && selectedLink) {
-        // 인라인으로 링크 삭제 처리
-        const sourceId = typeof selectedLink.source === 'object' ? selectedLink.source.id : selectedLink.source;
-        const targetId = typeof selectedLink.target === 'object' ? selectedLink.target.id : selectedLink.target;
-        
-        const sourceNode = graph.nodes.find(n => n.id === sourceId);
-        const targetNode = graph.nodes.find(n => n.id === targetId);
-        
-        if (window.confirm(`"${sourceNode?.title}" → "${targetNode?.title}" 링크를 삭제하시겠습니까?`)) {
-          deleteLink(sourceId, targetId);
-          setLinkPreviewMenu({ visible: false, x: 0, y: 0 });
-          setSelectedLink(null);
-        }
-      }
-    };
-    
-    const onClick = () => hideContextMenu();
-    
-    window.addEventListener('keydown', onEsc);
-    window.addEventListener('keydown', onDelete);
-    window.addEventListener('click', onClick);
+  // === 검색 결과로 이동 ===
+  const handleSearchSelect = useCallback((nodeId) => {
+    const node = derivedData.nodes.find((n) => n.id === nodeId);
+    if (fgRef.current && node && node.x != null && node.y != null) {
+      fgRef.current.centerAt(node.x, node.y, SEARCH.FOCUS_DURATION);
+      fgRef.current.zoom(SEARCH.FOCUS_ZOOM, SEARCH.FOCUS_DURATION);
+      setZoomLevel(SEARCH.FOCUS_ZOOM);
+    }
     
-    return () => { 
-      window.removeEventListener('keydown', onEsc);
-      window.removeEventListener('keydown', onDelete);
-      window.removeEventListener('click', onClick); 
-    };
-  }, [setSelectedId, hideContextMenu, linkPreviewMenu.visible, selectedLink, graph.nodes, deleteLink, notePanelOpen, closeNotePanel]);
+    // 노드가 화면 중앙으로 오므로 미리보기 메뉴도 중앙에 표시
+    const graphWidth = window.innerWidth - (notePanelOpen ? panelWidth : 0);
+    handleNodeClick(nodeId, graphWidth / 2, window.innerHeight / 2);
+  }, [derivedData, notePanelOpen, panelWidth, handleNodeClick, setZoomLevel]);
 
-  // === 줌/핏 키보드 단축키 ===
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if ((e.ctrlKey || e.metaKey) && (e.key === '+' || e.key === '=')) {
-        e.preventDefault();
-        if (fgRef.current) {
-          const currentZoom = fgRef.current.zoom();
-          const newZoom = Math.min(currentZoom * ZOOM.STEP, ZOOM.MAX);
-          fgRef.current.zoom(newZoom, ZOOM.FIT_DURATION);
-          setZoomLevel(newZoom);
-        }
-      }
-      if ((e.ctrlKey || e.metaKey) && e.key === '-') {
-        e.preventDefault();
-        if (fgRef.current) {
-          const currentZoom = fgRef.current.zoom();
-          const newZoom = Math.max(currentZoom / ZOOM.STEP, ZOOM.MIN);
-          fgRef.current.zoom(newZoom, ZOOM.FIT_DURATION);
-          setZoomLevel(newZoom);
-        }
-      }
-      if (e.key === ' ' && !e.target.closest('textarea') && !e.target.closest('input')) {
-        e.preventDefault();
-        if (fgRef.current) {
-          fgRef.current.zoomToFit(ZOOM.FIT_DURATION, ZOOM.FIT_PADDING);
-          setTimeout(() => {
-            const newZoom = fgRef.current.zoom();
-            setZoomLevel(newZoom);
-          }, ZOOM.FIT_DURATION + 50);
-        }
-      }
-    };
+  // === 노트의 [[위키 링크]] 칩 → 그래프에서 노드 선택 (노트 패널은 그 노드의 노트로 전환) ===
+  const handleOpenLinkedNode = useCallback((nodeId) => {
+    const node = derivedData.nodes.find((n) => n.id === nodeId);
+    if (fgRef.current && node && node.x != null && node.y != null) {
+      fgRef.current.centerAt(node.x, node.y, SEARCH.FOCUS_DURATION);
+    }
+    setSelectedId(nodeId);
+  }, [derivedData, setSelectedId]);
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
+  // === 모든 검색 결과가 보이도록 줌 ===
+  const handleSearchShowAll = useCallback((nodeIds) => {
+    if (!fgRef.current) return;
+    const ids = new Set(nodeIds);
+    fgRef.current.zoomToFit(ZOOM.FIT_DURATION, ZOOM.FIT_PADDING, (n) => ids.has(n.id));
+    setTimeout(() => {
+      if (fgRef.current) setZoomLevel(fgRef.current.zoom());
+    }, ZOOM.FIT_DURATION + 50);
   }, [setZoomLevel]);
 
   // === 컴포넌트 언마운트 시 타이머 정리 ===
@@ -352,7 +714,13 @@ export default function App() {
   }, []);
 
   // === 링크 생성 핸들러 (모달 없이 즉시 생성) ===
-  const handleNodeClickWithShift = useCallback((nodeId, x, y, shiftKey) => {
+  const handleNodeClickWithShift = useCallback((nodeId, x, y, shiftKey, toggleKey) => {
+    // Ctrl/Cmd + 클릭: 다중 선택에 넣거나 빼기
+    if (toggleKey && !shiftKey) {
+      toggleSelected(nodeId);
+      return;
+    }
+    
     if (shiftKey) {
       // Shift 키가 눌린 상태
       if (!linkCreationMode) {
@@ -382,19 +750,7 @@ export default function App() {
       }
       handleNodeClick(nodeId, x, y);
     }
-  }, [linkCreationMode, sourceLinkNode, startLinkCreation, cancelLinkCreation, handleNodeClick, addLink]);
-
-  // === Shift 키 해제 감지 ===
-  useEffect(() => {
-    const handleKeyUp = (e) => {
-      if (e.key === 'Shift' && linkCreationMode) {
-        cancelLinkCreation();
-      }
-    };
-    
-    window.addEventListener('keyup', handleKeyUp);
-    return () => window.removeEventListener('keyup', handleKeyUp);
-  }, [linkCreationMode, cancelLinkCreation]);
+  }, [linkCreationMode, sourceLinkNode, startLinkCreation, cancelLinkCreation, handleNodeClick, addLink, toggleSelected]);
 
   // === 링크 클릭/우클릭 핸들러 ===
   useEffect(() => {
@@ -437,10 +793,19 @@ export default function App() {
     
     if (window.confirm(`"${sourceNode?.title}" → "${targetNode?.title}" 링크를 삭제하시겠습니까?`)) {
       deleteLink(sourceId, targetId);
-      setLinkPreviewMenu({ visible: false, x: 0, y: 0 });
-      setSelectedLink(null);
+      closeLinkPreview();
     }
-  }, [selectedLink, deleteLink, graph.nodes]);
+  }, [selectedLink, deleteLink, graph.nodes, closeLinkPreview]);
+
+  // === 키보드 단축키 (ESC, Delete, 검색/줌, 실행 취소, Shift 해제) ===
+  useKeyboardShortcuts({
+    fgRef,
+    linkPreviewOpen: linkPreviewMenu.visible,
+    onCloseLinkPreview: closeLinkPreview,
+    onDeleteLink: handleDeleteLink,
+    selectionCount: selectedNodes.length,
+    onDeleteSelection: handleSelectionDelete,
+  });
 
   /******************** 렌더 ********************/
   return (
@@ -454,15 +819,23 @@ export default function App() {
       >
         <GraphContainer
           fgRef={fgRef}
-          derivedData={derivedData}
+          derivedData={visibleData}
           nodeStyles={nodeStyles}
           selectedId={linkCreationMode ? sourceLinkNode : selectedId}
+          selectedIds={selectedIds}
+          highlightIds={highlightIds}
+          nodeColorOf={nodeColorOf}
+          filterIds={dimFilterIds}
           onShowContextMenu={handleShowContextMenu}
           onHideContextMenu={hideContextMenu}
           onNodeClickWithPosition={handleNodeClickWithShift}
           closePreviewMenu={hidePreviewMenu}
           onZoomChange={setZoomLevel}
           onNodeDragEnd={handleNodeDragEnd}
+          onRenderFramePre={renderFramePre}
+          onBackgroundClick={handleGraphBackgroundClick}
+          onSelectNodes={handleSelectNodes}
+          linkCurvature={timelineCurvature}
         >
           {/* 그래프 컨트롤 */}
           <GraphControls
@@ -473,8 +846,77 @@ export default function App() {
             onViewModeChange={setGraphViewMode}
             onOpenSettings={openSettings}
             onOpenAddNode={openAddNode}
+            onOpenSearch={openSearch}
+            undoLabel={history.past[history.past.length - 1]?.label || null}
+            redoLabel={history.future[history.future.length - 1]?.label || null}
+            onUndo={undo}
+            onRedo={redo}
+            canLayout={!viewPositions && !isTableView}
+            hasSelection={!!selectedNote}
+            layoutPreviewKind={layoutPreview?.kind || null}
+            onPreviewLayout={handlePreviewLayout}
+            onApplyLayout={handleApplyLayout}
+            onCancelLayout={handleCancelLayout}
+            propertySchema={propertySchema}
+            nodes={graph.nodes}
+            colorByProperty={activeColorProperty}
+            onColorByPropertyChange={setColorByProperty}
+            tableFilterCount={tableFilterIds ? tableFilterIds.size : null}
+            onClearTableFilter={clearTableFilters}
+            graphFilterCount={graphFilterIds ? graphFilterIds.size : null}
+            showGraphFilter={showGraphFilter}
+            onToggleGraphFilter={toggleGraphFilter}
           />
 
+          {/* 그래프 필터 사이드바 */}
+          {showGraphFilter && (
+            <GraphFilterPanel
+              filter={graphFilter}
+              mode={graphFilterMode}
+              matchCount={graphFilterIds ? graphFilterIds.size : graph.nodes.length}
+              totalCount={graph.nodes.length}
+              tagsIndex={tagsIndex}
+              linkTypes={graphLinkTypes}
+              presets={filterPresets}
+              onChange={setGraphFilter}
+              onModeChange={setGraphFilterMode}
+              onReset={resetGraphFilter}
+              onSavePreset={saveFilterPreset}
+              onApplyPreset={applyFilterPreset}
+              onDeletePreset={deleteFilterPreset}
+              onClose={toggleGraphFilter}
+            />
+          )}
+
+          {/* 태그 뷰 컨트롤 */}
+          {isTagView && (
+            <TagViewControls
+              categories={tagCategories}
+              category={activeTagCategory}
+              path={tagViewPath}
+              clusters={tagClusters}
+              onCategoryChange={setTagViewCategory}
+              onPathChange={setTagViewPath}
+            />
+          )}
+
+          {/* 다중 선택 툴바 */}
+          {selectedNodes.length > 0 && (
+            <SelectionToolbar
+              nodes={selectedNodes}
+              tagsIndex={tagsIndex}
+              customColorHistory={customColorHistory}
+              canArrange={!viewPositions}
+              onStyle={handleSelectionStyle}
+              onAddTag={handleSelectionAddTag}
+              onRemoveTag={handleSelectionRemoveTag}
+              onAlign={handleSelectionAlign}
+              onExport={handleSelectionExport}
+              onDelete={handleSelectionDelete}
+              onClear={clearSelection}
+            />
+          )}
+
           {/* 노드 미리보기 메뉴 */}
           {!notePanelOpen && (
             <NodePreviewMenu
@@ -500,8 +942,34 @@ export default function App() {
             onClose={hideContextMenu}
             customColorHistory={customColorHistory}
             addCustomColor={addCustomColor}
+            onExportBib={handleExportNodeBib}
+            onDeleteNodes={handleDeleteNodes}
+            links={graph.links}
           />
         </GraphContainer>
+
+        {/* 노드 표 보기 (그래프 위를 덮음, 그래프는 그대로 유지) */}
+        {isTableView && (
+          <NodeTableView
+            rows={tableRows}
+            totalCount={graph.nodes.length}
+            columns={tableColumns}
+            allColumns={allTableColumns}
+            sort={tableSort}
+            filters={tableFilters}
+            query={tableQuery}
+            selectedId={selectedId}
+            currentView={graphViewMode}
+            onViewChange={setGraphViewMode}
+            onSortChange={setTableSort}
+            onFilterChange={setTableFilter}
+            onQueryChange={setTableQuery}
+            onClearFilters={clearTableFilters}
+            onToggleColumn={toggleTableColumn}
+            onUpdateNode={updateNode}
+            onOpenNode={handleOpenTableNode}
+          />
+        )}
       </div>
 
       {/* 우측 노트 패널 */}
@@ -513,6 +981,16 @@ export default function App() {
         panelWidth={panelWidth}
         setPanelWidth={setPanelWidth}
         tagsIndex={tagsIndex}
+        storage={storage}
+        nodes={graph.nodes}
+        links={graph.links}
+        onOpenNode={handleOpenLinkedNode}
+        onBlocksSaved={handleNoteBlocksSaved}
+        onLinkMention={handleLinkMention}
+        propertySchema={propertySchema}
+        onAddPropertyDefinition={addPropertyDefinition}
+        onUpdatePropertyDefinition={updatePropertyDefinition}
+        onRemovePropertyDefinition={removePropertyDefinition}
       />
 
       {/* 설정 모달 */}
@@ -522,6 +1000,37 @@ export default function App() {
         storageMode={storageMode} 
         setStorageMode={setStorageMode} 
         clearLocal={handleClearLocal} 
+        remoteStatus={remoteStatus}
+        remoteError={remoteError}
+        tagsIndex={tagsIndex}
+        selectedId={selectedId}
+        onExportBib={handleExportBib}
+        onExportVault={handleExportVault}
+        onImportVault={handleImportVault}
+        onCreateBackup={handleCreateBackup}
+        onOpenRestore={handleOpenRestore}
+        trashCount={trash.length}
+        onOpenTrash={handleOpenTrash}
+        autoLinkMentions={autoLinkMentions}
+        onToggleAutoLinkMentions={handleToggleAutoLinkMentions}
+      />
+
+      {/* 백업 복원 모달 */}
+      <RestoreBackupModal
+        backup={restoreSession?.backup || null}
+        state={dataState}
+        database={restoreSession?.database || null}
+        onClose={() => setRestoreSession(null)}
+        onRestore={handleRestore}
+      />
+
+      {/* 휴지통 모달 */}
+      <TrashModal
+        open={showTrash}
+        trash={trash}
+        onClose={handleCloseTrash}
+        onRestore={restoreFromTrash}
+        onPurge={handlePurgeTrash}
       />
 
       {/* 노드 추가 모달 */}
@@ -532,6 +1041,15 @@ export default function App() {
         addNode={handleAddNode} 
         form={addForm} 
         setForm={setAddForm} 
+        onOpenImport={openBibImport}
+      />
+
+      {/* 서지 가져오기 모달 */}
+      <BibImportModal
+        open={showBibImport}
+        onClose={closeBibImport}
+        graph={graph}
+        onImport={handleBibImport}
       />
 
       {/* 링크 프리뷰 메뉴 */}
@@ -540,10 +1058,7 @@ export default function App() {
           link={selectedLink}
           position={linkPreviewMenu}
           containerSize={{ width: window.innerWidth, height: window.innerHeight }}
-          onClose={() => {
-            setLinkPreviewMenu({ visible: false, x: 0, y: 0 });
-            setSelectedLink(null);
-          }}
+          onClose={closeLinkPreview}
           onSave={handleSaveLink}
           onDelete={handleDeleteLink}
           sourceNodeTitle={(() => {
@@ -559,6 +1074,35 @@ export default function App() {
         />
       )}
 
+      {/* 검색 팔레트 (Ctrl+K) - 색인 유지를 위해 항상 마운트 */}
+      <SearchPalette
+        open={showSearch}
+        onClose={closeSearch}
+        nodes={graph.nodes}
+        storage={storage}
+        tagsIndex={tagsIndex}
+        initialQuery={searchQuery}
+        onHighlight={setSearchHighlight}
+        onSelectNode={handleSearchSelect}
+        onShowAll={handleSearchShowAll}
+      />
+
+      {/* 검색 결과 강조 표시 */}
+      {!showSearch && !linkCreationMode && searchHighlightIds.length > 0 && (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 flex items-center gap-3 bg-pink-600/90 text-white px-4 py-2 rounded-lg shadow-lg z-40">
+          <button onClick={openSearch} className="text-sm font-medium">
+            🔍 "{searchQuery}" · {searchHighlightIds.length}개 노드
+          </button>
+          <button
+            onClick={clearSearchHighlight}
+            className="text-xs opacity-80 hover:opacity-100"
+            title="강조 해제 (ESC)"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
       {/* 링크 생성 모드 UI 표시 */}
       {linkCreationMode && (
         <div className="fixed top-4 left-1/2 -translate-x-1/2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-lg z-50">
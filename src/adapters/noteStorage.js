@@ -6,16 +6,48 @@
  * - Ʈ   ε (Lazy Loading)
  * - 뷮  ó ( MB )
  * -     ÷ 
+ * -  Ʈ   (revisions)   
+ * -   ÷  (garbage collection)
  * 
  * ?  帧:
  * localStorage: ׷ Ÿ +  (summary)
  * IndexedDB:  Ʈ  (detailedNote Ǵ blocks)
  */
 
+import { NOTE_REVISIONS, ATTACHMENTS } from '../constants/storage';
+import { getBlockAttachmentIds } from '../utils/blockUtils';
+
 const DB_NAME = 'graph-notes-db';
-const DB_VERSION = 2; //  ý    
+const DB_VERSION = 3; // V2:  ý, V3:  
 const STORE_NAME = 'notes';
 const ATTACHMENTS_STORE = 'attachments'; // ÷ 
+const REVISIONS_STORE = 'revisions'; // Ʈ   
+
+// Ʈ   (˻ ε   ſ)
+const noteChangeListeners = new Set();
+
+/**
+ * Ʈ  
+ * -   Ǹ (nodeId, content) ȣ
+ * - Ʈ Ǹ (nodeId, null) ȣ
+ * 
+ * @param {function(string, import('../types/blocks').NoteContent|null): void} listener
+ * @returns {function(): void}   Լ
+ */
+export function subscribeNoteChanges(listener) {
+  noteChangeListeners.add(listener);
+  return () => noteChangeListeners.delete(listener);
+}
+
+function notifyNoteChange(nodeId, content) {
+  noteChangeListeners.forEach((listener) => {
+    try {
+      listener(nodeId, content);
+    } catch (error) {
+      console.error('Ʈ  ˸ :', error);
+    }
+  });
+}
 
 /**
  * IndexedDB ʱȭ
@@ -53,6 +85,15 @@ function openDB() {
         
         console.log('? ÷   Ϸ');
       }
+      
+      // V3:    ߰
+      if (oldVersion < 3 && !db.objectStoreNames.contains(REVISIONS_STORE)) {
+        const revisionStore = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id' });
+        revisionStore.createIndex('nodeId', 'nodeId', { unique: false });
+        revisionStore.createIndex('createdAt', 'createdAt', { unique: false });
+        
+        console.log('?     Ϸ');
+      }
     };
   });
 }
@@ -154,6 +195,7 @@ export async function deleteNoteDetail(nodeId) {
     });
     
     console.log(`? Ʈ  Ϸ: ${nodeId}`);
+    notifyNoteChange(nodeId, null);
   } catch (error) {
     console.error('? IndexedDB  :', error);
     throw error;
@@ -168,10 +210,10 @@ export async function deleteNoteDetail(nodeId) {
 export async function clearAllNotes() {
   try {
     const db = await openDB();
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
+    const transaction = db.transaction([STORE_NAME, REVISIONS_STORE], 'readwrite');
     
-    store.clear();
+    transaction.objectStore(STORE_NAME).clear();
+    transaction.objectStore(REVISIONS_STORE).clear();
     
     await new Promise((resolve, reject) => {
       transaction.oncomplete = resolve;
@@ -266,6 +308,26 @@ export async function saveBlockContent(nodeId, content) {
     });
     
     console.log(`?    Ϸ: ${nodeId}`);
+    
+    //   (ص  ü  ó)
+    try {
+      await recordRevision(nodeId, noteData);
+    } catch (revisionError) {
+      console.error('?   :', revisionError);
+    }
+    
+    // Ͽ  ÷  (ص  )
+    try {
+      await pruneNodeAttachments(nodeId);
+    } catch (pruneError) {
+      console.error('? ÷  :', pruneError);
+    }
+    
+    notifyNoteChange(nodeId, {
+      version: noteData.version,
+      blocks: noteData.blocks,
+      attachments: noteData.attachments,
+    });
   } catch (error) {
     console.error('?    :', error);
     throw error;
@@ -311,6 +373,193 @@ export async function loadBlockContent(nodeId) {
   }
 }
 
+/**
+ *   Ʈ ڵ ε (˻ ε )
+ * 
+ *  Ʈ({ id, version, blocks })  ؽƮ Ʈ({ id, detailedNote })  
+ * 
+ * @returns {Promise<Array<Object>>} Ʈ ڵ 迭
+ */
+export async function loadAllNotes() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    
+    return await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('? ü Ʈ ε :', error);
+    return [];
+  }
+}
+
+// ============================================
+//   (Revisions) Լ
+// ============================================
+
+const sameBlocks = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ *    ü ֽż ȸ (Ʈ ο)
+ */
+function getNodeRevisions(store, nodeId) {
+  return new Promise((resolve, reject) => {
+    const request = store.index('nodeId').getAll(nodeId);
+    request.onsuccess = () => resolve(
+      (request.result || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    );
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ *  Ʈ   
+ * 
+ * -  ϰ    
+ * - ڵ  NOTE_REVISIONS.MIN_INTERVAL ȿ    (Ʋ)
+ * -  /Ⱓ     (ֽ  ׻ )
+ * 
+ * @param {string} nodeId -  ID
+ * @param {import('../types/blocks').NoteContent} content -  
+ * @param {Object} [options]
+ * @param {'auto'|'restore'|'manual'} [options.reason] -  
+ * @param {boolean} [options.force] - Ʋ ϰ   
+ * @returns {Promise<string|null>}  ID (    ID)
+ */
+export async function recordRevision(nodeId, content, { reason = 'auto', force = false } = {}) {
+  if (!content || !Array.isArray(content.blocks)) return null;
+  
+  const db = await openDB();
+  const transaction = db.transaction([REVISIONS_STORE], 'readwrite');
+  const store = transaction.objectStore(REVISIONS_STORE);
+  
+  const revisions = await getNodeRevisions(store, nodeId);
+  const latest = revisions[0];
+  const now = new Date();
+  let revisionId;
+  
+  if (latest && sameBlocks(latest.blocks, content.blocks)) {
+    revisionId = latest.id;
+  } else if (
+    latest && !force && reason === 'auto' && latest.reason === 'auto' &&
+    now.getTime() - new Date(latest.createdAt).getTime() < NOTE_REVISIONS.MIN_INTERVAL
+  ) {
+    // Ʋ:    · 
+    revisionId = latest.id;
+    store.put({
+      ...latest,
+      version: content.version,
+      blocks: content.blocks,
+      blockCount: content.blocks.length,
+      updatedAt: now.toISOString(),
+    });
+  } else {
+    revisionId = `${nodeId}:${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    store.put({
+      id: revisionId,
+      nodeId,
+      reason,
+      version: content.version,
+      blocks: content.blocks,
+      blockCount: content.blocks.length,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    });
+    revisions.unshift({ id: revisionId, createdAt: now.toISOString() });
+    
+    //  å 
+    const minDate = now.getTime() - NOTE_REVISIONS.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    revisions.forEach((revision, index) => {
+      if (index === 0) return;
+      if (index >= NOTE_REVISIONS.MAX_PER_NOTE || new Date(revision.createdAt).getTime() < minDate) {
+        store.delete(revision.id);
+      }
+    });
+  }
+  
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+  
+  return revisionId;
+}
+
+/**
+ *     ( , ֽż)
+ * 
+ * @param {string} nodeId -  ID
+ * @returns {Promise<Array<{id: string, nodeId: string, reason: string, blockCount: number, createdAt: string, updatedAt: string}>>}
+ */
+export async function listRevisions(nodeId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([REVISIONS_STORE], 'readonly');
+    const revisions = await getNodeRevisions(transaction.objectStore(REVISIONS_STORE), nodeId);
+    
+    return revisions.map((revision) => {
+      const meta = { ...revision };
+      delete meta.blocks;
+      return meta;
+    });
+  } catch (error) {
+    console.error('?    ε :', error);
+    return [];
+  }
+}
+
+/**
+ *   ϳ ε ( )
+ * 
+ * @param {string} revisionId -  ID
+ * @returns {Promise<Object|null>} { id, nodeId, version, blocks, createdAt, ... }
+ */
+export async function loadRevision(revisionId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([REVISIONS_STORE], 'readonly');
+    const store = transaction.objectStore(REVISIONS_STORE);
+    
+    return await new Promise((resolve, reject) => {
+      const request = store.get(revisionId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('?   ε :', error);
+    return null;
+  }
+}
+
+/**
+ *    ü 
+ * 
+ * @param {string} nodeId -  ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRevisions(nodeId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([REVISIONS_STORE], 'readwrite');
+    const store = transaction.objectStore(REVISIONS_STORE);
+    
+    const revisions = await getNodeRevisions(store, nodeId);
+    revisions.forEach((revision) => store.delete(revision.id));
+    
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error('?    :', error);
+    throw error;
+  }
+}
+
 // ============================================
 // ÷  Լ
 // ============================================
@@ -406,3 +655,288 @@ export async function deleteAttachment(fileId) {
     throw error;
   }
 }
+
+/**
+ * Ʈ/  ڵ ϴ ÷ ID 
+ */
+function collectAttachmentRefs(records, refs = new Set()) {
+  records.forEach((record) => {
+    (record?.blocks || []).forEach((block) => {
+      getBlockAttachmentIds(block).forEach((id) => refs.add(id));
+    });
+  });
+  return refs;
+}
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+//  ø ÷  (ٿ)   Ƿ  Ⱓ  
+const isPastGracePeriod = (attachment, now) =>
+  now - new Date(attachment.uploadedAt || 0).getTime() > ATTACHMENTS.GC_GRACE_PERIOD;
+
+/**
+ *  ÷   ̻  ʴ  
+ * 
+ * -   ϰ   𿡼  ʴ ÷ 
+ *   (  ϸ   ֵ )
+ * - ٸ Ʈ   ϴ 쵵 
+ * - ε  ATTACHMENTS.GC_GRACE_PERIOD    ÷ 
+ * 
+ * @param {string} nodeId -  ID
+ * @returns {Promise<string[]>}  ÷ ID
+ */
+export async function pruneNodeAttachments(nodeId) {
+  const db = await openDB();
+  const transaction = db.transaction([STORE_NAME, ATTACHMENTS_STORE, REVISIONS_STORE], 'readwrite');
+  const notes = transaction.objectStore(STORE_NAME);
+  const attachments = transaction.objectStore(ATTACHMENTS_STORE);
+  const revisions = transaction.objectStore(REVISIONS_STORE);
+  
+  const [note, nodeAttachments] = await Promise.all([
+    requestResult(notes.get(nodeId)),
+    requestResult(attachments.index('nodeId').getAll(nodeId)),
+  ]);
+  
+  const now = Date.now();
+  const ownRefs = collectAttachmentRefs([note]);
+  let candidates = (nodeAttachments || [])
+    .filter((attachment) => !ownRefs.has(attachment.id) && isPastGracePeriod(attachment, now));
+  
+  // ĺ    /ٸ Ʈ Ȯ
+  if (candidates.length > 0) {
+    const [allNotes, allRevisions] = await Promise.all([
+      requestResult(notes.getAll()),
+      requestResult(revisions.getAll()),
+    ]);
+    const refs = collectAttachmentRefs(allRevisions || [], collectAttachmentRefs(allNotes || []));
+    candidates = candidates.filter((attachment) => !refs.has(attachment.id));
+    candidates.forEach((attachment) => attachments.delete(attachment.id));
+  }
+  
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+  
+  if (candidates.length > 0) {
+    console.log(`??  ʴ ÷ ${candidates.length} : ${nodeId}`);
+  }
+  return candidates.map((attachment) => attachment.id);
+}
+
+/**
+ * ü ÷  (   )
+ * 
+ * - ׷  ִ  Ʈ/  𿡼  ʴ ÷ 
+ *   (  ÷ϵ ⿡ )
+ * - ε  ATTACHMENTS.GC_GRACE_PERIOD    ÷ 
+ * 
+ *   Ŀ  ҷ ǻ츱  Ƿ ٷ  ʰ
+ *     Լ 
+ * 
+ * @param {Iterable<string>} liveNodeIds -  ׷  ID
+ * @returns {Promise<string[]>}  ÷ ID
+ */
+export async function garbageCollectAttachments(liveNodeIds) {
+  try {
+    const liveIds = new Set(liveNodeIds);
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, ATTACHMENTS_STORE, REVISIONS_STORE], 'readwrite');
+    const attachments = transaction.objectStore(ATTACHMENTS_STORE);
+    
+    const [allNotes, allRevisions, allAttachments] = await Promise.all([
+      requestResult(transaction.objectStore(STORE_NAME).getAll()),
+      requestResult(transaction.objectStore(REVISIONS_STORE).getAll()),
+      requestResult(attachments.getAll()),
+    ]);
+    
+    const refs = collectAttachmentRefs(
+      (allRevisions || []).filter((revision) => liveIds.has(revision.nodeId)),
+      collectAttachmentRefs((allNotes || []).filter((note) => liveIds.has(note.id)))
+    );
+    const now = Date.now();
+    const removed = (allAttachments || [])
+      .filter((attachment) => isPastGracePeriod(attachment, now) && !refs.has(attachment.id))
+      .map((attachment) => attachment.id);
+    
+    removed.forEach((id) => attachments.delete(id));
+    
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    console.log(`? ÷  Ϸ: ${removed.length} `);
+    return removed;
+  } catch (error) {
+    console.error('? ÷  :', error);
+    throw error;
+  }
+}
+
+// ============================================
+//   (  / )
+// ============================================
+
+/**
+ * 鿡  Ʈ/÷  (  Ȯο)
+ * 
+ * @param {string[]} nodeIds -  ID 
+ * @returns {Promise<{notes: number, attachments: number}>}
+ */
+export async function countNodeData(nodeIds) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, ATTACHMENTS_STORE], 'readonly');
+    const notes = transaction.objectStore(STORE_NAME);
+    const attachmentIndex = transaction.objectStore(ATTACHMENTS_STORE).index('nodeId');
+    
+    const counts = await Promise.all(nodeIds.map((nodeId) => Promise.all([
+      requestResult(notes.count(nodeId)),
+      requestResult(attachmentIndex.count(nodeId)),
+    ])));
+    
+    return counts.reduce(
+      (total, [noteCount, attachmentCount]) => ({
+        notes: total.notes + noteCount,
+        attachments: total.attachments + attachmentCount,
+      }),
+      { notes: 0, attachments: 0 }
+    );
+  } catch (error) {
+    console.error('?    ȸ :', error);
+    return { notes: 0, attachments: 0 };
+  }
+}
+
+/**
+ * 忡  IndexedDB    (Ʈ,  , ÷)
+ *  / Ⱓ    ( Ʈ ó)
+ * 
+ * @param {string} nodeId -  ID
+ * @returns {Promise<{attachmentIds: string[]}>}  ÷ ID (  )
+ */
+export async function deleteNodeData(nodeId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, ATTACHMENTS_STORE, REVISIONS_STORE], 'readwrite');
+    const attachments = transaction.objectStore(ATTACHMENTS_STORE);
+    const revisions = transaction.objectStore(REVISIONS_STORE);
+    
+    const [attachmentIds, revisionIds] = await Promise.all([
+      requestResult(attachments.index('nodeId').getAllKeys(nodeId)),
+      requestResult(revisions.index('nodeId').getAllKeys(nodeId)),
+    ]);
+    
+    transaction.objectStore(STORE_NAME).delete(nodeId);
+    (attachmentIds || []).forEach((id) => attachments.delete(id));
+    (revisionIds || []).forEach((id) => revisions.delete(id));
+    
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+    
+    console.log(`??    Ϸ: ${nodeId} (÷ ${(attachmentIds || []).length})`);
+    notifyNoteChange(nodeId, null);
+    return { attachmentIds: attachmentIds || [] };
+  } catch (error) {
+    console.error('?    :', error);
+    throw error;
+  }
+}
+
+// ============================================
+//  /  Լ
+// ============================================
+
+/**
+ * IndexedDB ü  ()
+ * 
+ * @returns {Promise<{notes: Array<Object>, attachments: Array<Object>, revisions: Array<Object>}>}
+ *   Һ ڵ 迭 (÷ ڵ blob )
+ */
+export async function exportDatabase() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, ATTACHMENTS_STORE, REVISIONS_STORE], 'readonly');
+    
+    const getAll = (storeName) => new Promise((resolve, reject) => {
+      const request = transaction.objectStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+    
+    const [notes, attachments, revisions] = await Promise.all([
+      getAll(STORE_NAME),
+      getAll(ATTACHMENTS_STORE),
+      getAll(REVISIONS_STORE),
+    ]);
+    
+    return { notes, attachments, revisions };
+  } catch (error) {
+    console.error('? IndexedDB  :', error);
+    throw error;
+  }
+}
+
+/**
+ * IndexedDB  ( ҷ)
+ * 
+ * - replace:  Ҹ    ڵ常 
+ * - (⺻):  ID  ڵ   
+ * -  Ʈ ó (ϸ ƹ͵ ٲ )
+ * 
+ * @param {{notes?: Array<Object>, attachments?: Array<Object>, revisions?: Array<Object>}} data - Һ ڵ
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] -   ü ü 
+ * @returns {Promise<void>}
+ */
+export async function importDatabase(data, { replace = false } = {}) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME, ATTACHMENTS_STORE, REVISIONS_STORE], 'readwrite');
+    
+    const existingNoteIds = replace
+      ? await new Promise((resolve, reject) => {
+          const request = transaction.objectStore(STORE_NAME).getAllKeys();
+          request.onsuccess = () => resolve(request.result || []);
+          request.onerror = () => reject(request.error);
+        })
+      : [];
+    
+    [
+      [STORE_NAME, data.notes],
+      [ATTACHMENTS_STORE, data.attachments],
+      [REVISIONS_STORE, data.revisions],
+    ].forEach(([storeName, records]) => {
+      const store = transaction.objectStore(storeName);
+      if (replace) store.clear();
+      (records || []).forEach((record) => store.put(record));
+    });
+    
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    
+    console.log(`? IndexedDB  Ϸ: Ʈ ${(data.notes || []).length}`);
+    
+    // / Ʈ ˸ (˻ ε  , ڵ ״  createdAt )
+    const restoredIds = new Set();
+    (data.notes || []).forEach((record) => {
+      restoredIds.add(record.id);
+      notifyNoteChange(record.id, record);
+    });
+    existingNoteIds
+      .filter((id) => !restoredIds.has(id))
+      .forEach((id) => notifyNoteChange(id, null));
+  } catch (error) {
+    console.error('? IndexedDB  :', error);
+    throw error;
+  }
+}
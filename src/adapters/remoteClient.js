@@ -0,0 +1,192 @@
+/**
+ * 원격 저장소 HTTP 클라이언트
+ *
+ * 이 파일의 역할:
+ * - REST 백엔드와 통신하는 fetch 래퍼 (createRemoteAdapter가 사용)
+ * - 인증 토큰(Bearer) 첨부, 타임아웃, 재시도(지수 백오프)
+ * - 오류를 RemoteStorageError로 정규화 (offline / unauthorized / http / timeout / parse)
+ *
+ * API 계약: guide/REMOTE_STORAGE_API.md 참고
+ */
+
+import { STORAGE_KEYS, REMOTE_STORAGE } from '../constants/storage';
+
+/**
+ * 원격 저장소 오류
+ *
+ * code 값:
+ * - 'offline': 네트워크 연결 실패 (서버 미실행, 오프라인 등)
+ * - 'timeout': 요청 시간 초과
+ * - 'unauthorized': 401/403 (토큰 누락 또는 잘못된 토큰)
+ * - 'http': 그 외 HTTP 오류 응답
+ * - 'parse': 응답 본문이 올바른 JSON이 아님 (프록시 오류 페이지, 잘린 응답 등)
+ */
+export class RemoteStorageError extends Error {
+  /**
+   * @param {string} message - 오류 메시지
+   * @param {'offline'|'timeout'|'unauthorized'|'http'|'parse'} code - 오류 종류
+   * @param {number} [status] - HTTP 상태 코드
+   */
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'RemoteStorageError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * 연결 문제(재연결 시 재시도 가능)로 인한 오류인지 확인
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  return error instanceof RemoteStorageError && (error.code === 'offline' || error.code === 'timeout');
+}
+
+/**
+ * 원격 저장소 설정 로드
+ * @returns {{baseUrl: string, token: string}}
+ */
+export function loadRemoteConfig() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEYS.REMOTE_CONFIG);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return {
+      baseUrl: parsed.baseUrl || REMOTE_STORAGE.DEFAULT_BASE_URL,
+      token: parsed.token || '',
+    };
+  } catch (error) {
+    console.error('원격 저장소 설정 로드 실패:', error);
+    return { baseUrl: REMOTE_STORAGE.DEFAULT_BASE_URL, token: '' };
+  }
+}
+
+/**
+ * 원격 저장소 설정 저장
+ * @param {{baseUrl: string, token: string}} config
+ */
+export function saveRemoteConfig(config) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.REMOTE_CONFIG, JSON.stringify({
+      baseUrl: config.baseUrl,
+      token: config.token,
+    }));
+  } catch (error) {
+    console.error('원격 저장소 설정 저장 실패:', error);
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 재시도해도 되는 HTTP 상태 (서버 과부하, 일시 장애)
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * HTTP 클라이언트 생성
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - API 기본 URL (예: http://localhost:8787/api)
+ * @param {string} [config.token] - Bearer 인증 토큰
+ * @param {number} [config.timeout] - 요청 타임아웃 (ms)
+ * @param {number} [config.maxRetries] - 최대 재시도 횟수
+ * @returns {{request: Function, baseUrl: string}}
+ */
+export function createRemoteClient({
+  baseUrl,
+  token = '',
+  timeout = REMOTE_STORAGE.REQUEST_TIMEOUT,
+  maxRetries = REMOTE_STORAGE.MAX_RETRIES,
+}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  /**
+   * 단일 요청 (재시도 없음)
+   */
+  const send = async (method, path, { body, headers = {}, raw = false }) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    const finalHeaders = { ...headers };
+    if (token) finalHeaders.Authorization = `Bearer ${token}`;
+
+    let payload = body;
+    if (body !== undefined && !raw) {
+      finalHeaders['Content-Type'] = 'application/json; charset=utf-8';
+      payload = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+      response = await fetch(`${root}${path}`, {
+        method,
+        headers: finalHeaders,
+        body: payload,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new RemoteStorageError(`요청 시간 초과: ${method} ${path}`, 'timeout');
+      }
+      throw new RemoteStorageError(`서버에 연결할 수 없습니다: ${root}`, 'offline');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new RemoteStorageError('인증 실패: 토큰을 확인하세요', 'unauthorized', response.status);
+    }
+
+    // 404는 "데이터 없음"으로 취급 (GET 전용)
+    if (response.status === 404 && method === 'GET') {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new RemoteStorageError(`서버 오류 (${response.status}): ${method} ${path}`, 'http', response.status);
+    }
+
+    if (response.status === 204) return null;
+    if (raw) return response;
+
+    const text = await response.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new RemoteStorageError(`응답을 해석할 수 없습니다: ${method} ${path}`, 'parse', response.status);
+    }
+  };
+
+  /**
+   * 요청 (재시도 포함)
+   *
+   * @param {'GET'|'PUT'|'DELETE'} method - HTTP 메서드
+   * @param {string} path - API 경로 (예: '/graph')
+   * @param {Object} [options]
+   * @param {any} [options.body] - 요청 본문 (raw가 아니면 JSON 직렬화)
+   * @param {Object} [options.headers] - 추가 헤더
+   * @param {boolean} [options.raw] - true면 본문을 그대로 보내고 Response를 반환
+   * @returns {Promise<any>} 파싱된 JSON, Response(raw) 또는 null
+   */
+  const request = async (method, path, options = {}) => {
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        return await send(method, path, options);
+      } catch (err) {
+        const retryable = isOfflineError(err) || (err.code === 'http' && RETRYABLE_STATUS.has(err.status));
+
+        if (!retryable || attempt >= maxRetries) {
+          throw err;
+        }
+
+        attempt++;
+        await wait(REMOTE_STORAGE.RETRY_BASE_DELAY * 2 ** (attempt - 1));
+      }
+    }
+  };
+
+  return { request, baseUrl: root };
+}
@@ -10,7 +10,36 @@
  * - 나중에 서버 연동 시 코드 변경 최소화
  */
 
-import { STORAGE_KEYS } from '../constants/storage';
+import { STORAGE_KEYS, REMOTE_STATUS } from '../constants/storage';
+import {
+  subscribeNoteChanges,
+  loadNoteDetail,
+  loadAllNotes,
+  loadBlockContent,
+  saveBlockContent,
+  recordRevision,
+  listRevisions,
+  loadRevision,
+  saveAttachment,
+  loadAttachment,
+  deleteAttachment,
+  deleteNodeData,
+  countNodeData,
+  garbageCollectAttachments,
+  initializeSeedNotes,
+  exportDatabase,
+  importDatabase
+} from './noteStorage';
+import { createRemoteClient, loadRemoteConfig, isOfflineError } from './remoteClient';
+import { getBlockAttachmentIds } from '../utils/blockUtils';
+
+/**
+ * 노트 레코드들의 블록이 참조하는 첨부파일 ID
+ * @param {Array<Object>} records
+ * @returns {Set<string>}
+ */
+const collectAttachmentIds = (records) =>
+  new Set(records.flatMap((record) => (record.blocks || []).flatMap(getBlockAttachmentIds)));
 
 /**
  * 로컬 스토리지 어댑터
@@ -68,13 +97,14 @@ export function createLocalStorageAdapter(key = STORAGE_KEYS.GRAPH_DATA) {
     /**
      * 데이터 저장하기
      * 
-     * @param {Object} payload - 저장할 그래프 데이터 (nodes, links, nodeStyles, lockedIds)
+     * @param {Object} payload - 저장할 그래프 데이터 (nodes, links, nodeStyles, propertySchema, lockedIds)
      * 
      * 저장 내용:
      * {
      *   nodes: [...],      // 모든 노드 정보
      *   links: [...],      // 모든 링크 정보
      *   nodeStyles: {...}, // 노드별 스타일
+     *   propertySchema: [...], // 노드 속성 정의 (기본 + 사용자 속성)
      *   lockedIds: [...]   // 고정된 노드 목록
      * }
      * 
@@ -107,45 +137,451 @@ export function createLocalStorageAdapter(key = STORAGE_KEYS.GRAPH_DATA) {
       } catch (err) {
         console.error('Failed to clear localStorage:', err);
       }
-    }
+    },
+
+    // 블록 노트 / 버전 기록 / 첨부파일: IndexedDB (noteStorage) 그대로 사용
+    subscribeNoteChanges,
+    loadNoteDetail,
+    loadAllNotes,
+    loadBlockContent,
+    saveBlockContent,
+    recordRevision,
+    listRevisions,
+    loadRevision,
+    saveAttachment,
+    loadAttachment,
+    deleteAttachment,
+    deleteNodeData,
+    countNodeData,
+    garbageCollectAttachments,
+    initializeSeedNotes,
+    exportDatabase,
+    importDatabase
   };
 }
 
 /**
- * 원격 저장소 어댑터 (향후 구현 예정)
+ * 원격 저장소 어댑터 (REST API)
  * 
- * @returns {Object} 원격 저장소 어댑터 (현재는 placeholder)
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API 기본 URL (기본값: 저장된 설정 또는 REMOTE_STORAGE.DEFAULT_BASE_URL)
+ * @param {string} [options.token] - Bearer 인증 토큰
+ * @param {function(string, Error=): void} [options.onStatusChange] - 동기화 상태 변경 콜백 (REMOTE_STATUS)
+ * @returns {import('../types').StorageAdapter} 원격 저장소 어댑터
  * 
- * ? 향후 구현 계획:
- * - REST API 연동 (fetch 사용)
- * - WebSocket 실시간 동기화
- * - 여러 기기 간 데이터 공유
+ * ? 동작 방식:
+ * - 그래프/블록 노트/첨부파일을 REST 서버에 저장 (guide/REMOTE_STORAGE_API.md)
+ * - 모든 쓰기는 로컬(localStorage/IndexedDB)에도 기록 → 오프라인 캐시
+ * - 네트워크 오류 시 마지막 변경을 보관했다가 'online' 이벤트 때 재전송
+ * - 인증 실패/서버 오류는 예외로 전달 (호출 측에서 상태 표시)
+ * - 노트 버전 기록과 텍스트 노트(블록 변환 전)는 기기별 로컬(IndexedDB)에만 보관
  * 
- * ? 구현 시 유의사항:
- * - 인증/인가 처리 (JWT 토큰 등)
- * - 네트워크 에러 처리
- * - 낙관적 업데이트 (Optimistic Update)
- * - 충돌 해결 전략 (Conflict Resolution)
+ * ? 모든 메서드가 async (비동기)
  */
-export function createRemoteAdapter() {
+export function createRemoteAdapter(options = {}) {
+  const config = { ...loadRemoteConfig(), ...options };
+  const client = createRemoteClient(config);
+  const cache = createLocalStorageAdapter();
+  const notify = options.onStatusChange || (() => {});
+  
+  // 오프라인 동안 전송하지 못한 변경사항
+  let pendingGraph = null;
+  const pendingNotes = new Map();
+  // fileId → 업로드할 첨부파일 ({nodeId, blob, fileName, mimeType}), 삭제할 첨부파일이면 null
+  const pendingAttachments = new Map();
+  let onlineListener = null;
+
+  const notePath = (nodeId) => `/notes/${encodeURIComponent(nodeId)}`;
+
+  /**
+   * 첨부파일 업로드 / 삭제 요청
+   * @param {string} fileId
+   * @param {{nodeId: string, blob: Blob, fileName: string, mimeType: string}|null} attachment - null이면 삭제
+   */
+  const sendAttachment = (fileId, attachment) => {
+    const path = `/attachments/${encodeURIComponent(fileId)}`;
+    if (!attachment) return client.request('DELETE', path);
+    return client.request('PUT', path, {
+      body: attachment.blob,
+      raw: true,
+      headers: {
+        'Content-Type': attachment.mimeType || 'application/octet-stream',
+        'X-Node-Id': encodeURIComponent(attachment.nodeId),
+        'X-File-Name': encodeURIComponent(attachment.fileName),
+      },
+    });
+  };
+
+  /**
+   * 보류된 변경사항 재전송
+   */
+  const flush = async () => {
+    if (!pendingGraph && pendingNotes.size === 0 && pendingAttachments.size === 0) return;
+    
+    notify(REMOTE_STATUS.SYNCING);
+    try {
+      if (pendingGraph) {
+        await client.request('PUT', '/graph', { body: pendingGraph });
+        pendingGraph = null;
+      }
+      for (const [nodeId, content] of [...pendingNotes]) {
+        await client.request('PUT', notePath(nodeId), { body: content });
+        pendingNotes.delete(nodeId);
+      }
+      for (const [fileId, attachment] of [...pendingAttachments]) {
+        await sendAttachment(fileId, attachment);
+        pendingAttachments.delete(fileId);
+      }
+      notify(REMOTE_STATUS.SYNCED);
+    } catch (err) {
+      notify(isOfflineError(err) ? REMOTE_STATUS.OFFLINE : REMOTE_STATUS.ERROR, err);
+    }
+  };
+
+  /**
+   * 오프라인 오류 처리: 재연결 시 flush 예약
+   */
+  const deferUntilOnline = (err) => {
+    notify(REMOTE_STATUS.OFFLINE, err);
+    if (!onlineListener) {
+      onlineListener = () => flush();
+      window.addEventListener('online', onlineListener);
+    }
+  };
+
+  /**
+   * 요청 실행 + 상태 알림 (오프라인 오류는 그대로 throw)
+   */
+  const run = async (task) => {
+    notify(REMOTE_STATUS.SYNCING);
+    try {
+      const result = await task();
+      notify(REMOTE_STATUS.SYNCED);
+      return result;
+    } catch (err) {
+      notify(isOfflineError(err) ? REMOTE_STATUS.OFFLINE : REMOTE_STATUS.ERROR, err);
+      throw err;
+    }
+  };
+
+  /**
+   * 노트 업로드 (오프라인이면 보관했다가 재연결 시 업로드)
+   */
+  const pushNote = async (nodeId, content) => {
+    try {
+      await run(() => client.request('PUT', notePath(nodeId), { body: content }));
+      pendingNotes.delete(nodeId);
+    } catch (err) {
+      if (!isOfflineError(err)) throw err;
+      pendingNotes.set(nodeId, content);
+      deferUntilOnline(err);
+    }
+  };
+
+  /**
+   * 첨부파일 업로드 / 삭제 (오프라인이면 보관했다가 재연결 시 전송)
+   */
+  const pushAttachment = async (fileId, attachment) => {
+    try {
+      await run(() => sendAttachment(fileId, attachment));
+      pendingAttachments.delete(fileId);
+    } catch (err) {
+      if (!isOfflineError(err)) throw err;
+      pendingAttachments.set(fileId, attachment);
+      deferUntilOnline(err);
+    }
+  };
+
+  /**
+   * 서버의 모든 노트 레코드 (오프라인 오류는 그대로 throw)
+   * - 아직 전송하지 못한 노트는 보관 중인 내용으로
+   * - 서버에 없는 createdAt은 IndexedDB 캐시에서
+   */
+  const fetchAllNotes = async () => {
+    const [records, cached] = await Promise.all([
+      run(() => client.request('GET', '/notes')),
+      loadAllNotes(),
+    ]);
+    const createdAt = new Map(cached.map((record) => [record.id, record.createdAt]));
+    const byId = new Map((records || []).map((record) => [record.id, record]));
+    pendingNotes.forEach((content, nodeId) => byId.set(nodeId, { ...content, id: nodeId }));
+    return [...byId.values()].map((record) => ({ createdAt: createdAt.get(record.id), ...record }));
+  };
+
+  /**
+   * 서버의 모든 노트 레코드, 오프라인이면 IndexedDB 캐시
+   */
+  const loadAllRemoteNotes = async () => {
+    try {
+      return await fetchAllNotes();
+    } catch (err) {
+      if (isOfflineError(err)) return loadAllNotes();
+      throw err;
+    }
+  };
+
+  /**
+   * 첨부파일 불러오기 (IndexedDB 캐시 우선, 없으면 서버에서 받아 캐시)
+   */
+  const loadRemoteAttachment = async (fileId) => {
+    const cached = await loadAttachment(fileId);
+    if (cached) return cached;
+
+    const response = await run(() => client.request('GET', `/attachments/${encodeURIComponent(fileId)}`, { raw: true }));
+    if (!response) return null;
+
+    const blob = await response.blob();
+    const nodeId = decodeURIComponent(response.headers.get('X-Node-Id') || '');
+    const fileName = decodeURIComponent(response.headers.get('X-File-Name') || fileId);
+    await saveAttachment(nodeId, fileId, blob, fileName, blob.type);
+    return blob;
+  };
+
   return {
     mode: 'remote',
-    
-    // 모든 메서드가 async (비동기)
+    baseUrl: client.baseUrl,
+
+    /**
+     * 서버에서 그래프 데이터 불러오기
+     * 
+     * @returns {Promise<Object|null>} 그래프 데이터, 서버에 데이터가 없으면 null
+     * 
+     * - 성공 시 로컬 캐시 갱신
+     * - 오프라인이면 로컬 캐시 반환
+     */
     async load() {
-      console.warn('[RemoteAdapter] not implemented');
-      // 향후: await fetch('/api/graph/load')
-      return null;
+      try {
+        const data = await run(() => client.request('GET', '/graph'));
+        if (data) cache.save(data);
+        return data;
+      } catch (err) {
+        if (isOfflineError(err)) {
+          console.warn('⚠️ 원격 서버 연결 실패, 로컬 캐시 사용:', err.message);
+          return cache.load();
+        }
+        throw err;
+      }
     },
     
+    /**
+     * 그래프 데이터 저장 (로컬 캐시 + 서버)
+     * @param {Object} payload - { nodes, links, nodeStyles, propertySchema }
+     */
     async save(payload) {
-      console.warn('[RemoteAdapter] not implemented', payload);
-      // 향후: await fetch('/api/graph/save', { method: 'POST', body: JSON.stringify(payload) })
+      cache.save(payload);
+      try {
+        await run(() => client.request('PUT', '/graph', { body: payload }));
+        pendingGraph = null;
+      } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        pendingGraph = payload;
+        deferUntilOnline(err);
+      }
     },
     
+    /**
+     * 서버와 로컬 캐시의 그래프 데이터 삭제
+     */
     async clear() {
-      console.warn('[RemoteAdapter] not implemented');
-      // 향후: await fetch('/api/graph/clear', { method: 'DELETE' })
+      cache.clear();
+      pendingGraph = null;
+      await run(() => client.request('DELETE', '/graph'));
+    },
+
+    /**
+     * 블록 노트 불러오기 (서버 우선, 오프라인이면 IndexedDB 캐시)
+     * @param {string} nodeId
+     * @returns {Promise<import('../types/blocks').NoteContent|null>}
+     */
+    async loadBlockContent(nodeId) {
+      if (pendingNotes.has(nodeId)) {
+        return pendingNotes.get(nodeId);
+      }
+      try {
+        const content = await run(() => client.request('GET', `/notes/${encodeURIComponent(nodeId)}`));
+        if (content) await saveBlockContent(nodeId, content);
+        return content || await loadBlockContent(nodeId);
+      } catch (err) {
+        if (isOfflineError(err)) return loadBlockContent(nodeId);
+        throw err;
+      }
+    },
+
+    /**
+     * 블록 노트 저장 (IndexedDB 캐시 + 서버)
+     * @param {string} nodeId
+     * @param {import('../types/blocks').NoteContent} content
+     */
+    async saveBlockContent(nodeId, content) {
+      await saveBlockContent(nodeId, content);
+      await pushNote(nodeId, content);
+    },
+
+    // 노트 변경 구독: 서버에서 받은 노트도 IndexedDB 캐시에 저장되면서 알림
+    subscribeNoteChanges,
+
+    // 텍스트 노트 (블록 변환 전, 로컬 전용)
+    loadNoteDetail,
+
+    /**
+     * 모든 노트 레코드 (서버 우선, 오프라인이면 IndexedDB 캐시)
+     * @returns {Promise<Array<Object>>}
+     */
+    loadAllNotes: loadAllRemoteNotes,
+
+    // 버전 기록 (기기별 로컬)
+    recordRevision,
+    listRevisions,
+    loadRevision,
+
+    /**
+     * 첨부파일 업로드 (IndexedDB 캐시 + 서버, 오프라인이면 재연결 시 업로드)
+     * @returns {Promise<string>} 파일 ID
+     */
+    async saveAttachment(nodeId, fileId, blob, fileName, mimeType) {
+      await saveAttachment(nodeId, fileId, blob, fileName, mimeType);
+      await pushAttachment(fileId, { nodeId, blob, fileName, mimeType });
+      return fileId;
+    },
+
+    /**
+     * 첨부파일 불러오기 (IndexedDB 캐시 우선, 없으면 서버에서 받아 캐시)
+     * @param {string} fileId
+     * @returns {Promise<Blob|null>}
+     */
+    loadAttachment: loadRemoteAttachment,
+
+    /**
+     * 첨부파일 삭제 (서버 + IndexedDB 캐시, 오프라인이면 재연결 시 삭제)
+     * @param {string} fileId
+     */
+    async deleteAttachment(fileId) {
+      await deleteAttachment(fileId);
+      await pushAttachment(fileId, null);
+    },
+
+    /**
+     * 노드의 노트/첨부파일 영구 삭제 (서버 + IndexedDB 캐시)
+     * 서버의 첨부파일은 로컬 캐시에 있던 것만 삭제
+     * @param {string} nodeId
+     * @returns {Promise<{attachmentIds: string[]}>}
+     */
+    async deleteNodeData(nodeId) {
+      const result = await deleteNodeData(nodeId);
+      pendingNotes.delete(nodeId);
+      await run(() => client.request('DELETE', notePath(nodeId)));
+      for (const fileId of result.attachmentIds) {
+        pendingAttachments.delete(fileId);
+        await run(() => sendAttachment(fileId, null));
+      }
+      return result;
+    },
+
+    /**
+     * 노드들에 딸린 노트/첨부파일 개수 (서버 노트 기준, 첨부파일은 블록이 참조하는 것)
+     * @param {string[]} nodeIds
+     * @returns {Promise<{notes: number, attachments: number}>}
+     */
+    async countNodeData(nodeIds) {
+      const ids = new Set(nodeIds);
+      try {
+        const notes = (await loadAllRemoteNotes()).filter((note) => ids.has(note.id));
+        return { notes: notes.length, attachments: collectAttachmentIds(notes).size };
+      } catch (err) {
+        console.error('❌ 원격 노드 데이터 개수 조회 실패:', err);
+        return countNodeData(nodeIds);
+      }
+    },
+
+    /**
+     * 첨부파일 정리 (IndexedDB 캐시 + 서버)
+     * 서버에서는 캐시에서 지운 것 중 서버 노트도 참조하지 않는 것만 삭제
+     * (이 기기에 캐시되지 않은 노트가 참조할 수 있으므로, 오프라인이면 서버는 건드리지 않음)
+     * @param {Iterable<string>} liveNodeIds
+     * @returns {Promise<string[]>} 캐시에서 삭제한 첨부파일 ID
+     */
+    async garbageCollectAttachments(liveNodeIds) {
+      const liveIds = new Set(liveNodeIds);
+      const removed = await garbageCollectAttachments(liveIds);
+      if (removed.length === 0) return removed;
+
+      let notes;
+      try {
+        notes = await fetchAllNotes();
+      } catch (err) {
+        if (isOfflineError(err)) return removed;
+        throw err;
+      }
+      const refs = collectAttachmentIds(notes.filter((note) => liveIds.has(note.id)));
+      for (const fileId of removed.filter((id) => !refs.has(id))) {
+        await pushAttachment(fileId, null);
+      }
+      return removed;
+    },
+
+    // 시드 노트 (텍스트 노트, 로컬 전용)
+    initializeSeedNotes,
+
+    /**
+     * 백업/내보내기용 전체 데이터 (노트는 서버 기준, 참조하는 첨부파일은 서버에서 받아 포함)
+     * @returns {Promise<{notes: Array<Object>, attachments: Array<Object>, revisions: Array<Object>}>}
+     */
+    async exportDatabase() {
+      const notes = await loadAllRemoteNotes();
+      for (const fileId of collectAttachmentIds(notes)) {
+        try {
+          await loadRemoteAttachment(fileId);
+        } catch (err) {
+          console.error('❌ 첨부파일 받기 실패:', fileId, err);
+        }
+      }
+      const database = await exportDatabase();
+      return { ...database, notes };
+    },
+
+    /**
+     * 백업 복원 (IndexedDB 캐시 + 서버)
+     * - 블록 노트와 첨부파일을 서버에 업로드 (오프라인이면 재연결 시)
+     * - replace: 백업에 없는 서버 노트 삭제
+     * @param {{notes?: Array<Object>, attachments?: Array<Object>, revisions?: Array<Object>}} data
+     * @param {{replace?: boolean}} [options]
+     */
+    async importDatabase(data, options = {}) {
+      await importDatabase(data, options);
+
+      const notes = (data.notes || []).filter((record) => Array.isArray(record.blocks));
+      if (options.replace) {
+        const keep = new Set(notes.map((record) => record.id));
+        for (const record of await loadAllRemoteNotes()) {
+          if (keep.has(record.id)) continue;
+          pendingNotes.delete(record.id);
+          await run(() => client.request('DELETE', notePath(record.id)));
+        }
+      }
+      for (const { id, ...content } of notes) {
+        await pushNote(id, content);
+      }
+      for (const record of data.attachments || []) {
+        await pushAttachment(record.id, {
+          nodeId: record.nodeId,
+          blob: record.blob,
+          fileName: record.fileName,
+          mimeType: record.mimeType,
+        });
+      }
+    },
+
+    // 보류된 변경사항 즉시 재전송
+    flush,
+
+    /**
+     * 어댑터 정리 (모드 전환 시 호출)
+     */
+    dispose() {
+      if (onlineListener) {
+        window.removeEventListener('online', onlineListener);
+        onlineListener = null;
+      }
     }
   };
 }
@@ -14,8 +14,9 @@ import React from 'react';
  * @param {Function} addNode - 노드 추가 함수
  * @param {Object} form - 폼 상태 { title, group, linkType, connectTo }
  * @param {Function} setForm - 폼 상태 변경 함수
+ * @param {Function} onOpenImport - 서지(BibTeX/RIS) 가져오기 모달 열기
  */
-export const AddNodeModal = React.memo(function AddNodeModal({ open, onClose, graph, addNode, form, setForm }) {
+export const AddNodeModal = React.memo(function AddNodeModal({ open, onClose, graph, addNode, form, setForm, onOpenImport }) {
   if (!open) return null;
   
   return (
@@ -121,6 +122,13 @@ export const AddNodeModal = React.memo(function AddNodeModal({ open, onClose, gr
 
         {/* 액션 버튼 */}
         <div className="mt-4 pt-3 border-t border-white/10 flex items-center justify-end gap-2">
+          <button 
+            className="mr-auto px-3 py-2 rounded-lg text-xs text-white/70 hover:text-white hover:bg-white/10 transition-colors" 
+            onClick={onOpenImport}
+            title="BibTeX / RIS 파일에서 여러 논문 가져오기"
+          >
+            📚 Import .bib / .ris
+          </button>
           <button 
             className="px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 transition-all text-white/80 hover:text-white font-medium text-sm" 
             onClick={onClose}
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { parseBibliography } from '../utils/bibliography';
+import { planBibliographyImport } from '../utils/bibliographyImport';
+
+const STATUS_BADGE = {
+  new: { label: '새 노드', className: 'bg-teal-500/20 text-teal-300' },
+  duplicate: { label: '기존 노드', className: 'bg-yellow-500/20 text-yellow-300' },
+  skipped: { label: '제목 없음', className: 'bg-red-500/20 text-red-300' },
+};
+
+/**
+ * 📚 서지 가져오기 모달 (BibTeX / RIS)
+ *
+ * 🎯 역할:
+ * - .bib / .ris 파일을 읽어 항목 미리보기
+ * - 기존 노드와 DOI/제목으로 중복 검사
+ * - 인용 관계(crossref, cites, citedby)를 링크로 변환
+ * - 가져온 논문을 선택한 노드에 연결 (선택사항)
+ *
+ * 📦 Props:
+ * @param {boolean} open - 모달 열림 상태
+ * @param {Function} onClose - 모달 닫기 핸들러
+ * @param {Object} graph - 그래프 데이터 { nodes: [], links: [] }
+ * @param {Function} onImport - (plan, connectTo) 가져오기 실행
+ */
+export const BibImportModal = React.memo(function BibImportModal({ open, onClose, graph, onImport }) {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [connectTo, setConnectTo] = useState('');
+  const [linkType, setLinkType] = useState('based-on');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setFileName('');
+      setParsed(null);
+      setConnectTo('');
+      setLinkType('based-on');
+    }
+  }, [open]);
+
+  const plan = useMemo(
+    () => (parsed ? planBibliographyImport(parsed.entries, graph, { connectTo: connectTo || null, linkType }) : null),
+    [parsed, graph, connectTo, linkType]
+  );
+
+  if (!open) return null;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      setParsed(parseBibliography(text, file.name));
+    } catch (error) {
+      console.error('서지 파일 읽기 실패:', error);
+      alert(`파일을 읽을 수 없습니다: ${error.message}`);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const handleImport = () => {
+    if (!plan || (plan.nodes.length === 0 && plan.links.length === 0)) return;
+    onImport(plan, connectTo || null);
+  };
+
+  const counts = plan
+    ? plan.items.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {})
+    : {};
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content w-[560px] max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* 헤더 */}
+        <div className="flex items-center justify-between mb-4 pb-3 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-bold text-white">Import Bibliography</h2>
+            <p className="text-xs text-white/50 mt-0.5">BibTeX(.bib) 또는 RIS(.ris) 파일에서 논문 노드 만들기</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="w-6 h-6 flex items-center justify-center rounded-full hover:bg-white/10 transition-colors text-white/70 hover:text-white text-sm"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="space-y-3 flex-1 min-h-0 flex flex-col">
+          {/* 파일 선택 */}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="px-3 py-2 rounded-lg bg-white/10 hover:bg-white/20 border border-white/10 text-sm transition-colors"
+            >
+              📂 파일 선택
+            </button>
+            <span className="text-xs text-white/60 truncate">{fileName || '선택된 파일 없음'}</span>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".bib,.bibtex,.ris,.txt"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+          </div>
+
+          {/* 연결 설정 */}
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1.5">
+              <label className="flex items-center gap-1.5 text-xs font-medium text-white/90">
+                <span className="text-teal-400 text-sm">🎯</span>
+                Connect To
+              </label>
+              <select
+                className="input-field w-full px-3 py-2 text-sm"
+                value={connectTo}
+                onChange={(e) => setConnectTo(e.target.value)}
+              >
+                <option value="">연결 안 함</option>
+                {graph.nodes.map((n) => (
+                  <option key={n.id} value={n.id}>{n.title || n.id}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-1.5">
+              <label className="flex items-center gap-1.5 text-xs font-medium text-white/90">
+                <span className="text-teal-400 text-sm">🔗</span>
+                Link Direction
+              </label>
+              <select
+                className="input-field w-full px-3 py-2 text-sm"
+                value={linkType}
+                onChange={(e) => setLinkType(e.target.value)}
+              >
+                <option value="based-on">← Based On</option>
+                <option value="cited-by">→ Cited By</option>
+              </select>
+            </div>
+          </div>
+
+          {/* 파싱 오류 */}
+          {parsed?.errors.length > 0 && (
+            <div className="text-[11px] text-red-300 bg-red-500/10 border border-red-500/30 rounded p-2 max-h-20 overflow-y-auto">
+              {parsed.errors.map((error, i) => <div key={i}>{error}</div>)}
+            </div>
+          )}
+
+          {/* 미리보기 */}
+          {plan && (
+            <>
+              <div className="flex gap-3 text-[11px] text-white/60">
+                <span>{parsed.format === 'ris' ? 'RIS' : 'BibTeX'} · {plan.items.length}개 항목</span>
+                <span className="text-teal-300">새 노드 {counts.new || 0}</span>
+                <span className="text-yellow-300">중복 {counts.duplicate || 0}</span>
+                {counts.skipped > 0 && <span className="text-red-300">건너뜀 {counts.skipped}</span>}
+                <span>링크 {plan.links.length}</span>
+              </div>
+              <div className="flex-1 min-h-0 overflow-y-auto rounded-lg border border-white/10 divide-y divide-white/5">
+                {plan.items.map((item, i) => {
+                  const badge = STATUS_BADGE[item.status];
+                  return (
+                    <div key={i} className="px-3 py-2 text-xs">
+                      <div className="flex items-start gap-2">
+                        <span className={`shrink-0 px-1.5 py-0.5 rounded text-[10px] ${badge.className}`}>{badge.label}</span>
+                        <span className="font-medium text-white/90">{item.entry.title || item.entry.key}</span>
+                      </div>
+                      <div className="mt-0.5 text-[11px] text-white/50 truncate">
+                        {[item.entry.authors.join(', '), item.entry.venue, item.entry.year].filter(Boolean).join(' · ')}
+                        {item.matchedBy && ` · ${item.matchedBy === 'doi' ? 'DOI' : '제목'} 일치`}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* 액션 버튼 */}
+        <div className="mt-4 pt-3 border-t border-white/10 flex items-center justify-end gap-2">
+          <button
+            className="px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 transition-all text-white/80 hover:text-white font-medium text-sm"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="px-4 py-2 rounded-lg bg-gradient-to-r from-teal-500 to-cyan-500 hover:from-teal-400 hover:to-cyan-400 text-black font-semibold shadow-lg shadow-teal-500/25 hover:shadow-teal-500/40 transition-all text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+            onClick={handleImport}
+            disabled={!plan || (plan.nodes.length === 0 && plan.links.length === 0)}
+          >
+            Import {plan ? `${plan.nodes.length} Nodes` : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
@@ -4,21 +4,88 @@
  * Advanced block components: Code, LaTeX, Image, File
  */
 
-import { forwardRef, useState, useEffect, useRef } from 'react';
+import { forwardRef, useState, useEffect, useRef, useMemo } from 'react';
 import { BLOCK_TYPES } from '../../types/blocks.js';
+import { ATTACHMENTS } from '../../constants/storage.js';
+import { generateAttachmentId } from '../../utils/blockUtils.js';
+import { downloadFile } from '../../utils/download.js';
+import { saveImageAttachment, isBase64ImageBlock, convertBase64ImageBlock } from '../../utils/imageAttachments.js';
+import { useAttachmentUrl } from '../../hooks/useAttachmentUrl.js';
+import { CODE_BLOCK } from '../../constants/ui.js';
+import { AUTO_LANGUAGE, CODE_LANGUAGES, getCodeLanguageLabel, highlightCode } from '../../utils/codeHighlight.js';
+import { runJavaScript } from '../../utils/codeRunner.js';
 import katex from 'katex';
+import 'highlight.js/styles/github-dark.css';
+
+// Tab / Shift+Tab on the selected lines (no selection: insert an indent at the cursor)
+function indentCodeSelection(text, start, end, outdent) {
+  const indent = CODE_BLOCK.INDENT;
+  if (!outdent && start === end) {
+    return { text: text.slice(0, start) + indent + text.slice(end), start: start + indent.length, end: end + indent.length };
+  }
+
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const lines = text.slice(lineStart, end).split('\n');
+  let firstShift = 0;
+  let totalShift = 0;
+  const changed = lines.map((line, index) => {
+    const shift = outdent ? -Math.min(indent.length, line.match(/^ */)[0].length) : indent.length;
+    if (index === 0) firstShift = shift;
+    totalShift += shift;
+    return outdent ? line.slice(-shift) : indent + line;
+  });
+
+  return {
+    text: text.slice(0, lineStart) + changed.join('\n') + text.slice(end),
+    start: Math.max(lineStart, start + firstShift),
+    end: end + totalShift,
+  };
+}
+
+const OUTPUT_COLORS = {
+  error: 'text-red-400',
+  warn: 'text-yellow-300',
+  info: 'text-sky-300',
+  debug: 'text-gray-500',
+  log: 'text-gray-200',
+};
 
 /**
  * CodeBlock Component
- * Multi-line code editor with syntax highlighting
+ * Code editor with syntax highlighting (highlight.js), line numbers and copy button.
+ * Editing uses a transparent textarea over the highlighted <pre>; read-only mode shows only the <pre>.
+ * JavaScript blocks can be run in a sandboxed worker (Run or Ctrl+Enter), output shows below the block.
  */
 export const CodeBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, autoFocus, readOnly }, ref) => {
-  const language = block.metadata?.language || 'javascript';
+  const language = block.metadata?.language || AUTO_LANGUAGE;
   const [height, setHeight] = useState(block.metadata?.height || 70);
   const [isResizing, setIsResizing] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [runState, setRunState] = useState(null); // { running, logs, result, error, timedOut, duration }
   const resizeRef = useRef(null);
   const startOffsetRef = useRef(0);
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  const gutterRef = useRef(null);
+
+  const highlighted = useMemo(() => highlightCode(block.content, language), [block.content, language]);
+  const lineNumbers = useMemo(
+    () => Array.from({ length: (block.content || '').split('\n').length }, (_, i) => i + 1).join('\n'),
+    [block.content]
+  );
+  const isRunnable = highlighted.language === 'javascript';
   
+  // Merge external ref with internal ref
+  useEffect(() => {
+    if (ref && textareaRef.current) {
+      if (typeof ref === 'function') {
+        ref(textareaRef.current);
+      } else {
+        ref.current = textareaRef.current;
+      }
+    }
+  }, [ref]);
+
   // 리사이징 핸들러
   useEffect(() => {
     if (!isResizing) return;
@@ -48,10 +115,60 @@ export const CodeBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, auto
       document.removeEventListener('mouseup', handleMouseUp);
     };
   }, [isResizing, height, onChange, block.content, block.metadata]);
+
+  // 하이라이트와 줄 번호를 스크롤 위치에 맞춤
+  const syncScroll = (e) => {
+    if (highlightRef.current && e.target !== highlightRef.current) {
+      highlightRef.current.scrollTop = e.target.scrollTop;
+      highlightRef.current.scrollLeft = e.target.scrollLeft;
+    }
+    if (gutterRef.current) {
+      gutterRef.current.scrollTop = e.target.scrollTop;
+    }
+  };
+
+  const handleRun = async () => {
+    if (!isRunnable || runState?.running) return;
+    setRunState({ running: true, logs: [] });
+    const result = await runJavaScript(block.content);
+    setRunState({ running: false, ...result });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(block.content);
+      setCopied(true);
+      setTimeout(() => setCopied(false), CODE_BLOCK.COPY_FEEDBACK);
+    } catch (err) {
+      console.error('Failed to copy code:', err);
+      alert('코드를 복사하지 못했습니다.');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Tab / Shift+Tab: indent lines (the editor doesn't nest code blocks with Tab)
+    if (e.key === 'Tab' && !readOnly) {
+      e.preventDefault();
+      const input = e.target;
+      const next = indentCodeSelection(input.value, input.selectionStart, input.selectionEnd, e.shiftKey);
+      onChange(next.text);
+      requestAnimationFrame(() => input.setSelectionRange(next.start, next.end));
+      return;
+    }
+    // Ctrl/Cmd + Enter: run
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleRun();
+      return;
+    }
+    onKeyDown && onKeyDown(e);
+  };
+
+  const isKnownLanguage = language === AUTO_LANGUAGE || CODE_LANGUAGES.some(({ id }) => id === language);
   
   return (
     <div className="code-block my-2 relative" ref={resizeRef}>
-      {/* Language selector */}
+      {/* Language selector + actions */}
       <div className="flex items-center gap-2 px-3 py-1 bg-gray-800 rounded-t text-sm">
         <select
           value={language}
@@ -65,43 +182,86 @@ export const CodeBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, auto
           disabled={readOnly}
           className="bg-gray-700 text-gray-300 px-2 py-1 rounded text-xs border-none outline-none"
         >
-          <option value="javascript">JavaScript</option>
-          <option value="python">Python</option>
-          <option value="java">Java</option>
-          <option value="html">HTML</option>
-          <option value="css">CSS</option>
-          <option value="json">JSON</option>
-          <option value="markdown">Markdown</option>
-          <option value="bash">Bash</option>
-          <option value="sql">SQL</option>
-          <option value="plaintext">Plain Text</option>
+          <option value={AUTO_LANGUAGE}>Auto detect</option>
+          {CODE_LANGUAGES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+          {!isKnownLanguage && <option value={language}>{language}</option>}
         </select>
-        <span className="text-gray-400 text-xs">Code Block</span>
+        <span className="text-gray-400 text-xs">
+          {language === AUTO_LANGUAGE && block.content?.trim()
+            ? `감지됨: ${getCodeLanguageLabel(highlighted.language)}`
+            : 'Code Block'}
+        </span>
+        <div className="flex-1" />
+        {isRunnable && (
+          <button
+            onClick={handleRun}
+            disabled={runState?.running}
+            className="px-2 py-0.5 rounded text-xs text-green-300 hover:bg-green-500/20 disabled:opacity-50 transition-colors"
+            title="샌드박스에서 실행 (Ctrl+Enter)"
+          >
+            {runState?.running ? '⏳ Running' : '▶ Run'}
+          </button>
+        )}
+        <button
+          onClick={handleCopy}
+          className="px-2 py-0.5 rounded text-xs text-gray-300 hover:bg-gray-700 transition-colors"
+          title="코드 복사"
+        >
+          {copied ? '✓ Copied' : '📋 Copy'}
+        </button>
       </div>
       
-      {/* Code editor */}
-      <textarea
-        ref={ref}
-        value={block.content}
-        onChange={(e) => onChange && onChange(e.target.value)}
-        onKeyDown={onKeyDown}
-        onFocus={onFocus}
-        autoFocus={autoFocus}
-        readOnly={readOnly}
-        placeholder="Enter code..."
-        className="w-full px-4 py-3 bg-gray-900 text-gray-100 font-mono text-sm resize-none outline-none border-none"
+      {/* Code editor: line numbers + highlighted code (+ transparent textarea while editing) */}
+      <div
+        className="flex bg-gray-900 text-gray-100 text-sm leading-5"
         style={{ 
           fontFamily: 'Monaco, Menlo, "Ubuntu Mono", Consolas, monospace',
           height: `${height}px`,
-          borderBottomLeftRadius: readOnly ? '0.25rem' : '0',
-          borderBottomRightRadius: readOnly ? '0.25rem' : '0'
+          borderBottomLeftRadius: readOnly && !runState ? '0.25rem' : '0',
+          borderBottomRightRadius: readOnly && !runState ? '0.25rem' : '0'
         }}
-      />
+      >
+        <div
+          ref={gutterRef}
+          className="flex-shrink-0 overflow-hidden py-3 pl-3 pr-2 text-right text-gray-600 whitespace-pre select-none border-r border-gray-800"
+          aria-hidden="true"
+        >
+          {lineNumbers}
+        </div>
+        <div className="relative flex-1 min-w-0">
+          <pre
+            ref={highlightRef}
+            className={`absolute inset-0 m-0 px-4 py-3 whitespace-pre ${readOnly ? 'overflow-auto' : 'overflow-hidden pointer-events-none'}`}
+            onScroll={readOnly ? syncScroll : undefined}
+            aria-hidden={!readOnly}
+          >
+            {/* Trailing newline keeps the last empty line as tall as the textarea's */}
+            <code dangerouslySetInnerHTML={{ __html: highlighted.html + '\n' }} />
+          </pre>
+          {!readOnly && (
+            <textarea
+              ref={textareaRef}
+              value={block.content}
+              onChange={(e) => onChange && onChange(e.target.value)}
+              onKeyDown={handleKeyDown}
+              onFocus={onFocus}
+              onScroll={syncScroll}
+              autoFocus={autoFocus}
+              wrap="off"
+              spellCheck={false}
+              placeholder="Enter code..."
+              className="absolute inset-0 w-full h-full m-0 px-4 py-3 bg-transparent text-transparent caret-gray-100 placeholder-gray-600 whitespace-pre overflow-auto resize-none outline-none border-none selection:bg-blue-500/30"
+            />
+          )}
+        </div>
+      </div>
       
       {/* 리사이즈 핸들 */}
       {!readOnly && (
         <div
-          className="w-full h-2 bg-gray-800 hover:bg-gray-700 cursor-ns-resize flex items-center justify-center rounded-b group"
+          className={`w-full h-2 bg-gray-800 hover:bg-gray-700 cursor-ns-resize flex items-center justify-center group ${runState ? '' : 'rounded-b'}`}
           onMouseDown={(e) => {
             e.preventDefault();
             if (resizeRef.current) {
@@ -116,6 +276,43 @@ export const CodeBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, auto
           <div className="w-8 h-1 bg-gray-600 rounded group-hover:bg-gray-500" />
         </div>
       )}
+
+      {/* 실행 결과 */}
+      {runState && (
+        <div className="bg-black/60 border-t border-gray-800 rounded-b px-3 py-2 font-mono text-xs max-h-60 overflow-auto">
+          <div className="flex items-center justify-between mb-1 text-gray-500">
+            <span>
+              Output
+              {runState.duration !== undefined && ` · ${Math.round(runState.duration)}ms`}
+            </span>
+            <button
+              onClick={() => setRunState(null)}
+              className="px-1 rounded hover:bg-gray-700 hover:text-gray-300"
+              title="결과 닫기"
+            >
+              ✕
+            </button>
+          </div>
+          {runState.logs.map((entry, index) => (
+            <div key={index} className={`whitespace-pre-wrap break-words ${OUTPUT_COLORS[entry.level] || OUTPUT_COLORS.log}`}>
+              {entry.text}
+            </div>
+          ))}
+          {runState.running && <div className="text-gray-500">실행 중...</div>}
+          {runState.result !== undefined && runState.result !== null && (
+            <div className="whitespace-pre-wrap break-words text-gray-400">← {runState.result}</div>
+          )}
+          {runState.error && (
+            <div className="whitespace-pre-wrap break-words text-red-400">✖ {runState.error}</div>
+          )}
+          {runState.timedOut && (
+            <div className="text-yellow-300">⏱ {CODE_BLOCK.RUN_TIMEOUT / 1000}초 안에 끝나지 않아 중단했습니다</div>
+          )}
+          {!runState.running && !runState.logs.length && !runState.error && !runState.timedOut && runState.result === null && (
+            <div className="text-gray-500">(출력 없음)</div>
+          )}
+        </div>
+      )}
     </div>
   );
 });
@@ -214,43 +411,89 @@ export const LaTeXBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, aut
 
 LaTeXBlock.displayName = 'LaTeXBlock';
 
+/**
+ * Full-size image overlay (original of a thumbnailed ImageBlock)
+ */
+function OriginalImageOverlay({ storage, fileId, alt, onClose }) {
+  const { url, isMissing } = useAttachmentUrl(storage, fileId);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-[100] bg-black/85 flex items-center justify-center p-6 cursor-zoom-out" onClick={onClose}>
+      {url ? (
+        <img src={url} alt={alt} className="max-w-full max-h-full object-contain" />
+      ) : (
+        <div className="text-white/70 text-sm">{isMissing ? '원본 이미지를 찾을 수 없습니다' : 'Loading...'}</div>
+      )}
+    </div>
+  );
+}
+
 /**
  * ImageBlock Component
- * Image upload and display
+ * Image stored in IndexedDB (attachments store) with optional thumbnail and caption
+ *
+ * - block.content: attachment ID (legacy blocks: base64 data URL, converted on open; or external URL)
+ * - metadata.thumbnailId: downscaled copy shown in the editor for large images
  */
-export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, ref) => {
+export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly, nodeId, storage }, ref) => {
   const [isDragging, setIsDragging] = useState(false);
-  const imageUrl = block.content; // URL or base64
+  const [isUploading, setIsUploading] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const imageSource = block.content; // Attachment ID or URL
   const caption = block.metadata?.caption || '';
   const altText = block.metadata?.alt || '';
+  const thumbnailId = block.metadata?.thumbnailId;
+  const { url: imageUrl, isLoading, isMissing } = useAttachmentUrl(storage, thumbnailId || imageSource);
+  const convertingRef = useRef(null);
+
+  // Convert legacy base64 content to an attachment the first time it is edited
+  useEffect(() => {
+    if (readOnly || !storage || !nodeId || !isBase64ImageBlock(block)) return;
+    if (convertingRef.current === block.content) return;
+    convertingRef.current = block.content;
+
+    convertBase64ImageBlock(storage, nodeId, block)
+      .then((converted) => onChange && onChange(converted.content, converted.metadata))
+      .catch((error) => console.error('Image conversion failed:', error));
+  }, [block, readOnly, storage, nodeId, onChange]);
 
-  const handleFileSelect = (file) => {
+  const handleFileSelect = async (file) => {
     if (!file || !file.type.startsWith('image/')) {
       alert('Please select an image file');
       return;
     }
+    if (!storage || !nodeId) {
+      alert('이미지를 저장할 수 없습니다. 노트를 연 상태에서 다시 시도하세요.');
+      return;
+    }
 
-    // Convert to base64 for storage
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const base64 = e.target.result;
+    setIsUploading(true);
+    try {
+      const { fileId, metadata } = await saveImageAttachment(storage, nodeId, file, file.name);
       if (onChange) {
-        onChange(base64, { 
-          ...block.metadata, 
-          fileName: file.name,
-          fileSize: file.size,
-          mimeType: file.type
-        });
+        onChange(fileId, { ...block.metadata, ...metadata });
       }
-    };
-    reader.readAsDataURL(file);
+    } catch (error) {
+      console.error('Image upload failed:', error);
+      alert(`이미지 저장 실패: ${error.message}`);
+    } finally {
+      setIsUploading(false);
+    }
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
     
-    if (readOnly) return;
+    if (readOnly || isUploading) return;
     
     const file = e.dataTransfer.files[0];
     handleFileSelect(file);
@@ -267,7 +510,7 @@ export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, re
     setIsDragging(false);
   };
 
-  if (!imageUrl) {
+  if (!imageSource) {
     // Upload interface
     return (
       <div 
@@ -283,7 +526,7 @@ export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, re
       >
         <div className="text-gray-500">
           <div className="text-4xl mb-2">🖼️</div>
-          <div className="font-medium">Drop image here or click to upload</div>
+          <div className="font-medium">{isUploading ? 'Uploading...' : 'Drop image here or click to upload'}</div>
           <div className="text-sm mt-1">Supports: JPG, PNG, GIF, WebP</div>
         </div>
         
@@ -291,9 +534,14 @@ export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, re
           <input
             type="file"
             accept="image/*"
-            onChange={(e) => e.target.files[0] && handleFileSelect(e.target.files[0])}
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) handleFileSelect(file);
+            }}
             className="hidden"
             id={`image-upload-${block.id}`}
+            disabled={isUploading}
           />
         )}
         
@@ -312,12 +560,27 @@ export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, re
   // Display uploaded image
   return (
     <div ref={ref} className="image-block my-2" onFocus={onFocus} tabIndex={0}>
-      <div className="rounded-lg overflow-hidden border border-gray-200">
-        <img 
-          src={imageUrl} 
-          alt={altText || caption || 'Uploaded image'}
-          className="w-full h-auto"
-        />
+      <div className="relative rounded-lg overflow-hidden border border-gray-200">
+        {imageUrl ? (
+          <img 
+            src={imageUrl} 
+            alt={altText || caption || 'Uploaded image'}
+            className={`w-full h-auto ${thumbnailId ? 'cursor-zoom-in' : ''}`}
+            onClick={thumbnailId ? () => setShowOriginal(true) : undefined}
+          />
+        ) : (
+          <div className="p-8 text-center text-sm text-gray-500">
+            {isLoading ? 'Loading image...' : isMissing ? `이미지를 찾을 수 없습니다: ${block.metadata?.fileName || imageSource}` : null}
+          </div>
+        )}
+        {thumbnailId && imageUrl && (
+          <button
+            onClick={() => setShowOriginal(true)}
+            className="absolute top-2 right-2 px-2 py-1 text-xs rounded bg-black/60 text-white hover:bg-black/80"
+          >
+            Original{block.metadata?.width ? ` ${block.metadata.width}×${block.metadata.height}` : ''}
+          </button>
+        )}
       </div>
       
       {/* Caption editor */}
@@ -327,7 +590,7 @@ export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, re
           value={caption}
           onChange={(e) => {
             if (onChange) {
-              onChange(imageUrl, { ...block.metadata, caption: e.target.value });
+              onChange(imageSource, { ...block.metadata, caption: e.target.value });
             }
           }}
           placeholder="Add a caption..."
@@ -338,21 +601,66 @@ export const ImageBlock = forwardRef(({ block, onChange, onFocus, readOnly }, re
       {caption && readOnly && (
         <div className="text-center text-sm text-gray-600 mt-2">{caption}</div>
       )}
+
+      {showOriginal && (
+        <OriginalImageOverlay
+          storage={storage}
+          fileId={imageSource}
+          alt={altText || caption || block.metadata?.fileName || 'Image'}
+          onClose={() => setShowOriginal(false)}
+        />
+      )}
     </div>
   );
 });
 
 ImageBlock.displayName = 'ImageBlock';
 
+const TEXT_FILE_PATTERN = /\.(txt|md|markdown|csv|tsv|json|xml|ya?ml|log|ini|tex|bib|ris|js|jsx|ts|tsx|py|java|c|cpp|h|css|html?|sh)$/i;
+
+/**
+ * Inline preview type for an attachment: 'image' | 'pdf' | 'text' | null
+ */
+const getPreviewKind = (mimeType, fileName) => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType === 'application/pdf' || /\.pdf$/i.test(fileName)) return 'pdf';
+  if (mimeType.startsWith('text/') || /json|xml|javascript/.test(mimeType) || TEXT_FILE_PATTERN.test(fileName)) {
+    return 'text';
+  }
+  return null;
+};
+
 /**
  * FileBlock Component
- * File attachment with upload/download
+ * File attachment stored in IndexedDB (attachments store) with download and inline preview
+ *
+ * - block.content: attachment ID, metadata: fileName / fileSize / mimeType
+ * - Replaced or deleted files are cleaned up by noteStorage (pruneNodeAttachments)
  */
-export const FileBlock = forwardRef(({ block, onChange, onFocus, readOnly }, ref) => {
+export const FileBlock = forwardRef(({ block, onChange, onFocus, readOnly, nodeId, storage }, ref) => {
   const fileName = block.metadata?.fileName || '';
   const fileSize = block.metadata?.fileSize || 0;
   const mimeType = block.metadata?.mimeType || '';
   const fileId = block.content; // File ID for IndexedDB lookup
+  const previewKind = getPreviewKind(mimeType, fileName);
+
+  const [isUploading, setIsUploading] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isMissing, setIsMissing] = useState(false);
+  const [preview, setPreview] = useState(null); // { kind, url } | { kind, text, truncated }
+
+  // Reset when the attachment changes
+  useEffect(() => {
+    setPreview(null);
+    setIsMissing(false);
+  }, [fileId]);
+
+  // Revoke the previous object URL when the preview closes or changes
+  useEffect(() => {
+    return () => {
+      if (preview?.url) URL.revokeObjectURL(preview.url);
+    };
+  }, [preview]);
 
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return `${bytes} B`;
@@ -371,27 +679,106 @@ export const FileBlock = forwardRef(({ block, onChange, onFocus, readOnly }, ref
     return '📎';
   };
 
-  const handleFileSelect = (file) => {
+  const handleFileSelect = async (file) => {
     if (!file) return;
+    if (!storage || !nodeId) {
+      alert('첨부파일을 저장할 수 없습니다. 노트를 연 상태에서 다시 시도하세요.');
+      return;
+    }
 
-    // Generate file ID
-    const newFileId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Store file metadata
-    if (onChange) {
-      onChange(newFileId, {
-        ...block.metadata,
-        fileName: file.name,
-        fileSize: file.size,
-        mimeType: file.type,
-        uploadedAt: Date.now()
-      });
+    setIsUploading(true);
+    try {
+      // Save the blob first so the block never points to a missing attachment
+      const newFileId = generateAttachmentId();
+      await storage.saveAttachment(nodeId, newFileId, file, file.name, file.type);
+
+      if (onChange) {
+        onChange(newFileId, {
+          ...block.metadata,
+          fileName: file.name,
+          fileSize: file.size,
+          mimeType: file.type,
+          uploadedAt: Date.now()
+        });
+      }
+    } catch (error) {
+      console.error('File upload failed:', error);
+      alert(`파일 저장 실패: ${error.message}`);
+    } finally {
+      setIsUploading(false);
     }
+  };
 
-    // TODO: Save file blob to IndexedDB in Phase 6
-    console.log('File selected:', file.name, 'ID:', newFileId);
+  // Load the stored blob (null → attachment missing)
+  const loadBlob = async () => {
+    const blob = storage ? await storage.loadAttachment(fileId) : null;
+    if (!blob) {
+      setIsMissing(true);
+      return null;
+    }
+    return blob;
   };
 
+  const handleDownload = async () => {
+    setIsLoading(true);
+    try {
+      const blob = await loadBlob();
+      if (blob) downloadFile(blob, fileName || fileId);
+    } catch (error) {
+      console.error('File download failed:', error);
+      alert(`파일을 불러오지 못했습니다: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTogglePreview = async () => {
+    if (preview) {
+      setPreview(null);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const blob = await loadBlob();
+      if (!blob) return;
+
+      if (previewKind === 'text') {
+        const truncated = blob.size > ATTACHMENTS.TEXT_PREVIEW_MAX_SIZE;
+        const text = await blob.slice(0, ATTACHMENTS.TEXT_PREVIEW_MAX_SIZE).text();
+        setPreview({ kind: previewKind, text, truncated });
+      } else {
+        // Typed blob so the browser renders PDFs/images inline
+        const typedBlob = blob.type ? blob : new Blob([blob], { type: mimeType || 'application/pdf' });
+        setPreview({ kind: previewKind, url: URL.createObjectURL(typedBlob) });
+      }
+    } catch (error) {
+      console.error('File preview failed:', error);
+      alert(`파일을 불러오지 못했습니다: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const uploadInput = (label, className) => (
+    <>
+      <input
+        type="file"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = '';
+          if (file) handleFileSelect(file);
+        }}
+        className="hidden"
+        id={`file-upload-${block.id}`}
+        disabled={isUploading}
+      />
+      <label htmlFor={`file-upload-${block.id}`} className={className}>
+        {isUploading ? 'Uploading...' : label}
+      </label>
+    </>
+  );
+
   if (!fileId) {
     // Upload interface
     return (
@@ -407,21 +794,9 @@ export const FileBlock = forwardRef(({ block, onChange, onFocus, readOnly }, ref
           <div className="text-sm mt-1">Any file type supported</div>
         </div>
         
-        {!readOnly && (
-          <>
-            <input
-              type="file"
-              onChange={(e) => e.target.files[0] && handleFileSelect(e.target.files[0])}
-              className="hidden"
-              id={`file-upload-${block.id}`}
-            />
-            <label 
-              htmlFor={`file-upload-${block.id}`}
-              className="inline-block mt-3 px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 cursor-pointer"
-            >
-              Choose File
-            </label>
-          </>
+        {!readOnly && uploadInput(
+          'Choose File',
+          'inline-block mt-3 px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 cursor-pointer'
         )}
       </div>
     );
@@ -431,30 +806,73 @@ export const FileBlock = forwardRef(({ block, onChange, onFocus, readOnly }, ref
   return (
     <div 
       ref={ref}
-      className="file-block my-2 p-4 bg-gray-50 border border-gray-200 rounded-lg flex items-center gap-4"
+      className="file-block my-2 bg-gray-50 border border-gray-200 rounded-lg"
       onFocus={onFocus}
       tabIndex={0}
     >
-      <div className="text-4xl">{getFileIcon(mimeType)}</div>
-      
-      <div className="flex-1 min-w-0">
-        <div className="font-medium text-gray-800 truncate">{fileName}</div>
-        <div className="text-sm text-gray-500">
-          {formatFileSize(fileSize)} • {mimeType || 'Unknown type'}
+      <div className="p-4 flex items-center gap-4">
+        <div className="text-4xl">{getFileIcon(mimeType)}</div>
+        
+        <div className="flex-1 min-w-0">
+          <div className="font-medium text-gray-800 truncate">{fileName}</div>
+          <div className="text-sm text-gray-500">
+            {formatFileSize(fileSize)} • {mimeType || 'Unknown type'}
+          </div>
+          {isMissing && (
+            <div className="text-xs text-red-500 mt-1">
+              저장된 파일을 찾을 수 없습니다.{!readOnly && ' 파일을 다시 첨부하세요.'}
+            </div>
+          )}
         </div>
+        
+        {isMissing ? (
+          !readOnly && uploadInput(
+            'Re-attach',
+            'px-3 py-1 bg-green-500 text-white rounded text-sm hover:bg-green-600 cursor-pointer'
+          )
+        ) : (
+          <div className="flex items-center gap-2">
+            {previewKind && (
+              <button
+                onClick={handleTogglePreview}
+                disabled={isLoading}
+                className="px-3 py-1 bg-gray-200 text-gray-700 rounded text-sm hover:bg-gray-300 disabled:opacity-50"
+              >
+                {preview ? 'Hide' : 'Preview'}
+              </button>
+            )}
+            <button
+              onClick={handleDownload}
+              disabled={isLoading}
+              className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+            >
+              Download
+            </button>
+          </div>
+        )}
       </div>
-      
-      {!readOnly && (
-        <button
-          onClick={() => {
-            // TODO: Implement file download from IndexedDB in Phase 6
-            console.log('Download file:', fileId);
-            alert('File download will be implemented in Phase 6');
-          }}
-          className="px-3 py-1 bg-blue-500 text-white rounded text-sm hover:bg-blue-600"
-        >
-          Download
-        </button>
+
+      {preview && (
+        <div className="border-t border-gray-200 p-2">
+          {preview.kind === 'image' && (
+            <img src={preview.url} alt={fileName} className="max-w-full max-h-[480px] mx-auto rounded" />
+          )}
+          {preview.kind === 'pdf' && (
+            <iframe src={preview.url} title={fileName} className="w-full h-[480px] rounded bg-white" />
+          )}
+          {preview.kind === 'text' && (
+            <>
+              <pre className="max-h-[360px] overflow-auto text-xs text-gray-800 bg-white p-3 rounded whitespace-pre-wrap break-words">
+                {preview.text}
+              </pre>
+              {preview.truncated && (
+                <div className="text-xs text-gray-500 mt-1">
+                  {formatFileSize(ATTACHMENTS.TEXT_PREVIEW_MAX_SIZE)}까지만 표시합니다. 전체 내용은 다운로드하세요.
+                </div>
+              )}
+            </>
+          )}
+        </div>
       )}
     </div>
   );
@@ -1,11 +1,123 @@
-import React, { useRef, useEffect, forwardRef } from 'react';
+import React, { useRef, useEffect, useState, forwardRef } from 'react';
 import { BLOCK_TYPES } from '../../types/blocks';
+import { hasInlineFormatting, toggleInlineMark } from '../../utils/inlineMarkdown';
+import { useWikiLinkAutocomplete } from '../../hooks/useWikiLinkAutocomplete';
+import { WikiLinkSuggestions } from './WikiLinks';
+import { RichText } from './RichText';
+
+const NO_NODES = [];
+
+// 글머리 기호 (중첩 레벨마다 반복)
+const BULLET_SYMBOLS = ['•', '◦', '▪'];
+
+// 서식 단축키 (Ctrl/Cmd + 키, Shift 포함 여부) → 서식 종류
+const FORMAT_SHORTCUTS = [
+  { key: 'b', shift: false, mark: 'bold' },
+  { key: 'i', shift: false, mark: 'italic' },
+  { key: 'e', shift: false, mark: 'code' },
+  { key: 's', shift: true, mark: 'strike' },
+  { key: 'h', shift: true, mark: 'highlight' },
+  { key: 'e', shift: true, mark: 'math' },
+];
+
+/**
+ * 인라인 서식 + [[위키 링크]] 입력 지원 (텍스트/리스트/토글 블록 공통)
+ * - 편집 중이 아니고 서식이나 위키 링크가 있으면 렌더링한 읽기 화면 표시 (입력창은 숨겨 두고 포커스만 받음)
+ * - 편집 중에는 마크다운 그대로 보이고, '[[' 입력 시 노드 제목 자동완성
+ * - Ctrl+B 굵게, Ctrl+I 기울임, Ctrl+E 코드, Ctrl+Shift+S 취소선, Ctrl+Shift+H 형광펜, Ctrl+Shift+E 수식
+ *
+ * @param {{current: HTMLInputElement|HTMLTextAreaElement|null}} inputRef
+ * @param {Object} props - 블록 컴포넌트 props (block, onChange, onKeyDown, onFocus, wikiLinks)
+ * @returns {{showRichText: boolean, inputProps: Object, renderRichText: Function, renderSuggestions: Function}}
+ */
+function useRichTextInput(inputRef, { block, onChange, onKeyDown, onFocus, wikiLinks }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const autocomplete = useWikiLinkAutocomplete({
+    inputRef,
+    value: block.content,
+    onChange,
+    nodes: wikiLinks?.nodes || NO_NODES,
+    excludeId: wikiLinks?.selfId,
+  });
+
+  const showRichText = !isEditing && hasInlineFormatting(block.content);
+
+  // 선택 영역에 서식 넣기/빼기 후 선택 영역 유지
+  const applyFormat = (input, mark) => {
+    const result = toggleInlineMark(input.value, input.selectionStart, input.selectionEnd, mark);
+    onChange(result.text);
+    requestAnimationFrame(() => {
+      if (document.activeElement === input) input.setSelectionRange(result.start, result.end);
+    });
+  };
+
+  const inputProps = {
+    onChange: (e) => {
+      onChange(e.target.value);
+      autocomplete.updateQuery(e.target);
+    },
+    onSelect: (e) => autocomplete.updateQuery(e.target),
+    onKeyDown: (e) => {
+      if (autocomplete.handleKeyDown(e)) return;
+      if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+        const shortcut = FORMAT_SHORTCUTS.find(({ key, shift }) => key === e.key.toLowerCase() && shift === e.shiftKey);
+        if (shortcut) {
+          e.preventDefault();
+          applyFormat(e.target, shortcut.mark);
+          return;
+        }
+      }
+      onKeyDown(e);
+    },
+    onFocus: (e) => {
+      setIsEditing(true);
+      onFocus?.(e);
+    },
+    onBlur: () => {
+      setIsEditing(false);
+      autocomplete.close();
+    },
+  };
+
+  // 읽기 화면의 링크가 아닌 곳을 누르면 편집 (커서는 끝으로)
+  const activate = () => {
+    const input = inputRef.current;
+    if (!input) return;
+    input.focus();
+    input.setSelectionRange?.(input.value.length, input.value.length);
+  };
+
+  return {
+    showRichText,
+    inputProps,
+    renderRichText: (className) => (
+      <RichText text={block.content} wikiLinks={wikiLinks} onActivate={activate} className={className} />
+    ),
+    renderSuggestions: () => autocomplete.suggestions.length > 0 && autocomplete.position && (
+      <WikiLinkSuggestions
+        suggestions={autocomplete.suggestions}
+        activeIndex={autocomplete.activeIndex}
+        position={autocomplete.position}
+        onSelect={autocomplete.select}
+        onHover={autocomplete.setActiveIndex}
+      />
+    ),
+  };
+}
 
 /**
  * 텍스트 블록 컴포넌트
+ * 인라인 서식/수식과 [[노드 제목]]은 편집하지 않을 때 렌더링해서 표시
  */
-export const TextBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, autoFocus }, ref) => {
+export const TextBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, autoFocus, wikiLinks }, ref) => {
   const textareaRef = useRef(null);
+  const { showRichText, inputProps, renderRichText, renderSuggestions } = useRichTextInput(textareaRef, {
+    block,
+    onChange,
+    onKeyDown,
+    onFocus,
+    wikiLinks,
+  });
 
   useEffect(() => {
     if (autoFocus && textareaRef.current) {
@@ -24,25 +136,37 @@ export const TextBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, auto
     }
   }, [ref]);
 
+  // 읽기 화면에서 편집으로 돌아오면 내용 높이에 맞춤
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (showRichText || !textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = textarea.scrollHeight + 'px';
+  }, [showRichText]);
+
   return (
-    <textarea
-      ref={textareaRef}
-      className="w-full bg-transparent border-none outline-none resize-none text-sm text-white placeholder-gray-500 leading-relaxed"
-      value={block.content}
-      onChange={(e) => onChange(e.target.value)}
-      onKeyDown={onKeyDown}
-      onFocus={onFocus}
-      placeholder="텍스트를 입력하거나 '/'로 명령어 메뉴를 여세요"
-      rows={1}
-      style={{
-        minHeight: '1.5em',
-        height: 'auto',
-      }}
-      onInput={(e) => {
-        e.target.style.height = 'auto';
-        e.target.style.height = e.target.scrollHeight + 'px';
-      }}
-    />
+    <>
+      {showRichText && renderRichText('text-sm text-white leading-relaxed')}
+      <textarea
+        ref={textareaRef}
+        className={showRichText
+          ? 'sr-only'
+          : 'w-full bg-transparent border-none outline-none resize-none text-sm text-white placeholder-gray-500 leading-relaxed'}
+        value={block.content}
+        {...inputProps}
+        placeholder="텍스트를 입력하거나 '/'로 명령어 메뉴를 여세요"
+        rows={1}
+        style={{
+          minHeight: '1.5em',
+          height: 'auto',
+        }}
+        onInput={(e) => {
+          e.target.style.height = 'auto';
+          e.target.style.height = e.target.scrollHeight + 'px';
+        }}
+      />
+      {renderSuggestions()}
+    </>
   );
 });
 
@@ -98,9 +222,18 @@ export const HeadingBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, a
 
 /**
  * 리스트 블록 컴포넌트
+ * 인라인 서식/수식과 [[노드 제목]]은 편집하지 않을 때 렌더링해서 표시
+ * 번호 목록의 번호(listLabel)는 에디터가 블록 트리에서 계산해서 넘김 (getNumberedListLabels)
  */
-export const ListBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, onMetadataChange, autoFocus }, ref) => {
+export const ListBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, onMetadataChange, autoFocus, wikiLinks, listLabel }, ref) => {
   const inputRef = useRef(null);
+  const { showRichText, inputProps, renderRichText, renderSuggestions } = useRichTextInput(inputRef, {
+    block,
+    onChange,
+    onKeyDown,
+    onFocus,
+    wikiLinks,
+  });
   
   useEffect(() => {
     if (autoFocus && inputRef.current) {
@@ -122,9 +255,9 @@ export const ListBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, onMe
   const getListIcon = () => {
     switch (block.type) {
       case BLOCK_TYPES.BULLET_LIST:
-        return '•';
+        return BULLET_SYMBOLS[(block.metadata?.level || 0) % BULLET_SYMBOLS.length];
       case BLOCK_TYPES.NUMBERED_LIST:
-        return `${block.metadata?.number || 1}.`;
+        return listLabel || '1.';
       case BLOCK_TYPES.TODO_LIST:
         return (
           <input
@@ -144,16 +277,82 @@ export const ListBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, onMe
       <span className="text-gray-400 flex-shrink-0">
         {getListIcon()}
       </span>
+      {showRichText && renderRichText('flex-1 min-w-0 text-sm text-white')}
       <input
         ref={inputRef}
         type="text"
-        className="flex-1 bg-transparent border-none outline-none text-sm text-white placeholder-gray-500"
+        className={showRichText ? 'sr-only' : 'flex-1 bg-transparent border-none outline-none text-sm text-white placeholder-gray-500'}
         value={block.content}
-        onChange={(e) => onChange(e.target.value)}
-        onKeyDown={onKeyDown}
-        onFocus={onFocus}
+        {...inputProps}
         placeholder="리스트 항목"
       />
+      {renderSuggestions()}
+    </div>
+  );
+});
+
+/**
+ * 토글 블록 컴포넌트
+ * ▶ 버튼으로 하위 블록(Tab으로 들여쓴 블록)을 접고 펼침, 접힌 상태는 metadata.collapsed에 저장
+ */
+export const ToggleBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, onMetadataChange, autoFocus, wikiLinks, childCount = 0 }, ref) => {
+  const inputRef = useRef(null);
+  const { showRichText, inputProps, renderRichText, renderSuggestions } = useRichTextInput(inputRef, {
+    block,
+    onChange,
+    onKeyDown,
+    onFocus,
+    wikiLinks,
+  });
+  const collapsed = !!block.metadata?.collapsed;
+
+  useEffect(() => {
+    if (autoFocus && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [autoFocus]);
+
+  // Merge external ref with internal ref
+  useEffect(() => {
+    if (ref && inputRef.current) {
+      if (typeof ref === 'function') {
+        ref(inputRef.current);
+      } else {
+        ref.current = inputRef.current;
+      }
+    }
+  }, [ref]);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onMetadataChange && onMetadataChange(block.id, { collapsed: !collapsed })}
+          className={`flex-shrink-0 w-5 h-5 flex items-center justify-center rounded text-[10px] text-gray-400 hover:bg-gray-700 hover:text-gray-200 transition-transform ${
+            collapsed ? '' : 'rotate-90'
+          }`}
+          title={collapsed ? '펼치기' : '접기'}
+        >
+          ▶
+        </button>
+        {showRichText && renderRichText('flex-1 min-w-0 text-sm text-white')}
+        <input
+          ref={inputRef}
+          type="text"
+          className={showRichText ? 'sr-only' : 'flex-1 bg-transparent border-none outline-none text-sm text-white placeholder-gray-500'}
+          value={block.content}
+          {...inputProps}
+          placeholder="토글"
+        />
+        {collapsed && childCount > 0 && (
+          <span className="flex-shrink-0 text-xs text-gray-500">{childCount}개 블록</span>
+        )}
+        {renderSuggestions()}
+      </div>
+      {!collapsed && childCount === 0 && (
+        <div className="pl-7 text-xs text-gray-500">비어 있는 토글 · Enter로 안에 블록 추가</div>
+      )}
     </div>
   );
 });
@@ -169,8 +368,10 @@ export const DividerBlock = () => {
 
 /**
  * 인용구 블록 컴포넌트
+ * PDF 하이라이트로 만든 인용구(metadata.pdfHighlight)는 페이지 배지를 눌러 PDF 위치로 이동
  */
-export const QuoteBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, autoFocus }, ref) => {
+export const QuoteBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, autoFocus, onOpenPdfHighlight }, ref) => {
+  const pdfHighlight = block.metadata?.pdfHighlight;
   const textareaRef = useRef(null);
 
   useEffect(() => {
@@ -190,6 +391,14 @@ export const QuoteBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, aut
     }
   }, [ref]);
 
+  // 하이라이트처럼 바깥에서 들어온 긴 내용도 전부 보이게 높이 맞춤
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = textarea.scrollHeight + 'px';
+  }, [block.content]);
+
   return (
     <div className="border-l-4 border-gray-500 pl-4 py-1">
       <textarea
@@ -210,6 +419,16 @@ export const QuoteBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, aut
           e.target.style.height = e.target.scrollHeight + 'px';
         }}
       />
+      {pdfHighlight && (
+        <button
+          className="mt-0.5 text-[11px] text-yellow-300/70 hover:text-yellow-200 disabled:hover:text-yellow-300/70 transition-colors"
+          onClick={() => onOpenPdfHighlight?.(block.id, pdfHighlight)}
+          disabled={!onOpenPdfHighlight}
+          title="PDF에서 하이라이트 위치 보기"
+        >
+          📄 {pdfHighlight.fileName} · p. {pdfHighlight.page}
+        </button>
+      )}
     </div>
   );
 });
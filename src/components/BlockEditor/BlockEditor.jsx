@@ -3,15 +3,18 @@
  * 
  * Notion-style block editor container component
  * Manages block array state and renders appropriate block components
+ *
+ * Nesting: blocks stay a flat array and metadata.level forms the tree
+ * (Tab / Shift+Tab indent and outdent, toggle blocks collapse their children,
+ * drag and drop moves a block together with its children)
  */
 
-import { useState, useRef, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo, forwardRef, useImperativeHandle } from 'react';
 import { BLOCK_TYPES } from '../../types/blocks.js';
 import {
   createBlock,
   insertBlock,
   deleteBlock,
-  moveBlock,
   updateBlockContent,
   changeBlockType,
   findBlockIndex,
@@ -19,12 +22,23 @@ import {
   isBlockEmpty,
   isSlashCommand,
   extractSlashQuery,
-  createEmptyNoteContent
+  createEmptyNoteContent,
+  getBlockLevel,
+  getSubtreeEnd,
+  getInsertionPoint,
+  indentBlock,
+  outdentBlock,
+  moveBlockSubtree,
+  duplicateBlockSubtree,
+  getHiddenBlockIds,
+  getNumberedListLabels
 } from '../../utils/blockUtils.js';
+import { createWikiLinkResolver } from '../../utils/wikiLinks.js';
 import {
   TextBlock,
   HeadingBlock,
   ListBlock,
+  ToggleBlock,
   DividerBlock,
   QuoteBlock
 } from './BasicBlocks.jsx';
@@ -34,6 +48,7 @@ import {
   ImageBlock,
   FileBlock
 } from './AdvancedBlocks.jsx';
+import { TableBlock } from './TableBlock.jsx';
 import SlashCommandMenu from './SlashCommandMenu.jsx';
 import DraggableBlock from './DraggableBlock.jsx';
 
@@ -44,8 +59,13 @@ import DraggableBlock from './DraggableBlock.jsx';
  * @param {Array} props.initialBlocks - Initial blocks array
  * @param {Function} props.onChange - Callback when blocks change
  * @param {boolean} props.readOnly - Read-only mode
+ * @param {string} [props.nodeId] - Owning node ID (attachments are stored under it)
+ * @param {import('../../types').StorageAdapter} [props.storage] - Storage adapter for image/file attachments
+ * @param {Function} [props.onOpenPdfHighlight] - (blockId, pdfHighlight) Jump to the PDF highlight a quote came from
+ * @param {Array} [props.linkableNodes] - Graph nodes for [[wiki link]] autocomplete and chips (omit to disable)
+ * @param {Function} [props.onOpenNode] - (nodeId) Called when a [[wiki link]] chip is clicked
  */
-const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onChange, readOnly = false }, ref) {
+const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onChange, readOnly = false, nodeId = null, storage = null, onOpenPdfHighlight = null, linkableNodes = null, onOpenNode = null }, ref) {
   // Initialize blocks (default to single empty text block)
   const [blocks, setBlocks] = useState(() => {
     if (initialBlocks && Array.isArray(initialBlocks) && initialBlocks.length > 0) {
@@ -57,6 +77,19 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
   // Track focused block
   const [focusedBlockId, setFocusedBlockId] = useState(null);
 
+  // Block being dragged (its children move with it)
+  const [draggedBlockId, setDraggedBlockId] = useState(null);
+
+  // Block tree derived from metadata.level
+  const hiddenBlockIds = useMemo(() => getHiddenBlockIds(blocks), [blocks]);
+  const visibleBlocks = useMemo(() => blocks.filter(b => !hiddenBlockIds.has(b.id)), [blocks, hiddenBlockIds]);
+  const listLabels = useMemo(() => getNumberedListLabels(blocks), [blocks]);
+  const draggedSubtreeIds = useMemo(() => {
+    const index = findBlockIndex(blocks, draggedBlockId);
+    if (index === -1) return null;
+    return new Set(blocks.slice(index, getSubtreeEnd(blocks, index)).map(b => b.id));
+  }, [blocks, draggedBlockId]);
+
   // Slash command menu state
   const [slashMenuState, setSlashMenuState] = useState({
     isOpen: false,
@@ -65,6 +98,13 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
     position: { top: 0, left: 0 }
   });
 
+  // [[Wiki link]] context shared by text/list blocks
+  const wikiLinks = useMemo(() => (
+    linkableNodes
+      ? { nodes: linkableNodes, resolve: createWikiLinkResolver(linkableNodes), onOpenNode, selfId: nodeId }
+      : null
+  ), [linkableNodes, onOpenNode, nodeId]);
+
   // Refs for block elements (keyed by blockId)
   const blockRefs = useRef({});
   
@@ -110,14 +150,14 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
   // Expose focusLastBlock method to parent via ref
   useImperativeHandle(ref, () => ({
     focusLastBlock: () => {
-      if (blocks.length > 0) {
-        const lastBlock = blocks[blocks.length - 1];
+      if (visibleBlocks.length > 0) {
+        const lastBlock = visibleBlocks[visibleBlocks.length - 1];
         focusBlock(lastBlock.id);
       }
     },
     focusOrCreateLastTextBlock: () => {
-      if (blocks.length === 0) return;
-      const lastBlock = blocks[blocks.length - 1];
+      if (visibleBlocks.length === 0) return;
+      const lastBlock = visibleBlocks[visibleBlocks.length - 1];
       const editableTypes = [
         BLOCK_TYPES.TEXT,
         BLOCK_TYPES.HEADING1,
@@ -126,6 +166,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         BLOCK_TYPES.BULLET_LIST,
         BLOCK_TYPES.NUMBERED_LIST,
         BLOCK_TYPES.TODO_LIST,
+        BLOCK_TYPES.TOGGLE,
         BLOCK_TYPES.QUOTE
       ];
       if (editableTypes.includes(lastBlock.type)) {
@@ -158,8 +199,24 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
           return newBlocks;
         });
       }
+    },
+    // Insert a block created outside the editor (e.g. a PDF highlight) after the focused block,
+    // or at the end. The new block becomes the insertion point so repeated inserts keep their order.
+    insertBlockAtCursor: (newBlock) => {
+      if (readOnly) return;
+      setBlocks(prevBlocks => {
+        const focusedIndex = findBlockIndex(prevBlocks, focusedBlockId);
+        if (focusedIndex === -1) return insertBlock(prevBlocks, newBlock, prevBlocks.length);
+        const { index, level } = getInsertionPoint(prevBlocks, focusedIndex);
+        const placedBlock = level > 0 ? { ...newBlock, metadata: { ...newBlock.metadata, level } } : newBlock;
+        return insertBlock(prevBlocks, placedBlock, index);
+      });
+      setFocusedBlockId(newBlock.id);
+      window.requestAnimationFrame(() => {
+        blockRefs.current[newBlock.id]?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+      });
     }
-  }), [blocks, focusBlock]);
+  }), [visibleBlocks, focusBlock, focusedBlockId, readOnly]);
 
   // Handle block content change (supports metadata updates)
   const handleBlockChange = useCallback((blockId, newContent, newMetadata) => {
@@ -245,27 +302,33 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
     const currentBlock = blocks[blockIndex];
     const cursorPosition = blockRefs.current[blockId]?.selectionStart;
 
+    // New block goes right after (or, for a block with children / an open toggle, inside) the current one
+    const { index: insertIndex, level } = getInsertionPoint(blocks, blockIndex);
+    const levelMetadata = level > 0 ? { level } : {};
+
     // Determine the type for the new block
     let newBlockType = BLOCK_TYPES.TEXT;
-    let newBlockMetadata = {};
+    let newBlockMetadata = levelMetadata;
     
+    // Empty list item / toggle: outdent if nested, otherwise convert to text
+    if ([BLOCK_TYPES.BULLET_LIST, BLOCK_TYPES.NUMBERED_LIST, BLOCK_TYPES.TODO_LIST, BLOCK_TYPES.TOGGLE].includes(currentBlock.type)
+      && isBlockEmpty(currentBlock)) {
+      setBlocks(prevBlocks => (
+        getBlockLevel(currentBlock) > 0
+          ? outdentBlock(prevBlocks, blockId)
+          : changeBlockType(prevBlocks, blockId, BLOCK_TYPES.TEXT)
+      ));
+      setTimeout(() => focusBlock(blockId), 0);
+      return;
+    }
+
     // If current block is a list type, continue with the same list type
+    // (numbers are derived from the block tree, see getNumberedListLabels)
     if ([BLOCK_TYPES.BULLET_LIST, BLOCK_TYPES.NUMBERED_LIST, BLOCK_TYPES.TODO_LIST].includes(currentBlock.type)) {
-      // If current block is empty, convert to text instead of continuing list
-      if (!currentBlock.content || currentBlock.content.trim() === '') {
-        setBlocks(prevBlocks => changeBlockType(prevBlocks, blockId, BLOCK_TYPES.TEXT));
-        setTimeout(() => focusBlock(blockId), 0);
-        return;
-      }
       newBlockType = currentBlock.type;
       // For TODO list, reset checked state
       if (currentBlock.type === BLOCK_TYPES.TODO_LIST) {
-        newBlockMetadata = { checked: false };
-      }
-      // For NUMBERED list, increment the number
-      if (currentBlock.type === BLOCK_TYPES.NUMBERED_LIST) {
-        const currentNumber = currentBlock.metadata?.number || 1;
-        newBlockMetadata = { number: currentNumber + 1 };
+        newBlockMetadata = { ...levelMetadata, checked: false };
       }
     }
 
@@ -278,8 +341,8 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       setBlocks(prevBlocks => {
         let newBlocks = updateBlockContent(prevBlocks, blockId, beforeCursor);
         // Insert new block with content after cursor
-        const newBlock = createBlock(BLOCK_TYPES.TEXT, afterCursor);
-        newBlocks = insertBlock(newBlocks, newBlock, blockIndex + 1);
+        const newBlock = createBlock(BLOCK_TYPES.TEXT, afterCursor, levelMetadata);
+        newBlocks = insertBlock(newBlocks, newBlock, insertIndex);
         // Focus new block
         window.requestAnimationFrame(() => {
           focusBlock(newBlock.id);
@@ -300,7 +363,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       // Insert new block with the determined type
       const newBlock = createBlock(newBlockType, '', newBlockMetadata);
       setBlocks(prevBlocks => {
-        const newBlocks = insertBlock(prevBlocks, newBlock, blockIndex + 1);
+        const newBlocks = insertBlock(prevBlocks, newBlock, insertIndex);
         window.requestAnimationFrame(() => {
           focusBlock(newBlock.id);
           // 커서 활성화: input/textarea에 포커스 후 커서 위치 지정
@@ -318,15 +381,21 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
     }
   }, [blocks, readOnly, focusBlock]);
 
-  // Handle Backspace at start - merge with previous block
+  // Handle Backspace at start - outdent a nested block, otherwise merge with previous block
   const handleBackspaceAtStart = useCallback((blockId) => {
     if (readOnly) return;
 
-    const blockIndex = findBlockIndex(blocks, blockId);
-    if (blockIndex === -1 || blockIndex === 0) return;
+    const blockIndex = findBlockIndex(visibleBlocks, blockId);
+    if (blockIndex === -1) return;
 
-    const currentBlock = blocks[blockIndex];
-    const previousBlock = blocks[blockIndex - 1];
+    const currentBlock = visibleBlocks[blockIndex];
+    if (getBlockLevel(currentBlock) > 0) {
+      setBlocks(prevBlocks => outdentBlock(prevBlocks, blockId));
+      return;
+    }
+    if (blockIndex === 0) return;
+
+    const previousBlock = visibleBlocks[blockIndex - 1];
 
     // If current block is empty, just delete it
     if (isBlockEmpty(currentBlock)) {
@@ -340,6 +409,9 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
           prevRef.setSelectionRange(length, length);
         }
       }, 0);
+    } else if (previousBlock.type === BLOCK_TYPES.TABLE) {
+      // Text can't merge into a table - just move into it
+      focusBlock(previousBlock.id);
     } else {
       // If current block has content, merge it into previous block
       const prevContent = previousBlock.content || '';
@@ -362,11 +434,11 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         }
       }, 0);
     }
-  }, [blocks, readOnly, focusBlock]);
+  }, [visibleBlocks, readOnly, focusBlock]);
 
   // Handle Arrow Up - move to previous block
   const handleArrowUp = useCallback((blockId) => {
-    const prevBlockId = getAdjacentBlockId(blocks, blockId, 'prev');
+    const prevBlockId = getAdjacentBlockId(visibleBlocks, blockId, 'prev');
     if (prevBlockId) {
       focusBlock(prevBlockId);
       // Move cursor to same position in previous block (or end if shorter)
@@ -381,11 +453,11 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         }
       }, 0);
     }
-  }, [blocks, focusBlock]);
+  }, [visibleBlocks, focusBlock]);
 
   // Handle Arrow Down - move to next block
   const handleArrowDown = useCallback((blockId) => {
-    const nextBlockId = getAdjacentBlockId(blocks, blockId, 'next');
+    const nextBlockId = getAdjacentBlockId(visibleBlocks, blockId, 'next');
     if (nextBlockId) {
       focusBlock(nextBlockId);
       // Move cursor to same position in next block (or end if shorter)
@@ -400,32 +472,31 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         }
       }, 0);
     }
-  }, [blocks, focusBlock]);
+  }, [visibleBlocks, focusBlock]);
 
-  // Handle block delete
+  // Handle block delete (children move up one level, see deleteBlock)
   const handleBlockDelete = useCallback((blockId) => {
     if (readOnly) return;
     
-    const blockIndex = findBlockIndex(blocks, blockId);
+    const blockIndex = findBlockIndex(visibleBlocks, blockId);
     if (blockIndex === -1) return;
     
+    // Focus previous or next visible block
+    const targetBlock = visibleBlocks[blockIndex - 1] || visibleBlocks[blockIndex + 1];
+    
     setBlocks(prevBlocks => {
       // Don't allow deleting the last block
       if (prevBlocks.length === 1) {
         return [createBlock(BLOCK_TYPES.TEXT)];
       }
       
-      const newBlocks = deleteBlock(prevBlocks, blockId);
-      
-      // Focus previous or next block
-      const targetIndex = blockIndex > 0 ? blockIndex - 1 : 0;
-      if (newBlocks[targetIndex]) {
-        setTimeout(() => focusBlock(newBlocks[targetIndex].id), 0);
+      if (targetBlock) {
+        setTimeout(() => focusBlock(targetBlock.id), 0);
       }
       
-      return newBlocks;
+      return deleteBlock(prevBlocks, blockId);
     });
-  }, [blocks, readOnly, focusBlock]);
+  }, [visibleBlocks, readOnly, focusBlock]);
 
   // Handle keyboard events from blocks
   const handleKeyDown = useCallback((blockId, e) => {
@@ -442,6 +513,16 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         }
         break;
 
+      case 'Tab': {
+        // Code blocks keep Tab for their own content
+        const currentBlock = blocks.find(b => b.id === blockId);
+        if (readOnly || !currentBlock || currentBlock.type === BLOCK_TYPES.CODE) break;
+        e.preventDefault();
+        const outdent = e.shiftKey;
+        setBlocks(prevBlocks => (outdent ? outdentBlock(prevBlocks, blockId) : indentBlock(prevBlocks, blockId)));
+        break;
+      }
+
       case 'Backspace': {
         const ref = blockRefs.current[blockId];
         const currentBlock = blocks.find(b => b.id === blockId);
@@ -462,7 +543,9 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       case 'Delete': {
         const ref = blockRefs.current[blockId];
         const currentBlock = blocks.find(b => b.id === blockId);
-        const blockIndex = findBlockIndex(blocks, blockId);
+        const visibleIndex = findBlockIndex(visibleBlocks, blockId);
+        const nextBlock = visibleBlocks[visibleIndex + 1];
+        const prevBlock = visibleIndex > 0 ? visibleBlocks[visibleIndex - 1] : null;
         
         // Check if text input is actually focused (not just block selected)
         const isTextInputFocused = ref && document.activeElement === ref;
@@ -475,7 +558,6 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
           // Case 1: Empty block - delete current block and move to next
           if (!hasSelection && currentBlock && isBlockEmpty(currentBlock)) {
             e.preventDefault();
-            const nextBlock = blocks[blockIndex + 1];
             
             setBlocks(prevBlocks => deleteBlock(prevBlocks, blockId));
             
@@ -488,51 +570,45 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
                   nextRef.setSelectionRange(0, 0);
                 }
               }, 0);
-            } else if (blockIndex > 0) {
-              const prevBlock = blocks[blockIndex - 1];
+            } else if (prevBlock) {
               setTimeout(() => focusBlock(prevBlock.id), 0);
             }
           }
           // Case 2: Cursor at end of non-empty block - merge with next block
-          else if (!hasSelection && cursorAtEnd && blockIndex < blocks.length - 1) {
+          else if (!hasSelection && cursorAtEnd && nextBlock && nextBlock.type !== BLOCK_TYPES.TABLE) {
             e.preventDefault();
-            const nextBlock = blocks[blockIndex + 1];
             
-            if (nextBlock) {
-              // Merge next block content into current block
-              const currentContent = currentBlock.content || '';
-              const nextContent = nextBlock.content || '';
-              const mergedContent = currentContent + nextContent;
-              const cursorPosition = currentContent.length;
-              
-              setBlocks(prevBlocks => {
-                let newBlocks = updateBlockContent(prevBlocks, blockId, mergedContent);
-                newBlocks = deleteBlock(newBlocks, nextBlock.id);
-                return newBlocks;
-              });
-              
-              // Set cursor position after merge
-              setTimeout(() => {
-                const currentRef = blockRefs.current[blockId];
-                if (currentRef && currentRef.setSelectionRange) {
-                  currentRef.setSelectionRange(cursorPosition, cursorPosition);
-                }
-              }, 0);
-            }
+            // Merge next block content into current block
+            const currentContent = currentBlock.content || '';
+            const nextContent = nextBlock.content || '';
+            const mergedContent = currentContent + nextContent;
+            const cursorPosition = currentContent.length;
+            
+            setBlocks(prevBlocks => {
+              let newBlocks = updateBlockContent(prevBlocks, blockId, mergedContent);
+              newBlocks = deleteBlock(newBlocks, nextBlock.id);
+              return newBlocks;
+            });
+            
+            // Set cursor position after merge
+            setTimeout(() => {
+              const currentRef = blockRefs.current[blockId];
+              if (currentRef && currentRef.setSelectionRange) {
+                currentRef.setSelectionRange(cursorPosition, cursorPosition);
+              }
+            }, 0);
           }
         }
         // For blocks without text input (divider, image, file)
         else if (!ref && currentBlock && [BLOCK_TYPES.DIVIDER, BLOCK_TYPES.IMAGE, BLOCK_TYPES.FILE].includes(currentBlock.type)) {
           e.preventDefault();
-          const nextBlock = blocks[blockIndex + 1];
           
           setBlocks(prevBlocks => deleteBlock(prevBlocks, blockId));
           
           // Focus next block if exists, otherwise focus previous
           if (nextBlock) {
             setTimeout(() => focusBlock(nextBlock.id), 0);
-          } else if (blockIndex > 0) {
-            const prevBlock = blocks[blockIndex - 1];
+          } else if (prevBlock) {
             setTimeout(() => focusBlock(prevBlock.id), 0);
           }
         }
@@ -558,7 +634,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         // Move to previous block if at the start
         if (ref && ref.selectionStart === 0 && ref.selectionEnd === 0) {
           e.preventDefault();
-          const prevBlockId = getAdjacentBlockId(blocks, blockId, 'prev');
+          const prevBlockId = getAdjacentBlockId(visibleBlocks, blockId, 'prev');
           if (prevBlockId) {
             focusBlock(prevBlockId);
             // Move cursor to end of previous block
@@ -579,7 +655,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         // Move to next block if at the end
         if (ref && ref.selectionStart === ref.value?.length && ref.selectionEnd === ref.value?.length) {
           e.preventDefault();
-          const nextBlockId = getAdjacentBlockId(blocks, blockId, 'next');
+          const nextBlockId = getAdjacentBlockId(visibleBlocks, blockId, 'next');
           if (nextBlockId) {
             focusBlock(nextBlockId);
             // Move cursor to start of next block
@@ -597,7 +673,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       default:
         break;
     }
-  }, [blocks, slashMenuState.isOpen, handleEnter, handleBackspaceAtStart, handleArrowUp, handleArrowDown, handleBlockDelete, focusBlock]);
+  }, [blocks, visibleBlocks, readOnly, slashMenuState.isOpen, handleEnter, handleBackspaceAtStart, handleArrowUp, handleArrowDown, handleBlockDelete, focusBlock]);
 
   // Handle block focus
   const handleBlockFocus = useCallback((blockId) => {
@@ -613,15 +689,17 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
     setBlocks(prevBlocks => {
       const updatedBlocks = updateBlockContent(prevBlocks, slashMenuState.blockId, '');
       
-      // For non-editable blocks (divider, image, file), add a new text block after
-      if ([BLOCK_TYPES.DIVIDER, BLOCK_TYPES.IMAGE, BLOCK_TYPES.FILE].includes(blockType)) {
+      // For non-text blocks (divider, image, file, table), add a new text block after
+      if ([BLOCK_TYPES.DIVIDER, BLOCK_TYPES.IMAGE, BLOCK_TYPES.FILE, BLOCK_TYPES.TABLE].includes(blockType)) {
         const blockIndex = findBlockIndex(updatedBlocks, slashMenuState.blockId);
         if (blockIndex !== -1) {
-          const newTextBlock = createBlock(BLOCK_TYPES.TEXT, '');
-          const newBlocks = insertBlock(updatedBlocks, newTextBlock, blockIndex + 1);
+          const { index, level } = getInsertionPoint(updatedBlocks, blockIndex);
+          const newTextBlock = createBlock(BLOCK_TYPES.TEXT, '', level > 0 ? { level } : {});
+          const newBlocks = insertBlock(updatedBlocks, newTextBlock, index);
           
-          // Focus the new text block
-          setTimeout(() => focusBlock(newTextBlock.id), 0);
+          // Focus the new text block (a table focuses its first cell instead)
+          const focusId = blockType === BLOCK_TYPES.TABLE ? slashMenuState.blockId : newTextBlock.id;
+          setTimeout(() => focusBlock(focusId), 0);
           
           return newBlocks;
         }
@@ -639,34 +717,18 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
     setSlashMenuState({ isOpen: false, blockId: null, query: '', position: { top: 0, left: 0 } });
   }, []);
 
-  // Handle block move (drag and drop)
-  const handleBlockMove = useCallback((fromIndex, toIndex) => {
+  // Handle block move (drag and drop) - the block's children move with it
+  const handleBlockMove = useCallback((fromIndex, targetIndex, position) => {
     if (readOnly) return;
     
-    setBlocks(prevBlocks => {
-      const blockId = prevBlocks[fromIndex].id;
-      return moveBlock(prevBlocks, blockId, toIndex);
-    });
+    setBlocks(prevBlocks => moveBlockSubtree(prevBlocks, fromIndex, targetIndex, position));
   }, [readOnly]);
 
-  // Handle block duplicate
+  // Handle block duplicate (with its children)
   const handleBlockDuplicate = useCallback((blockId) => {
     if (readOnly) return;
     
-    setBlocks(prevBlocks => {
-      const blockIndex = findBlockIndex(prevBlocks, blockId);
-      if (blockIndex === -1) return prevBlocks;
-      
-      const originalBlock = prevBlocks[blockIndex];
-      const duplicatedBlock = {
-        ...originalBlock,
-        id: `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        createdAt: Date.now(),
-        updatedAt: Date.now()
-      };
-      
-      return insertBlock(prevBlocks, duplicatedBlock, blockIndex + 1);
-    });
+    setBlocks(prevBlocks => duplicateBlockSubtree(prevBlocks, blockId));
   }, [readOnly]);
 
   // Handle paste (Ctrl+V)
@@ -704,7 +766,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
   }, [readOnly, focusBlock]);
 
   // Render block component based on type
-  const renderBlockContent = (block) => {
+  const renderBlockContent = (block, index) => {
     const isFirstBlock = blocks[0]?.id === block.id;
     const commonProps = {
       block,
@@ -725,7 +787,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
 
     switch (block.type) {
       case BLOCK_TYPES.TEXT:
-        return <TextBlock {...commonProps} />;
+        return <TextBlock {...commonProps} wikiLinks={wikiLinks} />;
 
       case BLOCK_TYPES.HEADING1:
       case BLOCK_TYPES.HEADING2:
@@ -735,13 +797,16 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       case BLOCK_TYPES.BULLET_LIST:
       case BLOCK_TYPES.NUMBERED_LIST:
       case BLOCK_TYPES.TODO_LIST:
-        return <ListBlock {...commonProps} listType={block.type} />;
+        return <ListBlock {...commonProps} listType={block.type} wikiLinks={wikiLinks} listLabel={listLabels.get(block.id)} />;
+
+      case BLOCK_TYPES.TOGGLE:
+        return <ToggleBlock {...commonProps} wikiLinks={wikiLinks} childCount={getSubtreeEnd(blocks, index) - index - 1} />;
 
       case BLOCK_TYPES.DIVIDER:
         return <DividerBlock {...commonProps} />;
 
       case BLOCK_TYPES.QUOTE:
-        return <QuoteBlock {...commonProps} />;
+        return <QuoteBlock {...commonProps} onOpenPdfHighlight={onOpenPdfHighlight} />;
 
       case BLOCK_TYPES.CODE:
         return <CodeBlock {...commonProps} />;
@@ -750,10 +815,13 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         return <LaTeXBlock {...commonProps} />;
 
       case BLOCK_TYPES.IMAGE:
-        return <ImageBlock {...commonProps} />;
+        return <ImageBlock {...commonProps} nodeId={nodeId} storage={storage} />;
 
       case BLOCK_TYPES.FILE:
-        return <FileBlock {...commonProps} />;
+        return <FileBlock {...commonProps} nodeId={nodeId} storage={storage} />;
+
+      case BLOCK_TYPES.TABLE:
+        return <TableBlock {...commonProps} />;
 
       default:
         return (
@@ -771,14 +839,17 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
         key={block.id}
         block={block}
         index={index}
+        level={getBlockLevel(block)}
         onMove={handleBlockMove}
+        onDragChange={setDraggedBlockId}
+        isInDraggedSubtree={!!draggedSubtreeIds?.has(block.id)}
         onDelete={handleBlockDelete}
         onDuplicate={handleBlockDuplicate}
         readOnly={readOnly}
         isFocused={focusedBlockId === block.id}
         onFocus={handleBlockFocus}
       >
-        {renderBlockContent(block)}
+        {renderBlockContent(block, index)}
       </DraggableBlock>
     );
   };
@@ -790,8 +861,8 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       onMouseDown={e => {
         // 빈 공간 클릭만 처리 (블록 내부 클릭은 무시)
         if (e.target !== e.currentTarget) return;
-        if (blocks.length === 0) return;
-        const lastBlock = blocks[blocks.length - 1];
+        if (visibleBlocks.length === 0) return;
+        const lastBlock = visibleBlocks[visibleBlocks.length - 1];
         if (lastBlock.type === BLOCK_TYPES.TEXT) {
           setFocusedBlockId(lastBlock.id);
           setTimeout(() => {
@@ -824,7 +895,7 @@ const BlockEditor = forwardRef(function BlockEditor({ initialBlocks = null, onCh
       }}
     >
       <div className="space-y-1">
-        {blocks.map((block, index) => renderBlock(block, index))}
+        {blocks.map((block, index) => (hiddenBlockIds.has(block.id) ? null : renderBlock(block, index)))}
       </div>
       
       {/* Render slash command menu */}
@@ -3,17 +3,24 @@
  * 
  * Wrapper component for draggable blocks
  * Uses native HTML5 drag and drop API
+ * A block drags together with its children (nested blocks, see getSubtreeEnd in blockUtils)
  */
 
 import { useState, useRef, useEffect } from 'react';
 
+// Horizontal indent per nesting level (rem)
+const LEVEL_INDENT = 1.5;
+
 /**
  * DraggableBlock Component
  * 
  * @param {Object} props
  * @param {Object} props.block - Block data
  * @param {number} props.index - Block index in array
- * @param {Function} props.onMove - Callback when block is moved (fromIndex, toIndex)
+ * @param {number} [props.level] - Nesting level (metadata.level), rendered as left indent
+ * @param {Function} props.onMove - Callback when a block is dropped here (fromIndex, targetIndex, 'top' | 'bottom')
+ * @param {Function} [props.onDragChange] - Called with the block ID when dragging starts and null when it ends
+ * @param {boolean} [props.isInDraggedSubtree] - This block is being dragged (itself or as a child); dimmed and not a drop target
  * @param {Function} props.onDelete - Callback to delete block
  * @param {Function} props.onDuplicate - Callback to duplicate block
  * @param {boolean} props.readOnly - Read-only mode
@@ -22,7 +29,10 @@ import { useState, useRef, useEffect } from 'react';
 export default function DraggableBlock({ 
   block, 
   index, 
+  level = 0,
   onMove, 
+  onDragChange,
+  isInDraggedSubtree = false,
   onDelete, 
   onDuplicate, 
   readOnly,
@@ -84,14 +94,17 @@ export default function DraggableBlock({
     setIsDragging(true);
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', JSON.stringify({ blockId: block.id, index }));
+    onDragChange && onDragChange(block.id);
   };
 
   const handleDragEnd = () => {
     setIsDragging(false);
+    onDragChange && onDragChange(null);
   };
 
   const handleDragOver = (e) => {
-    if (readOnly) return;
+    // A block can't be dropped inside its own subtree
+    if (readOnly || isInDraggedSubtree) return;
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
     setIsDragOver(true);
@@ -117,20 +130,13 @@ export default function DraggableBlock({
     if (readOnly) return;
     e.preventDefault();
     setIsDragOver(false);
-    let targetIndex = index;
-    if (dragOverPosition === 'bottom') {
-      targetIndex = index + 1;
-    }
+    const position = dragOverPosition || 'bottom';
     setDragOverPosition(null);
     try {
       const data = JSON.parse(e.dataTransfer.getData('text/plain'));
-      const fromIndex = data.index;
-      // 아래로 이동할 때는 targetIndex--
-      if (fromIndex < targetIndex) {
-        targetIndex--;
-      }
-      if (fromIndex !== targetIndex && onMove) {
-        onMove(fromIndex, targetIndex);
+      // 위치/레벨 계산은 에디터가 블록 트리 기준으로 처리 (moveBlockSubtree)
+      if (data.index !== index && onMove) {
+        onMove(data.index, index, position);
       }
     } catch (err) {
       console.error('Failed to parse drag data:', err);
@@ -142,8 +148,9 @@ export default function DraggableBlock({
       ref={blockWrapperRef}
       tabIndex={isFocused ? 0 : -1}
       className={`draggable-block-wrapper group relative transition-all duration-200 outline-none ${
-        isDragging ? 'opacity-50' : ''
+        isDragging || isInDraggedSubtree ? 'opacity-50' : ''
       }`}
+      style={level > 0 ? { marginLeft: `${level * LEVEL_INDENT}rem` } : undefined}
       onDragOver={handleDragOver}
       onDragLeave={handleDragLeave}
       onDrop={handleDrop}
@@ -0,0 +1,90 @@
+/**
+ * RichText.jsx
+ *
+ * Read view for text/list blocks with inline Markdown:
+ * bold, italic, code, strikethrough, highlight, links, $math$ (KaTeX) and [[wiki links]].
+ * Shown while the block is not being edited; the raw Markdown stays in Block.content.
+ */
+
+import { useMemo } from 'react';
+import katex from 'katex';
+import { parseInline, isSafeHref } from '../../utils/inlineMarkdown.js';
+import { WikiLinkChip } from './WikiLinks.jsx';
+
+/**
+ * InlineMath Component
+ * $latex$ rendered with KaTeX (errors are shown in red instead of throwing)
+ */
+function InlineMath({ latex }) {
+  const html = useMemo(
+    () => katex.renderToString(latex, { displayMode: false, throwOnError: false, errorColor: '#ef4444' }),
+    [latex]
+  );
+  return <span title={`$${latex}$`} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+/**
+ * Render parsed inline nodes
+ */
+function renderNodes(nodes, wikiLinks) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'bold':
+        return <strong key={index} className="font-semibold">{renderNodes(node.children, wikiLinks)}</strong>;
+      case 'italic':
+        return <em key={index}>{renderNodes(node.children, wikiLinks)}</em>;
+      case 'strike':
+        return <s key={index} className="opacity-70">{renderNodes(node.children, wikiLinks)}</s>;
+      case 'highlight':
+        return <mark key={index} className="bg-yellow-500/30 text-inherit rounded px-0.5">{renderNodes(node.children, wikiLinks)}</mark>;
+      case 'code':
+        return <code key={index} className="px-1 rounded bg-gray-700/70 text-pink-300 font-mono text-[0.9em]">{node.text}</code>;
+      case 'math':
+        return <InlineMath key={index} latex={node.latex} />;
+      case 'link':
+        // Only http(s)/mailto links open; anything else stays plain text
+        return isSafeHref(node.href) ? (
+          <a
+            key={index}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sky-300 underline decoration-sky-300/40 hover:decoration-sky-300"
+            title={node.href}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={(e) => e.stopPropagation()}
+          >
+            {renderNodes(node.children, wikiLinks)}
+          </a>
+        ) : (
+          <span key={index}>{renderNodes(node.children, wikiLinks)}</span>
+        );
+      case 'wiki':
+        return wikiLinks
+          ? <WikiLinkChip key={index} target={node.target} alias={node.alias} wikiLinks={wikiLinks} />
+          : <span key={index}>{node.raw}</span>;
+      default:
+        return <span key={index}>{node.text}</span>;
+    }
+  });
+}
+
+/**
+ * RichText Component
+ * Clicking links/chips follows them; clicking elsewhere calls onActivate (switch back to editing).
+ *
+ * @param {Object} props
+ * @param {string} props.text - Block content (inline Markdown)
+ * @param {Object} [props.wikiLinks] - { resolve(target) → node|null, onOpenNode(nodeId) }; without it [[links]] stay raw
+ * @param {Function} props.onActivate - Called when the text (not a link) is clicked
+ * @param {string} [props.className]
+ */
+export function RichText({ text, wikiLinks, onActivate, className = '' }) {
+  const nodes = useMemo(() => parseInline(text), [text]);
+
+  return (
+    <div className={`whitespace-pre-wrap break-words cursor-text ${className}`} onClick={onActivate}>
+      {renderNodes(nodes, wikiLinks)}
+    </div>
+  );
+}
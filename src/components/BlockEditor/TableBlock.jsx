@@ -0,0 +1,310 @@
+/**
+ * TableBlock.jsx
+ *
+ * Table block: editable grid stored in block.metadata.rows (see utils/tableBlock.js)
+ */
+
+import { forwardRef, useEffect, useMemo, useRef } from 'react';
+import {
+  normalizeTableRows,
+  setTableCell,
+  insertTableRow,
+  removeTableRow,
+  insertTableColumn,
+  removeTableColumn,
+  sortTableRows,
+  parseDelimitedText,
+  pasteTableCells
+} from '../../utils/tableBlock.js';
+
+const cellKey = (row, column) => `${row}:${column}`;
+
+// Caret is on the first/last line of a (possibly multi-line) cell
+const isOnFirstLine = (el) => !el.value.slice(0, el.selectionStart).includes('\n');
+const isOnLastLine = (el) => !el.value.slice(el.selectionEnd).includes('\n');
+
+/**
+ * TableBlock Component
+ * - Tab / Shift+Tab move between cells (Tab on the last cell adds a row), Enter moves down,
+ *   Shift+Enter adds a line break inside the cell
+ * - ArrowUp/ArrowDown move between rows (from the first/last line of a multi-line cell)
+ *   and leave the table at the first/last row
+ * - Pasting CSV/TSV (e.g. copied from a spreadsheet) fills cells from the focused one, growing the table
+ * - Column header buttons sort rows (the header row stays on top)
+ * The first cell is registered as the block's input for editor focus.
+ */
+export const TableBlock = forwardRef(({ block, onChange, onKeyDown, onFocus, autoFocus, readOnly }, ref) => {
+  const rows = useMemo(() => normalizeTableRows(block.metadata?.rows), [block.metadata?.rows]);
+  const hasHeader = block.metadata?.hasHeader !== false;
+  const sort = block.metadata?.sort || null;
+  const columnCount = rows[0].length;
+  const cellRefs = useRef({});
+  const pendingFocusRef = useRef(null);
+
+  useEffect(() => {
+    if (autoFocus && cellRefs.current[cellKey(0, 0)]) {
+      cellRefs.current[cellKey(0, 0)].focus();
+    }
+  }, [autoFocus]);
+
+  // Merge external ref with the first cell
+  useEffect(() => {
+    const firstCell = cellRefs.current[cellKey(0, 0)];
+    if (ref && firstCell) {
+      if (typeof ref === 'function') {
+        ref(firstCell);
+      } else {
+        ref.current = firstCell;
+      }
+    }
+  }, [ref]);
+
+  // Focus a cell that only exists after the rows update (new row/column)
+  useEffect(() => {
+    if (!pendingFocusRef.current) return;
+    const { row, column } = pendingFocusRef.current;
+    const input = cellRefs.current[cellKey(row, column)];
+    if (input) {
+      pendingFocusRef.current = null;
+      input.focus();
+    }
+  }, [rows]);
+
+  // Any edit clears the sort indicator (rows are no longer known to be in order)
+  const updateRows = (nextRows, changes = {}) => {
+    onChange(block.content, { ...block.metadata, rows: nextRows, sort: null, ...changes });
+  };
+
+  const focusCell = (row, column) => {
+    const input = cellRefs.current[cellKey(row, column)];
+    if (input) {
+      input.focus();
+      input.select();
+    } else {
+      pendingFocusRef.current = { row, column };
+    }
+  };
+
+  const handleSort = (column) => {
+    const direction = sort?.column === column && sort.direction === 'asc' ? 'desc' : 'asc';
+    updateRows(sortTableRows(rows, column, direction, hasHeader), { sort: { column, direction } });
+  };
+
+  const handleAddRow = (index) => {
+    updateRows(insertTableRow(rows, index));
+    pendingFocusRef.current = { row: index, column: 0 };
+  };
+
+  const handleAddColumn = (index) => {
+    updateRows(insertTableColumn(rows, index));
+    pendingFocusRef.current = { row: 0, column: index };
+  };
+
+  const handleCellKeyDown = (e, row, column) => {
+    const lastRow = rows.length - 1;
+    const lastColumn = columnCount - 1;
+
+    switch (e.key) {
+      case 'Tab':
+        e.preventDefault();
+        if (e.shiftKey) {
+          if (column > 0) focusCell(row, column - 1);
+          else if (row > 0) focusCell(row - 1, lastColumn);
+        } else if (column < lastColumn) {
+          focusCell(row, column + 1);
+        } else if (row < lastRow) {
+          focusCell(row + 1, 0);
+        } else {
+          handleAddRow(rows.length);
+        }
+        break;
+
+      case 'Enter':
+        if (e.shiftKey || e.nativeEvent.isComposing) break;
+        e.preventDefault();
+        if (row < lastRow) {
+          focusCell(row + 1, column);
+        } else {
+          updateRows(insertTableRow(rows, rows.length));
+          pendingFocusRef.current = { row: rows.length, column };
+        }
+        break;
+
+      case 'ArrowUp':
+        if (!isOnFirstLine(e.currentTarget)) break;
+        if (row > 0) {
+          e.preventDefault();
+          focusCell(row - 1, column);
+        } else if (onKeyDown) {
+          onKeyDown(e);
+        }
+        break;
+
+      case 'ArrowDown':
+        if (!isOnLastLine(e.currentTarget)) break;
+        if (row < lastRow) {
+          e.preventDefault();
+          focusCell(row + 1, column);
+        } else if (onKeyDown) {
+          onKeyDown(e);
+        }
+        break;
+
+      default:
+        // Backspace/Delete/ArrowLeft/ArrowRight stay inside the cell
+        break;
+    }
+  };
+
+  const handleCellPaste = (e, row, column) => {
+    const text = e.clipboardData.getData('text/plain');
+    // A single value pastes normally; rows or tab-separated cells fill the grid
+    if (!/[\t\n]/.test(text.replace(/\r?\n$/, ''))) return;
+
+    e.preventDefault();
+    const pasted = parseDelimitedText(text);
+    updateRows(pasteTableCells(rows, row, column, pasted));
+    console.log(`✅ 표에 ${pasted.length}×${pasted[0].length} 칸 붙여넣기`);
+  };
+
+  const renderCell = (value, row, column) => {
+    const isHeader = hasHeader && row === 0;
+    const textClass = isHeader ? 'font-semibold text-white' : 'text-gray-200';
+
+    if (readOnly) {
+      return <div className={`px-2 py-1 min-h-[1.75rem] whitespace-pre-wrap break-words ${textClass}`}>{value}</div>;
+    }
+
+    return (
+      <textarea
+        ref={(el) => {
+          if (el) cellRefs.current[cellKey(row, column)] = el;
+          else delete cellRefs.current[cellKey(row, column)];
+        }}
+        rows={value.split('\n').length}
+        value={value}
+        onChange={(e) => updateRows(setTableCell(rows, row, column, e.target.value))}
+        onKeyDown={(e) => handleCellKeyDown(e, row, column)}
+        onPaste={(e) => handleCellPaste(e, row, column)}
+        onFocus={onFocus}
+        placeholder={isHeader ? `열 ${column + 1}` : ''}
+        className={`block w-full min-w-[6rem] px-2 py-1 bg-transparent border-none outline-none resize-none text-sm placeholder-gray-600 focus:bg-gray-700/40 ${textClass}`}
+      />
+    );
+  };
+
+  return (
+    <div className="table-block my-2 group/table">
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse text-sm">
+          {!readOnly && (
+            <thead>
+              <tr>
+                {rows[0].map((_, column) => (
+                  <th key={column} className="p-0 font-normal">
+                    <div className="flex items-center justify-end gap-0.5 h-5 text-[11px] text-gray-500 opacity-0 group-hover/table:opacity-100 transition-opacity">
+                      <button
+                        type="button"
+                        onClick={() => handleSort(column)}
+                        className={`px-1 rounded hover:bg-gray-700 hover:text-gray-200 ${sort?.column === column ? 'text-blue-300 opacity-100' : ''}`}
+                        title="이 열로 정렬"
+                      >
+                        {sort?.column === column ? (sort.direction === 'asc' ? '↑' : '↓') : '↕'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleAddColumn(column + 1)}
+                        className="px-1 rounded hover:bg-gray-700 hover:text-gray-200"
+                        title="오른쪽에 열 추가"
+                      >
+                        +
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => updateRows(removeTableColumn(rows, column))}
+                        disabled={columnCount === 1}
+                        className="px-1 rounded hover:bg-gray-700 hover:text-red-400 disabled:opacity-30 disabled:hover:bg-transparent"
+                        title="열 삭제"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </th>
+                ))}
+                <th className="w-10" />
+              </tr>
+            </thead>
+          )}
+          <tbody>
+            {rows.map((cells, row) => (
+              <tr key={row} className="group/row">
+                {cells.map((value, column) => (
+                  <td
+                    key={column}
+                    className={`p-0 border border-gray-600 align-top ${hasHeader && row === 0 ? 'bg-gray-800' : ''}`}
+                  >
+                    {renderCell(value, row, column)}
+                  </td>
+                ))}
+                {!readOnly && (
+                  <td className="w-10 p-0 pl-1 align-middle">
+                    <div className="flex items-center text-[11px] text-gray-500 opacity-0 group-hover/row:opacity-100 transition-opacity">
+                      <button
+                        type="button"
+                        onClick={() => handleAddRow(row + 1)}
+                        className="px-1 rounded hover:bg-gray-700 hover:text-gray-200"
+                        title="아래에 행 추가"
+                      >
+                        +
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => updateRows(removeTableRow(rows, row))}
+                        disabled={rows.length === 1}
+                        className="px-1 rounded hover:bg-gray-700 hover:text-red-400 disabled:opacity-30 disabled:hover:bg-transparent"
+                        title="행 삭제"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!readOnly && (
+        <div className="flex items-center gap-2 mt-1 text-xs text-gray-400 opacity-0 group-hover/table:opacity-100 group-focus-within/table:opacity-100 transition-opacity">
+          <button
+            type="button"
+            onClick={() => handleAddRow(rows.length)}
+            className="px-2 py-0.5 rounded hover:bg-gray-700 hover:text-gray-200 transition-colors"
+          >
+            + 행
+          </button>
+          <button
+            type="button"
+            onClick={() => handleAddColumn(columnCount)}
+            className="px-2 py-0.5 rounded hover:bg-gray-700 hover:text-gray-200 transition-colors"
+          >
+            + 열
+          </button>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={hasHeader}
+              onChange={() => updateRows(rows, { hasHeader: !hasHeader })}
+              className="w-3 h-3"
+            />
+            첫 행을 머리글로
+          </label>
+          <span className="text-gray-600">· {rows.length}×{columnCount} · CSV/TSV 붙여넣기 가능</span>
+        </div>
+      )}
+    </div>
+  );
+});
+
+TableBlock.displayName = 'TableBlock';
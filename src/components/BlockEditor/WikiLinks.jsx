@@ -0,0 +1,85 @@
+/**
+ * WikiLinks.jsx
+ *
+ * [[Wiki link]] rendering for text/list blocks:
+ * - WikiLinkChip: a link as a clickable chip (used by RichText in the read view)
+ * - WikiLinkSuggestions: node title autocomplete list used with useWikiLinkAutocomplete
+ */
+
+/**
+ * WikiLinkChip Component
+ * One [[link]] rendered as a chip. Clicking it selects the node in the graph;
+ * links whose node no longer exists are shown dashed in red.
+ *
+ * @param {Object} props
+ * @param {string} props.target - Link target (node title or ID)
+ * @param {string|null} props.alias - Display name ([[target|alias]])
+ * @param {Object} props.wikiLinks - { resolve(target) → node|null, onOpenNode(nodeId) }
+ */
+export function WikiLinkChip({ target, alias, wikiLinks }) {
+  const node = wikiLinks.resolve(target);
+  const label = alias || node?.title || target;
+
+  if (!node) {
+    return (
+      <span
+        className="px-1 rounded border border-dashed border-red-400/40 text-red-300/80"
+        title={`노드를 찾을 수 없습니다: ${target}`}
+      >
+        {label}
+      </span>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      className="px-1 rounded bg-teal-500/15 text-teal-300 hover:bg-teal-500/30 hover:text-teal-200 transition-colors"
+      title={`${node.title || node.id} — 그래프에서 보기`}
+      onMouseDown={(e) => e.preventDefault()}
+      onClick={(e) => {
+        e.stopPropagation();
+        wikiLinks.onOpenNode?.(node.id);
+      }}
+    >
+      {label}
+    </button>
+  );
+}
+
+/**
+ * WikiLinkSuggestions Component
+ * Dropdown of matching nodes under the input (position from useWikiLinkAutocomplete)
+ *
+ * @param {Object} props
+ * @param {Array} props.suggestions - Matching nodes
+ * @param {number} props.activeIndex - Highlighted row
+ * @param {{top: number, left: number}} props.position - Menu position
+ * @param {Function} props.onSelect - (node) Insert the link
+ * @param {Function} props.onHover - (index) Highlight a row
+ */
+export function WikiLinkSuggestions({ suggestions, activeIndex, position, onSelect, onHover }) {
+  return (
+    <div
+      className="fixed z-50 bg-gray-800 border border-gray-700 rounded-lg shadow-lg py-1 min-w-[220px] max-w-[360px] max-h-[300px] overflow-y-auto"
+      style={{ top: `${position.top}px`, left: `${position.left}px` }}
+      // Keep focus in the input while clicking a row
+      onMouseDown={(e) => e.preventDefault()}
+    >
+      <div className="px-3 pb-1 text-[10px] uppercase tracking-wide text-gray-500">Link to note</div>
+      {suggestions.map((node, index) => (
+        <button
+          key={node.id}
+          type="button"
+          className={`w-full text-left px-3 py-1.5 text-sm truncate transition-colors duration-100 ${
+            index === activeIndex ? 'bg-blue-600/20 text-blue-400' : 'text-gray-200 hover:bg-gray-700'
+          }`}
+          onClick={() => onSelect(node)}
+          onMouseEnter={() => onHover(index)}
+        >
+          {node.title || node.id}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState, useMemo } from 'react';
+import { isColorableProperty, getPropertyLegend, getPropertyValue, PROPERTY_TYPE_LABELS } from '../utils/nodeProperties';
+
+/**
+ * 🎨 속성별 색칠 메뉴 (그래프 좌측 상단)
+ *
+ * 🎯 역할:
+ * - 노드 색을 정할 속성 선택 (선택/별점/체크박스 타입, 예: 읽기 상태, 평점)
+ * - 색칠 중에는 버튼 아래에 범례(값별 색상 + 노드 수) 표시
+ * - "기본 색상"을 고르면 노드 스타일/그룹 색으로 돌아감
+ *
+ * 📦 Props:
+ * @param {Array} schema - 속성 스키마 (graphStore.propertySchema)
+ * @param {Array} nodes - 전체 노드 (범례의 노드 수)
+ * @param {string|null} value - 색칠 기준 속성 ID (없으면 null)
+ * @param {Function} onChange - (propertyId | null) 색칠 기준 변경
+ */
+export function ColorByMenu({ schema, nodes, value, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const colorable = schema.filter(isColorableProperty);
+  const active = colorable.find((definition) => definition.id === value) || null;
+
+  // 범례 항목별 노드 수 (값 없음 포함)
+  const legend = useMemo(() => {
+    if (!active) return [];
+    const entries = getPropertyLegend(active);
+    const counts = new Map(entries.map((entry) => [entry.value, 0]));
+    nodes.forEach((node) => {
+      const nodeValue = getPropertyValue(node, active);
+      const key = counts.has(nodeValue) ? nodeValue : undefined;
+      counts.set(key, counts.get(key) + 1);
+    });
+    return entries.map((entry) => ({ ...entry, count: counts.get(entry.value) }));
+  }, [active, nodes]);
+
+  const handleSelect = (propertyId) => {
+    setIsOpen(false);
+    onChange(propertyId);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`h-9 flex items-center gap-2 px-3 bg-gray-800 border rounded-lg shadow-md hover:bg-gray-700 transition-colors text-sm text-gray-300 ${
+          active ? 'border-teal-500/60' : 'border-gray-600'
+        }`}
+        title="속성값으로 노드 색칠"
+      >
+        <span>🎨</span>
+        <span>{active ? active.name : 'Color'}</span>
+      </button>
+
+      {/* 범례 */}
+      {active && !isOpen && (
+        <div className="absolute top-full left-0 mt-2 min-w-[10rem] bg-gray-800/90 border border-gray-600 rounded-lg shadow-lg px-3 py-2 flex flex-col gap-1 text-xs text-gray-300">
+          {legend.map((entry) => (
+            <div key={String(entry.value)} className="flex items-center gap-2">
+              <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: entry.color }} />
+              <span className="flex-1 truncate">{entry.label}</span>
+              <span className="text-gray-500">{entry.count}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* 드롭다운 메뉴 */}
+      {isOpen && (
+        <>
+          {/* 배경 클릭 영역 */}
+          <div
+            className="fixed inset-0 z-[-1]"
+            onClick={() => setIsOpen(false)}
+          />
+
+          <div className="absolute top-full left-0 mt-2 w-60 bg-gray-800 border border-gray-600 rounded-lg shadow-lg overflow-hidden">
+            <button
+              onClick={() => handleSelect(null)}
+              className={`w-full px-4 py-2.5 text-left text-sm text-gray-200 hover:bg-gray-700 transition-colors ${
+                !active ? 'bg-blue-900/40 border-l-4 border-blue-400' : ''
+              }`}
+            >
+              기본 색상 (노드 스타일/그룹)
+            </button>
+            {colorable.map((definition) => (
+              <button
+                key={definition.id}
+                onClick={() => handleSelect(definition.id)}
+                className={`w-full px-4 py-2.5 text-left flex items-center gap-2 hover:bg-gray-700 transition-colors ${
+                  definition.id === value ? 'bg-blue-900/40 border-l-4 border-blue-400' : ''
+                }`}
+              >
+                <span className="flex-1 text-sm text-gray-200">{definition.name}</span>
+                <span className="text-xs text-gray-500">{PROPERTY_TYPE_LABELS[definition.type]}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
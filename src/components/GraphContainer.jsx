@@ -1,8 +1,9 @@
-import React, { useRef, useEffect, useCallback } from 'react';
+import React, { useRef, useEffect, useCallback, useState } from 'react';
 import ForceGraph2D from 'react-force-graph-2d';
 import { useMeasure } from '../hooks/useMeasure';
-import { makeNodeCanvasObject, makeNodePointerAreaPaint, defaultLinkColor, makeCurvatureAccessor } from '../graph/renderers';
-import { FORCE_GRAPH, NODE_DRAG, GRAPH_CONTAINER } from '../constants/ui';
+import { makeNodeCanvasObject, makeNodePointerAreaPaint, defaultLinkColor, defaultLinkLineDash, makeCurvatureAccessor } from '../graph/renderers';
+import { FORCE_GRAPH, NODE_DRAG, GRAPH_CONTAINER, MULTI_SELECT } from '../constants/ui';
+import { rectFromPoints, findNodesInSelection } from '../graph/selection';
 
 /**
  * 그래프 뷰 컴포넌트 (기존 GraphView)
@@ -20,22 +21,39 @@ const GraphView = React.memo(function GraphView({
   derivedData,
   nodeStyles,
   selectedId,
+  selectedIds,
+  highlightIds,
+  nodeColorOf,
+  filterIds,
+  hoveredNodeRef,
   onShowContextMenu,
   onHideContextMenu,
   onNodeClickWithPosition,
   closePreviewMenu,
   onZoomChange,
   onNodeDragEnd,
+  onRenderFramePre,
+  onBackgroundClick: onBackgroundClickProp,
+  linkCurvature: linkCurvatureProp,
 }) {
   const onNodeHover = (n) => { 
+    hoveredNodeRef.current = n || null;
     const el = containerRef.current; 
     if (!el) return; 
     el.style.cursor = n ? GRAPH_CONTAINER.CURSOR_POINTER : GRAPH_CONTAINER.CURSOR_DEFAULT; 
   };
   
+  // 다중 선택된 노드를 드래그하면 나머지 선택 노드도 같이 이동
+  // { nodeId, origins: [{ node, x, y }] } - 드래그 시작 시점의 위치
+  const groupDragRef = useRef(null);
+  
   const handleDragEnd = useCallback((node) => {
+    const groupNodes = groupDragRef.current?.nodeId === node?.id
+      ? groupDragRef.current.origins.map((origin) => origin.node)
+      : [];
+    groupDragRef.current = null;
     if (onNodeDragEnd) {
-      onNodeDragEnd(node);
+      onNodeDragEnd(node, groupNodes);
     }
   }, [onNodeDragEnd]);
 
@@ -47,8 +65,8 @@ const GraphView = React.memo(function GraphView({
     const x = (evt?.clientX ?? 0) - (rect?.left ?? 0);
     const y = (evt?.clientY ?? 0) - (rect?.top ?? 0);
     
-    // Shift 키 정보를 포함하여 이벤트 전달
-    onNodeClickWithPosition(node.id, x, y, evt?.shiftKey ?? false);
+    // Shift 키(링크 생성), Ctrl/Cmd 키(다중 선택 토글) 정보를 포함하여 이벤트 전달
+    onNodeClickWithPosition(node.id, x, y, evt?.shiftKey ?? false, !!(evt?.ctrlKey || evt?.metaKey));
     onHideContextMenu(); 
   };
 
@@ -61,7 +79,10 @@ const GraphView = React.memo(function GraphView({
     closePreviewMenu();
   };
 
-  const onBackgroundClick = () => {
+  const onBackgroundClick = (evt) => {
+    // 뷰별 배경 클릭 처리 (예: 태그 뷰 클러스터 드릴다운)
+    if (onBackgroundClickProp) onBackgroundClickProp(evt);
+    
     requestAnimationFrame(() => {
       closePreviewMenu();
       onHideContextMenu();
@@ -81,8 +102,8 @@ const GraphView = React.memo(function GraphView({
   };
 
   const nodeCanvasObject = React.useMemo(() => 
-    makeNodeCanvasObject(nodeStyles, selectedId), 
-    [nodeStyles, selectedId]
+    makeNodeCanvasObject(nodeStyles, selectedId, highlightIds, selectedIds, nodeColorOf, filterIds), 
+    [nodeStyles, selectedId, highlightIds, selectedIds, nodeColorOf, filterIds]
   );
   
   const nodePointerAreaPaint = React.useMemo(() => 
@@ -116,7 +137,7 @@ const GraphView = React.memo(function GraphView({
 
   const onNodeDragRef = useRef(null);
   
-  const onNodeDrag = useCallback((node) => {
+  const onNodeDrag = useCallback((node, translate) => {
     if (!fgRef.current || !containerRef.current) return;
     
     // 드래그 시작 시 고정 해제 (자유롭게 움직이도록)
@@ -127,6 +148,22 @@ const GraphView = React.memo(function GraphView({
       node.vy = 0;
     }
     
+    // 그룹 이동: 드래그 거리만큼 나머지 선택 노드를 고정 위치로 옮김
+    if (selectedIds && selectedIds.size > 1 && selectedIds.has(node.id) && translate) {
+      if (groupDragRef.current?.nodeId !== node.id) {
+        groupDragRef.current = {
+          nodeId: node.id,
+          origins: derivedData.nodes
+            .filter((n) => n.id !== node.id && selectedIds.has(n.id) && n.x != null && n.y != null)
+            .map((n) => ({ node: n, x: n.x, y: n.y })),
+        };
+      }
+      groupDragRef.current.origins.forEach(({ node: other, x, y }) => {
+        other.x = other.fx = x + translate.x;
+        other.y = other.fy = y + translate.y;
+      });
+    }
+    
     const padding = NODE_DRAG.PADDING;
     const { width, height } = containerRef.current.getBoundingClientRect();
     
@@ -147,7 +184,7 @@ const GraphView = React.memo(function GraphView({
       
       fgRef.current.zoom(newZoom, 100);
     }
-  }, [fgRef, containerRef]);
+  }, [fgRef, containerRef, selectedIds, derivedData]);
 
   const displayWidth = size.width || window.innerWidth;
   const displayHeight = size.height || window.innerHeight;
@@ -161,9 +198,10 @@ const GraphView = React.memo(function GraphView({
       nodeRelSize={FORCE_GRAPH.NODE_REL_SIZE}
       backgroundColor={FORCE_GRAPH.BACKGROUND_COLOR}
       linkColor={defaultLinkColor}
+      linkLineDash={defaultLinkLineDash}
       linkDirectionalArrowLength={FORCE_GRAPH.ARROW_LENGTH}
       linkDirectionalArrowRelPos={FORCE_GRAPH.ARROW_REL_POS}
-      linkCurvature={linkCurvature}
+      linkCurvature={linkCurvatureProp || linkCurvature}
       cooldownTicks={FORCE_GRAPH.COOLDOWN_TICKS}
       d3AlphaDecay={FORCE_GRAPH.D3_ALPHA_DECAY}
       d3VelocityDecay={FORCE_GRAPH.D3_VELOCITY_DECAY}
@@ -174,6 +212,7 @@ const GraphView = React.memo(function GraphView({
       onNodeClick={onNodeClick}
       onNodeRightClick={onNodeRightClick}
       onBackgroundClick={onBackgroundClick}
+      onRenderFramePre={onRenderFramePre}
       onZoom={onZoom}
       nodeLabel={(n)=>n.title||n.id}
       nodeCanvasObject={nodeCanvasObject}
@@ -197,10 +236,47 @@ const GraphView = React.memo(function GraphView({
   );
 });
 
+/**
+ * 선택 도형 표시 (사각형 / 올가미)
+ */
+function SelectionOverlay({ selection }) {
+  const { mode, points } = selection;
+  const rect = mode === 'box' && points.length > 1 ? rectFromPoints(points[0], points[1]) : null;
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none z-10">
+      {mode === 'box' ? (
+        rect && (
+          <rect
+            x={rect.left}
+            y={rect.top}
+            width={rect.width}
+            height={rect.height}
+            fill={MULTI_SELECT.FILL}
+            stroke={MULTI_SELECT.STROKE}
+            strokeDasharray="4 3"
+          />
+        )
+      ) : (
+        <polygon
+          points={points.map((p) => `${p.x},${p.y}`).join(' ')}
+          fill={MULTI_SELECT.FILL}
+          stroke={MULTI_SELECT.STROKE}
+          strokeDasharray="4 3"
+        />
+      )}
+    </svg>
+  );
+}
+
 /**
  * 그래프 컨테이너
  * GraphView + 관련 UI 요소들을 하나로 묶음
  * 
+ * 다중 선택:
+ * - Shift + 배경 드래그: 사각형 선택, Shift + Alt + 배경 드래그: 올가미 선택
+ * - Ctrl/Cmd를 함께 누르면 기존 선택에 추가
+ * - 노드 위에서 시작한 Shift 드래그/클릭은 그대로 그래프에 전달 (링크 생성)
+ * 
  * 성능 최적화:
  * - React.memo로 불필요한 리렌더링 방지
  * - children 패턴으로 UI 요소 조합
@@ -210,15 +286,104 @@ export const GraphContainer = React.memo(function GraphContainer({
   derivedData,
   nodeStyles,
   selectedId,
+  selectedIds,
+  highlightIds,
+  nodeColorOf,
+  filterIds,
   onShowContextMenu,
   onHideContextMenu,
   onNodeClickWithPosition,
   closePreviewMenu,
   onZoomChange,
   onNodeDragEnd,
+  onRenderFramePre,
+  onBackgroundClick,
+  onSelectNodes,
+  linkCurvature,
   children // 추가 UI 요소들 (Controls, Menus 등)
 }) {
   const [containerRef, size] = useMeasure();
+  const hoveredNodeRef = useRef(null);
+  
+  // 그리는 중인 선택 도형 (컨테이너 기준 화면 좌표)
+  const [selection, setSelection] = useState(null);
+
+  // Shift + 배경 드래그 → 사각형/올가미 선택
+  // 그래프의 이동(pan)/노드 드래그가 시작되지 않도록 캡처 단계에서 이벤트를 가로챔
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || !onSelectNodes) return;
+
+    let current = null;
+
+    const toLocal = (e) => {
+      const rect = el.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    const handleMove = (e) => {
+      const point = toLocal(e);
+      const last = current.points[current.points.length - 1];
+      if (current.mode === 'box') {
+        current.points = [current.points[0], point];
+      } else if (Math.hypot(point.x - last.x, point.y - last.y) >= MULTI_SELECT.LASSO_POINT_SPACING) {
+        current.points = [...current.points, point];
+      } else {
+        return;
+      }
+      setSelection({ ...current });
+    };
+
+    const handleUp = (e) => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      const shape = current;
+      current = null;
+      setSelection(null);
+
+      const [start] = shape.points;
+      const end = toLocal(e);
+      if (Math.hypot(end.x - start.x, end.y - start.y) < MULTI_SELECT.MIN_DRAG_DISTANCE) return;
+      if (shape.mode === 'box') shape.points = [start, end];
+      
+      const fg = fgRef.current;
+      if (!fg) return;
+      const ids = findNodesInSelection(derivedData.nodes, shape, (x, y) => fg.graph2ScreenCoords(x, y));
+      onSelectNodes(ids, shape.additive);
+    };
+
+    const handleDown = (e) => {
+      if (e.type === 'mousedown') {
+        // d3-zoom/d3-drag는 mousedown을 사용하므로 함께 막음
+        if (current) e.stopPropagation();
+        return;
+      }
+      if (!e.shiftKey || e.button !== 0 || hoveredNodeRef.current) return;
+      if (e.target !== el && e.target.tagName !== 'CANVAS') return;
+
+      e.stopPropagation();
+      e.preventDefault();
+      current = {
+        mode: e.altKey ? 'lasso' : 'box',
+        additive: e.ctrlKey || e.metaKey,
+        points: [toLocal(e)],
+      };
+      setSelection({ ...current });
+      closePreviewMenu();
+      onHideContextMenu();
+      window.addEventListener('pointermove', handleMove);
+      window.addEventListener('pointerup', handleUp);
+    };
+
+    el.addEventListener('pointerdown', handleDown, true);
+    el.addEventListener('mousedown', handleDown, true);
+    return () => {
+      el.removeEventListener('pointerdown', handleDown, true);
+      el.removeEventListener('mousedown', handleDown, true);
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [containerRef, fgRef, derivedData, onSelectNodes, closePreviewMenu, onHideContextMenu]);
 
   useEffect(() => { 
     const el = containerRef.current; 
@@ -237,13 +402,22 @@ export const GraphContainer = React.memo(function GraphContainer({
         derivedData={derivedData}
         nodeStyles={nodeStyles}
         selectedId={selectedId}
+        selectedIds={selectedIds}
+        highlightIds={highlightIds}
+        nodeColorOf={nodeColorOf}
+        filterIds={filterIds}
+        hoveredNodeRef={hoveredNodeRef}
         onShowContextMenu={onShowContextMenu}
         onHideContextMenu={onHideContextMenu}
         onNodeClickWithPosition={onNodeClickWithPosition}
         closePreviewMenu={closePreviewMenu}
         onZoomChange={onZoomChange}
         onNodeDragEnd={onNodeDragEnd}
+        onRenderFramePre={onRenderFramePre}
+        onBackgroundClick={onBackgroundClick}
+        linkCurvature={linkCurvature}
       />
+      {selection && <SelectionOverlay selection={selection} />}
       {children}
     </div>
   );
@@ -1,12 +1,15 @@
 import React from 'react';
 import { ZoomControls } from './ZoomControls';
 import { GraphViewSelector } from './GraphViewSelector';
+import { LayoutMenu } from './LayoutMenu';
+import { ColorByMenu } from './ColorByMenu';
 
 /**
  * 그래프 컨트롤 버튼 모음
  * 
  * 포함 요소:
  * - GraphViewSelector (우측 상단)
+ * - 검색, 실행 취소/다시 실행 버튼, 자동 레이아웃 메뉴, 속성별 색칠 메뉴, 필터 사이드바 버튼 (좌측 상단)
  * - ZoomControls (좌측 하단 위)
  * - Settings 버튼 (좌하단)
  * - Add Node 버튼 (우하단)
@@ -19,6 +22,26 @@ import { GraphViewSelector } from './GraphViewSelector';
  * @param {function(string): void} props.onViewModeChange - 뷰 모드 변경 핸들러
  * @param {function(): void} props.onOpenSettings - 설정 열기
  * @param {function(): void} props.onOpenAddNode - 노드 추가 모달 열기
+ * @param {function(): void} props.onOpenSearch - 검색 팔레트 열기
+ * @param {string|null} props.undoLabel - 실행 취소할 작업 이름 (없으면 비활성)
+ * @param {string|null} props.redoLabel - 다시 실행할 작업 이름 (없으면 비활성)
+ * @param {function(): void} props.onUndo - 실행 취소
+ * @param {function(): void} props.onRedo - 다시 실행
+ * @param {boolean} props.canLayout - 자동 레이아웃 사용 가능 여부 (관계 뷰)
+ * @param {boolean} props.hasSelection - 선택된 노드 유무 (방사형 레이아웃 가운데 노드)
+ * @param {string|null} props.layoutPreviewKind - 미리보기 중인 레이아웃
+ * @param {function(string): void} props.onPreviewLayout - 레이아웃 미리보기
+ * @param {function(): void} props.onApplyLayout - 미리보기 위치 적용
+ * @param {function(): void} props.onCancelLayout - 미리보기 취소
+ * @param {Array} props.propertySchema - 노드 속성 스키마 (색칠 기준 목록)
+ * @param {Array} props.nodes - 전체 노드 (색칠 범례의 노드 수)
+ * @param {string|null} props.colorByProperty - 색칠 기준 속성 ID
+ * @param {function(string|null): void} props.onColorByPropertyChange - 색칠 기준 변경
+ * @param {number|null} props.tableFilterCount - 표 보기 필터에 맞는 노드 수 (필터가 없으면 null)
+ * @param {function(): void} props.onClearTableFilter - 표 보기 필터 해제
+ * @param {number|null} props.graphFilterCount - 그래프 필터에 맞는 노드 수 (필터가 없으면 null)
+ * @param {boolean} props.showGraphFilter - 필터 사이드바 열림 여부
+ * @param {function(): void} props.onToggleGraphFilter - 필터 사이드바 열기/닫기
  */
 export function GraphControls({ 
   fgRef, 
@@ -27,7 +50,27 @@ export function GraphControls({
   graphViewMode,
   onViewModeChange,
   onOpenSettings,
-  onOpenAddNode
+  onOpenAddNode,
+  onOpenSearch,
+  undoLabel,
+  redoLabel,
+  onUndo,
+  onRedo,
+  canLayout,
+  hasSelection,
+  layoutPreviewKind,
+  onPreviewLayout,
+  onApplyLayout,
+  onCancelLayout,
+  propertySchema,
+  nodes,
+  colorByProperty,
+  onColorByPropertyChange,
+  tableFilterCount,
+  onClearTableFilter,
+  graphFilterCount,
+  showGraphFilter,
+  onToggleGraphFilter
 }) {
   return (
     <>
@@ -37,6 +80,78 @@ export function GraphControls({
         onViewChange={onViewModeChange}
       />
 
+      {/* 좌측 상단: 검색 + 실행 취소/다시 실행 + 자동 레이아웃 + 속성별 색칠 + 필터 */}
+      <div className="absolute top-4 left-4 z-10 flex items-center gap-2">
+        <button
+          onClick={onOpenSearch}
+          className="flex items-center gap-2 px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg shadow-md hover:bg-gray-700 transition-colors text-sm text-gray-300"
+          title="Search (Ctrl+K)"
+        >
+          <span>🔍</span>
+          <span>검색</span>
+          <kbd className="text-[10px] text-gray-400 border border-gray-600 rounded px-1">Ctrl K</kbd>
+        </button>
+
+        <button
+          onClick={onUndo}
+          disabled={!undoLabel}
+          className="w-9 h-9 flex items-center justify-center bg-gray-800 border border-gray-600 rounded-lg shadow-md hover:bg-gray-700 transition-colors text-gray-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          title={undoLabel ? `실행 취소: ${undoLabel} (Ctrl+Z)` : '실행 취소할 작업 없음'}
+        >
+          ↶
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!redoLabel}
+          className="w-9 h-9 flex items-center justify-center bg-gray-800 border border-gray-600 rounded-lg shadow-md hover:bg-gray-700 transition-colors text-gray-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          title={redoLabel ? `다시 실행: ${redoLabel} (Ctrl+Shift+Z)` : '다시 실행할 작업 없음'}
+        >
+          ↷
+        </button>
+
+        <LayoutMenu
+          enabled={canLayout}
+          hasSelection={hasSelection}
+          previewKind={layoutPreviewKind}
+          onPreview={onPreviewLayout}
+          onApply={onApplyLayout}
+          onCancel={onCancelLayout}
+        />
+
+        <ColorByMenu
+          schema={propertySchema}
+          nodes={nodes}
+          value={colorByProperty}
+          onChange={onColorByPropertyChange}
+        />
+
+        {/* 필터가 걸려 있으면 맞는 노드 수 / 전체 노드 수 */}
+        <button
+          onClick={onToggleGraphFilter}
+          className={`h-9 flex items-center gap-2 px-3 border rounded-lg shadow-md hover:bg-gray-700 transition-colors text-sm text-gray-300 ${
+            showGraphFilter ? 'bg-gray-700' : 'bg-gray-800'
+          } ${graphFilterCount !== null ? 'border-teal-500/60' : 'border-gray-600'}`}
+          title="필터 사이드바 (태그, 그룹, 링크 타입, 연결 수)"
+        >
+          <span>⚲</span>
+          <span>{graphFilterCount !== null ? `필터 ${graphFilterCount}/${nodes.length}` : 'Filter'}</span>
+        </button>
+
+        {/* 표 보기 필터가 걸려 있으면 흐리게 표시된 이유를 알려줌 */}
+        {tableFilterCount !== null && (
+          <div className="h-9 flex items-center gap-1 pl-3 pr-1 bg-gray-800 border border-teal-500/60 rounded-lg shadow-md text-sm text-gray-300">
+            <span title="표 보기의 필터에 맞지 않는 노드는 흐리게 표시됩니다">▦ 표 필터 {tableFilterCount}/{nodes.length}</span>
+            <button
+              onClick={onClearTableFilter}
+              className="w-7 h-7 rounded hover:bg-white/10 transition-colors"
+              title="표 필터 해제"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+      </div>
+
       {/* Zoom Controls - 좌측 하단 위 */}
       <ZoomControls 
         fgRef={fgRef} 
@@ -0,0 +1,299 @@
+import { useState } from 'react';
+import { GRAPH_FILTER_MODES, isGraphFilterActive } from '../graph/filters';
+import { NODE_GROUP_LABELS } from '../utils/nodeTable';
+
+const LINK_TYPE_LABEL = {
+  'based-on': 'Based On (기반)',
+  'cited-by': 'Cited By (인용)',
+  mention: 'Mention (언급)',
+};
+
+const toRangeValue = (text) => (text === '' ? null : Math.max(0, Math.floor(Number(text))));
+
+/**
+ * 연결 수 범위 입력 (최소 ~ 최대, 빈 칸이면 제한 없음)
+ */
+function DegreeRangeInput({ label, range, onChange }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-20 text-xs text-gray-400">{label}</span>
+      <input
+        type="number"
+        min="0"
+        className="input-field w-16 text-sm"
+        placeholder="최소"
+        value={range.min ?? ''}
+        onChange={(e) => onChange({ ...range, min: toRangeValue(e.target.value) })}
+      />
+      <span className="text-gray-500">~</span>
+      <input
+        type="number"
+        min="0"
+        className="input-field w-16 text-sm"
+        placeholder="최대"
+        value={range.max ?? ''}
+        onChange={(e) => onChange({ ...range, max: toRangeValue(e.target.value) })}
+      />
+    </div>
+  );
+}
+
+/**
+ * ⚲ 그래프 필터 사이드바 (그래프 좌측)
+ *
+ * 🎯 역할:
+ * - 검색어(제목/요약/태그), 태그 카테고리 + 태그(계층 접두어: 'A > B'는 하위 태그 포함),
+ *   그룹, 링크 타입, 들어오는/나가는 연결 수 범위로 노드 거르기
+ * - 맞지 않는 노드를 흐리게 하거나 링크와 함께 숨기기
+ * - 현재 필터를 이름 붙여 프리셋으로 저장 / 적용 / 삭제 (localStorage)
+ * - 머리글에 필터에 맞는 노드 수 표시
+ *
+ * 📦 Props:
+ * @param {import('../graph/filters').GraphFilter} filter - 현재 필터
+ * @param {'dim'|'hide'} mode - 필터 모드
+ * @param {number} matchCount - 필터에 맞는 노드 수
+ * @param {number} totalCount - 전체 노드 수
+ * @param {Object} tagsIndex - 카테고리별 태그 (카테고리 목록, 태그 자동 완성)
+ * @param {string[]} linkTypes - 그래프에 있는 링크 타입
+ * @param {Array} presets - 저장된 프리셋 [{ name, filter }]
+ * @param {Function} onChange - (patch) 필터 조건 일부 변경
+ * @param {Function} onModeChange - (mode) 필터 모드 변경
+ * @param {Function} onReset - 필터 모두 해제
+ * @param {Function} onSavePreset - (name) 현재 필터를 프리셋으로 저장
+ * @param {Function} onApplyPreset - (name) 프리셋 적용
+ * @param {Function} onDeletePreset - (name) 프리셋 삭제
+ * @param {Function} onClose - 사이드바 닫기
+ */
+export function GraphFilterPanel({
+  filter,
+  mode,
+  matchCount,
+  totalCount,
+  tagsIndex,
+  linkTypes,
+  presets,
+  onChange,
+  onModeChange,
+  onReset,
+  onSavePreset,
+  onApplyPreset,
+  onDeletePreset,
+  onClose,
+}) {
+  const [presetName, setPresetName] = useState('');
+
+  const isActive = isGraphFilterActive(filter);
+  const categories = Object.keys(tagsIndex || {}).sort();
+  const tagOptions = filter.tagCategory ? tagsIndex?.[filter.tagCategory] || [] : [];
+
+  const toggleItem = (key, item) => {
+    const list = filter[key];
+    onChange({ [key]: list.includes(item) ? list.filter((value) => value !== item) : [...list, item] });
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    if (presets.some((preset) => preset.name === name) && !window.confirm(`"${name}" 프리셋을 현재 필터로 덮어쓰시겠습니까?`)) {
+      return;
+    }
+    onSavePreset(name);
+    setPresetName('');
+    console.log(`✅ 필터 프리셋 저장: ${name}`);
+  };
+
+  const handleDeletePreset = (name) => {
+    if (!window.confirm(`"${name}" 프리셋을 삭제하시겠습니까?`)) return;
+    onDeletePreset(name);
+    console.log(`🗑️ 필터 프리셋 삭제: ${name}`);
+  };
+
+  return (
+    <div className="absolute top-16 left-4 bottom-32 z-10 w-72 flex flex-col bg-gray-800/95 border border-gray-600 rounded-lg shadow-lg text-sm text-gray-200">
+      {/* 머리글: 노드 수 + 닫기 */}
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-700">
+        <span className="font-semibold">⚲ 필터</span>
+        <span className={`text-xs ${isActive ? 'text-teal-300' : 'text-gray-500'}`}>
+          노드 {isActive ? matchCount : totalCount} / {totalCount}
+        </span>
+        <button
+          onClick={onReset}
+          disabled={!isActive}
+          className="ml-auto text-xs px-2 py-0.5 rounded text-gray-400 hover:text-gray-200 hover:bg-white/10 disabled:opacity-40 disabled:hover:bg-transparent"
+          title="필터 모두 해제"
+        >
+          초기화
+        </button>
+        <button
+          onClick={onClose}
+          className="w-6 h-6 rounded text-gray-400 hover:text-gray-200 hover:bg-white/10"
+          title="닫기"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-3 space-y-4">
+        {/* 흐리게 / 숨기기 */}
+        <div className="flex rounded-md border border-gray-600 overflow-hidden text-xs">
+          {GRAPH_FILTER_MODES.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => onModeChange(item.id)}
+              className={`flex-1 py-1.5 transition-colors ${
+                mode === item.id ? 'bg-teal-500/30 text-teal-100' : 'text-gray-400 hover:bg-white/5'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {/* 검색어 */}
+        <div className="space-y-1">
+          <label className="text-xs text-gray-400">검색어</label>
+          <input
+            className="input-field w-full text-sm"
+            placeholder="제목, 요약, 태그"
+            value={filter.query}
+            onChange={(e) => onChange({ query: e.target.value })}
+          />
+        </div>
+
+        {/* 태그 */}
+        <div className="space-y-1">
+          <label className="text-xs text-gray-400">태그</label>
+          {categories.length > 0 ? (
+            <>
+              <select
+                className="input-field w-full text-sm"
+                value={filter.tagCategory || ''}
+                onChange={(e) => onChange({ tagCategory: e.target.value || null, tag: '' })}
+              >
+                <option value="">카테고리 선택 안 함</option>
+                {categories.map((category) => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+              {filter.tagCategory && (
+                <>
+                  <input
+                    className="input-field w-full text-sm"
+                    placeholder="태그 (비우면 이 카테고리의 모든 태그)"
+                    list="graph-filter-tags"
+                    value={filter.tag}
+                    onChange={(e) => onChange({ tag: e.target.value })}
+                  />
+                  <datalist id="graph-filter-tags">
+                    {tagOptions.map((tag) => (
+                      <option key={tag} value={tag} />
+                    ))}
+                  </datalist>
+                  <div className="text-[11px] text-gray-500">상위 태그를 고르면 하위 태그(A &gt; B)도 포함됩니다.</div>
+                </>
+              )}
+            </>
+          ) : (
+            <div className="text-xs text-gray-500">태그 카테고리가 없습니다.</div>
+          )}
+        </div>
+
+        {/* 그룹 */}
+        <div className="space-y-1">
+          <label className="text-xs text-gray-400">그룹</label>
+          {Object.entries(NODE_GROUP_LABELS).map(([group, label]) => (
+            <label key={group} className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filter.groups.includes(Number(group))}
+                onChange={() => toggleItem('groups', Number(group))}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+
+        {/* 링크 타입 */}
+        <div className="space-y-1">
+          <label className="text-xs text-gray-400">링크 타입</label>
+          {linkTypes.length > 0 ? (
+            linkTypes.map((type) => (
+              <label key={type} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filter.linkTypes.includes(type)}
+                  onChange={() => toggleItem('linkTypes', type)}
+                />
+                <span>{LINK_TYPE_LABEL[type] || type}</span>
+              </label>
+            ))
+          ) : (
+            <div className="text-xs text-gray-500">링크가 없습니다.</div>
+          )}
+          {filter.linkTypes.length > 0 && (
+            <div className="text-[11px] text-gray-500">선택한 타입의 링크가 있는 노드만 남고, 연결 수도 이 타입만 셉니다.</div>
+          )}
+        </div>
+
+        {/* 연결 수 */}
+        <div className="space-y-1.5">
+          <label className="text-xs text-gray-400">연결 수</label>
+          <DegreeRangeInput
+            label="← 들어오는"
+            range={filter.inDegree}
+            onChange={(inDegree) => onChange({ inDegree })}
+          />
+          <DegreeRangeInput
+            label="나가는 →"
+            range={filter.outDegree}
+            onChange={(outDegree) => onChange({ outDegree })}
+          />
+        </div>
+
+        {/* 프리셋 */}
+        <div className="space-y-1.5 pt-3 border-t border-gray-700">
+          <label className="text-xs text-gray-400">저장된 필터</label>
+          {presets.length > 0 ? (
+            presets.map((preset) => (
+              <div key={preset.name} className="flex items-center gap-1">
+                <button
+                  onClick={() => onApplyPreset(preset.name)}
+                  className="flex-1 min-w-0 truncate text-left px-2 py-1 rounded hover:bg-white/10 transition-colors"
+                  title="이 필터 적용"
+                >
+                  {preset.name}
+                </button>
+                <button
+                  onClick={() => handleDeletePreset(preset.name)}
+                  className="w-6 h-6 flex-shrink-0 rounded text-gray-500 hover:text-red-400 hover:bg-white/10"
+                  title="프리셋 삭제"
+                >
+                  🗑
+                </button>
+              </div>
+            ))
+          ) : (
+            <div className="text-xs text-gray-500">저장된 필터가 없습니다.</div>
+          )}
+          <div className="flex items-center gap-2">
+            <input
+              className="input-field flex-1 min-w-0 text-sm"
+              placeholder="프리셋 이름"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && handleSavePreset()}
+            />
+            <button
+              onClick={handleSavePreset}
+              disabled={!presetName.trim() || !isActive}
+              className="px-2 py-1 rounded bg-teal-500/20 hover:bg-teal-500/40 text-teal-200 text-xs transition-colors disabled:opacity-40"
+              title={isActive ? '현재 필터 저장' : '저장할 필터 조건이 없습니다'}
+            >
+              저장
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
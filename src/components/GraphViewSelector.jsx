@@ -5,7 +5,7 @@ import { useState } from 'react';
  * 그래프 뷰 형식을 선택하는 컴포넌트
  * 
  * @param {Object} props
- * @param {string} props.currentView - 현재 선택된 뷰 ('relationship' | 'tag' | 'timeline')
+ * @param {string} props.currentView - 현재 선택된 뷰 ('relationship' | 'tag' | 'timeline' | 'table')
  * @param {Function} props.onViewChange - 뷰 변경 핸들러
  */
 export function GraphViewSelector({ currentView, onViewChange }) {
@@ -13,8 +13,9 @@ export function GraphViewSelector({ currentView, onViewChange }) {
 
   const viewOptions = [
     { id: 'relationship', label: 'R→S 관계', icon: '🔗', description: '노드 간 관계 기반' },
-    { id: 'tag', label: 'Tag별 모음', icon: '🏷️', description: '태그별 그룹화 (추후 추가)', disabled: true },
-    { id: 'timeline', label: '시간순 정렬', icon: '⏱️', description: '생성 시간 기반 (추후 추가)', disabled: true },
+    { id: 'tag', label: 'Tag별 모음', icon: '🏷️', description: '태그 카테고리별 클러스터' },
+    { id: 'timeline', label: '시간순 정렬', icon: '⏱️', description: '출판일/생성일 기반 시간 축' },
+    { id: 'table', label: '표 보기', icon: '▦', description: '모든 노드를 정렬/필터/편집할 수 있는 목록' },
   ];
 
   const handleViewSelect = (viewId) => {
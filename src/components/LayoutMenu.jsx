@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { LAYOUT_KINDS } from '../graph/layouts';
+
+/**
+ * 🧭 자동 레이아웃 메뉴 (그래프 좌측 상단)
+ *
+ * 🎯 역할:
+ * - 레이아웃 알고리즘 선택 → 노드가 새 위치로 움직이는 미리보기
+ * - 미리보기 중에는 적용(위치 저장, 실행 취소 가능) / 취소(원래 위치로 되돌림) 버튼 표시
+ * - 태그/타임라인 뷰는 뷰가 위치를 정하므로 비활성
+ *
+ * 📦 Props:
+ * @param {boolean} enabled - 레이아웃 사용 가능 여부 (관계 뷰일 때만)
+ * @param {boolean} hasSelection - 선택된 노드 유무 (방사형 레이아웃의 가운데 노드)
+ * @param {string|null} previewKind - 미리보기 중인 레이아웃 (LAYOUT_KINDS의 id, 없으면 null)
+ * @param {Function} onPreview - (kind) 레이아웃 미리보기
+ * @param {Function} onApply - 미리보기 위치 적용
+ * @param {Function} onCancel - 미리보기 취소
+ */
+export function LayoutMenu({ enabled, hasSelection, previewKind, onPreview, onApply, onCancel }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleSelect = (kind) => {
+    setIsOpen(false);
+    onPreview(kind);
+  };
+
+  const previewInfo = LAYOUT_KINDS.find((kind) => kind.id === previewKind);
+
+  return (
+    <div className="relative">
+      {previewInfo ? (
+        <div className="flex items-center gap-1 pl-3 pr-1 py-1 bg-gray-800 border border-sky-500/60 rounded-lg shadow-md text-sm text-gray-200">
+          <button
+            onClick={() => setIsOpen(!isOpen)}
+            className="flex items-center gap-2 pr-2 hover:text-white"
+            title="다른 레이아웃 미리보기"
+          >
+            <span>{previewInfo.icon}</span>
+            <span>{previewInfo.label}</span>
+            <span className="text-xs text-sky-300">미리보기</span>
+          </button>
+          <button
+            onClick={onApply}
+            className="px-2 py-1 rounded bg-sky-500/30 hover:bg-sky-500/50 transition-colors"
+            title="이 배치로 위치 저장 (실행 취소 가능)"
+          >
+            Apply
+          </button>
+          <button
+            onClick={onCancel}
+            className="px-2 py-1 rounded hover:bg-white/10 transition-colors"
+            title="원래 위치로 되돌리기"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          disabled={!enabled}
+          className="h-9 flex items-center gap-2 px-3 bg-gray-800 border border-gray-600 rounded-lg shadow-md hover:bg-gray-700 transition-colors text-sm text-gray-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          title={enabled ? '자동 레이아웃' : '관계 뷰에서만 자동 레이아웃을 쓸 수 있습니다'}
+        >
+          <span>🧭</span>
+          <span>Layout</span>
+        </button>
+      )}
+
+      {/* 드롭다운 메뉴 */}
+      {isOpen && enabled && (
+        <>
+          {/* 배경 클릭 영역 */}
+          <div
+            className="fixed inset-0 z-[-1]"
+            onClick={() => setIsOpen(false)}
+          />
+
+          <div className="absolute top-full left-0 mt-2 w-72 bg-gray-800 border border-gray-600 rounded-lg shadow-lg overflow-hidden">
+            {LAYOUT_KINDS.map((kind) => {
+              const disabled = kind.needsSelection && !hasSelection;
+              return (
+                <button
+                  key={kind.id}
+                  onClick={() => handleSelect(kind.id)}
+                  disabled={disabled}
+                  className={`
+                    w-full px-4 py-3 text-left flex items-start gap-3 transition-colors
+                    ${kind.id === previewKind ? 'bg-blue-900/40 border-l-4 border-blue-400' : ''}
+                    ${disabled ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-700 cursor-pointer'}
+                  `}
+                >
+                  <span className="text-xl mt-0.5">{kind.icon}</span>
+                  <div className="flex-1">
+                    <div className="font-medium text-gray-200">{kind.label}</div>
+                    <div className="text-sm text-gray-400 mt-0.5">
+                      {disabled ? '가운데에 둘 노드를 먼저 선택하세요' : kind.description}
+                    </div>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,405 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { GraphViewSelector } from './GraphViewSelector';
+import { PropertyEditor } from './PropertyEditor';
+import {
+  NODE_GROUP_LABELS,
+  getCellValue,
+  getCellText,
+  sortNodeRows,
+  toggleSortKey,
+  hasActiveTableFilter,
+} from '../utils/nodeTable';
+import { PROPERTY_TYPES, findPropertyOption, setPropertyValue } from '../utils/nodeProperties';
+
+const cellId = (nodeId, columnId) => `${nodeId}\u0000${columnId}`;
+
+// 체크박스 속성은 편집 모드 없이 셀에서 바로 토글
+const isToggleColumn = (column) => column.kind === 'property' && column.definition.type === PROPERTY_TYPES.CHECKBOX;
+
+const isNumericColumn = (column) =>
+  column.kind === 'count' || [PROPERTY_TYPES.NUMBER, PROPERTY_TYPES.RATING].includes(column.definition?.type);
+
+/**
+ * 제목/요약 셀 편집기 (Enter/포커스 해제 시 저장, Esc 취소)
+ */
+function TextCellEditor({ initial, required, onCommit, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const cancelledRef = useRef(false);
+
+  const commit = () => {
+    if (cancelledRef.current) return;
+    const trimmed = draft.trim();
+    if (required && !trimmed) {
+      onCancel();
+      return;
+    }
+    if (trimmed !== initial) onCommit(trimmed);
+    else onCancel();
+  };
+
+  return (
+    <input
+      autoFocus
+      className="w-full bg-black/40 border border-teal-500/50 rounded px-2 py-1 text-xs focus:outline-none"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' && !e.nativeEvent.isComposing) e.currentTarget.blur();
+        if (e.key === 'Escape') {
+          cancelledRef.current = true;
+          onCancel();
+        }
+      }}
+    />
+  );
+}
+
+/**
+ * 속성 셀 편집기: 노트 패널과 같은 PropertyEditor, 셀 밖으로 포커스가 나가면 편집 종료
+ */
+function PropertyCellEditor({ definition, value, onCommit, onClose }) {
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    wrapperRef.current?.querySelector('input, select, button')?.focus();
+  }, []);
+
+  return (
+    <div
+      ref={wrapperRef}
+      className="min-w-[8rem]"
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) onClose();
+      }}
+      onKeyDown={(e) => e.key === 'Escape' && onClose()}
+    >
+      <PropertyEditor definition={definition} value={value} onCommit={onCommit} />
+    </div>
+  );
+}
+
+/**
+ * 셀 표시 (편집하지 않을 때)
+ */
+function CellDisplay({ row, column }) {
+  const value = getCellValue(row, column);
+  if (value === undefined) return <span className="text-gray-600">—</span>;
+
+  if (column.kind === 'tags') {
+    return (
+      <div className="flex flex-wrap gap-1">
+        {value.map((tag) => (
+          <span key={tag} className="px-1.5 py-0.5 rounded bg-white/10 text-[11px] whitespace-nowrap">{tag}</span>
+        ))}
+      </div>
+    );
+  }
+
+  if (column.kind === 'property') {
+    const { definition } = column;
+    if (definition.type === PROPERTY_TYPES.SELECT) {
+      const option = findPropertyOption(definition, value);
+      return (
+        <span className="px-1.5 py-0.5 rounded text-[11px] whitespace-nowrap" style={{ color: option?.color, backgroundColor: option ? `${option.color}22` : undefined }}>
+          {getCellText(row, column)}
+        </span>
+      );
+    }
+    if (definition.type === PROPERTY_TYPES.RATING) {
+      return <span className="text-yellow-400 whitespace-nowrap">{getCellText(row, column)}</span>;
+    }
+    if (definition.type === PROPERTY_TYPES.URL || definition.type === PROPERTY_TYPES.DOI) {
+      return (
+        <a
+          className="text-teal-300 hover:text-teal-200 hover:underline break-all"
+          href={definition.type === PROPERTY_TYPES.DOI ? `https://doi.org/${value}` : value}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {value}
+        </a>
+      );
+    }
+  }
+
+  return <span className={column.kind === 'count' ? 'tabular-nums' : 'break-words'}>{getCellText(row, column)}</span>;
+}
+
+/**
+ * ▦ 노드 표 보기 (그래프 영역을 덮는 스프레드시트형 목록)
+ *
+ * 🎯 역할:
+ * - 모든 노드를 한 행씩 표시 (제목, 그룹, 태그, 링크 수, 요약, 속성 스키마의 속성)
+ * - 셀 클릭으로 바로 편집 (제목/그룹/요약/속성 → updateNode, 태그와 링크 수는 읽기 전용)
+ * - 머리글 클릭으로 정렬, Shift+클릭으로 여러 열 정렬
+ * - 열 필터와 전체 검색 (필터는 그래프에서도 맞지 않는 노드를 흐리게 표시)
+ * - 열 메뉴에서 열 보이기/숨기기
+ *
+ * 📦 Props:
+ * @param {Array} rows - 필터를 통과한 행 (utils/nodeTable의 NodeRow, 그래프 순서)
+ * @param {number} totalCount - 전체 노드 수
+ * @param {Array} columns - 보이는 열
+ * @param {Array} allColumns - 전체 열 (열 메뉴)
+ * @param {Array} sort - 정렬 키 [{ column, direction }]
+ * @param {Object} filters - 열 ID → 필터 문자열
+ * @param {string} query - 전체 검색어
+ * @param {string|null} selectedId - 선택된 노드 (행 강조)
+ * @param {string} currentView - 현재 뷰 모드 (뷰 선택 메뉴)
+ * @param {Function} onViewChange - (viewId) 뷰 모드 변경
+ * @param {Function} onSortChange - (sort) 정렬 변경
+ * @param {Function} onFilterChange - (columnId, filter) 열 필터 변경
+ * @param {Function} onQueryChange - (query) 전체 검색어 변경
+ * @param {Function} onClearFilters - 필터/검색어 모두 해제
+ * @param {Function} onToggleColumn - (columnId) 열 보이기/숨기기
+ * @param {Function} onUpdateNode - (nodeId, patch) 노드 수정
+ * @param {Function} onOpenNode - (nodeId) 노트 패널 열기
+ */
+export function NodeTableView({
+  rows,
+  totalCount,
+  columns,
+  allColumns,
+  sort,
+  filters,
+  query,
+  selectedId,
+  currentView,
+  onViewChange,
+  onSortChange,
+  onFilterChange,
+  onQueryChange,
+  onClearFilters,
+  onToggleColumn,
+  onUpdateNode,
+  onOpenNode,
+}) {
+  const [editing, setEditing] = useState(null); // cellId(nodeId, columnId)
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+
+  const sortedRows = useMemo(() => sortNodeRows(rows, allColumns, sort), [rows, allColumns, sort]);
+  const hasFilter = hasActiveTableFilter(filters, query);
+
+  const commitCell = (row, column, value) => {
+    const { node } = row;
+    if (column.kind === 'property') {
+      onUpdateNode(node.id, { properties: setPropertyValue(node.properties, column.definition.id, value) });
+    } else {
+      onUpdateNode(node.id, { [column.id]: value });
+      setEditing(null);
+    }
+  };
+
+  const renderCell = (row, column) => {
+    const { node } = row;
+    const isEditing = editing === cellId(node.id, column.id);
+    const close = () => setEditing(null);
+
+    if (isToggleColumn(column)) {
+      return (
+        <input
+          type="checkbox"
+          className="w-3.5 h-3.5 accent-teal-500"
+          checked={getCellValue(row, column) === true}
+          onChange={(e) => commitCell(row, column, e.target.checked || undefined)}
+        />
+      );
+    }
+
+    if (isEditing) {
+      if (column.kind === 'property') {
+        return (
+          <PropertyCellEditor
+            definition={column.definition}
+            value={getCellValue(row, column)}
+            onCommit={(value) => commitCell(row, column, value)}
+            onClose={close}
+          />
+        );
+      }
+      if (column.kind === 'group') {
+        return (
+          <select
+            autoFocus
+            className="bg-black/40 border border-teal-500/50 rounded px-1 py-1 text-xs focus:outline-none"
+            value={node.group}
+            onChange={(e) => commitCell(row, column, Number(e.target.value))}
+            onBlur={close}
+          >
+            {Object.entries(NODE_GROUP_LABELS).map(([group, label]) => (
+              <option key={group} value={group}>{label}</option>
+            ))}
+          </select>
+        );
+      }
+      return (
+        <TextCellEditor
+          initial={node[column.id] || ''}
+          required={column.id === 'title'}
+          onCommit={(value) => commitCell(row, column, value)}
+          onCancel={close}
+        />
+      );
+    }
+
+    return <CellDisplay row={row} column={column} />;
+  };
+
+  const sortIndex = (columnId) => sort.findIndex((key) => key.column === columnId);
+
+  return (
+    <div className="absolute inset-0 z-20 bg-[#0a0a0a] flex flex-col">
+      {/* 상단 바: 제목, 노드 수, 전체 검색, 필터 해제, 열 메뉴 (오른쪽은 뷰 선택 메뉴 자리) */}
+      <div className="flex items-center gap-2 pl-4 pr-60 py-4 text-sm">
+        <span className="font-semibold text-gray-200">▦ 노드 표</span>
+        <span className="text-xs text-gray-400 tabular-nums">
+          {hasFilter ? `${rows.length} / ${totalCount}개` : `${totalCount}개`}
+        </span>
+        <input
+          className="w-56 bg-gray-800 border border-gray-600 rounded-lg px-3 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-teal-500/60"
+          placeholder="모든 열에서 찾기..."
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+        />
+        {hasFilter && (
+          <button
+            className="px-2 py-1 rounded text-xs text-gray-300 hover:bg-white/10 transition-colors"
+            onClick={onClearFilters}
+            title="필터와 검색어를 모두 지웁니다 (그래프의 흐림 표시도 해제)"
+          >
+            ✕ 필터 지우기
+          </button>
+        )}
+        {sort.length > 0 && (
+          <button
+            className="px-2 py-1 rounded text-xs text-gray-300 hover:bg-white/10 transition-colors"
+            onClick={() => onSortChange([])}
+            title="정렬 해제 (그래프 순서로)"
+          >
+            ✕ 정렬 해제
+          </button>
+        )}
+
+        <div className="relative">
+          <button
+            className="px-3 py-1.5 bg-gray-800 border border-gray-600 rounded-lg text-xs text-gray-300 hover:bg-gray-700 transition-colors"
+            onClick={() => setShowColumnMenu(!showColumnMenu)}
+          >
+            열 ({columns.length}/{allColumns.length})
+          </button>
+          {showColumnMenu && (
+            <>
+              <div className="fixed inset-0 z-10" onClick={() => setShowColumnMenu(false)} />
+              <div className="absolute top-full left-0 mt-2 z-20 w-52 max-h-80 overflow-y-auto bg-gray-800 border border-gray-600 rounded-lg shadow-lg py-1">
+                {allColumns.map((column) => (
+                  <label key={column.id} className="flex items-center gap-2 px-3 py-1.5 text-xs text-gray-200 hover:bg-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="w-3 h-3"
+                      checked={columns.some((item) => item.id === column.id)}
+                      disabled={column.id === 'title'}
+                      onChange={() => onToggleColumn(column.id)}
+                    />
+                    {column.label}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <GraphViewSelector currentView={currentView} onViewChange={onViewChange} />
+
+      {/* 표 */}
+      <div className="flex-1 min-h-0 overflow-auto px-4">
+        <table className="w-full border-collapse text-xs text-gray-200">
+          <thead className="sticky top-0 z-[1] bg-[#0a0a0a]">
+            <tr>
+              <th className="w-8" />
+              {columns.map((column) => {
+                const index = sortIndex(column.id);
+                const key = sort[index];
+                return (
+                  <th key={column.id} className="px-2 py-1.5 text-left font-semibold border-b border-white/10 whitespace-nowrap">
+                    <button
+                      className={`flex items-center gap-1 hover:text-white ${key ? 'text-teal-300' : 'text-gray-300'}`}
+                      onClick={(e) => onSortChange(toggleSortKey(sort, column.id, e.shiftKey))}
+                      title="클릭: 이 열로 정렬 · Shift+클릭: 정렬 기준 추가"
+                    >
+                      {column.label}
+                      {key && (
+                        <span className="text-[10px]">
+                          {key.direction === 'asc' ? '↑' : '↓'}
+                          {sort.length > 1 ? index + 1 : ''}
+                        </span>
+                      )}
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+            <tr>
+              <th className="border-b border-white/10" />
+              {columns.map((column) => (
+                <th key={column.id} className="px-1 py-1 border-b border-white/10 font-normal">
+                  <input
+                    className={`w-full min-w-[4rem] bg-black/40 border rounded px-1.5 py-0.5 text-[11px] focus:outline-none ${
+                      filters[column.id] ? 'border-teal-500/60' : 'border-white/10 focus:border-teal-500/50'
+                    }`}
+                    placeholder={isNumericColumn(column) ? '>= 3' : '필터'}
+                    value={filters[column.id] || ''}
+                    onChange={(e) => onFilterChange(column.id, e.target.value)}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map((row) => (
+              <tr
+                key={row.node.id}
+                className={`border-b border-white/5 hover:bg-white/5 ${row.node.id === selectedId ? 'bg-teal-500/10' : ''}`}
+              >
+                <td className="px-1 py-1 align-top">
+                  <button
+                    className="w-6 h-6 rounded text-gray-500 hover:text-teal-300 hover:bg-white/10"
+                    onClick={() => onOpenNode(row.node.id)}
+                    title="노트 열기"
+                  >
+                    ↗
+                  </button>
+                </td>
+                {columns.map((column) => (
+                  <td
+                    key={column.id}
+                    className={`px-2 py-1.5 align-top ${column.id === 'summary' ? 'min-w-[14rem] max-w-md' : 'max-w-xs'} ${
+                      column.editable && !isToggleColumn(column) ? 'cursor-text' : ''
+                    }`}
+                    onClick={() => {
+                      const id = cellId(row.node.id, column.id);
+                      if (column.editable && !isToggleColumn(column) && editing !== id) setEditing(id);
+                    }}
+                  >
+                    {renderCell(row, column)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {sortedRows.length === 0 && (
+          <div className="py-12 text-center text-sm text-gray-500">
+            {totalCount === 0 ? '노드가 없습니다.' : '필터에 맞는 노드가 없습니다.'}
+          </div>
+        )}
+      </div>
+
+      <div className="px-4 py-2 text-[11px] text-gray-500 border-t border-white/10">
+        셀을 클릭해서 편집 · 머리글 Shift+클릭으로 여러 열 정렬 · 숫자 열 필터는 &gt;= 3, &lt; 2000 같은 비교식 사용 가능 · 필터는 그래프에서도 맞지 않는 노드를 흐리게 표시
+      </div>
+    </div>
+  );
+}
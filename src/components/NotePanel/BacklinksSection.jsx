@@ -0,0 +1,191 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { groupIncomingLinks, findUnlinkedMentions, linkMentionInBlocks } from '../../utils/backlinks';
+import { BACKLINKS } from '../../constants/ui';
+
+const TYPE_LABEL = {
+  'based-on': 'Based On (기반)',
+  'cited-by': 'Cited By (인용)',
+  mention: 'Mention (언급)',
+};
+
+/**
+ * 🔗 백링크 섹션 (노트 패널 하단)
+ *
+ * 🎯 역할:
+ * - 이 노드로 들어오는 링크를 타입별로 표시 (링크 제목/설명 포함)
+ * - 다른 노트에서 제목을 링크 없이 언급한 곳 표시 (저장소의 모든 노트 검색)
+ * - "링크하기": 언급을 [[위키 링크]]로 바꿔 저장하고 mention 링크 추가
+ *
+ * 📦 Props:
+ * @param {Object} node - 현재 노드 { id, title }
+ * @param {Array} nodes - 전체 노드
+ * @param {Array} links - 전체 링크 (graph.links)
+ * @param {import('../../types').StorageAdapter} storage - 저장소 어댑터 (모든 노트 로드, 언급한 노트 수정)
+ * @param {Function} onOpenNode - (nodeId) 노트 제목 클릭 → 그래프에서 노드 선택
+ * @param {Function} onLinkMention - (sourceId, targetId) 언급을 링크로 바꾼 뒤 그래프 링크 추가
+ */
+export function BacklinksSection({ node, nodes, links, storage, onOpenNode, onLinkMention }) {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [records, setRecords] = useState(null); // Map<nodeId, 노트 레코드>, 로드 전 null
+  const [linkingKey, setLinkingKey] = useState(null);
+
+  // 모든 노트 로드 + 저장/삭제될 때마다 갱신
+  useEffect(() => {
+    let cancelled = false;
+    const changed = new Map();
+
+    const unsubscribe = storage.subscribeNoteChanges((nodeId, content) => {
+      changed.set(nodeId, content);
+      setRecords((prev) => {
+        if (!prev) return prev;
+        const next = new Map(prev);
+        if (content) next.set(nodeId, { id: nodeId, ...content });
+        else next.delete(nodeId);
+        return next;
+      });
+    });
+
+    storage.loadAllNotes()
+      .catch((error) => {
+        console.error('노트 목록 로드 실패:', error);
+        return [];
+      })
+      .then((list) => {
+        if (cancelled) return;
+        const next = new Map(list.map((record) => [record.id, record]));
+        // 로드 중에 저장된 노트는 최신 내용 유지
+        changed.forEach((content, nodeId) => {
+          if (content) next.set(nodeId, { id: nodeId, ...content });
+          else next.delete(nodeId);
+        });
+        setRecords(next);
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [storage]);
+
+  const incoming = useMemo(() => groupIncomingLinks(node.id, links, nodes), [node.id, links, nodes]);
+  const incomingCount = incoming.reduce((sum, group) => sum + group.items.length, 0);
+
+  const unlinked = useMemo(
+    () => (records ? findUnlinkedMentions(node, records, nodes, links) : []),
+    [node, records, nodes, links]
+  );
+
+  // 언급을 [[위키 링크]]로 바꾸고 그래프 링크 추가
+  const handleLinkMention = useCallback(async (sourceId, blockId) => {
+    setLinkingKey(`${sourceId}:${blockId}`);
+    try {
+      const content = await storage.loadBlockContent(sourceId);
+      const blocks = content?.blocks && linkMentionInBlocks(content.blocks, blockId, node, nodes);
+      if (!blocks) {
+        alert('언급을 찾을 수 없습니다. 노트 내용이 바뀌었는지 확인하세요.');
+        return;
+      }
+
+      await storage.saveBlockContent(sourceId, { ...content, blocks, updatedAt: Date.now() });
+      onLinkMention(sourceId, node.id);
+      console.log(`🔗 언급 링크: ${sourceId} → ${node.id}`);
+    } catch (error) {
+      console.error('언급 링크 실패:', error);
+      alert(`링크 실패: ${error.message}`);
+    } finally {
+      setLinkingKey(null);
+    }
+  }, [storage, node, nodes, onLinkMention]);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        className="flex items-center gap-2 text-sm font-semibold opacity-90 hover:opacity-100 text-left"
+        onClick={() => setIsExpanded((value) => !value)}
+      >
+        <span className="text-[10px] opacity-60">{isExpanded ? '▼' : '▶'}</span>
+        🔗 Backlinks
+        <span className="text-xs font-normal opacity-50">
+          {incomingCount} linked · {records ? `${unlinked.length} unlinked` : '…'}
+        </span>
+      </button>
+
+      {isExpanded && (
+        <div className="flex flex-col gap-3 text-xs">
+          {/* 들어오는 링크 */}
+          {incoming.length === 0 ? (
+            <div className="opacity-40">이 노트를 가리키는 링크가 없습니다.</div>
+          ) : (
+            incoming.map((group) => (
+              <div key={group.type} className="flex flex-col gap-1">
+                <div className="text-[10px] uppercase tracking-wide text-gray-500">
+                  {TYPE_LABEL[group.type] || group.type} · {group.items.length}
+                </div>
+                {group.items.map((item, index) => (
+                  <div key={`${item.source.id}:${index}`} className="bg-black/40 border border-white/10 rounded px-2 py-1.5">
+                    <button
+                      className="text-teal-300 hover:text-teal-200 hover:underline text-left"
+                      onClick={() => onOpenNode(item.source.id)}
+                      title="그래프에서 보기"
+                    >
+                      {item.source.title || item.source.id}
+                    </button>
+                    {item.title && <div className="mt-0.5 font-semibold opacity-80">{item.title}</div>}
+                    {item.description && <div className="mt-0.5 opacity-60 whitespace-pre-wrap">{item.description}</div>}
+                  </div>
+                ))}
+              </div>
+            ))
+          )}
+
+          {/* 링크되지 않은 언급 */}
+          <div className="flex flex-col gap-1">
+            <div className="text-[10px] uppercase tracking-wide text-gray-500">
+              Unlinked mentions (링크 없는 언급){records ? ` · ${unlinked.length}` : ''}
+            </div>
+            {!records ? (
+              <div className="opacity-40">🔄 노트 검색 중...</div>
+            ) : unlinked.length === 0 ? (
+              <div className="opacity-40">제목을 언급한 다른 노트가 없습니다.</div>
+            ) : (
+              unlinked.map(({ source, mentions }) => (
+                <div key={source.id} className="bg-black/40 border border-white/10 rounded px-2 py-1.5 flex flex-col gap-1">
+                  <button
+                    className="text-teal-300 hover:text-teal-200 hover:underline text-left"
+                    onClick={() => onOpenNode(source.id)}
+                    title="그래프에서 보기"
+                  >
+                    {source.title || source.id}
+                  </button>
+                  {mentions.slice(0, BACKLINKS.MAX_MENTIONS_PER_NOTE).map((mention, index) => {
+                    const key = `${source.id}:${mention.blockId}`;
+                    return (
+                      <div key={`${key}:${index}`} className="flex items-start gap-2">
+                        <div className="flex-1 min-w-0 opacity-70 break-words">
+                          {mention.snippet.before}
+                          <mark className="bg-yellow-500/30 text-inherit rounded px-0.5">{mention.snippet.match}</mark>
+                          {mention.snippet.after}
+                        </div>
+                        <button
+                          className="flex-shrink-0 px-2 py-0.5 rounded bg-teal-500/20 hover:bg-teal-500/40 text-teal-200 transition-colors disabled:opacity-40"
+                          onClick={() => handleLinkMention(source.id, mention.blockId)}
+                          disabled={linkingKey !== null}
+                          title="언급을 [[위키 링크]]로 바꾸고 그래프에 링크 추가"
+                        >
+                          {linkingKey === key ? '…' : 'Link it'}
+                        </button>
+                      </div>
+                    );
+                  })}
+                  {mentions.length > BACKLINKS.MAX_MENTIONS_PER_NOTE && (
+                    <div className="opacity-40">+{mentions.length - BACKLINKS.MAX_MENTIONS_PER_NOTE} more</div>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { diffBlocks, summarizeDiff } from '../../utils/blockDiff';
+import { BLOCK_TYPES } from '../../types/blocks';
+import { normalizeTableRows } from '../../utils/tableBlock';
+
+const CURRENT = 'current';
+
+const REASON_LABEL = {
+  auto: '자동 저장',
+  'before-restore': '복원 전 상태',
+  restore: '복원됨',
+};
+
+const STATUS_STYLE = {
+  added: { label: '추가', className: 'border-green-500/60 bg-green-500/10' },
+  removed: { label: '삭제', className: 'border-red-500/60 bg-red-500/10 line-through opacity-70' },
+  modified: { label: '수정', className: 'border-yellow-500/60 bg-yellow-500/5' },
+  moved: { label: '이동', className: 'border-blue-500/60 bg-blue-500/5' },
+  unchanged: { label: '', className: 'border-transparent opacity-40' },
+};
+
+/**
+ * 블록을 한 줄 미리보기 텍스트로 변환
+ */
+function blockPreview(block) {
+  switch (block.type) {
+    case BLOCK_TYPES.DIVIDER:
+      return '────────';
+    case BLOCK_TYPES.IMAGE:
+      return `🖼️ ${block.metadata?.fileName || 'image'}`;
+    case BLOCK_TYPES.FILE:
+      return `📎 ${block.metadata?.fileName || 'file'}`;
+    case BLOCK_TYPES.TABLE: {
+      const rows = normalizeTableRows(block.metadata?.rows);
+      const firstRow = rows[0].filter(Boolean).join(' | ');
+      return `▦ 표 ${rows.length}×${rows[0].length}${firstRow ? ` · ${firstRow}` : ''}`;
+    }
+    default:
+      return typeof block.content === 'string' && block.content.trim()
+        ? block.content
+        : '(빈 블록)';
+  }
+}
+
+const formatTime = (iso) => new Date(iso).toLocaleString('ko-KR', {
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * 🕘 노트 버전 기록 드로어
+ *
+ * 🎯 역할:
+ * - 노드의 버전 기록 목록 표시 (최신순)
+ * - 두 버전(또는 버전과 현재 내용) 사이의 블록 단위 diff
+ * - 선택한 버전으로 복원
+ *
+ * 📦 Props:
+ * @param {string} nodeId - 노드 ID
+ * @param {import('../../types').StorageAdapter} storage - 저장소 어댑터 (버전 기록 로드)
+ * @param {Array} currentBlocks - 에디터의 현재 블록
+ * @param {Function} onRestore - (revision) 선택한 버전으로 복원
+ * @param {Function} onClose - 드로어 닫기
+ */
+export function NoteHistoryDrawer({ nodeId, storage, currentBlocks, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(CURRENT);
+  const [loaded, setLoaded] = useState({});
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    const list = await storage.listRevisions(nodeId);
+    setRevisions(list);
+    setBaseId((prev) => prev ?? (list[1] || list[0])?.id ?? null);
+    setIsLoading(false);
+  }, [nodeId, storage]);
+
+  useEffect(() => {
+    setBaseId(null);
+    setCompareId(CURRENT);
+    setLoaded({});
+    refresh();
+  }, [refresh]);
+
+  // 선택한 버전의 블록 로드 (캐시)
+  useEffect(() => {
+    [baseId, compareId].forEach((id) => {
+      if (!id || id === CURRENT || loaded[id]) return;
+      storage.loadRevision(id).then((revision) => {
+        if (revision) setLoaded((prev) => ({ ...prev, [id]: revision }));
+      });
+    });
+  }, [baseId, compareId, loaded, storage]);
+
+  const blocksOf = (id) => (id === CURRENT ? currentBlocks : loaded[id]?.blocks);
+  const baseBlocks = blocksOf(baseId);
+  const compareBlocks = blocksOf(compareId);
+
+  const entries = useMemo(
+    () => (baseBlocks && compareBlocks ? diffBlocks(baseBlocks, compareBlocks) : null),
+    [baseBlocks, compareBlocks]
+  );
+  const summary = entries ? summarizeDiff(entries) : null;
+
+  const handleRestore = async (revisionId) => {
+    const revision = loaded[revisionId] || await storage.loadRevision(revisionId);
+    if (!revision) return;
+
+    const meta = revisions.find((r) => r.id === revisionId);
+    if (!window.confirm(`${formatTime(meta.updatedAt)} 버전으로 복원하시겠습니까?\n현재 내용은 버전 기록에 남습니다.`)) {
+      return;
+    }
+
+    await onRestore(revision);
+    setCompareId(CURRENT);
+    refresh();
+  };
+
+  return (
+    <div className="absolute inset-0 z-40 bg-[#0f0f10] flex flex-col">
+      {/* 헤더 */}
+      <div className="p-4 border-b border-white/10 flex items-center justify-between">
+        <div>
+          <div className="font-semibold">🕘 버전 기록</div>
+          <div className="text-xs text-white/50 mt-0.5">기록을 클릭하면 비교 기준(A)으로 선택됩니다</div>
+        </div>
+        <button
+          className="text-xs px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 transition-colors"
+          onClick={onClose}
+        >
+          Back
+        </button>
+      </div>
+
+      <div className="flex-1 flex min-h-0">
+        {/* 기록 목록 */}
+        <div className="w-48 flex-shrink-0 border-r border-white/10 overflow-y-auto">
+          {isLoading && <div className="p-3 text-xs text-white/40">Loading...</div>}
+          {!isLoading && revisions.length === 0 && (
+            <div className="p-3 text-xs text-white/40">저장된 버전이 없습니다</div>
+          )}
+          {revisions.map((revision) => (
+            <div
+              key={revision.id}
+              onClick={() => setBaseId(revision.id)}
+              className={`px-3 py-2 border-b border-white/5 cursor-pointer transition-colors ${
+                revision.id === baseId ? 'bg-teal-500/15' : 'hover:bg-white/5'
+              }`}
+            >
+              <div className="flex items-center justify-between text-xs">
+                <span className="font-medium">{formatTime(revision.updatedAt)}</span>
+                {revision.id === baseId && <span className="text-teal-400 font-bold">A</span>}
+                {revision.id === compareId && <span className="text-blue-400 font-bold">B</span>}
+              </div>
+              <div className="flex items-center justify-between mt-1 text-[11px] text-white/50">
+                <span>{REASON_LABEL[revision.reason] || revision.reason} · {revision.blockCount} blocks</span>
+              </div>
+              <div className="flex gap-1 mt-1.5">
+                <button
+                  onClick={(e) => { e.stopPropagation(); setCompareId(revision.id); }}
+                  className="text-[10px] px-1.5 py-0.5 rounded bg-white/10 hover:bg-white/20"
+                >
+                  B로 비교
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); handleRestore(revision.id); }}
+                  className="text-[10px] px-1.5 py-0.5 rounded bg-teal-500/20 text-teal-300 hover:bg-teal-500/30"
+                >
+                  복원
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Diff */}
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="px-4 py-2 border-b border-white/10 flex items-center gap-2 text-xs text-white/60">
+            <span className="text-teal-400 font-bold">A</span>
+            <span>{baseId ? formatTime(revisions.find((r) => r.id === baseId)?.updatedAt || '') : '-'}</span>
+            <span>→</span>
+            <span className="text-blue-400 font-bold">B</span>
+            <span>
+              {compareId === CURRENT
+                ? '현재 내용'
+                : formatTime(revisions.find((r) => r.id === compareId)?.updatedAt || '')}
+            </span>
+            {compareId !== CURRENT && (
+              <button
+                onClick={() => setCompareId(CURRENT)}
+                className="ml-auto text-[10px] px-1.5 py-0.5 rounded bg-white/10 hover:bg-white/20"
+              >
+                현재 내용과 비교
+              </button>
+            )}
+          </div>
+
+          {summary && (
+            <div className="px-4 py-2 flex gap-3 text-[11px] border-b border-white/10">
+              <span className="text-green-400">+{summary.added} 추가</span>
+              <span className="text-red-400">-{summary.removed} 삭제</span>
+              <span className="text-yellow-400">~{summary.modified} 수정</span>
+              <span className="text-blue-400">↕{summary.moved} 이동</span>
+            </div>
+          )}
+
+          <div className="flex-1 overflow-y-auto p-3 space-y-1">
+            {!entries && baseId && <div className="text-xs text-white/40">Loading...</div>}
+            {entries && entries.map((entry, index) => {
+              const style = STATUS_STYLE[entry.status];
+              const showBefore = entry.status === 'modified' || (entry.status === 'moved' && entry.changed);
+              return (
+                <div key={index} className={`border-l-2 pl-2 py-1 text-xs ${style.className}`}>
+                  {style.label && (
+                    <span className="text-[10px] uppercase tracking-wide text-white/50 mr-2">{style.label}</span>
+                  )}
+                  {showBefore && (
+                    <div className="text-red-300/80 line-through whitespace-pre-wrap break-words">
+                      {blockPreview(entry.before)}
+                    </div>
+                  )}
+                  <div className={`whitespace-pre-wrap break-words ${showBefore ? 'text-green-300' : ''}`}>
+                    {blockPreview(entry.after || entry.before)}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,19 +1,30 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { loadNoteDetail, saveNoteDetail, loadBlockContent, saveBlockContent } from '../../adapters/noteStorage';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { TagInput } from './Tag/TagInput';
+import { NoteHistoryDrawer } from './NoteHistoryDrawer';
+import { PdfViewerPane } from './PdfViewerPane';
+import { BacklinksSection } from './BacklinksSection';
+import { PropertiesSection } from './PropertiesSection';
 import { addTagToIndex } from '../../utils/tagHelpers';
+import { isValidNodeDate, normalizeNodeDate } from '../../utils/dateHelpers';
 import BlockEditor from '../BlockEditor/BlockEditor';
 import ErrorBoundary from '../BlockEditor/ErrorBoundary';
 import { migrateTextToBlocks, detectNoteVersion } from '../../utils/blockMigration';
-import { createEmptyNoteContent } from '../../utils/blockUtils';
+import { createEmptyNoteContent, createBlock, generateAttachmentId } from '../../utils/blockUtils';
+import { getPdfAttachments, getPdfHighlights, createPdfHighlightBlock } from '../../utils/pdfHighlights';
+import { BLOCK_TYPES } from '../../types/blocks';
+import { PDF_VIEWER } from '../../constants/ui';
 
 /**
  * 📝 노트 패널 컴포넌트
  * 
  * 🎯 역할:
- * - 선택된 노드의 요약(summary) + 태그(tags) + 상세 노트(detailedNote) 편집
+ * - 선택된 노드의 요약(summary) + 날짜(date) + 속성(properties) + 태그(tags) + 상세 노트(detailedNote) 편집
+ * - 속성: 속성 스키마에 정의된 타입별 값 (저자, 연도, 평점, 읽기 상태 등)
  * - 요약, 태그: localStorage (토글 메뉴에 표시)
  * - 상세 노트: IndexedDB (노트 패널에서만 로드)
+ * - 버전 기록: 상세 노트의 이전 버전 비교 및 복원
+ * - PDF 뷰어: 첨부한 PDF를 노트 옆에 띄우고 하이라이트를 인용구 블록으로 추가
+ * - 백링크: 이 노드로 들어오는 링크와 링크되지 않은 언급
  * 
  * 📦 Props:
  * @param {Object} selectedNote - 현재 선택된 노드 { id, title, summary, tags, group }
@@ -23,8 +34,18 @@ import { createEmptyNoteContent } from '../../utils/blockUtils';
  * @param {number} panelWidth - 패널 너비 (px)
  * @param {Function} setPanelWidth - 패널 너비 설정 함수
  * @param {Object} tagsIndex - 전체 태그 인덱스 (자동완성용)
+ * @param {import('../../types').StorageAdapter} storage - 저장소 어댑터 (블록 노트 로드/저장)
+ * @param {Array} nodes - 전체 노드 ([[위키 링크]] 자동완성/칩 표시용)
+ * @param {Array} links - 전체 링크 (백링크 표시용)
+ * @param {Function} onOpenNode - (nodeId) 위키 링크 칩 클릭 → 그래프에서 노드 선택
+ * @param {Function} onBlocksSaved - (nodeId, blocks) 블록 노트 저장 후 호출 (mention 링크 갱신)
+ * @param {Function} onLinkMention - (sourceId, targetId) 백링크의 언급을 링크로 바꾼 뒤 그래프 링크 추가
+ * @param {Array} propertySchema - 노드 속성 스키마 (graphStore.propertySchema)
+ * @param {Function} onAddPropertyDefinition - (definition) 속성 정의 추가
+ * @param {Function} onUpdatePropertyDefinition - (propertyId, patch) 속성 정의 수정
+ * @param {Function} onRemovePropertyDefinition - (propertyId) 사용자 속성 삭제
  */
-export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose, onChange, isOpen, panelWidth, setPanelWidth, tagsIndex = {} }) {
+export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose, onChange, isOpen, panelWidth, setPanelWidth, tagsIndex = {}, storage, nodes, links, onOpenNode, onBlocksSaved, onLinkMention, propertySchema, onAddPropertyDefinition, onUpdatePropertyDefinition, onRemovePropertyDefinition }) {
   // 제목 (title) - localStorage
   const [localTitle, setLocalTitle] = useState('');
   const [isEditingTitle, setIsEditingTitle] = useState(false);
@@ -32,6 +53,10 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
   // 요약 (summary) - localStorage
   const [localSummary, setLocalSummary] = useState('');
   
+  // 날짜 (date) - localStorage (타임라인 뷰 위치)
+  const [localDate, setLocalDate] = useState('');
+  const [dateError, setDateError] = useState(false);
+  
   // 태그 (tags) - localStorage
   const [localTags, setLocalTags] = useState({});
   
@@ -49,6 +74,17 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
   // 리사이징 상태
   const [isResizing, setIsResizing] = useState(false);
   
+  // 버전 기록 드로어
+  const [showHistory, setShowHistory] = useState(false);
+  
+  // PDF 뷰어 (표시 중인 PDF, 인용구에서 요청한 이동 위치)
+  const [showPdf, setShowPdf] = useState(false);
+  const [activePdfId, setActivePdfId] = useState(null);
+  const [pdfFocus, setPdfFocus] = useState(null);
+  
+  // 복원 시 BlockEditor를 새 블록으로 다시 마운트하기 위한 키
+  const [editorRevision, setEditorRevision] = useState(0);
+  
   // BlockEditor ref
   const blockEditorRef = useRef(null);
 
@@ -84,12 +120,12 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
     };
   }, [isResizing, setPanelWidth]);
 
-  // IndexedDB에서 상세 노트 로드 (자동 마이그레이션 포함)
+  // 저장소(IndexedDB 또는 원격 서버)에서 상세 노트 로드 (자동 마이그레이션 포함)
   const loadDetailedNote = async (nodeId) => {
     setIsLoading(true);
     try {
       // Try loading block content first
-      const blockContent = await loadBlockContent(nodeId);
+      const blockContent = await storage.loadBlockContent(nodeId);
       
       if (blockContent && blockContent.blocks) {
         // New block format
@@ -98,7 +134,7 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
         console.log(`📖 블록 노트 로드: ${nodeId}`);
       } else {
         // Try loading legacy text content
-        const legacyContent = await loadNoteDetail(nodeId);
+        const legacyContent = await storage.loadNoteDetail(nodeId);
         
         if (legacyContent && legacyContent.trim()) {
           // Migrate legacy text to blocks
@@ -107,7 +143,7 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
           setNoteFormat('blocks');
           
           // Auto-save migrated content
-          await saveBlockContent(nodeId, migratedContent);
+          await storage.saveBlockContent(nodeId, migratedContent);
           console.log(`📖 레거시 노트 마이그레이션: ${nodeId}`);
         } else {
           // Empty note
@@ -136,13 +172,34 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
       // 요약 로드 (localStorage에서 이미 로드됨)
       setLocalSummary(selectedNote.summary || '');
       
+      // 날짜 로드
+      setLocalDate(selectedNote.date || '');
+      setDateError(false);
+      
       // 태그 로드 (localStorage)
       setLocalTags(selectedNote.tags || {});
       
-      // 상세 노트 로드 (IndexedDB에서 Lazy Loading)
+      // 상세 노트 로드 (IndexedDB/원격에서 Lazy Loading)
       loadDetailedNote(selectedNote.id);
     }
-  }, [selectedNote, isOpen]);
+  }, [selectedNote, isOpen, storage]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // 다른 노드로 바뀌면 버전 기록 닫기, PDF 뷰어는 새 노드의 첫 PDF로
+  useEffect(() => {
+    setShowHistory(false);
+    setActivePdfId(null);
+    setPdfFocus(null);
+  }, [selectedNote?.id]);
+
+  // 노트에 첨부된 PDF (파일 블록) / 표시 중인 PDF의 하이라이트 (인용구 블록)
+  const pdfFiles = useMemo(() => getPdfAttachments(blocks), [blocks]);
+  const currentPdfId = pdfFiles.some((file) => file.fileId === activePdfId)
+    ? activePdfId
+    : pdfFiles[0]?.fileId || null;
+  const pdfHighlights = useMemo(
+    () => (currentPdfId ? getPdfHighlights(blocks, currentPdfId) : []),
+    [blocks, currentPdfId]
+  );
 
   // 제목 변경 핸들러 (localStorage)
   const handleTitleChange = (e) => {
@@ -183,6 +240,29 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
     setLastSaved(new Date());
   };
 
+  // 날짜 수정 완료 (형식이 맞을 때만 저장, 비우면 날짜 제거)
+  const handleDateBlur = () => {
+    if (!isValidNodeDate(localDate)) {
+      setDateError(true);
+      return;
+    }
+    const normalized = normalizeNodeDate(localDate);
+    setLocalDate(normalized);
+    setDateError(false);
+    if (normalized !== (selectedNote.date || '')) {
+      onChange(selectedNote.id, { date: normalized || undefined });
+      setSaveStatus('saved');
+      setLastSaved(new Date());
+    }
+  };
+
+  // 속성 변경 핸들러 (localStorage) - 값은 PropertiesSection에서 타입별로 검사
+  const handlePropertiesChange = (properties) => {
+    onChange(selectedNote.id, { properties });
+    setSaveStatus('saved');
+    setLastSaved(new Date());
+  };
+
   // 태그 변경 핸들러 (localStorage)
   const handleTagsChange = (newTags) => {
     setLocalTags(newTags);
@@ -211,15 +291,16 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
         updatedAt: Date.now()
       };
       
-      await saveBlockContent(selectedNote.id, content);
+      await storage.saveBlockContent(selectedNote.id, content);
       setSaveStatus('saved');
       setLastSaved(new Date());
       console.log(`💾 블록 노트 저장: ${selectedNote.id}`, newBlocks.length, 'blocks');
+      onBlocksSaved?.(selectedNote.id, newBlocks);
     } catch (error) {
       console.error('블록 노트 저장 실패:', error);
       setSaveStatus('error');
     }
-  }, [selectedNote]);
+  }, [selectedNote, storage, onBlocksSaved]);
 
   // 블록 변경 핸들러 (IndexedDB)
   const handleBlocksChange = useCallback((newBlocks) => {
@@ -236,6 +317,70 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
     }, 500);
   }, [saveBlocks]);
 
+  // 버전 복원 핸들러
+  const handleRestoreRevision = useCallback(async (revision) => {
+    if (!selectedNote) return;
+    
+    // 대기 중인 자동 저장 취소 (복원 내용을 덮어쓰지 않도록)
+    if (window.blockSaveTimer) {
+      clearTimeout(window.blockSaveTimer);
+    }
+    
+    try {
+      // 현재 상태와 복원 상태를 각각 기록 → 복원도 되돌릴 수 있음
+      await storage.recordRevision(selectedNote.id, { version: '2.0', blocks }, { reason: 'before-restore', force: true });
+      await storage.recordRevision(selectedNote.id, { version: revision.version, blocks: revision.blocks }, { reason: 'restore', force: true });
+    } catch (error) {
+      console.error('버전 기록 실패:', error);
+    }
+    
+    setBlocks(revision.blocks);
+    setEditorRevision((v) => v + 1);
+    await saveBlocks(revision.blocks);
+  }, [selectedNote, storage, blocks, saveBlocks]);
+
+  // PDF 하이라이트 → 인용구 블록 (포커스된 블록 다음에 추가)
+  const handlePdfHighlight = useCallback((highlight) => {
+    blockEditorRef.current?.insertBlockAtCursor(createPdfHighlightBlock(highlight));
+  }, []);
+
+  // PDF 첨부 → 파일 블록으로 추가 (노트가 참조해야 첨부파일 정리에서 지워지지 않음)
+  const handleAttachPdf = useCallback(async (file) => {
+    if (!selectedNote || !blockEditorRef.current) return;
+    if (file.type !== 'application/pdf' && !/\.pdf$/i.test(file.name)) {
+      alert('PDF 파일만 첨부할 수 있습니다.');
+      return;
+    }
+
+    try {
+      const fileId = generateAttachmentId();
+      const mimeType = 'application/pdf';
+      await storage.saveAttachment(selectedNote.id, fileId, file, file.name, mimeType);
+      blockEditorRef.current?.insertBlockAtCursor(createBlock(BLOCK_TYPES.FILE, fileId, {
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType,
+        uploadedAt: Date.now()
+      }));
+      setActivePdfId(fileId);
+      console.log(`📄 PDF 첨부: ${file.name}`);
+    } catch (error) {
+      console.error('PDF 첨부 실패:', error);
+      alert(`PDF 저장 실패: ${error.message}`);
+    }
+  }, [selectedNote, storage]);
+
+  // 인용구의 페이지 배지 클릭 → PDF 뷰어에서 하이라이트 위치로 이동
+  const handleOpenPdfHighlight = useCallback((blockId, highlight) => {
+    if (!pdfFiles.some((file) => file.fileId === highlight.fileId)) {
+      alert(`'${highlight.fileName}' PDF가 이 노트에 첨부되어 있지 않습니다. 파일 블록이 삭제되었는지 확인하세요.`);
+      return;
+    }
+    setShowPdf(true);
+    setActivePdfId(highlight.fileId);
+    setPdfFocus({ ...highlight, blockId, requestId: Date.now() });
+  }, [pdfFiles]);
+
   // 패널이 닫혀있으면 렌더링하지 않음
   if (!isOpen || !selectedNote) {
     return null;
@@ -258,6 +403,22 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
           background: isResizing ? 'rgba(20, 184, 166, 0.5)' : 'transparent'
         }}
       />
+
+      {/* PDF 뷰어 (패널 왼쪽) */}
+      {showPdf && (
+        <PdfViewerPane
+          storage={storage}
+          files={pdfFiles}
+          activeFileId={currentPdfId}
+          onSelectFile={setActivePdfId}
+          highlights={pdfHighlights}
+          focusTarget={pdfFocus}
+          onHighlight={handlePdfHighlight}
+          onAttach={handleAttachPdf}
+          onClose={() => setShowPdf(false)}
+          width={Math.max(0, Math.min(PDF_VIEWER.DEFAULT_WIDTH, window.innerWidth - panelWidth - 40))}
+        />
+      )}
       
       <div className="h-full flex flex-col">
         {/* 헤더 */}
@@ -285,6 +446,22 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
               </div>
             )}
           </div>
+          <button 
+            className={`text-xs px-3 py-1.5 mr-2 rounded transition-colors flex-shrink-0 ${
+              showPdf ? 'bg-teal-500/30 hover:bg-teal-500/40' : 'bg-white/10 hover:bg-white/20'
+            }`}
+            onClick={() => setShowPdf((value) => !value)}
+            title="PDF 뷰어"
+          >
+            📄 PDF
+          </button>
+          <button 
+            className="text-xs px-3 py-1.5 mr-2 rounded bg-white/10 hover:bg-white/20 transition-colors flex-shrink-0"
+            onClick={() => setShowHistory(true)}
+            title="버전 기록"
+          >
+            🕘 History
+          </button>
           <button 
             className="text-xs px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 transition-colors flex-shrink-0"
             onClick={onClose}
@@ -308,6 +485,43 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
             />
           </div>
 
+          {/* 날짜 입력란 (localStorage) - 타임라인 뷰 */}
+          <div className="flex items-center gap-2">
+            <label className="text-xs font-semibold opacity-90 flex-shrink-0">
+              📅 Date
+            </label>
+            <input
+              className={`flex-1 bg-black/40 border rounded px-2 py-1 text-xs focus:outline-none transition-colors ${
+                dateError ? 'border-red-500/70' : 'border-white/10 focus:border-teal-500/50'
+              }`}
+              placeholder="YYYY, YYYY-MM 또는 YYYY-MM-DD (비우면 노트 생성일)"
+              value={localDate}
+              onChange={(e) => {
+                setLocalDate(e.target.value);
+                setDateError(false);
+              }}
+              onBlur={handleDateBlur}
+              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            />
+          </div>
+          {dateError && (
+            <div className="text-[11px] text-red-400 -mt-2">날짜 형식이 올바르지 않습니다 (예: 2017, 2017-06, 2017-06-12)</div>
+          )}
+
+          {/* 구분선 */}
+          <div className="border-t border-white/10"></div>
+
+          {/* 속성 (localStorage) - 속성 스키마의 타입별 편집기 */}
+          <PropertiesSection
+            node={selectedNote}
+            nodes={nodes}
+            schema={propertySchema}
+            onChange={handlePropertiesChange}
+            onAddDefinition={onAddPropertyDefinition}
+            onUpdateDefinition={onUpdatePropertyDefinition}
+            onRemoveDefinition={onRemovePropertyDefinition}
+          />
+
           {/* 구분선 */}
           <div className="border-t border-white/10"></div>
 
@@ -362,7 +576,7 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
                 </div>
               ) : (
                 <ErrorBoundary
-                  key={selectedNote.id}
+                  key={`${selectedNote.id}:${editorRevision}`}
                   onReset={() => {
                     // Reload blocks on error
                     loadDetailedNote(selectedNote.id);
@@ -374,20 +588,49 @@ export const NotePanel = React.memo(function NotePanel({ selectedNote, onClose,
                 >
                   <BlockEditor
                     ref={blockEditorRef}
-                    key={selectedNote.id}
+                    key={`${selectedNote.id}:${editorRevision}`}
                     initialBlocks={blocks}
                     onChange={handleBlocksChange}
                     readOnly={false}
+                    nodeId={selectedNote.id}
+                    storage={storage}
+                    onOpenPdfHighlight={handleOpenPdfHighlight}
+                    linkableNodes={nodes}
+                    onOpenNode={onOpenNode}
                   />
                 </ErrorBoundary>
               )}
             </div>
             <div className="text-xs opacity-50 mt-1">
-              💡 &quot;/&quot; 입력으로 블록 타입 선택 | 드래그로 순서 변경 | ⚡ 자동 저장
+              💡 &quot;/&quot; 입력으로 블록 타입 선택 | [[ 입력으로 노트 링크 | Ctrl+B/I/E, $수식$ 인라인 서식 | 드래그로 순서 변경 | ⚡ 자동 저장
             </div>
           </div>
+
+          {/* 구분선 */}
+          <div className="border-t border-white/10"></div>
+
+          {/* 백링크 (들어오는 링크 + 링크되지 않은 언급) */}
+          <BacklinksSection
+            node={selectedNote}
+            nodes={nodes}
+            links={links}
+            storage={storage}
+            onOpenNode={onOpenNode}
+            onLinkMention={onLinkMention}
+          />
         </div>
 
+        {/* 버전 기록 드로어 */}
+        {showHistory && (
+          <NoteHistoryDrawer
+            nodeId={selectedNote.id}
+            storage={storage}
+            currentBlocks={blocks}
+            onRestore={handleRestoreRevision}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
         {/* 푸터 */}
         <div className="px-4 py-2 border-t border-white/10 bg-black/20">
           <div className="flex items-center justify-between text-xs opacity-50">
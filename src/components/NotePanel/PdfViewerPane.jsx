@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useMeasure } from '../../hooks/useMeasure';
+import { PDF_VIEWER } from '../../constants/ui';
+import { normalizeSelectionRects } from '../../utils/pdfHighlights';
+
+// pdfjs는 뷰어를 처음 열 때 불러옴 (별도 청크)
+const loadPdfModule = () => import('../../utils/pdfDocument');
+
+const PAGE_PADDING = 16;
+
+/**
+ * PDF 페이지 하나 (스크롤 영역 근처에 오면 렌더링)
+ */
+const PdfPage = React.memo(function PdfPage({ pdfModule, pdf, pageNumber, size, scale, highlights, flashBlockId, rootRef }) {
+  const pageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const renderedScaleRef = useRef(null);
+  const [isNear, setIsNear] = useState(false);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      ([entry]) => setIsNear(entry.isIntersecting),
+      { root: rootRef.current, rootMargin: PDF_VIEWER.RENDER_MARGIN }
+    );
+    observer.observe(pageRef.current);
+    return () => observer.disconnect();
+  }, [rootRef]);
+
+  useEffect(() => {
+    if (!isNear || renderedScaleRef.current === scale) return;
+    let cancelled = false;
+
+    const task = pdfModule.renderPdfPage(pdf, pageNumber, {
+      canvas: canvasRef.current,
+      textLayer: textLayerRef.current,
+      scale,
+    });
+    task.promise
+      .then(() => {
+        if (!cancelled) renderedScaleRef.current = scale;
+      })
+      .catch((error) => {
+        if (!cancelled) console.error('PDF 페이지 렌더링 실패:', pageNumber, error);
+      });
+
+    return () => {
+      cancelled = true;
+      task.cancel();
+    };
+  }, [pdfModule, pdf, pageNumber, scale, isNear]);
+
+  return (
+    <div
+      ref={pageRef}
+      data-pdf-page={pageNumber}
+      className="pdf-page relative mx-auto bg-white shadow-lg"
+      style={{
+        width: `${size.width * scale}px`,
+        height: `${size.height * scale}px`,
+        '--scale-factor': scale,
+      }}
+    >
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+
+      {/* 저장된 하이라이트 (페이지 대비 비율 → 확대해도 위치 유지) */}
+      <div className="absolute inset-0 pointer-events-none">
+        {highlights.map(({ blockId, rects }) =>
+          rects.map((rect, index) => (
+            <div
+              key={`${blockId}:${index}`}
+              className={`absolute mix-blend-multiply transition-colors ${
+                blockId === flashBlockId ? 'bg-orange-400/70 animate-pulse' : 'bg-yellow-300/50'
+              }`}
+              style={{
+                left: `${rect.x * 100}%`,
+                top: `${rect.y * 100}%`,
+                width: `${rect.width * 100}%`,
+                height: `${rect.height * 100}%`,
+              }}
+            />
+          ))
+        )}
+      </div>
+
+      <div ref={textLayerRef} className="textLayer" />
+    </div>
+  );
+});
+
+/**
+ * 📄 PDF 뷰어 창 (노트 패널 왼쪽)
+ *
+ * 🎯 역할:
+ * - 노드에 첨부된 PDF 표시 (첨부파일 저장소에서 로드, 보이는 페이지만 렌더링)
+ * - 텍스트를 선택하고 Highlight → 페이지/위치가 담긴 인용구 블록 생성 (onHighlight)
+ * - 저장된 하이라이트 표시, 인용구에서 이동 요청이 오면 해당 위치로 스크롤 후 강조
+ *
+ * 📦 Props:
+ * @param {import('../../types').StorageAdapter} storage - 저장소 어댑터 (PDF 첨부파일 로드)
+ * @param {Array<{fileId: string, fileName: string}>} files - 노드에 첨부된 PDF 목록
+ * @param {string|null} activeFileId - 표시 중인 PDF
+ * @param {Function} onSelectFile - (fileId) 다른 PDF 선택
+ * @param {Array<{blockId: string, page: number, rects: Array}>} highlights - 표시 중인 PDF의 하이라이트
+ * @param {Object|null} focusTarget - 이동할 하이라이트 { fileId, blockId, page, rects, requestId }
+ * @param {Function} onHighlight - ({ fileId, fileName, page, rects, text }) 선택 영역 하이라이트
+ * @param {Function} onAttach - (file) PDF 파일 첨부
+ * @param {Function} onClose - 뷰어 닫기
+ * @param {number} width - 창 너비 (px)
+ */
+export const PdfViewerPane = React.memo(function PdfViewerPane({
+  storage,
+  files,
+  activeFileId,
+  onSelectFile,
+  highlights,
+  focusTarget,
+  onHighlight,
+  onAttach,
+  onClose,
+  width,
+}) {
+  const [scrollRef, scrollSize] = useMeasure();
+  const fileInputRef = useRef(null);
+
+  // { fileId, status: 'loading' | 'ready' | 'missing' | 'error', pdfModule, pdf, pageSizes }
+  const [doc, setDoc] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [selection, setSelection] = useState(null); // { page, text, rects }
+  const [flashBlockId, setFlashBlockId] = useState(null);
+
+  const activeFile = files.find((file) => file.fileId === activeFileId) || null;
+
+  // PDF 로드 (파일이 바뀌면 이전 문서 정리)
+  useEffect(() => {
+    if (!activeFileId || !storage) return;
+    let cancelled = false;
+    let pdf = null;
+
+    setDoc({ fileId: activeFileId, status: 'loading' });
+    (async () => {
+      const blob = await storage.loadAttachment(activeFileId);
+      if (cancelled) return;
+      if (!blob) {
+        setDoc({ fileId: activeFileId, status: 'missing' });
+        return;
+      }
+
+      const pdfModule = await loadPdfModule();
+      if (cancelled) return;
+      pdf = await pdfModule.openPdfDocument(blob);
+      if (cancelled) {
+        pdf.destroy();
+        return;
+      }
+      const pageSizes = await pdfModule.getPageSizes(pdf);
+      if (!cancelled) setDoc({ fileId: activeFileId, status: 'ready', pdfModule, pdf, pageSizes });
+    })().catch((error) => {
+      if (cancelled) return;
+      console.error('PDF 로드 실패:', activeFileId, error);
+      setDoc({ fileId: activeFileId, status: 'error' });
+    });
+
+    return () => {
+      cancelled = true;
+      pdf?.destroy();
+    };
+  }, [storage, activeFileId]);
+
+  const isReady = doc?.status === 'ready' && doc.fileId === activeFileId;
+
+  // 폭 맞춤 배율 × 확대 비율
+  const maxPageWidth = isReady ? Math.max(...doc.pageSizes.map((size) => size.width)) : 0;
+  const fitScale = maxPageWidth && scrollSize.width
+    ? Math.max(0.1, (scrollSize.width - PAGE_PADDING * 2) / maxPageWidth)
+    : 1;
+  const scale = Math.round(fitScale * zoom * 1000) / 1000;
+
+  // 텍스트 선택 추적 (PDF 페이지 안에서 시작한 선택만)
+  useEffect(() => {
+    const handleSelectionChange = () => {
+      const current = window.getSelection();
+      if (!current || current.isCollapsed || current.rangeCount === 0) {
+        setSelection(null);
+        return;
+      }
+
+      const range = current.getRangeAt(0);
+      const startNode = range.startContainer;
+      const startElement = startNode.nodeType === Node.ELEMENT_NODE ? startNode : startNode.parentElement;
+      const pageElement = startElement?.closest('[data-pdf-page]');
+      const text = current.toString().replace(/\s+/g, ' ').trim();
+      if (!pageElement || !scrollRef.current?.contains(pageElement) || !text) {
+        setSelection(null);
+        return;
+      }
+
+      const rects = normalizeSelectionRects(Array.from(range.getClientRects()), pageElement.getBoundingClientRect());
+      setSelection(rects.length > 0 ? { page: Number(pageElement.dataset.pdfPage), text, rects } : null);
+    };
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [scrollRef]);
+
+  const handleHighlight = useCallback(() => {
+    if (!selection || !activeFile) return;
+    onHighlight({ fileId: activeFile.fileId, fileName: activeFile.fileName, ...selection });
+    window.getSelection()?.removeAllRanges();
+    setSelection(null);
+  }, [selection, activeFile, onHighlight]);
+
+  // 인용구에서 이동 요청 → 하이라이트 위치로 스크롤 + 잠시 강조
+  useEffect(() => {
+    if (!focusTarget || !isReady || focusTarget.fileId !== activeFileId) return;
+
+    const container = scrollRef.current;
+    const pageElement = container?.querySelector(`[data-pdf-page="${focusTarget.page}"]`);
+    if (!pageElement) return;
+
+    const firstRect = focusTarget.rects?.[0];
+    const offset = firstRect ? firstRect.y * pageElement.offsetHeight : 0;
+    container.scrollTo({
+      top: Math.max(0, pageElement.offsetTop + offset - container.clientHeight / 3),
+      behavior: 'smooth',
+    });
+
+    setFlashBlockId(focusTarget.blockId);
+    const timer = setTimeout(() => setFlashBlockId(null), PDF_VIEWER.FLASH_DURATION);
+    return () => clearTimeout(timer);
+  }, [focusTarget, isReady, activeFileId, scrollRef]);
+
+  const changeZoom = (factor) => {
+    setZoom((value) => Math.min(PDF_VIEWER.MAX_ZOOM, Math.max(PDF_VIEWER.MIN_ZOOM, value * factor)));
+  };
+
+  const renderBody = () => {
+    if (files.length === 0) {
+      return (
+        <div className="h-full flex flex-col items-center justify-center gap-3 text-center text-white/50 text-xs px-6">
+          <div className="text-4xl">📄</div>
+          <div>이 노드에 첨부된 PDF가 없습니다</div>
+          <button
+            className="px-3 py-1.5 rounded bg-white/10 hover:bg-white/20 text-white/80 transition-colors"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            PDF 첨부하기
+          </button>
+        </div>
+      );
+    }
+
+    if (!isReady) {
+      const status = doc?.fileId === activeFileId ? doc.status : 'loading';
+      return (
+        <div className="h-full flex items-center justify-center text-center text-xs px-6">
+          {status === 'loading' && <span className="text-blue-400">🔄 PDF 불러오는 중...</span>}
+          {status === 'missing' && (
+            <span className="text-red-300">
+              첨부파일을 찾을 수 없습니다. 노트의 파일 블록에서 다시 첨부하세요.
+            </span>
+          )}
+          {status === 'error' && <span className="text-red-300">PDF를 열 수 없습니다.</span>}
+        </div>
+      );
+    }
+
+    return (
+      <div className="flex flex-col py-4" style={{ gap: `${PDF_VIEWER.PAGE_GAP}px` }}>
+        {doc.pageSizes.map((size, index) => {
+          const pageNumber = index + 1;
+          return (
+            <PdfPage
+              key={`${doc.fileId}:${pageNumber}`}
+              pdfModule={doc.pdfModule}
+              pdf={doc.pdf}
+              pageNumber={pageNumber}
+              size={size}
+              scale={scale}
+              highlights={highlights.filter((highlight) => highlight.page === pageNumber)}
+              flashBlockId={flashBlockId}
+              rootRef={scrollRef}
+            />
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="absolute top-0 right-full h-full flex flex-col bg-[#0f0f10] border-l border-white/10 shadow-2xl"
+      style={{ width: `${width}px` }}
+    >
+      {/* 헤더 */}
+      <div className="px-3 py-2 border-b border-white/10 flex items-center gap-2 text-xs">
+        {files.length > 1 ? (
+          <select
+            className="flex-1 min-w-0 bg-black/40 border border-white/10 rounded px-2 py-1 focus:outline-none focus:border-teal-500/50"
+            value={activeFileId || ''}
+            onChange={(e) => onSelectFile(e.target.value)}
+          >
+            {files.map((file) => (
+              <option key={file.fileId} value={file.fileId}>{file.fileName}</option>
+            ))}
+          </select>
+        ) : (
+          <div className="flex-1 min-w-0 truncate font-semibold" title={activeFile?.fileName}>
+            📄 {activeFile?.fileName || 'PDF'}
+          </div>
+        )}
+
+        {isReady && (
+          <div className="flex items-center gap-1 flex-shrink-0">
+            <button
+              className="w-6 h-6 rounded bg-white/10 hover:bg-white/20 transition-colors"
+              onClick={() => changeZoom(1 / PDF_VIEWER.ZOOM_STEP)}
+              title="축소"
+            >
+              −
+            </button>
+            <button
+              className="px-1.5 h-6 rounded hover:bg-white/10 transition-colors tabular-nums opacity-70"
+              onClick={() => setZoom(1)}
+              title="폭 맞춤"
+            >
+              {Math.round(zoom * 100)}%
+            </button>
+            <button
+              className="w-6 h-6 rounded bg-white/10 hover:bg-white/20 transition-colors"
+              onClick={() => changeZoom(PDF_VIEWER.ZOOM_STEP)}
+              title="확대"
+            >
+              +
+            </button>
+          </div>
+        )}
+
+        <button
+          className="px-2 py-1 rounded bg-yellow-400/20 hover:bg-yellow-400/30 text-yellow-200 transition-colors flex-shrink-0 disabled:opacity-30 disabled:cursor-not-allowed"
+          // 버튼을 눌러도 텍스트 선택이 풀리지 않게
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={handleHighlight}
+          disabled={!selection}
+          title={selection ? `p. ${selection.page} 선택 영역을 인용구로 추가` : 'PDF에서 텍스트를 선택하세요'}
+        >
+          🖍️ Highlight
+        </button>
+        <button
+          className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 transition-colors flex-shrink-0"
+          onClick={() => fileInputRef.current?.click()}
+          title="PDF 첨부"
+        >
+          📎
+        </button>
+        <button
+          className="w-6 h-6 flex items-center justify-center rounded-full hover:bg-white/10 transition-colors text-white/70 hover:text-white flex-shrink-0"
+          onClick={onClose}
+          aria-label="Close"
+        >
+          ✕
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/pdf,.pdf"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) onAttach(file);
+          }}
+        />
+      </div>
+
+      {/* 페이지 */}
+      <div ref={scrollRef} className="relative flex-1 min-h-0 overflow-auto bg-black/40">
+        {renderBody()}
+      </div>
+    </div>
+  );
+});
@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react';
+import {
+  PROPERTY_TYPES,
+  PROPERTY_TYPE_LABELS,
+  createPropertyId,
+  createPropertyOptions,
+  getPropertyValue,
+  setPropertyValue,
+} from '../../utils/nodeProperties';
+import { PropertyEditor, PROPERTY_INPUT_CLASS as INPUT_CLASS } from '../PropertyEditor';
+
+/**
+ * 속성 관리 행: 이름 변경, 선택지 편집(쉼표 구분), 삭제 (사용자 속성만)
+ */
+function PropertyDefinitionRow({ definition, usedCount, onUpdate, onRemove }) {
+  const [name, setName] = useState(definition.name);
+  const optionText = (definition.options || []).map((option) => option.label).join(', ');
+  const [options, setOptions] = useState(optionText);
+
+  useEffect(() => setName(definition.name), [definition.name]);
+  useEffect(() => setOptions(optionText), [optionText]);
+
+  const commitName = () => {
+    const trimmed = name.trim();
+    if (!trimmed) setName(definition.name);
+    else if (trimmed !== definition.name) onUpdate(definition.id, { name: trimmed });
+  };
+
+  const commitOptions = () => {
+    const next = createPropertyOptions(options.split(','), definition.options);
+    const removed = (definition.options || []).filter((option) => !next.some((item) => item.value === option.value));
+    if (next.map((option) => option.label).join(', ') === optionText) return;
+    if (removed.length > 0 && !window.confirm(
+      `선택지 "${removed.map((option) => option.label).join('", "')}"을(를) 지우면 이 값을 가진 노드에서 값이 삭제됩니다. 계속하시겠습니까?`
+    )) {
+      setOptions(optionText);
+      return;
+    }
+    onUpdate(definition.id, { options: next });
+  };
+
+  return (
+    <div className="flex flex-col gap-1 bg-black/30 border border-white/10 rounded px-2 py-1.5">
+      <div className="flex items-center gap-2">
+        <input
+          className={`flex-1 min-w-0 ${INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        />
+        <span className="flex-shrink-0 text-[10px] opacity-50">
+          {PROPERTY_TYPE_LABELS[definition.type]} · {usedCount}개 노드
+        </span>
+        {definition.builtIn ? (
+          <span className="flex-shrink-0 w-5 text-center text-[10px] opacity-30" title="기본 속성은 삭제할 수 없습니다">🔒</span>
+        ) : (
+          <button
+            className="flex-shrink-0 w-5 opacity-50 hover:opacity-100 hover:text-red-400"
+            onClick={() => onRemove(definition)}
+            title="속성 삭제"
+          >
+            🗑
+          </button>
+        )}
+      </div>
+      {definition.type === PROPERTY_TYPES.SELECT && (
+        <input
+          className={`${INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+          placeholder="선택지 (쉼표로 구분)"
+          value={options}
+          onChange={(e) => setOptions(e.target.value)}
+          onBlur={commitOptions}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * 🗂️ 속성 섹션 (노트 패널, 날짜와 태그 사이)
+ *
+ * 🎯 역할:
+ * - 속성 스키마의 모든 속성을 타입별 편집기로 표시 (저자, 연도, 학회, DOI, URL, 평점, 읽기 상태, 읽은 날 + 사용자 속성)
+ * - 값은 타입별로 검사한 뒤 node.properties에 저장 (잘못된 값은 저장하지 않고 오류 표시)
+ * - "+ 속성 추가": 이름과 타입(선택은 선택지 포함)으로 새 속성 정의
+ * - "관리": 속성 이름 변경, 선택지 편집, 사용자 속성 삭제 (모든 노드의 값도 삭제)
+ *
+ * 📦 Props:
+ * @param {Object} node - 현재 노드 { id, properties }
+ * @param {Array} nodes - 전체 노드 (속성별 사용 노드 수)
+ * @param {import('../../utils/nodeProperties').PropertyDefinition[]} schema - 속성 스키마
+ * @param {Function} onChange - (properties) 새 properties 객체 저장
+ * @param {Function} onAddDefinition - (definition) 속성 정의 추가
+ * @param {Function} onUpdateDefinition - (propertyId, patch) 속성 정의 수정
+ * @param {Function} onRemoveDefinition - (propertyId) 사용자 속성 삭제
+ */
+export function PropertiesSection({ node, nodes, schema, onChange, onAddDefinition, onUpdateDefinition, onRemoveDefinition }) {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [isManaging, setIsManaging] = useState(false);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newType, setNewType] = useState(PROPERTY_TYPES.TEXT);
+  const [newOptions, setNewOptions] = useState('');
+
+  const values = schema.map((definition) => getPropertyValue(node, definition));
+  const filledCount = values.filter((value) => value !== undefined).length;
+
+  const countNodesWith = (definition) => nodes.filter((item) => getPropertyValue(item, definition) !== undefined).length;
+
+  const handleCommit = (definition, value) => {
+    onChange(setPropertyValue(node.properties, definition.id, value));
+  };
+
+  const resetAddForm = () => {
+    setShowAddForm(false);
+    setNewName('');
+    setNewType(PROPERTY_TYPES.TEXT);
+    setNewOptions('');
+  };
+
+  const handleAdd = () => {
+    const name = newName.trim();
+    if (!name) return;
+    if (schema.some((definition) => definition.name === name)) {
+      alert(`"${name}" 속성이 이미 있습니다.`);
+      return;
+    }
+
+    const definition = { id: createPropertyId(name, schema), name, type: newType };
+    if (newType === PROPERTY_TYPES.SELECT) {
+      definition.options = createPropertyOptions(newOptions.split(','));
+      if (definition.options.length === 0) {
+        alert('선택 속성에는 선택지가 하나 이상 필요합니다.');
+        return;
+      }
+    }
+    if (newType === PROPERTY_TYPES.RATING) definition.max = 5;
+
+    onAddDefinition(definition);
+    console.log(`✅ 속성 추가: ${name} (${definition.id}, ${PROPERTY_TYPE_LABELS[newType]})`);
+    resetAddForm();
+  };
+
+  const handleRemove = (definition) => {
+    const used = countNodesWith(definition);
+    const message = used > 0
+      ? `"${definition.name}" 속성을 삭제하면 ${used}개 노드의 값도 함께 삭제됩니다. 삭제하시겠습니까?`
+      : `"${definition.name}" 속성을 삭제하시겠습니까?`;
+    if (!window.confirm(message)) return;
+    const cleared = onRemoveDefinition(definition.id);
+    console.log(`🗑️ 속성 삭제: ${definition.name} (값 ${cleared}개 삭제)`);
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <button
+          className="flex items-center gap-2 text-xs font-semibold opacity-90 hover:opacity-100 text-left"
+          onClick={() => setIsExpanded((value) => !value)}
+        >
+          <span className="text-[10px] opacity-60">{isExpanded ? '▼' : '▶'}</span>
+          🗂️ Properties
+          <span className="font-normal opacity-50">{filledCount}/{schema.length}</span>
+        </button>
+        {isExpanded && (
+          <button
+            className={`ml-auto text-[11px] px-2 py-0.5 rounded transition-colors ${
+              isManaging ? 'bg-teal-500/20 text-teal-200' : 'opacity-50 hover:opacity-100 hover:bg-white/10'
+            }`}
+            onClick={() => setIsManaging((value) => !value)}
+            title="속성 이름 변경, 선택지 편집, 사용자 속성 삭제"
+          >
+            {isManaging ? '완료' : '관리'}
+          </button>
+        )}
+      </div>
+
+      {isExpanded && (
+        <div className="flex flex-col gap-1.5">
+          {isManaging
+            ? schema.map((definition) => (
+                <PropertyDefinitionRow
+                  key={definition.id}
+                  definition={definition}
+                  usedCount={countNodesWith(definition)}
+                  onUpdate={onUpdateDefinition}
+                  onRemove={handleRemove}
+                />
+              ))
+            : schema.map((definition, index) => (
+                <div key={definition.id} className="flex items-start gap-2">
+                  <span
+                    className={`w-20 flex-shrink-0 pt-1 text-[11px] truncate ${values[index] === undefined ? 'opacity-40' : 'opacity-80'}`}
+                    title={`${definition.name} (${PROPERTY_TYPE_LABELS[definition.type]})`}
+                  >
+                    {definition.name}
+                  </span>
+                  <PropertyEditor
+                    key={node.id}
+                    definition={definition}
+                    value={values[index]}
+                    onCommit={(value) => handleCommit(definition, value)}
+                  />
+                </div>
+              ))}
+
+          {/* 속성 추가 */}
+          {showAddForm ? (
+            <div className="flex flex-col gap-1.5 bg-black/30 border border-white/10 rounded p-2">
+              <div className="flex items-center gap-2">
+                <input
+                  autoFocus
+                  className={`flex-1 min-w-0 ${INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+                  placeholder="속성 이름 (예: 인용 수)"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.nativeEvent.isComposing) handleAdd();
+                    if (e.key === 'Escape') resetAddForm();
+                  }}
+                />
+                <select
+                  className={`${INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+                  value={newType}
+                  onChange={(e) => setNewType(e.target.value)}
+                >
+                  {Object.entries(PROPERTY_TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {newType === PROPERTY_TYPES.SELECT && (
+                <input
+                  className={`${INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+                  placeholder="선택지 (쉼표로 구분, 예: 방법론, 응용, 서베이)"
+                  value={newOptions}
+                  onChange={(e) => setNewOptions(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && handleAdd()}
+                />
+              )}
+              <div className="flex justify-end gap-2 text-[11px]">
+                <button className="px-2 py-0.5 rounded opacity-60 hover:opacity-100 hover:bg-white/10" onClick={resetAddForm}>
+                  취소
+                </button>
+                <button
+                  className="px-2 py-0.5 rounded bg-teal-500/20 hover:bg-teal-500/40 text-teal-200 transition-colors disabled:opacity-40"
+                  onClick={handleAdd}
+                  disabled={!newName.trim()}
+                >
+                  추가
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              className="self-start text-[11px] px-2 py-0.5 rounded opacity-50 hover:opacity-100 hover:bg-white/10 transition-colors"
+              onClick={() => setShowAddForm(true)}
+            >
+              + 속성 추가
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
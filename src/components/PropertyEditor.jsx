@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import {
+  PROPERTY_TYPES,
+  validatePropertyValue,
+  findPropertyOption,
+} from '../utils/nodeProperties';
+
+export const PROPERTY_INPUT_CLASS = 'bg-black/40 border rounded px-2 py-1 text-xs focus:outline-none transition-colors';
+
+const PLACEHOLDER = {
+  [PROPERTY_TYPES.TEXT]: '텍스트',
+  [PROPERTY_TYPES.NUMBER]: '숫자',
+  [PROPERTY_TYPES.DATE]: 'YYYY, YYYY-MM 또는 YYYY-MM-DD',
+  [PROPERTY_TYPES.URL]: 'https://...',
+  [PROPERTY_TYPES.DOI]: '10.1000/xyz123 또는 doi.org 주소',
+};
+
+/**
+ * 한 줄 입력 속성 (text/number/date/url/doi)
+ * 입력 중에는 초안만 바꾸고, Enter/포커스 해제 시 검사 후 저장 (잘못된 값은 저장하지 않고 오류 표시)
+ */
+function DraftPropertyInput({ definition, value, onCommit }) {
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(value == null ? '' : String(value));
+    setError(null);
+  }, [value]);
+
+  const commit = () => {
+    const result = validatePropertyValue(definition, draft);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError(null);
+    setDraft(result.value == null ? '' : String(result.value));
+    if (result.value !== value) onCommit(result.value);
+  };
+
+  const isLink = value && (definition.type === PROPERTY_TYPES.URL || definition.type === PROPERTY_TYPES.DOI);
+
+  return (
+    <div className="flex-1 min-w-0 flex flex-col gap-0.5">
+      <div className="flex items-center gap-1">
+        <input
+          className={`flex-1 min-w-0 ${PROPERTY_INPUT_CLASS} ${error ? 'border-red-500/70' : 'border-white/10 focus:border-teal-500/50'}`}
+          inputMode={definition.type === PROPERTY_TYPES.NUMBER ? 'decimal' : undefined}
+          placeholder={PLACEHOLDER[definition.type] || ''}
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            setError(null);
+          }}
+          onBlur={commit}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        />
+        {isLink && (
+          <a
+            className="flex-shrink-0 text-teal-300 hover:text-teal-200"
+            href={definition.type === PROPERTY_TYPES.DOI ? `https://doi.org/${value}` : value}
+            target="_blank"
+            rel="noopener noreferrer"
+            title="새 탭에서 열기"
+          >
+            ↗
+          </a>
+        )}
+      </div>
+      {error && <div className="text-[11px] text-red-400">{error}</div>}
+    </div>
+  );
+}
+
+/**
+ * 목록 속성 (저자 등): 항목 칩 + 입력란 (Enter로 추가, × 로 삭제)
+ * 저자 이름에 쉼표가 들어가므로("Vaswani, Ashish") 한 번에 여러 개는 세미콜론으로 구분
+ */
+function ListPropertyInput({ definition, value = [], onCommit }) {
+  const [draft, setDraft] = useState('');
+
+  const add = () => {
+    const items = draft.split(';').map((item) => item.trim()).filter(Boolean);
+    setDraft('');
+    if (items.length === 0) return;
+    onCommit(validatePropertyValue(definition, [...value, ...items]).value);
+  };
+
+  return (
+    <div className="flex-1 min-w-0 flex flex-wrap items-center gap-1">
+      {value.map((item, index) => (
+        <span key={`${item}:${index}`} className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-white/10 text-[11px]">
+          {item}
+          <button
+            className="opacity-50 hover:opacity-100 hover:text-red-400"
+            onClick={() => onCommit(validatePropertyValue(definition, value.filter((_, i) => i !== index)).value)}
+            title="삭제"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        className={`flex-1 min-w-[6rem] ${PROPERTY_INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+        placeholder={value.length ? '추가...' : '항목 입력 후 Enter'}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={add}
+        onKeyDown={(e) => {
+          if (e.nativeEvent.isComposing) return;
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            add();
+          } else if (e.key === 'Backspace' && !draft && value.length > 0) {
+            onCommit(validatePropertyValue(definition, value.slice(0, -1)).value);
+          }
+        }}
+      />
+    </div>
+  );
+}
+
+/**
+ * 별점 속성: 별 클릭으로 설정, 같은 별을 다시 누르면 지움
+ */
+function RatingPropertyInput({ definition, value = 0, onCommit }) {
+  const max = definition.max || 5;
+  return (
+    <div className="flex-1 flex items-center gap-0.5 text-sm">
+      {Array.from({ length: max }, (_, i) => i + 1).map((rating) => (
+        <button
+          key={rating}
+          className={`leading-none transition-colors ${rating <= value ? 'text-yellow-400' : 'text-gray-600 hover:text-yellow-400/60'}`}
+          onClick={() => onCommit(rating === value ? undefined : rating)}
+          title={rating === value ? '별점 지우기' : `${rating}점`}
+        >
+          ★
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * 속성 값 편집기 (타입별 입력: 한 줄 입력, 목록 칩, 선택, 별점, 체크박스)
+ * 노트 패널의 속성 섹션과 노드 표 보기가 함께 사용
+ *
+ * @param {Object} props
+ * @param {import('../utils/nodeProperties').PropertyDefinition} props.definition
+ * @param {any} props.value - getPropertyValue 결과
+ * @param {function(any): void} props.onCommit - 검사를 통과한 새 값 (undefined면 속성 삭제)
+ */
+export function PropertyEditor({ definition, value, onCommit }) {
+  switch (definition.type) {
+    case PROPERTY_TYPES.LIST:
+      return <ListPropertyInput definition={definition} value={value} onCommit={onCommit} />;
+
+    case PROPERTY_TYPES.SELECT: {
+      const option = findPropertyOption(definition, value);
+      return (
+        <select
+          className={`flex-1 min-w-0 ${PROPERTY_INPUT_CLASS} border-white/10 focus:border-teal-500/50`}
+          style={option ? { color: option.color } : undefined}
+          value={value || ''}
+          onChange={(e) => onCommit(validatePropertyValue(definition, e.target.value).value)}
+        >
+          <option value="" className="text-gray-400">—</option>
+          {(definition.options || []).map((item) => (
+            <option key={item.value} value={item.value} style={{ color: item.color }}>
+              {item.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    case PROPERTY_TYPES.RATING:
+      return <RatingPropertyInput definition={definition} value={value} onCommit={onCommit} />;
+
+    case PROPERTY_TYPES.CHECKBOX:
+      return (
+        <div className="flex-1">
+          <input
+            type="checkbox"
+            className="w-3.5 h-3.5 accent-teal-500"
+            checked={!!value}
+            onChange={(e) => onCommit(e.target.checked || undefined)}
+          />
+        </div>
+      );
+
+    default:
+      return <DraftPropertyInput definition={definition} value={value} onCommit={onCommit} />;
+  }
+}
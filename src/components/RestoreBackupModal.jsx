@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { previewRestore } from '../utils/backup';
+
+const ROWS = [
+  { key: 'nodes', label: '노드' },
+  { key: 'links', label: '링크' },
+  { key: 'trash', label: '휴지통' },
+  { key: 'notes', label: '노트' },
+  { key: 'attachments', label: '첨부파일' },
+  { key: 'revisions', label: '버전 기록' },
+];
+
+const MAX_LISTED_TITLES = 8;
+
+const formatTitles = (titles) =>
+  titles.length > MAX_LISTED_TITLES
+    ? `${titles.slice(0, MAX_LISTED_TITLES).join(', ')} 외 ${titles.length - MAX_LISTED_TITLES}개`
+    : titles.join(', ');
+
+/**
+ * 💾 백업 복원 모달
+ *
+ * 🎯 역할:
+ * - 백업 파일 정보 (생성 시각, 형식 버전) 표시
+ * - 병합 / 전체 교체 선택
+ * - 항목별로 추가/덮어쓰기/삭제될 개수와 덮어쓸 노드 미리보기
+ *
+ * 📦 Props:
+ * @param {Object|null} backup - readBackup 결과 (null이면 닫힘)
+ * @param {Object} state - 현재 데이터 { graph, nodeStyles, propertySchema, savedNodePositions, tagsIndex, trash, filterPresets, autoLinkMentions }
+ * @param {Object} database - 현재 IndexedDB 레코드 { notes, attachments, revisions }
+ * @param {Function} onClose - 모달 닫기 핸들러
+ * @param {Function} onRestore - (mode) => Promise 복원 실행 ('merge' | 'replace')
+ */
+export const RestoreBackupModal = React.memo(function RestoreBackupModal({ backup, state, database, onClose, onRestore }) {
+  const [mode, setMode] = useState('merge');
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    if (backup) {
+      setMode('merge');
+      setIsRestoring(false);
+    }
+  }, [backup]);
+
+  const preview = useMemo(
+    () => (backup && database ? previewRestore(backup, state, database, mode) : null),
+    [backup, state, database, mode]
+  );
+
+  if (!backup || !preview) return null;
+
+  const handleRestore = async () => {
+    const confirmText = mode === 'replace'
+      ? '현재 그래프와 노트를 모두 지우고 백업으로 교체합니다. 계속하시겠습니까?'
+      : '백업을 현재 데이터에 병합합니다. 같은 항목은 백업 내용으로 덮어씁니다. 계속하시겠습니까?';
+    if (!window.confirm(confirmText)) return;
+
+    setIsRestoring(true);
+    try {
+      await onRestore(mode);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={isRestoring ? undefined : onClose}>
+      <div className="modal-content w-[520px] max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* 헤더 */}
+        <div className="flex items-center justify-between mb-4 pb-3 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-bold text-white">Restore Backup</h2>
+            <p className="text-xs text-white/50 mt-0.5">
+              {backup.createdAt ? new Date(backup.createdAt).toLocaleString() : '생성 시각 알 수 없음'} · 백업 형식 v{backup.schemaVersion}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isRestoring}
+            className="w-6 h-6 flex items-center justify-center rounded-full hover:bg-white/10 transition-colors text-white/70 hover:text-white text-sm"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="space-y-3 flex-1 min-h-0 overflow-y-auto text-sm">
+          {/* 복원 방식 */}
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { value: 'merge', label: '병합', description: '같은 ID는 덮어쓰고 나머지는 유지' },
+              { value: 'replace', label: '전체 교체', description: '현재 데이터를 모두 지우고 백업으로 교체' },
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setMode(option.value)}
+                className={`px-3 py-2 rounded-lg border text-left transition-colors ${
+                  mode === option.value ? 'border-teal-400/60 bg-teal-500/10' : 'border-white/10 hover:bg-white/5'
+                }`}
+              >
+                <div className="font-medium text-white/90">{option.label}</div>
+                <div className="text-[11px] text-white/50">{option.description}</div>
+              </button>
+            ))}
+          </div>
+
+          {/* 항목별 변경 */}
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-white/50">
+                <th className="text-left font-normal py-1">항목</th>
+                <th className="text-right font-normal py-1">추가</th>
+                <th className="text-right font-normal py-1">덮어쓰기</th>
+                <th className="text-right font-normal py-1">{mode === 'replace' ? '삭제' : '유지'}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-white/5">
+              {ROWS.map(({ key, label }) => {
+                const counts = preview[key];
+                const current = key === 'nodes' || key === 'links'
+                  ? state.graph[key].length
+                  : (key === 'trash' ? state.trash : database[key]).length;
+                const kept = current - counts.overwritten - counts.unchanged;
+                return (
+                  <tr key={key}>
+                    <td className="py-1.5 text-white/80">{label}</td>
+                    <td className="py-1.5 text-right text-teal-300">{counts.added}</td>
+                    <td className={`py-1.5 text-right ${counts.overwritten > 0 ? 'text-yellow-300' : 'text-white/40'}`}>
+                      {counts.overwritten}
+                    </td>
+                    <td className={`py-1.5 text-right ${mode === 'replace' && counts.removed > 0 ? 'text-red-300' : 'text-white/40'}`}>
+                      {mode === 'replace' ? counts.removed : kept}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {preview.overwrittenNodes.length > 0 && (
+            <div className="text-[11px] text-yellow-200/80 bg-yellow-500/10 border border-yellow-500/20 rounded p-2">
+              덮어쓸 노드: {formatTitles(preview.overwrittenNodes)}
+            </div>
+          )}
+          {preview.overwrittenNotes.length > 0 && (
+            <div className="text-[11px] text-yellow-200/80 bg-yellow-500/10 border border-yellow-500/20 rounded p-2">
+              덮어쓸 노트: {formatTitles(preview.overwrittenNotes)}
+            </div>
+          )}
+          {backup.warnings.length > 0 && (
+            <div className="text-[11px] text-red-300 bg-red-500/10 border border-red-500/30 rounded p-2 max-h-20 overflow-y-auto">
+              {backup.warnings.map((warning, i) => <div key={i}>{warning}</div>)}
+            </div>
+          )}
+          <div className="text-[11px] text-white/40">
+            복원하면 실행 취소 기록이 초기화됩니다. 필요하면 먼저 현재 데이터를 백업하세요.
+          </div>
+        </div>
+
+        {/* 액션 버튼 */}
+        <div className="mt-4 pt-3 border-t border-white/10 flex items-center justify-end gap-2">
+          <button
+            className="px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 transition-all text-white/80 hover:text-white font-medium text-sm"
+            onClick={onClose}
+            disabled={isRestoring}
+          >
+            Cancel
+          </button>
+          <button
+            className={`px-4 py-2 rounded-lg font-semibold transition-all text-sm disabled:opacity-40 disabled:cursor-not-allowed ${
+              mode === 'replace'
+                ? 'bg-red-600/80 hover:bg-red-600 text-white'
+                : 'bg-gradient-to-r from-teal-500 to-cyan-500 hover:from-teal-400 hover:to-cyan-400 text-black shadow-lg shadow-teal-500/25'
+            }`}
+            onClick={handleRestore}
+            disabled={isRestoring}
+          >
+            {isRestoring ? 'Restoring...' : mode === 'replace' ? 'Replace All' : 'Merge'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchIndex } from '../hooks/useSearchIndex';
+import { tokenize } from '../utils/searchIndex';
+import { debounce } from '../utils/debounce';
+import { SEARCH } from '../constants/ui';
+
+const FIELD_LABEL = {
+  title: '제목',
+  summary: '요약',
+  tags: '태그',
+  block: '노트',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 검색어(접두어)와 일치하는 부분을 <mark>로 감싸 표시
+ */
+function HighlightedText({ text, tokens }) {
+  if (!tokens.length) return text;
+
+  const pattern = new RegExp(`(${tokens.map(escapeRegExp).join('|')})`, 'giu');
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1
+      ? <mark key={i} className="bg-pink-500/30 text-pink-200 rounded-sm px-0.5">{part}</mark>
+      : <React.Fragment key={i}>{part}</React.Fragment>
+  );
+}
+
+/**
+ * 🔍 검색 팔레트 (Ctrl+K)
+ *
+ * 🎯 역할:
+ * - 노드 제목/요약/태그 + 블록 노트 내용 전문 검색
+ * - 입력하는 동안 결과 노드를 그래프에서 강조
+ * - 결과 선택 시 해당 노드로 이동, Ctrl+Enter로 모든 결과 보기
+ *
+ * 검색 인덱스는 팔레트가 닫혀 있어도 유지/갱신됨 (항상 마운트)
+ *
+ * 📦 Props:
+ * @param {boolean} open - 팔레트 열림 상태
+ * @param {Function} onClose - 닫기 핸들러
+ * @param {Array} nodes - 그래프 노드 (graph.nodes)
+ * @param {import('../types').StorageAdapter} storage - 저장소 어댑터 (노트 색인)
+ * @param {Object} tagsIndex - 태그 인덱스 { category: [tags] }
+ * @param {string} initialQuery - 다시 열 때 복원할 검색어
+ * @param {Function} onHighlight - (query, nodeIds) 검색 결과 강조
+ * @param {Function} onSelectNode - (nodeId) 결과 노드로 이동
+ * @param {Function} onShowAll - (nodeIds) 모든 결과가 보이도록 줌
+ */
+export function SearchPalette({
+  open,
+  onClose,
+  nodes,
+  storage,
+  tagsIndex,
+  initialQuery,
+  onHighlight,
+  onSelectNode,
+  onShowAll,
+}) {
+  const { search, ready, version } = useSearchIndex(nodes, storage);
+
+  const [input, setInput] = useState('');
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const updateQuery = useMemo(() => debounce(setQuery, SEARCH.INPUT_DEBOUNCE), []);
+
+  // 열릴 때 마지막 검색어 복원
+  useEffect(() => {
+    if (open) {
+      setInput(initialQuery || '');
+      setQuery(initialQuery || '');
+      setActiveIndex(0);
+    }
+  }, [open]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const nodeById = useMemo(() => new Map(nodes.map((n) => [n.id, n])), [nodes]);
+
+  const results = useMemo(
+    () => (open ? search(query).filter((r) => nodeById.has(r.nodeId)) : []),
+    [open, query, search, version, nodeById] // eslint-disable-line react-hooks/exhaustive-deps
+  );
+
+  // 태그 인덱스에서 일치하는 태그 추천
+  const tagSuggestions = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!open || !q) return [];
+    const suggestions = [];
+    Object.entries(tagsIndex || {}).forEach(([category, tags]) => {
+      tags.forEach((tag) => {
+        if (tag.toLowerCase().includes(q)) {
+          suggestions.push({ category, tag });
+        }
+      });
+    });
+    return suggestions.slice(0, 6);
+  }, [open, query, tagsIndex]);
+
+  const queryTokens = useMemo(() => [...new Set(tokenize(query))], [query]);
+
+  // 입력하는 동안 그래프에서 결과 강조
+  useEffect(() => {
+    if (!open) return;
+    onHighlight(query, results.map((r) => r.nodeId));
+    setActiveIndex(0);
+  }, [open, results]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // 활성 결과가 보이도록 스크롤
+  useEffect(() => {
+    const el = listRef.current?.querySelector(`[data-index="${activeIndex}"]`);
+    el?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  if (!open) return null;
+
+  const handleInputChange = (e) => {
+    setInput(e.target.value);
+    updateQuery(e.target.value);
+  };
+
+  const applyTag = (tag) => {
+    setInput(tag);
+    setQuery(tag);
+  };
+
+  const selectResult = (result) => {
+    if (!result) return;
+    onSelectNode(result.nodeId);
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if ((e.ctrlKey || e.metaKey) && results.length > 0) {
+        onShowAll(results.map((r) => r.nodeId));
+        onClose();
+      } else {
+        selectResult(results[activeIndex]);
+      }
+    }
+  };
+
+  return (
+    <div className="modal-overlay items-start pt-[12vh]" onClick={onClose}>
+      <div className="modal-content w-[560px] max-h-[70vh] flex flex-col overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        {/* 검색 입력 */}
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-white/10">
+          <span className="text-white/50">🔍</span>
+          <input
+            className="flex-1 bg-transparent text-sm text-white placeholder-white/40 focus:outline-none"
+            value={input}
+            onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
+            placeholder="제목, 요약, 태그, 노트 내용 검색..."
+            autoFocus
+          />
+          {!ready && <span className="text-[10px] text-white/40">노트 색인 중...</span>}
+          <kbd className="text-[10px] text-white/40 border border-white/20 rounded px-1.5 py-0.5">ESC</kbd>
+        </div>
+
+        {/* 태그 추천 */}
+        {tagSuggestions.length > 0 && (
+          <div className="flex flex-wrap gap-1.5 px-4 py-2 border-b border-white/10">
+            {tagSuggestions.map(({ category, tag }) => (
+              <button
+                key={`${category}::${tag}`}
+                onClick={() => applyTag(tag)}
+                className="text-[11px] px-2 py-0.5 rounded-full bg-teal-500/15 text-teal-300 hover:bg-teal-500/30 transition-colors"
+                title={category}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* 결과 목록 */}
+        <div ref={listRef} className="flex-1 overflow-y-auto py-1">
+          {query.trim() && results.length === 0 && (
+            <div className="px-4 py-6 text-center text-sm text-white/40">일치하는 노트가 없습니다</div>
+          )}
+
+          {results.map((result, index) => {
+            const node = nodeById.get(result.nodeId);
+            return (
+              <button
+                key={result.nodeId}
+                data-index={index}
+                onClick={() => selectResult(result)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`w-full text-left px-4 py-2 transition-colors ${index === activeIndex ? 'bg-white/10' : ''}`}
+              >
+                <div className="text-sm font-medium text-white truncate">
+                  <HighlightedText text={node.title || node.id} tokens={queryTokens} />
+                </div>
+                {result.matches
+                  .filter((m) => m.field !== 'title')
+                  .map((match, i) => (
+                    <div key={i} className="flex gap-2 mt-0.5 text-xs text-white/60">
+                      <span className="shrink-0 text-white/35">{FIELD_LABEL[match.field]}</span>
+                      <span className="truncate">
+                        <HighlightedText text={match.snippet} tokens={queryTokens} />
+                      </span>
+                    </div>
+                  ))}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* 하단 도움말 */}
+        <div className="flex items-center justify-between px-4 py-2 border-t border-white/10 text-[10px] text-white/40">
+          <span>↑↓ 이동 · Enter 노드로 이동 · Ctrl+Enter 모든 결과 보기</span>
+          {results.length > 0 && <span>{results.length}개 노드</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
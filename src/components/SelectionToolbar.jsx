@@ -0,0 +1,227 @@
+import React, { useState, useMemo } from 'react';
+import { ColorPalette } from './contextMenu';
+import { ALIGN_MODES } from '../graph/selection';
+import { validateCategoryName, validateTagName, formatTagForStorage } from '../utils/tagHelpers';
+
+/**
+ * 선택 노드들의 태그를 (카테고리, 태그)별 노드 수로 집계
+ */
+function countSelectionTags(nodes) {
+  const counts = new Map();
+  nodes.forEach((node) => {
+    Object.entries(node.tags || {}).forEach(([category, tags]) => {
+      (tags || []).forEach((tag) => {
+        const key = `${category}\u0000${tag}`;
+        const entry = counts.get(key) || { category, tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+  });
+  return [...counts.values()].sort((a, b) =>
+    a.category.localeCompare(b.category) || a.tag.localeCompare(b.tag)
+  );
+}
+
+/**
+ * 🧰 다중 선택 툴바 컴포넌트
+ *
+ * 🎯 역할:
+ * - 사각형/올가미로 선택한 노드 수 표시 (그래프 하단 가운데)
+ * - 일괄 작업: 스타일(모양/크기/색상/강조), 태그 추가/제거, 정렬/같은 간격 배치,
+ *   내보내기(BibTeX, 마크다운 볼트), 삭제
+ * - 그룹 이동은 선택된 노드 하나를 드래그 (GraphContainer에서 처리)
+ *
+ * 📦 Props:
+ * @param {Array} nodes - 선택된 노드
+ * @param {Object} tagsIndex - 전체 태그 인덱스 (카테고리 자동완성용)
+ * @param {Array<string>} customColorHistory - 커스텀 색상 히스토리
+ * @param {boolean} canArrange - 정렬 가능 여부 (태그/타임라인 뷰는 레이아웃이 위치를 정하므로 불가)
+ * @param {Function} onStyle - (patch) 선택 노드 모두에 스타일 적용
+ * @param {Function} onAddTag - (category, tag) 선택 노드 모두에 태그 추가
+ * @param {Function} onRemoveTag - (category, tag) 선택 노드 모두에서 태그 제거
+ * @param {Function} onAlign - (mode) 정렬 (ALIGN_MODES의 id)
+ * @param {Function} onExport - ('bib' | 'vault') 선택 노드 내보내기
+ * @param {Function} onDelete - 선택 노드 삭제 (확인 후 휴지통으로)
+ * @param {Function} onClear - 선택 해제
+ */
+export function SelectionToolbar({
+  nodes,
+  tagsIndex = {},
+  customColorHistory = [],
+  canArrange,
+  onStyle,
+  onAddTag,
+  onRemoveTag,
+  onAlign,
+  onExport,
+  onDelete,
+  onClear
+}) {
+  // 열린 팝오버 ('color' | 'tags' | 'align' | 'export' | null)
+  const [openPanel, setOpenPanel] = useState(null);
+  const [tagCategory, setTagCategory] = useState('');
+  const [tagName, setTagName] = useState('');
+
+  const selectionTags = useMemo(() => countSelectionTags(nodes), [nodes]);
+  const categories = useMemo(() => Object.keys(tagsIndex).sort(), [tagsIndex]);
+
+  const togglePanel = (panel) => setOpenPanel((current) => (current === panel ? null : panel));
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const category = tagCategory.trim();
+    const tag = formatTagForStorage(tagName);
+    if (!validateCategoryName(category) || !validateTagName(tag)) {
+      alert('카테고리/태그 이름에는 한글, 영문, 숫자, 공백, -, _ 만 쓸 수 있습니다. (태그는 > 로 계층 구분)');
+      return;
+    }
+    onAddTag(category, tag);
+    setTagName('');
+  };
+
+  const buttonClass = (active = false) => `px-2 py-1 rounded transition-colors ${
+    active ? 'bg-sky-500/30 text-sky-200' : 'hover:bg-white/10'
+  }`;
+
+  return (
+    <div
+      className="absolute bottom-4 left-1/2 -translate-x-1/2 z-20 flex items-center gap-1 px-2 py-1.5 bg-gray-800/95 border border-gray-600 rounded-lg shadow-lg text-xs text-gray-200"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <span className="px-2 font-semibold text-sky-300">{nodes.length} selected</span>
+      <div className="w-px h-5 bg-white/10" />
+
+      {/* 모양 / 크기 */}
+      <button className={buttonClass()} onClick={() => onStyle({ shape: 'circle' })} title="원">●</button>
+      <button className={buttonClass()} onClick={() => onStyle({ shape: 'square' })} title="사각형">■</button>
+      {['s', 'm', 'l'].map((size) => (
+        <button key={size} className={buttonClass()} onClick={() => onStyle({ size })} title={`크기 ${size.toUpperCase()}`}>
+          {size.toUpperCase()}
+        </button>
+      ))}
+
+      {/* 색상 / 강조 */}
+      <div className="relative">
+        <button className={buttonClass(openPanel === 'color')} onClick={() => togglePanel('color')} title="색상, 강조">🎨</button>
+        {openPanel === 'color' && (
+          <div className="absolute bottom-full left-0 mb-2 w-48 p-2 bg-gray-800 border border-gray-600 rounded-lg shadow-lg">
+            <ColorPalette
+              currentColor={null}
+              customColorHistory={customColorHistory}
+              onColorSelect={(color) => onStyle({ color })}
+              onResetColor={() => onStyle({ color: null })}
+            />
+            <div className="grid grid-cols-2 gap-1 mt-2 px-1">
+              <button className={buttonClass()} onClick={() => onStyle({ glow: true })}>Glow on</button>
+              <button className={buttonClass()} onClick={() => onStyle({ glow: false })}>Glow off</button>
+              <button className={buttonClass()} onClick={() => onStyle({ labelPinned: true })}>Pin label</button>
+              <button className={buttonClass()} onClick={() => onStyle({ labelPinned: false })}>Unpin label</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* 태그 */}
+      <div className="relative">
+        <button className={buttonClass(openPanel === 'tags')} onClick={() => togglePanel('tags')} title="태그 추가/제거">🏷️ Tags</button>
+        {openPanel === 'tags' && (
+          <div className="absolute bottom-full left-0 mb-2 w-72 p-3 bg-gray-800 border border-gray-600 rounded-lg shadow-lg space-y-3">
+            <form className="space-y-1" onSubmit={handleAddTag}>
+              <div className="opacity-70">선택한 노드 모두에 태그 추가</div>
+              <div className="flex gap-1">
+                <input
+                  className="w-24 bg-black/40 border border-white/10 rounded px-2 py-1 focus:outline-none focus:border-sky-500/50"
+                  placeholder="카테고리"
+                  list="selection-tag-categories"
+                  value={tagCategory}
+                  onChange={(e) => setTagCategory(e.target.value)}
+                />
+                <input
+                  className="flex-1 min-w-0 bg-black/40 border border-white/10 rounded px-2 py-1 focus:outline-none focus:border-sky-500/50"
+                  placeholder="태그 (A > B)"
+                  value={tagName}
+                  onChange={(e) => setTagName(e.target.value)}
+                />
+                <button type="submit" className="px-2 rounded bg-sky-500/30 hover:bg-sky-500/50">Add</button>
+              </div>
+              <datalist id="selection-tag-categories">
+                {categories.map((category) => <option key={category} value={category} />)}
+              </datalist>
+            </form>
+
+            <div className="space-y-1">
+              <div className="opacity-70">태그 제거 (노드 수)</div>
+              {selectionTags.length === 0 ? (
+                <div className="opacity-40">선택한 노드에 태그가 없습니다.</div>
+              ) : (
+                <div className="flex flex-wrap gap-1 max-h-32 overflow-y-auto">
+                  {selectionTags.map(({ category, tag, count }) => (
+                    <button
+                      key={`${category}:${tag}`}
+                      className="px-2 py-0.5 rounded-full bg-white/10 hover:bg-red-500/30 transition-colors"
+                      onClick={() => onRemoveTag(category, tag)}
+                      title={`${category}: ${tag} 제거`}
+                    >
+                      {category}: {tag} <span className="opacity-50">({count})</span> ×
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* 정렬 */}
+      <div className="relative">
+        <button
+          className={`${buttonClass(openPanel === 'align')} disabled:opacity-30`}
+          onClick={() => togglePanel('align')}
+          disabled={!canArrange || nodes.length < 2}
+          title={canArrange ? '정렬 / 같은 간격 배치' : '관계 뷰에서만 정렬할 수 있습니다'}
+        >
+          📐 Align
+        </button>
+        {openPanel === 'align' && canArrange && (
+          <div className="absolute bottom-full left-0 mb-2 p-2 bg-gray-800 border border-gray-600 rounded-lg shadow-lg grid grid-cols-4 gap-1">
+            {ALIGN_MODES.map((mode) => (
+              <button
+                key={mode.id}
+                className={`${buttonClass()} text-base leading-none disabled:opacity-30`}
+                onClick={() => onAlign(mode.id)}
+                disabled={mode.id.startsWith('distribute') && nodes.length < 3}
+                title={mode.title}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* 내보내기 */}
+      <div className="relative">
+        <button className={buttonClass(openPanel === 'export')} onClick={() => togglePanel('export')} title="선택 노드 내보내기">
+          📤 Export
+        </button>
+        {openPanel === 'export' && (
+          <div className="absolute bottom-full left-0 mb-2 w-44 py-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg">
+            <button className="w-full px-3 py-1.5 text-left hover:bg-white/10" onClick={() => { onExport('bib'); setOpenPanel(null); }}>
+              📚 BibTeX (.bib)
+            </button>
+            <button className="w-full px-3 py-1.5 text-left hover:bg-white/10" onClick={() => { onExport('vault'); setOpenPanel(null); }}>
+              🗂️ Markdown vault (.zip)
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="w-px h-5 bg-white/10" />
+      <button className="px-2 py-1 rounded text-red-300 hover:bg-red-500/20 transition-colors" onClick={onDelete} title="선택 노드 삭제 (Delete)">
+        🗑️
+      </button>
+      <button className={buttonClass()} onClick={onClear} title="선택 해제 (Esc)">✕</button>
+    </div>
+  );
+}
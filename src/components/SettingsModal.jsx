@@ -1,10 +1,26 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { loadRemoteConfig, saveRemoteConfig } from '../adapters/remoteClient';
+import { REMOTE_STATUS, TRASH } from '../constants/storage';
+
+// 원격 동기화 상태 표시 텍스트/색상
+const REMOTE_STATUS_LABEL = {
+  [REMOTE_STATUS.IDLE]: { text: '대기', className: 'text-white/50' },
+  [REMOTE_STATUS.SYNCING]: { text: '동기화 중...', className: 'text-yellow-400' },
+  [REMOTE_STATUS.SYNCED]: { text: '✓ 동기화됨', className: 'text-green-400' },
+  [REMOTE_STATUS.OFFLINE]: { text: '오프라인 (재연결 시 자동 전송)', className: 'text-orange-400' },
+  [REMOTE_STATUS.ERROR]: { text: '❌ 오류', className: 'text-red-400' },
+};
 
 /**
  * ⚙️ 설정 모달 컴포넌트
  * 
  * 🎯 역할:
  * - 저장소 모드 선택 (Local/Remote)
+ * - 원격 서버 주소/토큰 설정 및 연결 상태 표시
+ * - BibTeX 내보내기 (전체 / 태그 / 선택 노드 주변)
+ * - 마크다운 볼트 내보내기/가져오기 (Obsidian 호환 .zip 또는 폴더)
+ * - 전체 백업 파일 만들기 / 복원 파일 선택
+ * - 노트의 [[위키 링크]]로 mention 링크 자동 생성 여부
  * - 로컬 캐시 삭제
  * 
  * 📦 Props:
@@ -13,9 +29,70 @@ import React from 'react';
  * @param {string} storageMode - 현재 저장소 모드 ('local' | 'remote')
  * @param {Function} setStorageMode - 저장소 모드 변경 함수
  * @param {Function} clearLocal - 로컬 캐시 삭제 함수
+ * @param {string} remoteStatus - 원격 동기화 상태 (REMOTE_STATUS)
+ * @param {string|null} remoteError - 마지막 원격 오류 메시지
+ * @param {Object} tagsIndex - 태그 인덱스 { category: [tags] }
+ * @param {string|null} selectedId - 선택된 노드 ID (주변 내보내기 기준)
+ * @param {Function} onExportBib - (scope) BibTeX 내보내기
+ * @param {Function} onExportVault - () => Promise 마크다운 볼트 .zip 내보내기
+ * @param {Function} onImportVault - (fileList) => Promise 마크다운 볼트 가져오기
+ * @param {Function} onCreateBackup - () => Promise 전체 백업 .zip 다운로드
+ * @param {Function} onOpenRestore - (file) => Promise 백업 파일 읽고 복원 미리보기 열기
+ * @param {number} trashCount - 휴지통 항목 수
+ * @param {Function} onOpenTrash - 휴지통 모달 열기
+ * @param {boolean} autoLinkMentions - 위키 링크 → mention 링크 자동 생성 여부
+ * @param {Function} onToggleAutoLinkMentions - (enabled) 자동 생성 켜기/끄기
  */
-export const SettingsModal = React.memo(function SettingsModal({ open, onClose, storageMode, setStorageMode, clearLocal }) {
+export const SettingsModal = React.memo(function SettingsModal({ open, onClose, storageMode, setStorageMode, clearLocal, remoteStatus, remoteError, tagsIndex = {}, selectedId, onExportBib, onExportVault, onImportVault, onCreateBackup, onOpenRestore, trashCount = 0, onOpenTrash, autoLinkMentions = false, onToggleAutoLinkMentions }) {
+  const [remoteConfig, setRemoteConfig] = useState(loadRemoteConfig);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [exportScope, setExportScope] = useState({ type: 'all', category: '', tag: '', depth: 1 });
+  const [fileTaskBusy, setFileTaskBusy] = useState(false);
+  const vaultZipInputRef = useRef(null);
+  const vaultFolderInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+
+  // 모달 열릴 때 저장된 설정 다시 로드
+  useEffect(() => {
+    if (open) setRemoteConfig(loadRemoteConfig());
+  }, [open]);
+
+  const exportCategories = Object.keys(tagsIndex).sort();
+  const exportTags = (exportScope.category && tagsIndex[exportScope.category]) || [];
+
   if (!open) return null;
+
+  // 설정 저장 후 원격 모드로 (재)연결
+  const handleConnect = async () => {
+    saveRemoteConfig({ baseUrl: remoteConfig.baseUrl.trim(), token: remoteConfig.token.trim() });
+    setIsConnecting(true);
+    await setStorageMode('remote');
+    setIsConnecting(false);
+  };
+
+  // 볼트/백업 작업 중에는 버튼 비활성화
+  const runFileTask = async (task) => {
+    setFileTaskBusy(true);
+    try {
+      await task();
+    } finally {
+      setFileTaskBusy(false);
+    }
+  };
+
+  const handleVaultFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length > 0) runFileTask(() => onImportVault(files));
+  };
+
+  const handleBackupFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) runFileTask(() => onOpenRestore(file));
+  };
+
+  const statusInfo = REMOTE_STATUS_LABEL[remoteStatus] || REMOTE_STATUS_LABEL[REMOTE_STATUS.IDLE];
   
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -33,13 +110,208 @@ export const SettingsModal = React.memo(function SettingsModal({ open, onClose,
               </button>
               <button 
                 className={`px-3 py-1 rounded ${storageMode==='remote'?'bg-white/10':''}`} 
-                onClick={()=>setStorageMode('remote')}
+                onClick={handleConnect}
+                disabled={isConnecting}
               >
-                Remote (placeholder)
+                Remote (REST)
               </button>
             </div>
             <div className="text-xs opacity-60 mt-1">
-              Remote는 아직 미구현이며, 후에 서버 연동 시 어댑터만 교체하면 됩니다.
+              Remote 모드는 REST 서버에 저장하고, 로컬에도 캐시합니다. (로컬 서버: <code>npm run server</code>)
+            </div>
+          </div>
+          <div className="space-y-2">
+            <div className="opacity-70">Remote Server</div>
+            <input
+              className="input-field w-full text-xs"
+              value={remoteConfig.baseUrl}
+              onChange={(e)=>setRemoteConfig({ ...remoteConfig, baseUrl: e.target.value })}
+              placeholder="http://localhost:8787/api"
+            />
+            <input
+              className="input-field w-full text-xs"
+              type="password"
+              value={remoteConfig.token}
+              onChange={(e)=>setRemoteConfig({ ...remoteConfig, token: e.target.value })}
+              placeholder="Access token (선택)"
+            />
+            <div className="flex items-center justify-between text-xs">
+              <span className={statusInfo.className}>
+                {storageMode === 'remote' ? statusInfo.text : '사용 안 함'}
+                {storageMode === 'remote' && remoteError && remoteStatus !== REMOTE_STATUS.SYNCED && (
+                  <span className="block opacity-80">{remoteError}</span>
+                )}
+              </span>
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-50"
+                onClick={handleConnect}
+                disabled={isConnecting || !remoteConfig.baseUrl.trim()}
+              >
+                {isConnecting ? 'Connecting...' : (storageMode === 'remote' ? 'Reconnect' : 'Connect')}
+              </button>
+            </div>
+          </div>
+          <div className="space-y-2">
+            <div className="opacity-70">Export BibTeX</div>
+            <div className="flex gap-2 text-xs">
+              {[
+                { type: 'all', label: '전체' },
+                { type: 'tag', label: '태그' },
+                { type: 'neighborhood', label: '선택 노드 주변' },
+              ].map((option) => (
+                <button
+                  key={option.type}
+                  className={`px-3 py-1 rounded ${exportScope.type === option.type ? 'bg-white/10' : ''} disabled:opacity-40`}
+                  onClick={() => setExportScope({ ...exportScope, type: option.type })}
+                  disabled={option.type === 'neighborhood' && !selectedId}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {exportScope.type === 'tag' && (
+              <div className="flex gap-2">
+                <select
+                  className="input-field flex-1 text-xs"
+                  value={exportScope.category}
+                  onChange={(e) => setExportScope({ ...exportScope, category: e.target.value, tag: '' })}
+                >
+                  <option value="">카테고리 선택</option>
+                  {exportCategories.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+                <select
+                  className="input-field flex-1 text-xs"
+                  value={exportScope.tag}
+                  onChange={(e) => setExportScope({ ...exportScope, tag: e.target.value })}
+                  disabled={!exportScope.category}
+                >
+                  <option value="">태그 선택</option>
+                  {exportTags.map((t) => <option key={t} value={t}>{t}</option>)}
+                </select>
+              </div>
+            )}
+            {exportScope.type === 'neighborhood' && (
+              <div className="flex items-center gap-2 text-xs">
+                <span className="opacity-70">연결 단계</span>
+                <select
+                  className="input-field text-xs"
+                  value={exportScope.depth}
+                  onChange={(e) => setExportScope({ ...exportScope, depth: Number(e.target.value) })}
+                >
+                  {[1, 2, 3].map((d) => <option key={d} value={d}>{d}</option>)}
+                </select>
+              </div>
+            )}
+            <button
+              className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-xs disabled:opacity-50"
+              onClick={() => onExportBib({ ...exportScope, nodeId: selectedId })}
+              disabled={
+                (exportScope.type === 'tag' && !exportScope.tag) ||
+                (exportScope.type === 'neighborhood' && !selectedId)
+              }
+            >
+              📚 Download .bib
+            </button>
+          </div>
+          <div className="space-y-2">
+            <div className="opacity-70">Markdown Vault</div>
+            <div className="flex gap-2 text-xs">
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-50"
+                onClick={() => runFileTask(onExportVault)}
+                disabled={fileTaskBusy}
+              >
+                🗂️ Export .zip
+              </button>
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-50"
+                onClick={() => vaultZipInputRef.current?.click()}
+                disabled={fileTaskBusy}
+              >
+                Import .zip / .md
+              </button>
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-50"
+                onClick={() => vaultFolderInputRef.current?.click()}
+                disabled={fileTaskBusy}
+              >
+                Import Folder
+              </button>
+              <input
+                ref={vaultZipInputRef}
+                type="file"
+                accept=".zip,.md"
+                multiple
+                className="hidden"
+                onChange={handleVaultFiles}
+              />
+              <input
+                ref={vaultFolderInputRef}
+                type="file"
+                webkitdirectory=""
+                className="hidden"
+                onChange={handleVaultFiles}
+              />
+            </div>
+            <div className="text-xs opacity-60">
+              노드마다 front-matter가 붙은 .md 파일 하나 (Obsidian 볼트로 열 수 있음). 가져올 때 [[wikilink]]와 front-matter로 링크를 다시 만듭니다.
+            </div>
+          </div>
+          <div className="space-y-2">
+            <div className="opacity-70">Backup</div>
+            <div className="flex gap-2 text-xs">
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-50"
+                onClick={() => runFileTask(onCreateBackup)}
+                disabled={fileTaskBusy}
+              >
+                💾 Download Backup
+              </button>
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-50"
+                onClick={() => backupInputRef.current?.click()}
+                disabled={fileTaskBusy}
+              >
+                Restore...
+              </button>
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept=".zip"
+                className="hidden"
+                onChange={handleBackupFile}
+              />
+            </div>
+            <div className="text-xs opacity-60">
+              그래프, 노드 위치, 태그, 블록 노트, 버전 기록, 첨부파일을 .zip 하나로 저장합니다. 복원 전에 덮어쓸 내용을 미리 보여줍니다.
+            </div>
+          </div>
+          <div className="space-y-2">
+            <div className="opacity-70">Trash</div>
+            <div className="flex items-center gap-2 text-xs">
+              <button
+                className="px-3 py-1 rounded bg-white/10 hover:bg-white/20"
+                onClick={onOpenTrash}
+              >
+                🗑️ Open Trash ({trashCount})
+              </button>
+            </div>
+            <div className="text-xs opacity-60">
+              삭제한 노드는 {TRASH.RETENTION_DAYS}일 동안 휴지통에 보관되고, 이후 노트와 첨부파일까지 영구 삭제됩니다.
+            </div>
+          </div>
+          <div className="space-y-2">
+            <div className="opacity-70">Wiki Links</div>
+            <label className="flex items-center gap-2 text-xs cursor-pointer">
+              <input
+                type="checkbox"
+                checked={autoLinkMentions}
+                onChange={(e) => onToggleAutoLinkMentions(e.target.checked)}
+              />
+              노트의 [[노드 제목]]으로 그래프에 mention 링크 자동 생성/삭제
+            </label>
+            <div className="text-xs opacity-60">
+              켜면 기존 노트의 위키 링크도 한 번에 반영합니다. 다른 종류의 링크가 이미 있는 노드 사이에는 만들지 않습니다.
             </div>
           </div>
           <div>
@@ -0,0 +1,86 @@
+/**
+ * 🏷️ 태그 뷰 컨트롤
+ *
+ * 🎯 역할:
+ * - 클러스터 기준 태그 카테고리 선택
+ * - 드릴다운 경로 표시 (전체 > A > B) 및 상위 단계로 이동
+ * - 클러스터 목록 (노드 수, 하위 계층이 있으면 드릴다운)
+ *
+ * 📦 Props:
+ * @param {string[]} categories - 태그 카테고리 목록
+ * @param {string|null} category - 현재 카테고리
+ * @param {string[]} path - 드릴다운 경로
+ * @param {import('../graph/tagView').TagCluster[]} clusters - 현재 클러스터
+ * @param {Function} onCategoryChange - (category) 카테고리 변경
+ * @param {Function} onPathChange - (path) 드릴다운 경로 변경
+ */
+export function TagViewControls({ categories, category, path, clusters, onCategoryChange, onPathChange }) {
+  return (
+    <div className="absolute top-16 right-4 z-10 w-64 bg-gray-800/95 border border-gray-600 rounded-lg shadow-lg p-3 space-y-3 text-sm">
+      {/* 카테고리 선택 */}
+      <div className="space-y-1">
+        <label className="text-xs text-gray-400">카테고리</label>
+        {categories.length > 0 ? (
+          <select
+            className="input-field w-full text-sm"
+            value={category || ''}
+            onChange={(e) => onCategoryChange(e.target.value)}
+          >
+            {categories.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        ) : (
+          <div className="text-xs text-gray-500">태그 카테고리가 없습니다. 노트 패널에서 태그를 추가하세요.</div>
+        )}
+      </div>
+
+      {/* 드릴다운 경로 */}
+      {category && (
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          <button
+            onClick={() => onPathChange([])}
+            className={`hover:text-teal-300 ${path.length === 0 ? 'text-teal-400 font-semibold' : 'text-gray-300'}`}
+          >
+            전체
+          </button>
+          {path.map((level, i) => (
+            <span key={i} className="flex items-center gap-1">
+              <span className="text-gray-500">›</span>
+              <button
+                onClick={() => onPathChange(path.slice(0, i + 1))}
+                className={`hover:text-teal-300 ${i === path.length - 1 ? 'text-teal-400 font-semibold' : 'text-gray-300'}`}
+              >
+                {level}
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* 클러스터 목록 */}
+      <div className="max-h-64 overflow-y-auto space-y-0.5">
+        {clusters.map((cluster) => (
+          <button
+            key={cluster.key}
+            onClick={() => cluster.hasChildren && onPathChange(cluster.levels)}
+            disabled={!cluster.hasChildren}
+            className={`w-full flex items-center gap-2 px-2 py-1 rounded text-left text-xs ${
+              cluster.hasChildren ? 'hover:bg-white/10 cursor-pointer' : 'cursor-default'
+            }`}
+            title={cluster.hasChildren ? '하위 태그로 들어가기' : cluster.label}
+          >
+            <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: cluster.color }} />
+            <span className="flex-1 truncate text-gray-200">
+              {cluster.kind === 'tag' ? cluster.levels[cluster.levels.length - 1] : cluster.label}
+            </span>
+            <span className="text-gray-500">{cluster.nodeIds.length}</span>
+            {cluster.hasChildren && <span className="text-gray-400">›</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="text-[10px] text-gray-500">클러스터 영역을 클릭해도 하위 태그로 들어갑니다</div>
+    </div>
+  );
+}
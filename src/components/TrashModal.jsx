@@ -0,0 +1,114 @@
+import React, { useMemo } from 'react';
+import { TRASH } from '../constants/storage';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysLeft = (deletedAt) =>
+  Math.max(0, Math.ceil((new Date(deletedAt).getTime() + TRASH.RETENTION_DAYS * DAY - Date.now()) / DAY));
+
+/**
+ * 🗑️ 휴지통 모달
+ *
+ * 🎯 역할:
+ * - 삭제한 노드 목록 (삭제 시각, 연결되어 있던 링크 수, 남은 보관 기간)
+ * - 노드 복원 (링크/스타일/위치 포함, 실행 취소 가능)
+ * - 영구 삭제 / 휴지통 비우기 (노트, 버전 기록, 첨부파일까지 삭제)
+ *
+ * 📦 Props:
+ * @param {boolean} open - 모달 열림 상태
+ * @param {Array<import('../types').TrashEntry>} trash - 휴지통 항목
+ * @param {Function} onClose - 모달 닫기 핸들러
+ * @param {Function} onRestore - (nodeIds) 휴지통에서 복원
+ * @param {Function} onPurge - (nodeIds) => Promise 영구 삭제 (확인은 호출 측에서)
+ */
+export const TrashModal = React.memo(function TrashModal({ open, trash, onClose, onRestore, onPurge }) {
+  const entries = useMemo(
+    () => [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)),
+    [trash]
+  );
+
+  if (!open) return null;
+
+  const allIds = entries.map((entry) => entry.node.id);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content w-[520px] max-h-[85vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        {/* 헤더 */}
+        <div className="flex items-center justify-between mb-4 pb-3 border-b border-white/10">
+          <div>
+            <h2 className="text-lg font-bold text-white">Trash</h2>
+            <p className="text-xs text-white/50 mt-0.5">
+              삭제한 노드는 {TRASH.RETENTION_DAYS}일 뒤 노트와 첨부파일까지 영구 삭제됩니다
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="w-6 h-6 flex items-center justify-center rounded-full hover:bg-white/10 transition-colors text-white/70 hover:text-white text-sm"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* 목록 */}
+        <div className="flex-1 min-h-0 overflow-y-auto text-sm">
+          {entries.length === 0 ? (
+            <div className="py-8 text-center text-white/40 text-xs">휴지통이 비어 있습니다</div>
+          ) : (
+            <ul className="divide-y divide-white/5">
+              {entries.map(({ node, links, deletedAt }) => (
+                <li key={node.id} className="py-2 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-white/90 truncate">{node.title || node.id}</div>
+                    <div className="text-[11px] text-white/40">
+                      {new Date(deletedAt).toLocaleString()} · 링크 {links.length}개 · {daysLeft(deletedAt)}일 남음
+                    </div>
+                  </div>
+                  <button
+                    className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 text-xs text-white/80"
+                    onClick={() => onRestore([node.id])}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="px-2 py-1 rounded hover:bg-red-500/20 text-xs text-red-300"
+                    onClick={() => onPurge([node.id])}
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* 액션 버튼 */}
+        <div className="mt-4 pt-3 border-t border-white/10 flex items-center justify-between gap-2">
+          <button
+            className="px-4 py-2 rounded-lg bg-red-600/80 hover:bg-red-600 text-white font-semibold text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+            onClick={() => onPurge(allIds)}
+            disabled={allIds.length === 0}
+          >
+            Empty Trash
+          </button>
+          <div className="flex gap-2">
+            <button
+              className="px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 transition-all text-white/80 hover:text-white font-medium text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+              onClick={() => onRestore(allIds)}
+              disabled={allIds.length === 0}
+            >
+              Restore All
+            </button>
+            <button
+              className="px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 hover:border-white/20 transition-all text-white/80 hover:text-white font-medium text-sm"
+              onClick={onClose}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
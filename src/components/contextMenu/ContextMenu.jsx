@@ -1,6 +1,24 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { ColorPalette } from './ColorPalette';
 import { ColorPicker } from './ColorPicker';
+import { toId } from '../../utils/helpers';
+
+/**
+ * 이 노드에만 연결된 이웃 노드 ID (노드를 지우면 고립되는 노드)
+ */
+function findOrphanedNeighbors(nodeId, links) {
+  const neighborLinks = new Map();
+  links.forEach((link) => {
+    const source = toId(link.source);
+    const target = toId(link.target);
+    [source, target].forEach((id) => {
+      if (id !== nodeId) neighborLinks.set(id, (neighborLinks.get(id) || new Set()).add(source === id ? target : source));
+    });
+  });
+  return [...neighborLinks.entries()]
+    .filter(([, others]) => others.size === 1 && others.has(nodeId))
+    .map(([id]) => id);
+}
 
 /**
  * 🖱️ 컨텍스트 메뉴 컴포넌트
@@ -8,6 +26,7 @@ import { ColorPicker } from './ColorPicker';
  * 🎯 역할:
  * - 노드 우클릭 시 표시되는 스타일 편집 메뉴
  * - Shape, Size, Color, Lock 상태 등 편집
+ * - 노드 삭제 (이 노드에만 연결된 이웃 노드 함께 삭제 가능)
  * 
  * 📦 Props:
  * @param {boolean} visible - 메뉴 표시 여부
@@ -21,6 +40,9 @@ import { ColorPicker } from './ColorPicker';
  * @param {Function} onClose - 메뉴 닫기 핸들러
  * @param {Array<string>} customColorHistory - 커스텀 색상 히스토리
  * @param {Function} addCustomColor - 커스텀 색상 추가 함수
+ * @param {Function} onExportBib - (nodeId) 노드와 이웃 노드를 BibTeX로 내보내기
+ * @param {Function} onDeleteNodes - (nodeIds) 노드 삭제 (확인 후 휴지통으로 이동)
+ * @param {Array} links - 그래프 링크 (고립될 이웃 노드 계산용)
  */
 export function ContextMenu({ 
   visible, 
@@ -31,10 +53,17 @@ export function ContextMenu({
   setStyle, 
   onClose, 
   customColorHistory, 
-  addCustomColor 
+  addCustomColor,
+  onExportBib,
+  onDeleteNodes,
+  links = []
 }) {
   const current = nodeStyles[nodeId] || { shape: 'circle', size: 'm', color: null, labelPinned: false, glow: false };
   const [showColorInput, setShowColorInput] = useState(false);
+  const orphanedIds = useMemo(
+    () => (visible && nodeId && onDeleteNodes ? findOrphanedNeighbors(nodeId, links) : []),
+    [visible, nodeId, links, onDeleteNodes]
+  );
   
   if (!visible || !nodeId) return null;
   
@@ -151,6 +180,42 @@ export function ContextMenu({
           Emphasis glow
         </label>
       </div>
+      
+      {/* 내보내기 */}
+      {onExportBib && (
+        <div className="px-1 mt-3 pt-2 border-t border-white/10">
+          <button 
+            className="w-full px-2 py-1.5 rounded-lg hover:bg-white/10 text-xs text-left flex items-center gap-2 transition-colors"
+            onClick={()=>{ onExportBib(nodeId); onClose(); }}
+          >
+            <span>📚</span>
+            <span>Export .bib (with neighbors)</span>
+          </button>
+        </div>
+      )}
+      
+      {/* 삭제 */}
+      {onDeleteNodes && (
+        <div className="px-1 mt-3 pt-2 border-t border-white/10">
+          <button 
+            className="w-full px-2 py-1.5 rounded-lg hover:bg-red-500/20 text-xs text-left text-red-300 flex items-center gap-2 transition-colors"
+            onClick={()=>{ onDeleteNodes([nodeId]); onClose(); }}
+          >
+            <span>🗑️</span>
+            <span>Delete node</span>
+          </button>
+          {orphanedIds.length > 0 && (
+            <button 
+              className="w-full px-2 py-1.5 rounded-lg hover:bg-red-500/20 text-xs text-left text-red-300 flex items-center gap-2 transition-colors"
+              onClick={()=>{ onDeleteNodes([nodeId, ...orphanedIds]); onClose(); }}
+              title="이 노드에만 연결된 이웃 노드도 함께 삭제"
+            >
+              <span>🗑️</span>
+              <span>Delete with {orphanedIds.length} orphaned neighbor{orphanedIds.length > 1 ? 's' : ''}</span>
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -27,6 +27,14 @@ export const NODE_COLORS = {
   CITED_BY: '#a78bfa',  // 보라색 (Cited By - 후속 연구)
 };
 
+// 속성으로 색칠할 때 색상 (utils/nodeProperties)
+export const PROPERTY_COLORS = {
+  OPTIONS: ['#60a5fa', '#fbbf24', '#34d399', '#a78bfa', '#f472b6', '#fb923c', '#22d3ee', '#a3e635'], // 선택지 색상 (차례로)
+  RATING: ['#f87171', '#fb923c', '#facc15', '#a3e635', '#22c55e'], // 별점 낮음 → 높음
+  CHECKED: '#34d399',   // 체크박스 체크됨
+  EMPTY: '#4b5563',     // 값 없음 (회색)
+};
+
 // 링크 곡률 계산 관련
 export const LINK_CURVATURE = {
   MIN_SEGMENT_LENGTH: 2,      // 곡선 적용할 최소 선분 길이
@@ -67,3 +75,19 @@ export const HIT_AREA = {
   LINE_WIDTH: 0,
   SHADOW_BLUR: 0,
 };
+
+// 강조 표시 (검색 결과 등)
+export const HIGHLIGHT_RING = {
+  COLOR: '#f472b6',           // 분홍색
+  LINE_WIDTH: 2,
+  RING_RATIO: 1.35,           // 노드 반지름 대비 링 크기
+  DIMMED_OPACITY: 0.18,       // 강조 대상이 아닌 노드 투명도
+};
+
+// 다중 선택 표시 (사각형/올가미 선택)
+export const MULTI_SELECT_RING = {
+  COLOR: '#38bdf8',           // 하늘색
+  LINE_WIDTH: 1.5,
+  RING_RATIO: 1.6,            // 노드 반지름 대비 링 크기
+  DASH: [3, 2],
+};
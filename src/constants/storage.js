@@ -9,6 +9,12 @@ export const STORAGE_KEYS = {
   GRAPH_DATA: 'graph-notes-v1',
   NODE_POSITIONS: 'graphNodePositions',
   TAGS_INDEX: 'graph-notes-tags-index-v1',
+  STORAGE_MODE: 'graph-notes-storage-mode',
+  REMOTE_CONFIG: 'graph-notes-remote-config-v1',
+  IMAGE_MIGRATION: 'graph-notes-image-migration-v1',  // base64 이미지 블록 → 첨부파일 변환 완료 표시
+  TRASH: 'graph-notes-trash-v1',
+  MENTION_LINKS: 'graph-notes-mention-links',  // 위키 링크 → mention 링크 자동 생성 여부
+  FILTER_PRESETS: 'graph-notes-filter-presets-v1',  // 그래프 필터 사이드바의 저장된 프리셋
 };
 
 // IndexedDB 설정
@@ -28,8 +34,61 @@ export const STORAGE_MODE = {
   REMOTE: 'remote',
 };
 
+// 원격 저장소 (REST) 설정
+export const REMOTE_STORAGE = {
+  DEFAULT_BASE_URL: 'http://localhost:8787/api',
+  REQUEST_TIMEOUT: 10000,   // 요청 타임아웃 (ms)
+  MAX_RETRIES: 3,           // 네트워크/5xx 오류 시 재시도 횟수
+  RETRY_BASE_DELAY: 500,    // 재시도 기본 지연 (ms, 지수 백오프)
+};
+
+// 원격 동기화 상태
+export const REMOTE_STATUS = {
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+};
+
 // 데이터 검증
 export const DATA_VALIDATION = {
   MIN_NODES: 5,
   MIN_LINKS: 4,
 };
+
+// 전체 백업 파일 (utils/backup)
+export const BACKUP = {
+  FORMAT: 'graph-notes-backup',     // manifest.format 식별자
+  SCHEMA_VERSION: 1,                // 백업 형식 버전 (형식이 바뀌면 올리고 마이그레이션 추가)
+  MANIFEST_FILE: 'backup.json',     // 그래프/노트 JSON
+  ATTACHMENTS_DIR: 'attachments',   // 첨부파일 원본 (파일 이름 = 첨부파일 ID)
+};
+
+// 블록 첨부파일 (IndexedDB 'attachments' 저장소)
+export const ATTACHMENTS = {
+  GC_GRACE_PERIOD: 60 * 1000,         // 업로드 후 이 시간 안에는 참조가 없어도 삭제하지 않음 (ms)
+  GC_STARTUP_DELAY: 5000,             // 앱 시작 후 전체 정리까지 대기 (ms)
+  TEXT_PREVIEW_MAX_SIZE: 512 * 1024,  // 텍스트 미리보기 최대 크기 (bytes)
+  URL_CACHE_TTL: 30 * 1000,           // 쓰지 않는 object URL을 해제하기까지 대기 (ms)
+};
+
+// 이미지 블록 (utils/imageAttachments)
+export const IMAGE_ATTACHMENTS = {
+  THUMBNAIL_MAX_DIMENSION: 1280,      // 썸네일 긴 변 (px), 이보다 큰 이미지만 썸네일 생성
+  THUMBNAIL_MIN_SIZE: 512 * 1024,     // 이보다 큰 파일도 썸네일 생성 (bytes)
+  THUMBNAIL_TYPE: 'image/webp',
+  THUMBNAIL_QUALITY: 0.85,
+};
+
+// 휴지통 (삭제한 노드 보관)
+export const TRASH = {
+  RETENTION_DAYS: 30,   // 이 기간이 지나면 노트/첨부파일까지 영구 삭제
+};
+
+// 노트 버전 기록 (IndexedDB 'revisions' 저장소)
+export const NOTE_REVISIONS = {
+  MIN_INTERVAL: 5 * 60 * 1000,  // 이 시간 안의 저장은 마지막 기록을 갱신 (ms)
+  MAX_PER_NOTE: 50,             // 노트당 최대 보관 개수
+  MAX_AGE_DAYS: 90,             // 보관 기간 (최신 기록은 항상 유지)
+};
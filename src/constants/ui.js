@@ -19,6 +19,7 @@ export const ZOOM = {
   STEP: 1.2,           // 줌 인/아웃 배율
   FIT_DURATION: 400,   // 전체 보기 애니메이션 시간 (ms)
   FIT_PADDING: 40,     // 전체 보기 여백 (px)
+  FIT_DELAY: 50,       // 뷰 레이아웃 변경 후 전체 보기 지연 (ms)
 };
 
 // 그래프 뷰 모드
@@ -26,6 +27,13 @@ export const GRAPH_VIEW_MODE = {
   RELATIONSHIP: 'relationship',
   TAG: 'tag',
   TIMELINE: 'timeline',
+  TABLE: 'table',
+};
+
+// 노드 표 보기
+export const NODE_TABLE = {
+  // 처음에 숨기는 열 (열 메뉴에서 켤 수 있음)
+  DEFAULT_HIDDEN_COLUMNS: ['prop:venue', 'prop:doi', 'prop:url', 'prop:dateRead'],
 };
 
 // 애니메이션 지속 시간
@@ -68,3 +76,96 @@ export const GRAPH_CONTAINER = {
   CURSOR_DEFAULT: 'default',
   CURSOR_POINTER: 'pointer',
 };
+
+// 전문 검색 (Ctrl+K)
+export const SEARCH = {
+  MAX_RESULTS: 30,          // 최대 결과 수
+  MAX_MATCHES_PER_NODE: 3,  // 결과당 표시할 일치 항목 수
+  SNIPPET_RADIUS: 40,       // 미리보기 앞뒤 글자 수
+  INPUT_DEBOUNCE: 120,      // 입력 후 검색 지연 (ms)
+  FOCUS_ZOOM: 2.5,          // 결과 선택 시 줌 레벨
+  FOCUS_DURATION: 600,      // 결과 이동 애니메이션 (ms)
+};
+
+// 실행 취소/다시 실행 (graphStore)
+export const HISTORY = {
+  MAX_ENTRIES: 100,         // 최대 보관 단계 수
+  MERGE_WINDOW: 1000,       // 같은 종류의 연속 변경을 한 단계로 합치는 시간 (ms)
+};
+
+// 태그 뷰 (태그 카테고리별 클러스터)
+export const TAG_VIEW = {
+  NODE_SPACING: 22,         // 클러스터 내부 노드 간격
+  CLUSTER_GAP: 70,          // 클러스터 사이 간격
+  HULL_PADDING: 20,         // 노드와 외곽선 사이 여백
+  LABEL_FONT_SIZE: 12,      // 클러스터 라벨 크기 (화면 px)
+  COLORS: ['#22d3ee', '#34d399', '#a78bfa', '#f472b6', '#fbbf24', '#60a5fa', '#fb923c', '#4ade80'],
+  BUCKET_COLOR: '#6b7280',  // 태그 없음/범위 밖 버킷
+};
+
+// 타임라인 뷰 (날짜순 가로 축)
+export const TIMELINE = {
+  AXIS_WIDTH: 1200,         // 전체 기간이 차지하는 축 길이 (그래프 좌표)
+  MIN_SPAN_DAYS: 365,       // 최소 표시 기간 (일)
+  EDGE_PADDING: 0.05,       // 축 양 끝 여백 (기간 대비 비율)
+  LANE_HEIGHT: 28,          // 같은 시기 노드를 쌓는 줄 간격
+  MIN_NODE_GAP: 24,         // 같은 줄에서 노드 사이 최소 간격
+  AXIS_OFFSET: 30,          // 마지막 줄과 축 사이 간격
+  UNDATED_GAP: 80,          // 축 끝과 "날짜 없음" 묶음 사이 간격
+  ARC_CURVATURE: 0.5,       // based-on / cited-by 링크 호 곡률
+  TICK_MIN_SPACING: 70,     // 눈금 사이 최소 간격 (화면 px)
+  TICK_FONT_SIZE: 11,       // 눈금 라벨 크기 (화면 px)
+  AXIS_COLOR: '#6b7280',
+  LABEL_COLOR: '#9ca3af',
+};
+
+// 다중 선택 (Shift + 드래그 사각형 / Shift + Alt + 드래그 올가미)
+export const MULTI_SELECT = {
+  MIN_DRAG_DISTANCE: 4,     // 이보다 짧은 드래그는 선택으로 보지 않음 (px)
+  LASSO_POINT_SPACING: 4,   // 올가미 점 사이 최소 거리 (px)
+  FILL: 'rgba(56, 189, 248, 0.08)',
+  STROKE: 'rgba(56, 189, 248, 0.8)',
+};
+
+// 자동 레이아웃 (관계 뷰, 그래프 컨트롤의 레이아웃 메뉴)
+export const LAYOUT = {
+  ANIMATION_DURATION: 700,  // 미리보기 이동 애니메이션 (ms)
+  FORCE_LINK_DISTANCE: 60,  // 힘 기반: 링크 길이
+  FORCE_CHARGE: -180,       // 힘 기반: 노드끼리 밀어내는 힘
+  FORCE_COLLIDE_RADIUS: 16, // 힘 기반: 겹치지 않는 최소 반지름
+  FORCE_GRAVITY: 0.06,      // 힘 기반: 중심으로 당기는 힘 (떨어진 노드가 멀어지지 않게)
+  FORCE_MAX_TICKS: 400,     // 힘 기반: 수렴까지 최대 반복 횟수
+  LAYER_GAP: 100,           // 계층: 계층 사이 세로 간격
+  LAYER_NODE_GAP: 70,       // 계층: 같은 계층 노드 가로 간격
+  LAYER_SWEEPS: 4,          // 계층: 교차 줄이기 정렬 반복 횟수
+  RADIAL_RING_GAP: 110,     // 방사형: 동심원 사이 간격
+  CIRCLE_NODE_GAP: 50,      // 방사형/원형: 원 둘레 노드 간격
+  MIN_RADIUS: 80,           // 원형: 최소 반지름
+};
+
+// 코드 블록 (구문 강조, JavaScript 실행)
+export const CODE_BLOCK = {
+  INDENT: '  ',             // Tab으로 넣는 들여쓰기
+  RUN_TIMEOUT: 5000,        // 실행 시간 제한 (ms, 넘으면 Worker 종료)
+  RUN_TIMEOUT_GRACE: 1000,  // 실행기 iframe이 시간 제한 후에도 응답하지 않으면 더 기다리는 시간 (ms)
+  MAX_OUTPUT_LINES: 200,    // 실행 결과로 보여줄 최대 console 줄 수
+  COPY_FEEDBACK: 1500,      // 복사 완료 표시 시간 (ms)
+};
+
+// PDF 뷰어 (노트 패널 왼쪽에 붙는 창)
+export const PDF_VIEWER = {
+  DEFAULT_WIDTH: 560,       // 기본 너비 (px, 화면이 좁으면 줄어듦)
+  MIN_ZOOM: 0.5,
+  MAX_ZOOM: 3,
+  ZOOM_STEP: 1.2,           // 확대/축소 배율
+  PAGE_GAP: 12,             // 페이지 사이 간격 (px)
+  RENDER_MARGIN: '800px',   // 화면 밖 페이지를 미리 그리는 범위
+  FLASH_DURATION: 1600,     // 인용구에서 이동했을 때 하이라이트 강조 시간 (ms)
+};
+
+// 백링크 (노트 패널 하단)
+export const BACKLINKS = {
+  MIN_TITLE_LENGTH: 2,      // 이보다 짧은 제목은 언급 검색 안 함 (오탐 방지)
+  SNIPPET_RADIUS: 40,       // 언급 미리보기 앞뒤 글자 수
+  MAX_MENTIONS_PER_NOTE: 3, // 노트당 표시할 언급 수
+};
@@ -0,0 +1,169 @@
+/**
+ * 그래프 필터 (필터 사이드바)
+ *
+ * 이 파일의 역할:
+ * - 태그(카테고리 + 계층 접두어), 그룹, 링크 타입, 들어오는/나가는 연결 수 범위, 검색어로 노드 거르기
+ * - 조건끼리는 AND, 같은 조건 안의 여러 값(그룹, 링크 타입)은 OR
+ * - '숨기기' 모드에서 보여줄 노드/링크만 남긴 그래프 데이터 만들기
+ *
+ * 링크 타입을 고르면 연결 수도 그 타입의 링크만 셈
+ */
+
+import { toId } from '../utils/helpers';
+import { matchesTagPrefix } from '../utils/tagHelpers';
+
+/**
+ * @typedef {Object} DegreeRange
+ * @property {number|null} min - 최소 (포함, null이면 제한 없음)
+ * @property {number|null} max - 최대 (포함, null이면 제한 없음)
+ */
+
+/**
+ * @typedef {Object} GraphFilter
+ * @property {string} query - 제목/요약/태그 검색어
+ * @property {string|null} tagCategory - 태그 카테고리 (null이면 태그 조건 없음)
+ * @property {string} tag - 태그 접두어 ('A > B'는 'A > B > C'도 포함, 비었으면 카테고리에 태그가 있는 노드)
+ * @property {number[]} groups - 그룹 번호 (비었으면 모든 그룹)
+ * @property {string[]} linkTypes - 링크 타입 (비었으면 모든 타입)
+ * @property {DegreeRange} inDegree - 들어오는 링크 수
+ * @property {DegreeRange} outDegree - 나가는 링크 수
+ */
+
+/**
+ * 필터 모드
+ * - 'dim': 맞지 않는 노드를 흐리게
+ * - 'hide': 맞지 않는 노드와 그 링크를 숨김
+ */
+export const GRAPH_FILTER_MODES = [
+  { id: 'dim', label: '흐리게' },
+  { id: 'hide', label: '숨기기' },
+];
+
+/**
+ * 빈 필터 (모든 노드 통과)
+ * @type {GraphFilter}
+ */
+export const EMPTY_GRAPH_FILTER = {
+  query: '',
+  tagCategory: null,
+  tag: '',
+  groups: [],
+  linkTypes: [],
+  inDegree: { min: null, max: null },
+  outDegree: { min: null, max: null },
+};
+
+const isRangeActive = (range) => range.min != null || range.max != null;
+const inRange = (value, range) => (range.min == null || value >= range.min) && (range.max == null || value <= range.max);
+
+/**
+ * 조건이 하나라도 걸려 있는지
+ * @param {GraphFilter} filter
+ * @returns {boolean}
+ */
+export function isGraphFilterActive(filter) {
+  return !!filter.query.trim()
+    || !!filter.tagCategory
+    || filter.groups.length > 0
+    || filter.linkTypes.length > 0
+    || isRangeActive(filter.inDegree)
+    || isRangeActive(filter.outDegree);
+}
+
+/**
+ * 저장된 필터(프리셋) 정리 - 빠진 조건은 빈 값으로
+ * @param {Partial<GraphFilter>} [filter]
+ * @returns {GraphFilter}
+ */
+export function normalizeGraphFilter(filter) {
+  return {
+    ...EMPTY_GRAPH_FILTER,
+    ...(filter || {}),
+    inDegree: { ...EMPTY_GRAPH_FILTER.inDegree, ...(filter?.inDegree || {}) },
+    outDegree: { ...EMPTY_GRAPH_FILTER.outDegree, ...(filter?.outDegree || {}) },
+  };
+}
+
+/**
+ * 그래프에 있는 링크 타입 (정렬)
+ * @param {import('../types').Link[]} links
+ * @returns {string[]}
+ */
+export function collectLinkTypes(links) {
+  return [...new Set(links.map((link) => link.type).filter(Boolean))].sort();
+}
+
+function matchesQuery(node, needle) {
+  if (!needle) return true;
+  const tags = Object.values(node.tags || {}).flat();
+  return [node.title, node.summary, ...tags]
+    .some((text) => typeof text === 'string' && text.toLowerCase().includes(needle));
+}
+
+function matchesTag(node, category, tag) {
+  const tags = node.tags?.[category] || [];
+  return tag ? tags.some((item) => matchesTagPrefix(item, tag)) : tags.length > 0;
+}
+
+/**
+ * 필터에 맞는 노드 ID
+ *
+ * @param {import('../types').Node[]} nodes
+ * @param {import('../types').Link[]} links
+ * @param {GraphFilter} filter
+ * @returns {Set<string>}
+ */
+export function filterGraphNodes(nodes, links, filter) {
+  const linkTypes = new Set(filter.linkTypes);
+  const counted = linkTypes.size > 0 ? links.filter((link) => linkTypes.has(link.type)) : links;
+
+  const inCount = new Map();
+  const outCount = new Map();
+  counted.forEach((link) => {
+    const source = toId(link.source);
+    const target = toId(link.target);
+    outCount.set(source, (outCount.get(source) || 0) + 1);
+    inCount.set(target, (inCount.get(target) || 0) + 1);
+  });
+
+  const needle = filter.query.trim().toLowerCase();
+  const tag = filter.tag.trim();
+  const groups = new Set(filter.groups);
+
+  return new Set(
+    nodes
+      .filter((node) => {
+        const inDegree = inCount.get(node.id) || 0;
+        const outDegree = outCount.get(node.id) || 0;
+        return (groups.size === 0 || groups.has(node.group))
+          && (!filter.tagCategory || matchesTag(node, filter.tagCategory, tag))
+          // 링크 타입을 고르면 그 타입의 링크가 하나라도 있는 노드만
+          && (linkTypes.size === 0 || inDegree + outDegree > 0)
+          && inRange(inDegree, filter.inDegree)
+          && inRange(outDegree, filter.outDegree)
+          && matchesQuery(node, needle);
+      })
+      .map((node) => node.id)
+  );
+}
+
+/**
+ * '숨기기' 모드의 그래프 데이터 (통과한 노드 + 양 끝이 모두 남은 링크, 링크 타입을 고르면 그 타입만)
+ * 노드 객체는 그대로 재사용 (그래프의 현재 위치 유지)
+ *
+ * @param {{nodes: Array, links: Array}} data - ForceGraph에 넘기는 데이터
+ * @param {Set<string>} visibleIds - filterGraphNodes 결과
+ * @param {GraphFilter} filter
+ * @returns {{nodes: Array, links: Array}}
+ */
+export function hideFilteredNodes(data, visibleIds, filter) {
+  const linkTypes = new Set(filter.linkTypes);
+  return {
+    nodes: data.nodes.filter((node) => visibleIds.has(node.id)),
+    links: data.links.filter((link) =>
+      visibleIds.has(toId(link.source))
+      && visibleIds.has(toId(link.target))
+      && (linkTypes.size === 0 || linkTypes.has(link.type))
+    ),
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_GRAPH_FILTER,
+  isGraphFilterActive,
+  normalizeGraphFilter,
+  collectLinkTypes,
+  filterGraphNodes,
+  hideFilteredNodes,
+} from './filters';
+import { matchesTagPrefix } from '../utils/tagHelpers';
+
+const nodes = [
+  { id: 'a', title: 'Attention', group: 1, tags: { 분야: ['AI > ML > NLP'] } },
+  { id: 'b', title: 'BERT', summary: 'masked LM', group: 2, tags: { 분야: ['AI > MLOps'] } },
+  { id: 'c', title: 'CNN', group: 2, tags: { 분야: ['AI > ML'] } },
+  { id: 'd', title: 'Lonely', group: 3, tags: {} },
+];
+const links = [
+  { source: 'a', target: 'b', type: 'based-on' },
+  { source: 'c', target: 'b', type: 'cited-by' },
+  { source: { id: 'c' }, target: { id: 'a' }, type: 'based-on' },
+];
+const filter = (overrides) => normalizeGraphFilter(overrides);
+const ids = (set) => [...set].sort();
+
+describe('matchesTagPrefix', () => {
+  it('계층 단위로 비교 (ML은 ML > NLP와 맞고 MLOps와는 안 맞음)', () => {
+    expect(matchesTagPrefix('AI > ML > NLP', 'AI > ML')).toBe(true);
+    expect(matchesTagPrefix('AI > ML', 'AI>ML')).toBe(true);
+    expect(matchesTagPrefix('AI > MLOps', 'AI > ML')).toBe(false);
+  });
+});
+
+describe('normalizeGraphFilter / isGraphFilterActive', () => {
+  it('빠진 조건은 빈 값으로 채움', () => {
+    expect(normalizeGraphFilter()).toEqual(EMPTY_GRAPH_FILTER);
+    expect(normalizeGraphFilter({ groups: [1], inDegree: { min: 2 } })).toEqual({
+      ...EMPTY_GRAPH_FILTER,
+      groups: [1],
+      inDegree: { min: 2, max: null },
+    });
+  });
+
+  it('공백 검색어만 있으면 비활성', () => {
+    expect(isGraphFilterActive(filter({ query: '  ' }))).toBe(false);
+    expect(isGraphFilterActive(filter({ outDegree: { min: 0 } }))).toBe(true);
+  });
+});
+
+describe('collectLinkTypes', () => {
+  it('중복 없이 정렬', () => {
+    expect(collectLinkTypes(links)).toEqual(['based-on', 'cited-by']);
+  });
+});
+
+describe('filterGraphNodes', () => {
+  it('빈 필터는 모든 노드 통과', () => {
+    expect(ids(filterGraphNodes(nodes, links, EMPTY_GRAPH_FILTER))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('태그 접두어는 하위 태그 포함, 접두어가 비면 카테고리에 태그가 있는 노드', () => {
+    expect(ids(filterGraphNodes(nodes, links, filter({ tagCategory: '분야', tag: 'AI > ML' })))).toEqual(['a', 'c']);
+    expect(ids(filterGraphNodes(nodes, links, filter({ tagCategory: '분야' })))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('같은 조건 안은 OR, 조건끼리는 AND', () => {
+    expect(ids(filterGraphNodes(nodes, links, filter({ groups: [1, 3] })))).toEqual(['a', 'd']);
+    expect(ids(filterGraphNodes(nodes, links, filter({ groups: [2], query: 'masked' })))).toEqual(['b']);
+  });
+
+  it('검색어는 제목/요약/태그에서 대소문자 무시', () => {
+    expect(ids(filterGraphNodes(nodes, links, filter({ query: 'mlops' })))).toEqual(['b']);
+  });
+
+  it('링크 타입을 고르면 그 타입의 링크만 연결 수로 세고, 그 링크가 없는 노드는 제외', () => {
+    const basedOn = filter({ linkTypes: ['based-on'] });
+    expect(ids(filterGraphNodes(nodes, links, basedOn))).toEqual(['a', 'b', 'c']);
+    expect(ids(filterGraphNodes(nodes, links, { ...basedOn, inDegree: { min: 1, max: 1 } }))).toEqual(['a', 'b']);
+    expect(ids(filterGraphNodes(nodes, links, filter({ inDegree: { min: 2, max: null } })))).toEqual(['b']);
+  });
+});
+
+describe('hideFilteredNodes', () => {
+  it('남은 노드 사이의 링크만, 링크 타입을 고르면 그 타입만 (노드 객체 재사용)', () => {
+    const data = { nodes, links };
+    const visible = new Set(['a', 'b', 'c']);
+
+    const all = hideFilteredNodes(data, new Set(['a', 'b']), EMPTY_GRAPH_FILTER);
+    expect(all.nodes).toEqual([nodes[0], nodes[1]]);
+    expect(all.nodes[0]).toBe(nodes[0]);
+    expect(all.links).toEqual([links[0]]);
+
+    expect(hideFilteredNodes(data, visible, filter({ linkTypes: ['cited-by'] })).links).toEqual([links[1]]);
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * 자동 레이아웃 (관계 뷰)
+ *
+ * 이 파일의 역할:
+ * - 그래프 컨트롤의 레이아웃 메뉴에서 고른 알고리즘으로 노드 위치 계산
+ *   · force: 힘 기반 배치를 수렴할 때까지 한 번에 계산 (평소에는 물리 시뮬레이션이 꺼져 있음)
+ *   · layered: 인용 방향 계층 배치 (참고한 논문이 위, 참고하는 논문이 아래)
+ *   · radial: 선택 노드를 가운데 두고 연결 거리별 동심원
+ *   · circular: 연결된 노드끼리 이웃하도록 원 둘레에 배치
+ * - 미리보기 애니메이션 (현재 위치 → 계산한 위치 보간)
+ *
+ * 결과 위치는 현재 노드들의 중심(radial은 가운데 노드의 현재 위치)에 맞춰 옮겨서
+ * 화면이 크게 튀지 않게 함
+ */
+
+import { forceSimulation, forceLink, forceManyBody, forceCollide, forceX, forceY } from 'd3-force-3d';
+import { toId } from '../utils/helpers';
+import { LAYOUT } from '../constants/ui';
+import { MENTION_LINK_TYPE } from '../utils/wikiLinks';
+
+/**
+ * 레이아웃 종류 (UI 표시 순서)
+ */
+export const LAYOUT_KINDS = [
+  { id: 'force', label: 'Force-directed', icon: '🕸️', description: '연결된 노드는 가깝게, 나머지는 밀어내기' },
+  { id: 'layered', label: 'Hierarchical', icon: '🪜', description: '인용 방향 계층 (참고한 논문이 위)' },
+  { id: 'radial', label: 'Radial', icon: '🎯', description: '선택 노드 중심, 연결 거리별 동심원', needsSelection: true },
+  { id: 'circular', label: 'Circular', icon: '⭕', description: '원 둘레에 연결 순서대로' },
+];
+
+/**
+ * 무방향 이웃 목록 (자기 자신 / 그래프에 없는 노드로 가는 링크 제외)
+ */
+function buildNeighbors(nodes, links) {
+  const neighbors = new Map(nodes.map((node) => [node.id, []]));
+  links.forEach((link) => {
+    const source = toId(link.source);
+    const target = toId(link.target);
+    if (source === target || !neighbors.has(source) || !neighbors.has(target)) return;
+    neighbors.get(source).push(target);
+    neighbors.get(target).push(source);
+  });
+  return neighbors;
+}
+
+/**
+ * 위치가 있는 노드들의 중심 (없으면 원점)
+ */
+function centroidOf(nodes) {
+  const placed = nodes.filter((node) => node.x != null && node.y != null);
+  if (placed.length === 0) return { x: 0, y: 0 };
+  return {
+    x: placed.reduce((sum, node) => sum + node.x, 0) / placed.length,
+    y: placed.reduce((sum, node) => sum + node.y, 0) / placed.length,
+  };
+}
+
+/**
+ * 결과 위치를 from 지점이 to 지점에 오도록 평행 이동
+ */
+function recenter(positions, from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  positions.forEach((pos) => {
+    pos.x += dx;
+    pos.y += dy;
+  });
+  return positions;
+}
+
+/**
+ * 힘 기반 배치 (수렴할 때까지 동기 실행)
+ * 현재 위치에서 출발하므로 기존 배치의 대략적인 모양이 유지됨
+ */
+function forceLayout(nodes, links) {
+  const simNodes = nodes.map((node, index) => ({
+    id: node.id,
+    // 위치가 없는 노드는 원 둘레에 흩어 두고 시작 (한 점에 겹치면 힘 계산이 불안정)
+    x: node.x ?? Math.cos(index) * LAYOUT.MIN_RADIUS,
+    y: node.y ?? Math.sin(index) * LAYOUT.MIN_RADIUS,
+  }));
+  const ids = new Set(simNodes.map((node) => node.id));
+  const simLinks = links
+    .map((link) => ({ source: toId(link.source), target: toId(link.target) }))
+    .filter((link) => link.source !== link.target && ids.has(link.source) && ids.has(link.target));
+
+  const center = centroidOf(simNodes);
+  const simulation = forceSimulation(simNodes, 2)
+    .force('link', forceLink(simLinks).id((node) => node.id).distance(LAYOUT.FORCE_LINK_DISTANCE))
+    .force('charge', forceManyBody().strength(LAYOUT.FORCE_CHARGE))
+    .force('collide', forceCollide(LAYOUT.FORCE_COLLIDE_RADIUS))
+    // 연결되지 않은 노드가 멀리 밀려나지 않도록 중심으로 약하게 당김
+    .force('x', forceX(center.x).strength(LAYOUT.FORCE_GRAVITY))
+    .force('y', forceY(center.y).strength(LAYOUT.FORCE_GRAVITY))
+    .stop();
+
+  for (let i = 0; i < LAYOUT.FORCE_MAX_TICKS && simulation.alpha() > simulation.alphaMin(); i++) {
+    simulation.tick();
+  }
+
+  return new Map(simNodes.map((node) => [node.id, { x: node.x, y: node.y }]));
+}
+
+/**
+ * 인용 방향 계층 배치
+ * - 링크는 source가 target을 참고/인용한다는 뜻 (based-on, cited-by 모두) → target을 윗 계층에
+ * - 계층 = 참고하는 노드를 따라 내려간 가장 긴 경로 길이 (순환은 DFS 역방향 간선을 무시해 끊음)
+ * - 같은 계층 안 순서는 이웃 계층의 평균 위치(barycenter)로 몇 번 정렬해 교차를 줄임
+ * - mention 링크는 방향이 없으므로 계층 계산에서 제외
+ */
+function layeredLayout(nodes, links) {
+  const ids = new Set(nodes.map((node) => node.id));
+  const cites = new Map(nodes.map((node) => [node.id, []]));
+  links.forEach((link) => {
+    const source = toId(link.source);
+    const target = toId(link.target);
+    if (link.type === MENTION_LINK_TYPE || source === target || !ids.has(source) || !ids.has(target)) return;
+    cites.get(source).push(target);
+  });
+
+  // 가장 긴 경로 계층 (반복 DFS, 방문 중인 노드로 돌아가는 간선은 무시)
+  const layer = new Map();
+  const visiting = new Set();
+  nodes.forEach((root) => {
+    if (layer.has(root.id)) return;
+    const stack = [{ id: root.id, index: 0 }];
+    visiting.add(root.id);
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const targets = cites.get(frame.id);
+      if (frame.index < targets.length) {
+        const next = targets[frame.index++];
+        if (!layer.has(next) && !visiting.has(next)) {
+          visiting.add(next);
+          stack.push({ id: next, index: 0 });
+        }
+        continue;
+      }
+      const depth = targets.reduce((max, target) => (layer.has(target) ? Math.max(max, layer.get(target) + 1) : max), 0);
+      layer.set(frame.id, depth);
+      visiting.delete(frame.id);
+      stack.pop();
+    }
+  });
+
+  // 계층별 노드 (처음 순서는 현재 x 좌표)
+  const layers = [];
+  nodes.forEach((node) => {
+    const depth = layer.get(node.id);
+    if (!layers[depth]) layers[depth] = [];
+    layers[depth].push(node);
+  });
+  layers.forEach((row) => row.sort((a, b) => (a.x ?? 0) - (b.x ?? 0)));
+
+  const neighbors = buildNeighbors(nodes, links.filter((link) => link.type !== MENTION_LINK_TYPE));
+  const order = new Map(); // 노드 ID → 계층 안 위치 (가운데가 0)
+  const indexRow = (row) => row.forEach((node, index) => order.set(node.id, index - (row.length - 1) / 2));
+  layers.forEach(indexRow);
+
+  // 위→아래, 아래→위로 번갈아 이웃의 평균 순서로 정렬
+  for (let sweep = 0; sweep < LAYOUT.LAYER_SWEEPS; sweep++) {
+    const downward = sweep % 2 === 0;
+    const rows = downward ? layers.slice(1) : layers.slice(0, -1).reverse();
+    rows.forEach((row) => {
+      const depth = layer.get(row[0].id);
+      const adjacentDepth = downward ? depth - 1 : depth + 1;
+      const barycenter = new Map(row.map((node) => {
+        const adjacent = neighbors.get(node.id).filter((id) => layer.get(id) === adjacentDepth);
+        return [node.id, adjacent.length > 0
+          ? adjacent.reduce((sum, id) => sum + order.get(id), 0) / adjacent.length
+          : order.get(node.id)];
+      }));
+      row.sort((a, b) => barycenter.get(a.id) - barycenter.get(b.id));
+      indexRow(row);
+    });
+  }
+
+  const positions = new Map();
+  layers.forEach((row, depth) => {
+    row.forEach((node) => {
+      positions.set(node.id, { x: order.get(node.id) * LAYOUT.LAYER_NODE_GAP, y: depth * LAYOUT.LAYER_GAP });
+    });
+  });
+  return recenter(positions, centroidOf([...positions.values()]), centroidOf(nodes));
+}
+
+/**
+ * 선택 노드 중심 동심원 배치
+ * - 연결 거리(방향 무시 BFS)가 같은 노드를 한 원에, 부모 각도 순으로 배치
+ * - 연결되지 않은 노드는 가장 바깥 원 하나에 모음
+ */
+function radialLayout(nodes, links, centerId) {
+  const neighbors = buildNeighbors(nodes, links);
+  const parentOf = new Map([[centerId, null]]);
+  const rings = [[centerId]];
+
+  for (let depth = 0; rings[depth].length > 0; depth++) {
+    const next = [];
+    rings[depth].forEach((id) => {
+      neighbors.get(id).forEach((neighborId) => {
+        if (parentOf.has(neighborId)) return;
+        parentOf.set(neighborId, id);
+        next.push(neighborId);
+      });
+    });
+    rings.push(next);
+  }
+  rings.pop();
+
+  const unreachable = nodes.filter((node) => !parentOf.has(node.id)).map((node) => node.id);
+  if (unreachable.length > 0) rings.push(unreachable);
+
+  const angleOf = new Map([[centerId, 0]]);
+  const positions = new Map([[centerId, { x: 0, y: 0 }]]);
+  let radius = 0;
+
+  rings.slice(1).forEach((ring) => {
+    // 안쪽 원보다 크고, 노드 간격이 확보되는 반지름
+    radius = Math.max(radius + LAYOUT.RADIAL_RING_GAP, (ring.length * LAYOUT.CIRCLE_NODE_GAP) / (2 * Math.PI));
+    const sorted = [...ring].sort((a, b) => (angleOf.get(parentOf.get(a)) ?? 0) - (angleOf.get(parentOf.get(b)) ?? 0));
+    sorted.forEach((id, index) => {
+      const angle = (index / sorted.length) * 2 * Math.PI - Math.PI / 2;
+      angleOf.set(id, angle);
+      positions.set(id, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+    });
+  });
+
+  const center = nodes.find((node) => node.id === centerId);
+  const anchor = center?.x != null && center?.y != null ? center : centroidOf(nodes);
+  return recenter(positions, { x: 0, y: 0 }, anchor);
+}
+
+/**
+ * 원형 배치
+ * 연결 요소별로 BFS 순서대로 이어 붙여 링크가 원을 가로지르는 일을 줄임
+ */
+function circularLayout(nodes, links) {
+  const neighbors = buildNeighbors(nodes, links);
+  const visited = new Set();
+  const sequence = [];
+
+  nodes.forEach((root) => {
+    if (visited.has(root.id)) return;
+    visited.add(root.id);
+    const queue = [root.id];
+    for (let i = 0; i < queue.length; i++) {
+      sequence.push(queue[i]);
+      neighbors.get(queue[i]).forEach((id) => {
+        if (visited.has(id)) return;
+        visited.add(id);
+        queue.push(id);
+      });
+    }
+  });
+
+  const radius = Math.max(LAYOUT.MIN_RADIUS, (sequence.length * LAYOUT.CIRCLE_NODE_GAP) / (2 * Math.PI));
+  const positions = new Map(sequence.map((id, index) => {
+    const angle = (index / sequence.length) * 2 * Math.PI - Math.PI / 2;
+    return [id, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius }];
+  }));
+  return recenter(positions, { x: 0, y: 0 }, centroidOf(nodes));
+}
+
+/**
+ * 레이아웃 위치 계산
+ *
+ * @param {string} kind - LAYOUT_KINDS의 id
+ * @param {Array<{id: string, x?: number, y?: number}>} nodes - 현재 위치가 있는 노드
+ * @param {import('../types').Link[]} links
+ * @param {{centerId?: string|null}} [options] - radial의 가운데 노드
+ * @returns {Map<string, {x: number, y: number}>} 노드 ID → 새 위치
+ */
+export function computeLayout(kind, nodes, links, { centerId = null } = {}) {
+  if (nodes.length === 0) return new Map();
+
+  switch (kind) {
+    case 'force':
+      return forceLayout(nodes, links);
+    case 'layered':
+      return layeredLayout(nodes, links);
+    case 'radial':
+      if (!nodes.some((node) => node.id === centerId)) {
+        throw new Error('방사형 레이아웃은 가운데 노드가 필요합니다.');
+      }
+      return radialLayout(nodes, links, centerId);
+    case 'circular':
+      return circularLayout(nodes, links);
+    default:
+      throw new Error(`알 수 없는 레이아웃: ${kind}`);
+  }
+}
+
+/**
+ * 노드를 현재 위치에서 목표 위치로 옮기는 애니메이션 (ease-in-out)
+ * 노드 객체의 x/y/fx/fy를 직접 바꾸고, 매 프레임 onFrame으로 다시 그리기를 요청
+ *
+ * @param {Array<Object>} nodes - 그래프에 표시 중인 노드 객체
+ * @param {Map<string, {x: number, y: number}>} targets - 노드 ID → 목표 위치
+ * @param {{duration?: number, onFrame?: Function, onDone?: Function}} [options]
+ * @returns {function(): void} 애니메이션 중단 (노드는 중단 시점 위치에 남음)
+ */
+export function animateNodePositions(nodes, targets, { duration = LAYOUT.ANIMATION_DURATION, onFrame, onDone } = {}) {
+  const moves = nodes
+    .filter((node) => targets.has(node.id))
+    .map((node) => ({ node, from: { x: node.x ?? 0, y: node.y ?? 0 }, to: targets.get(node.id) }));
+
+  const start = performance.now();
+  let frameId = null;
+
+  const step = (now) => {
+    const t = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+    const eased = t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2;
+    moves.forEach(({ node, from, to }) => {
+      node.x = node.fx = from.x + (to.x - from.x) * eased;
+      node.y = node.fy = from.y + (to.y - from.y) * eased;
+      node.vx = 0;
+      node.vy = 0;
+    });
+    onFrame?.();
+    if (t < 1) {
+      frameId = requestAnimationFrame(step);
+    } else {
+      frameId = null;
+      onDone?.();
+    }
+  };
+
+  frameId = requestAnimationFrame(step);
+  return () => {
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { computeLayout, animateNodePositions } from './layouts';
+import { LAYOUT } from '../constants/ui';
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const centroid = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+});
+
+describe('computeLayout', () => {
+  it('노드가 없으면 빈 결과, 알 수 없는 레이아웃이나 가운데 노드 없는 방사형은 오류', () => {
+    expect(computeLayout('force', [], []).size).toBe(0);
+    expect(() => computeLayout('spiral', [{ id: 'a' }], [])).toThrow();
+    expect(() => computeLayout('radial', [{ id: 'a' }], [], { centerId: 'missing' })).toThrow();
+  });
+
+  it('layered: 참고한 논문이 위 계층, mention 링크와 순환은 계층을 만들지 않음', () => {
+    const nodes = ['a', 'b', 'c', 'd'].map((id, i) => ({ id, x: i * 10, y: 0 }));
+    const links = [
+      { source: 'a', target: 'b', type: 'based-on' },
+      { source: 'b', target: 'c', type: 'based-on' },
+      { source: 'c', target: 'a', type: 'cited-by' },
+      { source: 'd', target: 'a', type: 'mention' },
+    ];
+    const positions = computeLayout('layered', nodes, links);
+
+    // a → b → c (→ a는 순환이라 무시): c가 가장 위
+    expect(positions.get('c').y).toBeLessThan(positions.get('b').y);
+    expect(positions.get('b').y).toBeLessThan(positions.get('a').y);
+    // mention만 있는 d는 맨 위 계층 (c와 같은 줄)
+    expect(positions.get('d').y).toBe(positions.get('c').y);
+    expect(positions.get('b').y - positions.get('c').y).toBe(LAYOUT.LAYER_GAP);
+  });
+
+  it('layered: 결과의 중심은 현재 노드들의 중심', () => {
+    const nodes = [{ id: 'a', x: 100, y: 200 }, { id: 'b', x: 300, y: 400 }];
+    const positions = computeLayout('layered', nodes, [{ source: 'a', target: 'b', type: 'based-on' }]);
+    expect(centroid([...positions.values()])).toEqual({ x: 200, y: 300 });
+  });
+
+  it('radial: 가운데 노드는 제자리, 연결 거리 순으로 바깥 원, 연결 안 된 노드는 가장 바깥', () => {
+    const nodes = [
+      { id: 'center', x: 50, y: -20 },
+      { id: 'near', x: 0, y: 0 },
+      { id: 'far', x: 0, y: 0 },
+      { id: 'alone', x: 0, y: 0 },
+    ];
+    const links = [{ source: 'center', target: 'near' }, { source: 'far', target: 'near' }];
+    const positions = computeLayout('radial', nodes, links, { centerId: 'center' });
+    const center = positions.get('center');
+
+    expect(center).toEqual({ x: 50, y: -20 });
+    const radius = (id) => distance(positions.get(id), center);
+    expect(radius('near')).toBeCloseTo(LAYOUT.RADIAL_RING_GAP);
+    expect(radius('far')).toBeGreaterThan(radius('near'));
+    expect(radius('alone')).toBeGreaterThan(radius('far'));
+  });
+
+  it('circular: 모든 노드를 현재 중심 둘레의 한 원 위에', () => {
+    const nodes = ['a', 'b', 'c', 'd', 'e'].map((id, i) => ({ id, x: i * 20, y: 10 }));
+    const positions = computeLayout('circular', nodes, [{ source: 'a', target: 'c' }]);
+    const center = centroid(nodes);
+
+    [...positions.values()].forEach((pos) => {
+      expect(distance(pos, center)).toBeCloseTo(LAYOUT.MIN_RADIUS);
+    });
+    // 연결된 a, c는 원 위에서 이웃
+    const angle = (id) => Math.atan2(positions.get(id).y - center.y, positions.get(id).x - center.x);
+    const step = (2 * Math.PI) / nodes.length;
+    expect(Math.abs(angle('c') - angle('a'))).toBeCloseTo(step);
+  });
+
+  it('force: 위치 없는 노드도 포함해 모든 노드에 유한한 위치, 연결된 노드는 가깝게', () => {
+    const nodes = [{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 400, y: 0 }, { id: 'c' }, { id: 'd' }];
+    const positions = computeLayout('force', nodes, [{ source: 'a', target: 'b' }]);
+
+    expect([...positions.keys()]).toEqual(['a', 'b', 'c', 'd']);
+    positions.forEach((pos) => {
+      expect(Number.isFinite(pos.x) && Number.isFinite(pos.y)).toBe(true);
+    });
+    expect(distance(positions.get('a'), positions.get('b'))).toBeLessThan(400);
+  });
+});
+
+describe('animateNodePositions', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('목표 위치로 옮기고 고정한 뒤 onDone', async () => {
+    vi.stubGlobal('requestAnimationFrame', (callback) => setTimeout(() => callback(performance.now()), 0));
+    vi.stubGlobal('cancelAnimationFrame', (id) => clearTimeout(id));
+
+    const node = { id: 'a', x: 0, y: 0, vx: 3 };
+    const other = { id: 'b', x: 5, y: 5 };
+    const onFrame = vi.fn();
+    await new Promise((resolve) => {
+      animateNodePositions([node, other], new Map([['a', { x: 10, y: -10 }]]), { duration: 0, onFrame, onDone: resolve });
+    });
+
+    expect(node).toMatchObject({ x: 10, y: -10, fx: 10, fy: -10, vx: 0 });
+    expect(other).toEqual({ id: 'b', x: 5, y: 5 });
+    expect(onFrame).toHaveBeenCalled();
+  });
+});
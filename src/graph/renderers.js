@@ -19,7 +19,9 @@ import {
   SELECTION_RING, 
   GLOW_EFFECT,
   LINK_CURVATURE,
-  HIT_AREA
+  HIT_AREA,
+  HIGHLIGHT_RING,
+  MULTI_SELECT_RING
 } from '../constants/nodeLayout';
 
 /**
@@ -27,11 +29,15 @@ import {
  * 
  * @param {Object} nodeStyles -   Ÿ  { nodeId: { size, shape, color, ... } }
  * @param {string|null} selectedId -  õ  ID (Ʈ гο  ִ )
+ * @param {Set<string>|null} highlightIds -   ID (˻  ,   帮)
+ * @param {Set<string>|null} selectedIds -  õ  ID (  ǥ)
+ * @param {Function|null} colorOf - (node) => , Ӽ ĥ    Ÿ/׷   
+ * @param {Set<string>|null} filterIds - Ϳ ´  ID (ǥ   ,   帮)
  * @returns {Function} (node, ctx, globalScale) => void
  * 
  * ? ȯϴ Լ react-force-graph-2d  Ӹ ȣ
  */
-export function makeNodeCanvasObject(nodeStyles, selectedId = null) {
+export function makeNodeCanvasObject(nodeStyles, selectedId = null, highlightIds = null, selectedIds = null, colorOf = null, filterIds = null) {
   // Ŭ: nodeStyles ϴ  Լ ȯ
   return (node, ctx, globalScale) => {
     // ? Ÿ  (  ü)
@@ -40,20 +46,25 @@ export function makeNodeCanvasObject(nodeStyles, selectedId = null) {
     //  尡 õ  Ȯ
     const isSelected = selectedId === node.id;
     
+    //  :    ǥ,  帮
+    const hasHighlight = highlightIds && highlightIds.size > 0;
+    const isHighlighted = hasHighlight && highlightIds.has(node.id);
+    const isDimmed = (hasHighlight && !isHighlighted) || (filterIds !== null && !filterIds.has(node.id));
+    
     // ? ũ  (  ȭ)
     const sizeKey = style.size || 'm';
     const r = sizeKey === 'l' ? NODE_SIZE.LARGE : (sizeKey === 's' ? NODE_SIZE.SMALL : NODE_SIZE.MEDIUM);
     
-    // ?  
+    // ?   (Ӽ ĥ ̸ Ӽ  켱)
     const shape = style.shape || 'circle';
-    const fill = style.color || (node.group === 1 ? NODE_COLORS.CORE : 
+    const fill = colorOf ? colorOf(node) : style.color || (node.group === 1 ? NODE_COLORS.CORE : 
                                   node.group === 2 ? NODE_COLORS.BASED_ON : NODE_COLORS.CITED_BY);
     
     const isCircle = shape === 'circle';
     const s = r * 2.0; // 簢 ũ ̸ 
     
     // ? ۷ο ȿ ( ǥ)
-    if (style.glow) {
+    if (style.glow && !isDimmed) {
       ctx.save();
       ctx.fillStyle = fill;
       ctx.shadowColor = fill;
@@ -85,6 +96,7 @@ export function makeNodeCanvasObject(nodeStyles, selectedId = null) {
     
     // ?  ü ׸
     ctx.save();
+    if (isDimmed) ctx.globalAlpha = HIGHLIGHT_RING.DIMMED_OPACITY;
     ctx.fillStyle = fill;
     ctx.beginPath();
     if (isCircle) {
@@ -110,6 +122,39 @@ export function makeNodeCanvasObject(nodeStyles, selectedId = null) {
     
     ctx.restore();
     
+    //   ܰ  ǥ
+    if (isHighlighted) {
+      ctx.save();
+      ctx.strokeStyle = HIGHLIGHT_RING.COLOR;
+      ctx.lineWidth = HIGHLIGHT_RING.LINE_WIDTH;
+      ctx.beginPath();
+      if (isCircle) {
+        ctx.arc(node.x, node.y, r * HIGHLIGHT_RING.RING_RATIO, 0, 2 * Math.PI);
+      } else {
+        const ringSize = s * HIGHLIGHT_RING.RING_RATIO;
+        ctx.rect(node.x - ringSize / 2, node.y - ringSize / 2, ringSize, ringSize);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+    
+    //  õ    ǥ
+    if (selectedIds && selectedIds.has(node.id)) {
+      ctx.save();
+      ctx.strokeStyle = MULTI_SELECT_RING.COLOR;
+      ctx.lineWidth = MULTI_SELECT_RING.LINE_WIDTH;
+      ctx.setLineDash(MULTI_SELECT_RING.DASH);
+      ctx.beginPath();
+      if (isCircle) {
+        ctx.arc(node.x, node.y, r * MULTI_SELECT_RING.RING_RATIO, 0, 2 * Math.PI);
+      } else {
+        const ringSize = s * MULTI_SELECT_RING.RING_RATIO;
+        ctx.rect(node.x - ringSize / 2, node.y - ringSize / 2, ringSize, ringSize);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+    
     // ? õ    ǥ
     if (isSelected) {
       ctx.save();
@@ -142,7 +187,7 @@ export function makeNodeCanvasObject(nodeStyles, selectedId = null) {
     }
     
     // ??  ׸ (Pin label ɼ  )
-    if (style.labelPinned) {
+    if (style.labelPinned && !isDimmed) {
       const label = node.title || node.id;  // ǥ ؽƮ
       const fontSize = Math.max(7, 0.5 * (12 / globalScale));  // ܿ  
       const padX = 4, padY = 2;  // е
@@ -183,18 +228,30 @@ export function makeNodeCanvasObject(nodeStyles, selectedId = null) {
  *  :
  * - Based On ( ):  (indigo)
  * - Cited By (ļ ): ûϻ (teal)
+ * - Mention (Ʈ  [[Ű ũ]]): ȸ
  * - description     ǥ
  */
 export const defaultLinkColor = (l) => {
   const hasDescription = l.description && l.description.trim() !== '';
   
-  if (l.type === 'based-on') {
+  if (l.type === 'mention') {
+    return hasDescription ? 'rgba(209,213,219,0.9)' : 'rgba(156,163,175,0.6)';
+  } else if (l.type === 'based-on') {
     return hasDescription ? 'rgba(129,140,248,1)' : 'rgba(165,180,252,0.9)';
   } else {
     return hasDescription ? 'rgba(45,212,191,1)' : 'rgba(94,234,212,0.9)';
   }
 };
 
+/**
+ * ũ   Լ
+ * mention ũ  ׷ ο (Ǽ) 
+ *
+ * @param {Object} l - ũ ü
+ * @returns {number[]|null}   (null̸ Ǽ)
+ */
+export const defaultLinkLineDash = (l) => (l.type === 'mention' ? [2, 2] : null);
+
 /**
  * Ŭ   ׸ Լ
  * react-force-graph-2d nodePointerAreaPaint Ƽ 
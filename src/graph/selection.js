@@ -0,0 +1,127 @@
+/**
+ * 다중 선택 (사각형 / 올가미) + 선택 노드 정렬
+ *
+ * 이 파일의 역할:
+ * - 화면 좌표로 그린 사각형/올가미 안에 들어온 노드 찾기
+ * - 선택 노드를 한쪽 가장자리/가운데로 맞추거나 같은 간격으로 배치할 위치 계산
+ *
+ * 좌표: 선택 도형은 그래프 컨테이너 기준 화면 좌표, 정렬은 그래프 좌표
+ */
+
+/**
+ * @typedef {Object} SelectionShape
+ * @property {'box'|'lasso'} mode - 사각형 / 올가미
+ * @property {Array<{x: number, y: number}>} points - 'box'는 시작점과 현재점, 'lasso'는 지나온 점 전체
+ */
+
+/**
+ * 정렬 방식 (UI 표시 순서)
+ */
+export const ALIGN_MODES = [
+  { id: 'left', label: '⇤', title: '왼쪽 맞춤' },
+  { id: 'center', label: '↔', title: '가로 가운데 맞춤' },
+  { id: 'right', label: '⇥', title: '오른쪽 맞춤' },
+  { id: 'top', label: '⤒', title: '위쪽 맞춤' },
+  { id: 'middle', label: '↕', title: '세로 가운데 맞춤' },
+  { id: 'bottom', label: '⤓', title: '아래쪽 맞춤' },
+  { id: 'distribute-x', label: '⋯', title: '가로 같은 간격 (3개 이상)' },
+  { id: 'distribute-y', label: '⋮', title: '세로 같은 간격 (3개 이상)' },
+];
+
+/**
+ * 두 점으로 만든 사각형
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function rectFromPoints(a, b) {
+  return {
+    left: Math.min(a.x, b.x),
+    top: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y),
+  };
+}
+
+/**
+ * 점이 다각형 안에 있는지 (ray casting)
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {boolean}
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y)
+      && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 선택 도형 안에 중심이 들어온 노드
+ *
+ * @param {Array<{id: string, x: number, y: number}>} nodes - 그래프 좌표의 노드
+ * @param {SelectionShape} shape - 화면 좌표의 선택 도형
+ * @param {function(number, number): {x: number, y: number}} toScreen - 그래프 → 화면 좌표 변환
+ * @returns {string[]} 노드 ID
+ */
+export function findNodesInSelection(nodes, shape, toScreen) {
+  if (shape.points.length < 2) return [];
+
+  let contains;
+  if (shape.mode === 'lasso') {
+    if (shape.points.length < 3) return [];
+    contains = (point) => isPointInPolygon(point, shape.points);
+  } else {
+    const rect = rectFromPoints(shape.points[0], shape.points[shape.points.length - 1]);
+    contains = (point) => point.x >= rect.left && point.x <= rect.left + rect.width
+      && point.y >= rect.top && point.y <= rect.top + rect.height;
+  }
+
+  return nodes
+    .filter((node) => node.x != null && node.y != null && contains(toScreen(node.x, node.y)))
+    .map((node) => node.id);
+}
+
+/**
+ * 선택 노드 정렬 위치 계산
+ * - left/center/right, top/middle/bottom: 한 축만 맞춤 (노드 중심 기준)
+ * - distribute-x/y: 양 끝 노드는 그대로 두고 사이 노드를 같은 간격으로 (3개 이상일 때만)
+ *
+ * @param {Array<{id: string, x: number, y: number}>} nodes - 그래프 좌표의 노드
+ * @param {string} mode - ALIGN_MODES의 id
+ * @returns {Map<string, {x: number, y: number}>} 바뀌는 노드의 새 위치
+ */
+export function computeAlignment(nodes, mode) {
+  const placed = nodes.filter((node) => node.x != null && node.y != null);
+  const result = new Map();
+  if (placed.length < 2) return result;
+
+  const axis = ['left', 'center', 'right', 'distribute-x'].includes(mode) ? 'x' : 'y';
+  const values = placed.map((node) => node[axis]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  const move = (node, value) => {
+    if (node[axis] !== value) result.set(node.id, { x: node.x, y: node.y, [axis]: value });
+  };
+
+  if (mode === 'distribute-x' || mode === 'distribute-y') {
+    if (placed.length < 3) return result;
+    const sorted = [...placed].sort((a, b) => a[axis] - b[axis]);
+    const gap = (max - min) / (sorted.length - 1);
+    sorted.forEach((node, index) => move(node, min + gap * index));
+    return result;
+  }
+
+  const target = mode === 'left' || mode === 'top'
+    ? min
+    : mode === 'right' || mode === 'bottom'
+      ? max
+      : (min + max) / 2;
+  placed.forEach((node) => move(node, target));
+  return result;
+}
@@ -0,0 +1,287 @@
+/**
+ * 태그 뷰 레이아웃 + 클러스터 외곽선 렌더링
+ *
+ * 이 파일의 역할:
+ * - 선택한 태그 카테고리 기준으로 노드를 클러스터로 묶기
+ * - 계층 태그("A > B > C")는 현재 드릴다운 경로의 다음 단계로 묶음
+ * - 클러스터를 격자로 배치하고 내부 노드는 해바라기(phyllotaxis) 패턴으로 배치
+ * - 클러스터 외곽선(convex hull)과 계층 경로 라벨을 Canvas에 그리기
+ *
+ * 클러스터 종류:
+ * - 'tag': 다음 계층 태그로 묶인 노드
+ * - 'self': 현재 경로 태그만 있고 하위 태그가 없는 노드
+ * - 'untagged': 카테고리에 태그가 없는 노드
+ * - 'outside': 태그는 있지만 현재 경로 밖에 있는 노드 (드릴다운 시)
+ */
+
+import { parseTagHierarchy } from '../utils/tagHelpers';
+import { TAG_VIEW } from '../constants/ui';
+
+/**
+ * @typedef {Object} TagCluster
+ * @property {string} key - 클러스터 키
+ * @property {'tag'|'self'|'untagged'|'outside'} kind - 클러스터 종류
+ * @property {string[]} levels - 계층 경로 (버킷은 빈 배열)
+ * @property {string} label - 표시 라벨 (예: "Deep Learning > CNN")
+ * @property {string[]} nodeIds - 소속 노드 ID
+ * @property {boolean} hasChildren - 하위 계층이 있어 드릴다운 가능한지
+ * @property {string} color - 외곽선 색상
+ */
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+const startsWithPath = (levels, path) => path.every((level, i) => levels[i] === level);
+
+/**
+ * 노드를 태그 클러스터로 분류
+ *
+ * @param {import('../types').Node[]} nodes - 그래프 노드
+ * @param {string|null} category - 태그 카테고리
+ * @param {string[]} [path] - 드릴다운 경로 (예: ['Deep Learning', 'CNN'])
+ * @returns {TagCluster[]} 클러스터 (태그 클러스터는 크기순, 버킷은 마지막)
+ */
+export function computeTagClusters(nodes, category, path = []) {
+  const groups = new Map();
+  const buckets = { self: [], untagged: [], outside: [] };
+  const deeper = new Set();
+
+  nodes.forEach((node) => {
+    const tags = (category && node.tags?.[category]) || [];
+    if (tags.length === 0) {
+      buckets.untagged.push(node.id);
+      return;
+    }
+
+    const inPath = tags
+      .map(parseTagHierarchy)
+      .filter((levels) => levels.length >= path.length && startsWithPath(levels, path));
+
+    const next = inPath
+      .filter((levels) => levels.length > path.length)
+      .sort((a, b) => a[path.length].localeCompare(b[path.length]));
+
+    if (next.length > 0) {
+      const name = next[0][path.length];
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(node.id);
+    } else if (inPath.length > 0) {
+      buckets.self.push(node.id);
+    } else {
+      buckets.outside.push(node.id);
+    }
+
+    // 드릴다운 가능 여부: 다음 단계보다 더 깊은 태그가 있는지
+    inPath.forEach((levels) => {
+      if (levels.length > path.length + 1) deeper.add(levels[path.length]);
+    });
+  });
+
+  const clusters = [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+    .map(([name, nodeIds], i) => {
+      const levels = [...path, name];
+      return {
+        key: `tag:${levels.join(' > ')}`,
+        kind: 'tag',
+        levels,
+        label: levels.join(' > '),
+        nodeIds,
+        hasChildren: deeper.has(name),
+        color: TAG_VIEW.COLORS[i % TAG_VIEW.COLORS.length],
+      };
+    });
+
+  if (buckets.self.length > 0) {
+    clusters.push({
+      key: 'self',
+      kind: 'self',
+      levels: path,
+      label: `${path.join(' > ')} (하위 태그 없음)`,
+      nodeIds: buckets.self,
+      hasChildren: false,
+      color: TAG_VIEW.BUCKET_COLOR,
+    });
+  }
+  if (buckets.outside.length > 0) {
+    clusters.push({
+      key: 'outside',
+      kind: 'outside',
+      levels: [],
+      label: '다른 태그',
+      nodeIds: buckets.outside,
+      hasChildren: false,
+      color: TAG_VIEW.BUCKET_COLOR,
+    });
+  }
+  if (buckets.untagged.length > 0) {
+    clusters.push({
+      key: 'untagged',
+      kind: 'untagged',
+      levels: [],
+      label: '태그 없음',
+      nodeIds: buckets.untagged,
+      hasChildren: false,
+      color: TAG_VIEW.BUCKET_COLOR,
+    });
+  }
+
+  return clusters;
+}
+
+/**
+ * 클러스터 배치 (격자 배치 + 클러스터 내부 해바라기 패턴)
+ *
+ * @param {TagCluster[]} clusters
+ * @returns {Map<string, {x: number, y: number}>} 노드 ID → 위치
+ */
+export function layoutTagClusters(clusters) {
+  const positions = new Map();
+  if (clusters.length === 0) return positions;
+
+  const spacing = TAG_VIEW.NODE_SPACING;
+  const radiusOf = (count) => spacing * Math.sqrt(count) + spacing / 2;
+  const maxRadius = Math.max(...clusters.map((c) => radiusOf(c.nodeIds.length)));
+
+  const cols = Math.ceil(Math.sqrt(clusters.length));
+  const rows = Math.ceil(clusters.length / cols);
+  const cell = maxRadius * 2 + TAG_VIEW.CLUSTER_GAP;
+
+  clusters.forEach((cluster, index) => {
+    const cx = ((index % cols) - (cols - 1) / 2) * cell;
+    const cy = (Math.floor(index / cols) - (rows - 1) / 2) * cell;
+
+    cluster.nodeIds.forEach((nodeId, i) => {
+      const r = spacing * Math.sqrt(i);
+      const angle = i * GOLDEN_ANGLE;
+      positions.set(nodeId, { x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle) });
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Convex hull (Andrew's monotone chain)
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>} 반시계 방향 외곽 점
+ */
+function convexHull(points) {
+  if (points.length < 3) return points.slice();
+
+  const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  upper.pop();
+  lower.pop();
+  return lower.concat(upper);
+}
+
+const clusterPoints = (cluster, nodeById) => cluster.nodeIds
+  .map((id) => nodeById.get(id))
+  .filter((n) => n && n.x != null && n.y != null);
+
+/**
+ * 클러스터 외곽선 + 라벨 그리기 함수 생성
+ * react-force-graph-2d의 onRenderFramePre에 연결 (노드/링크보다 먼저 그림)
+ *
+ * @param {TagCluster[]} clusters
+ * @param {Map<string, Object>} nodeById - 시뮬레이션 노드 (현재 x, y 사용)
+ * @returns {function(CanvasRenderingContext2D, number): void}
+ */
+export function makeTagHullPainter(clusters, nodeById) {
+  return (ctx, globalScale) => {
+    const pad = TAG_VIEW.HULL_PADDING;
+
+    clusters.forEach((cluster) => {
+      const points = clusterPoints(cluster, nodeById);
+      if (points.length === 0) return;
+      const hull = convexHull(points);
+
+      // 굵은 둥근 선으로 외곽선을 그려 여백(padding)을 표현
+      ctx.save();
+      ctx.beginPath();
+      hull.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.lineJoin = 'round';
+      ctx.lineCap = 'round';
+      ctx.globalAlpha = cluster.kind === 'tag' ? 0.12 : 0.08;
+      ctx.fillStyle = cluster.color;
+      ctx.strokeStyle = cluster.color;
+      ctx.lineWidth = pad * 2;
+      ctx.stroke();
+      ctx.fill();
+      ctx.restore();
+
+      // 라벨 (외곽선 위쪽 중앙)
+      const minY = Math.min(...points.map((p) => p.y));
+      const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+      const fontSize = TAG_VIEW.LABEL_FONT_SIZE / globalScale;
+
+      ctx.save();
+      ctx.font = `600 ${fontSize}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = cluster.color;
+      ctx.globalAlpha = 0.95;
+      const suffix = cluster.hasChildren ? '  ▸' : '';
+      ctx.fillText(`${cluster.label} (${cluster.nodeIds.length})${suffix}`, cx, minY - pad - 4 / globalScale);
+      ctx.restore();
+    });
+  };
+}
+
+/**
+ * 그래프 좌표가 속한 클러스터 찾기 (외곽선 + 여백 기준)
+ *
+ * @param {TagCluster[]} clusters
+ * @param {Map<string, Object>} nodeById
+ * @param {number} x - 그래프 좌표
+ * @param {number} y - 그래프 좌표
+ * @returns {TagCluster|null}
+ */
+export function findClusterAt(clusters, nodeById, x, y) {
+  const pad = TAG_VIEW.HULL_PADDING;
+
+  for (const cluster of clusters) {
+    const points = clusterPoints(cluster, nodeById);
+    if (points.length === 0) continue;
+    const hull = convexHull(points);
+
+    // 외곽선 내부
+    if (hull.length >= 3) {
+      let inside = false;
+      for (let i = 0, j = hull.length - 1; i < hull.length; j = i++) {
+        const a = hull[i];
+        const b = hull[j];
+        if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+          inside = !inside;
+        }
+      }
+      if (inside) return cluster;
+    }
+
+    // 외곽선 여백 (각 변까지의 거리)
+    for (let i = 0; i < hull.length; i++) {
+      const a = hull[i];
+      const b = hull[(i + 1) % hull.length];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / len2));
+      if (Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy)) <= pad) return cluster;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,255 @@
+/**
+ * 타임라인 뷰 레이아웃 + 시간 축 렌더링
+ *
+ * 이 파일의 역할:
+ * - 노드 날짜 결정 (node.date → 노트 생성일 createdAt 순으로 대체)
+ * - 날짜를 가로 시간 축 위치로 변환하고, 같은 시기 노드는 줄(lane)을 나눠 쌓기
+ * - 날짜가 없는 노드는 축 오른쪽 끝에 별도 묶음으로 배치
+ * - based-on / cited-by 링크를 축 위쪽으로 휘는 호(arc)로 표시
+ * - 줌 레벨에 따라 눈금 단위(월 ~ 100년)가 바뀌는 시간 축 그리기
+ */
+
+import { parseNodeDate } from '../utils/dateHelpers';
+import { TIMELINE } from '../constants/ui';
+
+/**
+ * @typedef {Object} TimelineDate
+ * @property {number} time - 타임스탬프 (ms, UTC)
+ * @property {'date'|'created'} source - 날짜 출처 (노드 날짜 / 노트 생성일)
+ */
+
+/**
+ * @typedef {Object} TimelineLayout
+ * @property {Map<string, {x: number, y: number}>} positions - 노드 ID → 위치
+ * @property {number} t0 - 축 시작 시각 (ms)
+ * @property {number} t1 - 축 끝 시각 (ms)
+ * @property {number} pxPerMs - 1ms당 그래프 좌표 길이
+ * @property {number} axisY - 축의 y 좌표
+ * @property {string[]} undatedIds - 날짜 없는 노드 ID
+ * @property {{x: number, y: number}|null} undatedOrigin - 날짜 없음 묶음의 라벨 위치
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 눈금 단위 (작은 단위부터, 화면 간격이 충분한 첫 단위를 사용)
+const TICK_UNITS = [
+  { months: 1 },
+  { months: 3 },
+  { months: 6 },
+  { years: 1 },
+  { years: 2 },
+  { years: 5 },
+  { years: 10 },
+  { years: 20 },
+  { years: 50 },
+  { years: 100 },
+];
+
+const unitMs = (unit) => (unit.months ? unit.months * 30.44 * DAY : unit.years * 365.25 * DAY);
+
+/**
+ * 노드별 타임라인 날짜 결정
+ *
+ * @param {import('../types').Node[]} nodes - 그래프 노드
+ * @param {Object.<string, string>} createdAtById - 노드 ID → 노트 생성일 (IndexedDB createdAt)
+ * @returns {Map<string, TimelineDate>} 날짜가 있는 노드만 포함
+ */
+export function resolveTimelineDates(nodes, createdAtById = {}) {
+  const dates = new Map();
+
+  nodes.forEach((node) => {
+    const own = parseNodeDate(node.date);
+    if (own != null) {
+      dates.set(node.id, { time: own, source: 'date' });
+      return;
+    }
+    const created = parseNodeDate(createdAtById[node.id]);
+    if (created != null) {
+      dates.set(node.id, { time: created, source: 'created' });
+    }
+  });
+
+  return dates;
+}
+
+/**
+ * 타임라인 배치
+ *
+ * @param {import('../types').Node[]} nodes - 그래프 노드
+ * @param {Map<string, TimelineDate>} dates - resolveTimelineDates 결과
+ * @returns {TimelineLayout}
+ */
+export function layoutTimeline(nodes, dates) {
+  const positions = new Map();
+  const dated = nodes
+    .filter((n) => dates.has(n.id))
+    .sort((a, b) => dates.get(a.id).time - dates.get(b.id).time);
+  const undatedIds = nodes.filter((n) => !dates.has(n.id)).map((n) => n.id);
+
+  // 축 범위 (최소 기간 + 양 끝 여백)
+  const times = dated.map((n) => dates.get(n.id).time);
+  let t0 = times.length ? times[0] : Date.now();
+  let t1 = times.length ? times[times.length - 1] : t0;
+  const minSpan = TIMELINE.MIN_SPAN_DAYS * DAY;
+  if (t1 - t0 < minSpan) {
+    const mid = (t0 + t1) / 2;
+    t0 = mid - minSpan / 2;
+    t1 = mid + minSpan / 2;
+  }
+  const edge = (t1 - t0) * TIMELINE.EDGE_PADDING;
+  t0 -= edge;
+  t1 += edge;
+
+  const pxPerMs = TIMELINE.AXIS_WIDTH / (t1 - t0);
+  const xOf = (time) => (time - t0) * pxPerMs - TIMELINE.AXIS_WIDTH / 2;
+
+  // 같은 시기 노드는 빈 자리가 있는 첫 줄에 배치
+  const laneEnds = [];
+  dated.forEach((node) => {
+    const x = xOf(dates.get(node.id).time);
+    let lane = laneEnds.findIndex((end) => x - end >= TIMELINE.MIN_NODE_GAP);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(x);
+    } else {
+      laneEnds[lane] = x;
+    }
+    positions.set(node.id, { x, y: lane * TIMELINE.LANE_HEIGHT });
+  });
+
+  const axisY = Math.max(laneEnds.length - 1, 0) * TIMELINE.LANE_HEIGHT + TIMELINE.AXIS_OFFSET;
+
+  // 날짜 없는 노드: 축 오른쪽에 격자로 배치
+  let undatedOrigin = null;
+  if (undatedIds.length > 0) {
+    const cols = Math.ceil(Math.sqrt(undatedIds.length));
+    const startX = TIMELINE.AXIS_WIDTH / 2 + TIMELINE.UNDATED_GAP;
+    undatedIds.forEach((id, i) => {
+      positions.set(id, {
+        x: startX + (i % cols) * TIMELINE.LANE_HEIGHT,
+        y: Math.floor(i / cols) * TIMELINE.LANE_HEIGHT,
+      });
+    });
+    undatedOrigin = {
+      x: startX + ((cols - 1) * TIMELINE.LANE_HEIGHT) / 2,
+      y: -TIMELINE.LANE_HEIGHT / 2,
+    };
+  }
+
+  return { positions, t0, t1, pxPerMs, axisY, undatedIds, undatedOrigin };
+}
+
+/**
+ * 타임라인 링크 곡률 (linkCurvature 접근자)
+ * 출발/도착 방향과 관계없이 based-on / cited-by 링크가 축 위쪽으로 휘도록 부호 결정
+ *
+ * @returns {function(Object): number}
+ */
+export function makeTimelineCurvature() {
+  return (l) => {
+    const s = l.source;
+    const t = l.target;
+    if (!s || !t || s.x == null || t.x == null) return 0;
+    if (l.type !== 'based-on' && l.type !== 'cited-by') return 0;
+    return s.x <= t.x ? TIMELINE.ARC_CURVATURE : -TIMELINE.ARC_CURVATURE;
+  };
+}
+
+/**
+ * 현재 화면 간격에 맞는 눈금 생성
+ *
+ * @param {TimelineLayout} layout
+ * @param {number} start - 보이는 범위 시작 (ms)
+ * @param {number} end - 보이는 범위 끝 (ms)
+ * @param {number} globalScale - 현재 줌 배율
+ * @returns {Array<{time: number, label: string}>}
+ */
+function makeTicks(layout, start, end, globalScale) {
+  const pxPerScreen = layout.pxPerMs * globalScale;
+  const unit = TICK_UNITS.find((u) => unitMs(u) * pxPerScreen >= TIMELINE.TICK_MIN_SPACING)
+    || TICK_UNITS[TICK_UNITS.length - 1];
+
+  const ticks = [];
+  const from = new Date(start);
+
+  if (unit.months) {
+    const startIndex = Math.floor((from.getUTCFullYear() * 12 + from.getUTCMonth()) / unit.months) * unit.months;
+    for (let index = startIndex; ; index += unit.months) {
+      const year = Math.floor(index / 12);
+      const month = index % 12;
+      const time = Date.UTC(year, month, 1);
+      if (time > end) break;
+      if (time >= start) ticks.push({ time, label: `${year}-${String(month + 1).padStart(2, '0')}` });
+    }
+  } else {
+    const startYear = Math.floor(from.getUTCFullYear() / unit.years) * unit.years;
+    for (let year = startYear; ; year += unit.years) {
+      const time = Date.UTC(year, 0, 1);
+      if (time > end) break;
+      if (time >= start) ticks.push({ time, label: String(year) });
+    }
+  }
+
+  return ticks;
+}
+
+/**
+ * 시간 축 그리기 함수 생성
+ * react-force-graph-2d의 onRenderFramePre에 연결 (노드/링크보다 먼저 그림)
+ *
+ * @param {TimelineLayout} layout
+ * @returns {function(CanvasRenderingContext2D, number): void}
+ */
+export function makeTimelineAxisPainter(layout) {
+  const { t0, t1, pxPerMs, axisY } = layout;
+  const xOf = (time) => (time - t0) * pxPerMs - TIMELINE.AXIS_WIDTH / 2;
+  const timeOf = (x) => (x + TIMELINE.AXIS_WIDTH / 2) / pxPerMs + t0;
+
+  return (ctx, globalScale) => {
+    // 화면에 보이는 그래프 좌표 범위 → 시간 범위
+    const transform = ctx.getTransform();
+    const left = -transform.e / transform.a;
+    const right = (ctx.canvas.width - transform.e) / transform.a;
+    const start = Math.max(t0, timeOf(left));
+    const end = Math.min(t1, timeOf(right));
+
+    ctx.save();
+    ctx.strokeStyle = TIMELINE.AXIS_COLOR;
+    ctx.lineWidth = 1 / globalScale;
+
+    // 축
+    ctx.beginPath();
+    ctx.moveTo(xOf(t0), axisY);
+    ctx.lineTo(xOf(t1), axisY);
+    ctx.stroke();
+
+    // 눈금 + 라벨
+    if (start < end) {
+      const tickLength = 6 / globalScale;
+      ctx.font = `${TIMELINE.TICK_FONT_SIZE / globalScale}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = TIMELINE.LABEL_COLOR;
+
+      makeTicks(layout, start, end, globalScale).forEach(({ time, label }) => {
+        const x = xOf(time);
+        ctx.beginPath();
+        ctx.moveTo(x, axisY);
+        ctx.lineTo(x, axisY + tickLength);
+        ctx.stroke();
+        ctx.fillText(label, x, axisY + tickLength + 2 / globalScale);
+      });
+    }
+
+    // 날짜 없는 노드 묶음 라벨
+    if (layout.undatedOrigin) {
+      ctx.font = `600 ${TIMELINE.TICK_FONT_SIZE / globalScale}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = TIMELINE.LABEL_COLOR;
+      ctx.fillText(`날짜 없음 (${layout.undatedIds.length})`, layout.undatedOrigin.x, layout.undatedOrigin.y);
+    }
+
+    ctx.restore();
+  };
+}
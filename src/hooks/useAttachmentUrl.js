@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { acquireAttachmentUrl, releaseAttachmentUrl } from '../utils/attachmentUrls';
+import { isAttachmentId } from '../utils/blockUtils';
+
+/**
+ * 첨부파일 object URL 훅 (이미지 블록 표시용)
+ *
+ * 역할:
+ * - 첨부파일 ID면 캐시된 object URL을 받아오고 언마운트/ID 변경 시 반납
+ * - 첨부파일 ID가 아니면 (일반 URL, 데이터 URL) 값을 그대로 사용
+ *
+ * @param {import('../types').StorageAdapter|null} storage - 저장소 어댑터
+ * @param {string} source - 첨부파일 ID 또는 URL
+ * @returns {{url: string|null, isLoading: boolean, isMissing: boolean}}
+ */
+export function useAttachmentUrl(storage, source) {
+  const isAttachment = isAttachmentId(source);
+  const [state, setState] = useState({ source: null, url: null, isMissing: false });
+
+  useEffect(() => {
+    if (!isAttachment || !storage) return;
+    let cancelled = false;
+
+    acquireAttachmentUrl(storage, source)
+      .then((url) => {
+        if (!cancelled) setState({ source, url, isMissing: !url });
+      })
+      .catch((error) => {
+        console.error('첨부파일 로드 실패:', source, error);
+        if (!cancelled) setState({ source, url: null, isMissing: true });
+      });
+
+    return () => {
+      cancelled = true;
+      releaseAttachmentUrl(source);
+    };
+  }, [storage, source, isAttachment]);
+
+  if (!isAttachment) return { url: source || null, isLoading: false, isMissing: false };
+  if (!storage) return { url: null, isLoading: false, isMissing: true };
+  if (state.source !== source) return { url: null, isLoading: true, isMissing: false };
+  return { url: state.url, isLoading: false, isMissing: state.isMissing };
+}
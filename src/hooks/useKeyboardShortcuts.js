@@ -0,0 +1,157 @@
+import { useEffect } from 'react';
+import { ZOOM } from '../constants/ui';
+import { useGraphStore } from '../store/graphStore';
+import { useUIStore } from '../store/uiStore';
+
+// 텍스트 입력 중인지 (대상이 document/window일 수도 있음)
+const isEditingText = (target) =>
+  target instanceof Element && !!target.closest('input, textarea, [contenteditable="true"]');
+
+/**
+ * 앱 전역 키보드 단축키 훅
+ *
+ * 역할:
+ * - ESC: 링크 프리뷰 → 노트 패널 순서로 닫고, 둘 다 없으면 선택/컨텍스트 메뉴/검색 강조/다중 선택 해제
+ * - Delete: 링크 프리뷰가 열려 있으면 그 링크, 아니면 다중 선택 노드 삭제 (입력 중이 아닐 때)
+ * - Ctrl+K 검색, Ctrl +/- 줌, Space 전체 보기
+ * - Ctrl+Z 실행 취소, Ctrl+Shift+Z / Ctrl+Y 다시 실행 (입력 중에는 브라우저 기본 동작)
+ * - Shift를 떼면 링크 생성 모드 취소, 아무 곳이나 클릭하면 컨텍스트 메뉴 닫기
+ *
+ * @param {Object} options
+ * @param {{current: Object|null}} options.fgRef - ForceGraph 인스턴스
+ * @param {boolean} options.linkPreviewOpen - 링크 프리뷰 메뉴가 열려 있는지
+ * @param {Function} options.onCloseLinkPreview - 링크 프리뷰 메뉴 닫기
+ * @param {Function} options.onDeleteLink - 프리뷰 중인 링크 삭제 (확인 포함)
+ * @param {number} options.selectionCount - 다중 선택된 노드 수
+ * @param {Function} options.onDeleteSelection - 다중 선택 노드 삭제 (확인 포함)
+ */
+export function useKeyboardShortcuts({
+  fgRef,
+  linkPreviewOpen,
+  onCloseLinkPreview,
+  onDeleteLink,
+  selectionCount,
+  onDeleteSelection,
+}) {
+  const { undo, redo } = useGraphStore();
+  const {
+    notePanelOpen,
+    linkCreationMode,
+    closeNotePanel,
+    setSelectedId,
+    hideContextMenu,
+    clearSearchHighlight,
+    clearSelection,
+    openSearch,
+    setZoomLevel,
+    cancelLinkCreation,
+  } = useUIStore();
+
+  // === ESC / Delete / 클릭 ===
+  useEffect(() => {
+    const onEsc = (e) => {
+      if (e.key !== 'Escape') return;
+      if (linkPreviewOpen) {
+        onCloseLinkPreview();
+      } else if (notePanelOpen) {
+        // Close 버튼과 동일한 동작
+        closeNotePanel();
+      } else {
+        setSelectedId(null);
+        hideContextMenu();
+        clearSearchHighlight();
+        clearSelection();
+      }
+    };
+
+    const onDelete = (e) => {
+      if (e.key !== 'Delete') return;
+      if (linkPreviewOpen) {
+        onDeleteLink();
+      } else if (selectionCount > 0 && !isEditingText(e.target)) {
+        onDeleteSelection();
+      }
+    };
+
+    const onClick = () => hideContextMenu();
+
+    window.addEventListener('keydown', onEsc);
+    window.addEventListener('keydown', onDelete);
+    window.addEventListener('click', onClick);
+
+    return () => {
+      window.removeEventListener('keydown', onEsc);
+      window.removeEventListener('keydown', onDelete);
+      window.removeEventListener('click', onClick);
+    };
+  }, [linkPreviewOpen, onCloseLinkPreview, onDeleteLink, selectionCount, onDeleteSelection, notePanelOpen, closeNotePanel, setSelectedId, hideContextMenu, clearSearchHighlight, clearSelection]);
+
+  // === 검색 / 줌 / 전체 보기 ===
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        openSearch();
+      }
+      if ((e.ctrlKey || e.metaKey) && (e.key === '+' || e.key === '=')) {
+        e.preventDefault();
+        if (fgRef.current) {
+          const newZoom = Math.min(fgRef.current.zoom() * ZOOM.STEP, ZOOM.MAX);
+          fgRef.current.zoom(newZoom, ZOOM.FIT_DURATION);
+          setZoomLevel(newZoom);
+        }
+      }
+      if ((e.ctrlKey || e.metaKey) && e.key === '-') {
+        e.preventDefault();
+        if (fgRef.current) {
+          const newZoom = Math.max(fgRef.current.zoom() / ZOOM.STEP, ZOOM.MIN);
+          fgRef.current.zoom(newZoom, ZOOM.FIT_DURATION);
+          setZoomLevel(newZoom);
+        }
+      }
+      if (e.key === ' ' && !(e.target instanceof Element && e.target.closest('textarea, input'))) {
+        e.preventDefault();
+        if (fgRef.current) {
+          fgRef.current.zoomToFit(ZOOM.FIT_DURATION, ZOOM.FIT_PADDING);
+          setTimeout(() => {
+            if (fgRef.current) setZoomLevel(fgRef.current.zoom());
+          }, ZOOM.FIT_DURATION + 50);
+        }
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [fgRef, setZoomLevel, openSearch]);
+
+  // === 실행 취소 / 다시 실행 ===
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditingText(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // === Shift 해제 → 링크 생성 모드 취소 ===
+  useEffect(() => {
+    const handleKeyUp = (e) => {
+      if (e.key === 'Shift' && linkCreationMode) {
+        cancelLinkCreation();
+      }
+    };
+
+    window.addEventListener('keyup', handleKeyUp);
+    return () => window.removeEventListener('keyup', handleKeyUp);
+  }, [linkCreationMode, cancelLinkCreation]);
+}
@@ -0,0 +1,115 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { ZOOM } from '../constants/ui';
+import { LAYOUT_KINDS, computeLayout, animateNodePositions } from '../graph/layouts';
+import { useGraphStore } from '../store/graphStore';
+import { useUIStore } from '../store/uiStore';
+
+/**
+ * 자동 레이아웃 훅 (미리보기 → 적용/취소)
+ *
+ * 역할:
+ * - 레이아웃을 고르면 노드를 목표 위치로 애니메이션하고 전체 보기 (저장은 안 함)
+ * - 미리보기 중 다른 레이아웃을 골라도 취소하면 처음 위치로 되돌림
+ * - 적용하면 현재 위치(미리보기 중 드래그한 노드 포함)를 실행 취소 한 단계로 저장
+ * - 그래프가 다시 계산되면 (노드 추가/삭제, 뷰 전환, 실행 취소) 노드가 저장된 위치로 돌아가므로 미리보기 종료
+ *
+ * @param {Object} options
+ * @param {{current: Object|null}} options.fgRef - ForceGraph 인스턴스
+ * @param {{nodes: Array, links: Array}} options.derivedData - 그래프에 그려진 노드/링크
+ * @param {Map<string, Object>} options.derivedNodeById - derivedData 노드 조회
+ * @param {Map|null} options.viewPositions - 태그/타임라인 뷰의 고정 위치 (있으면 레이아웃 안 함)
+ * @returns {{
+ *   layoutPreview: {kind: string, from: Map, targets: Map}|null,
+ *   handlePreviewLayout: Function,
+ *   handleApplyLayout: Function,
+ *   handleCancelLayout: Function
+ * }} layoutPreview의 from/targets: 노드 ID → {x, y} (원래 위치 / 레이아웃 위치)
+ */
+export function useLayoutPreview({ fgRef, derivedData, derivedNodeById, viewPositions }) {
+  const { saveNodePositions } = useGraphStore();
+  const { selectedId, setZoomLevel } = useUIStore();
+
+  const [layoutPreview, setLayoutPreview] = useState(null);
+  const layoutAnimationRef = useRef(null); // 진행 중인 애니메이션 중단 함수
+
+  const runLayoutAnimation = useCallback((targets, onDone) => {
+    layoutAnimationRef.current?.();
+    layoutAnimationRef.current = animateNodePositions(derivedData.nodes, targets, {
+      // 시뮬레이션이 멈춰 있으면 다시 그려지지 않으므로 매 프레임 깨움
+      onFrame: () => fgRef.current?.d3ReheatSimulation(),
+      onDone: () => {
+        layoutAnimationRef.current = null;
+        onDone?.();
+      },
+    });
+  }, [fgRef, derivedData]);
+
+  useEffect(() => {
+    layoutAnimationRef.current?.();
+    layoutAnimationRef.current = null;
+    setLayoutPreview(null);
+  }, [derivedData]);
+
+  const handlePreviewLayout = useCallback((kind) => {
+    if (viewPositions) return;
+
+    let targets;
+    try {
+      targets = computeLayout(kind, derivedData.nodes, derivedData.links, { centerId: selectedId });
+    } catch (error) {
+      console.error('레이아웃 계산 실패:', error);
+      alert(`레이아웃 실패: ${error.message}`);
+      return;
+    }
+
+    // 다른 레이아웃으로 바꿔 보는 중이면 처음 위치를 유지 (취소 시 그곳으로 되돌림)
+    const from = layoutPreview?.from
+      || new Map(derivedData.nodes.map((n) => [n.id, { x: n.x ?? 0, y: n.y ?? 0 }]));
+    setLayoutPreview({ kind, from, targets });
+
+    runLayoutAnimation(targets, () => {
+      if (!fgRef.current) return;
+      fgRef.current.zoomToFit(ZOOM.FIT_DURATION, ZOOM.FIT_PADDING);
+      setTimeout(() => {
+        if (fgRef.current) setZoomLevel(fgRef.current.zoom());
+      }, ZOOM.FIT_DURATION + 50);
+    });
+  }, [fgRef, viewPositions, derivedData, selectedId, layoutPreview, runLayoutAnimation, setZoomLevel]);
+
+  const handleApplyLayout = useCallback(() => {
+    if (!layoutPreview) return;
+
+    // 애니메이션 중이면 바로 목표 위치로
+    if (layoutAnimationRef.current) {
+      layoutAnimationRef.current();
+      layoutAnimationRef.current = null;
+      layoutPreview.targets.forEach((pos, nodeId) => {
+        const node = derivedNodeById.get(nodeId);
+        if (!node) return;
+        node.x = node.fx = pos.x;
+        node.y = node.fy = pos.y;
+      });
+      fgRef.current?.d3ReheatSimulation();
+    }
+
+    // 미리보기 중에 드래그로 옮긴 노드는 옮긴 위치로 저장
+    const positions = {};
+    layoutPreview.targets.forEach((pos, nodeId) => {
+      const node = derivedNodeById.get(nodeId);
+      if (node?.x != null && node?.y != null) positions[nodeId] = { x: node.x, y: node.y };
+    });
+
+    const label = LAYOUT_KINDS.find((kind) => kind.id === layoutPreview.kind)?.label || layoutPreview.kind;
+    saveNodePositions(positions, `레이아웃: ${label}`);
+    setLayoutPreview(null);
+    console.log(`🧭 레이아웃 적용: ${label} (노드 ${Object.keys(positions).length}개)`);
+  }, [fgRef, layoutPreview, derivedNodeById, saveNodePositions]);
+
+  const handleCancelLayout = useCallback(() => {
+    if (!layoutPreview) return;
+    runLayoutAnimation(layoutPreview.from);
+    setLayoutPreview(null);
+  }, [layoutPreview, runLayoutAnimation]);
+
+  return { layoutPreview, handlePreviewLayout, handleApplyLayout, handleCancelLayout };
+}
@@ -0,0 +1,58 @@
+import { useCallback } from 'react';
+import { collectWikiLinkTargets, planMentionLinkSync, MENTION_LINK_TYPE } from '../utils/wikiLinks';
+import { useGraphStore } from '../store/graphStore';
+
+/**
+ * 노트 [[위키 링크]] ↔ mention 링크 동기화 훅
+ *
+ * 역할:
+ * - 노트 블록이 저장되면 그 노트의 위키 링크 대상과 mention 링크를 맞춤 (자동 링크가 켜져 있을 때만)
+ * - 자동 링크를 켜는 시점에 이미 작성된 노트의 위키 링크도 반영 (실행 취소 한 단계)
+ * - 백링크의 링크되지 않은 언급 → mention 링크 (언급한 노트 본문은 [[위키 링크]]로 바뀐 상태)
+ *
+ * @returns {{
+ *   handleNoteBlocksSaved: Function,
+ *   handleToggleAutoLinkMentions: Function,
+ *   handleLinkMention: Function
+ * }} handleNoteBlocksSaved(nodeId, blocks) / handleToggleAutoLinkMentions(enabled) / handleLinkMention(sourceId, targetId)
+ */
+export function useMentionSync() {
+  const { graph, autoLinkMentions, setAutoLinkMentions, syncMentionLinks, addLink, transaction } = useGraphStore();
+
+  const handleNoteBlocksSaved = useCallback((nodeId, blocks) => {
+    if (!autoLinkMentions) return;
+    const { added, removed } = syncMentionLinks(nodeId, collectWikiLinkTargets(blocks, graph.nodes, nodeId));
+    if (added || removed) console.log(`🔗 멘션 링크 갱신: ${nodeId} (+${added} / -${removed})`);
+  }, [autoLinkMentions, syncMentionLinks, graph.nodes]);
+
+  const handleToggleAutoLinkMentions = useCallback(async (enabled) => {
+    setAutoLinkMentions(enabled);
+    if (!enabled) return;
+
+    const { graph: current, storage: currentStorage } = useGraphStore.getState();
+    const pending = [];
+    for (const node of current.nodes) {
+      try {
+        const content = await currentStorage.loadBlockContent(node.id);
+        const targets = collectWikiLinkTargets(content?.blocks || [], current.nodes, node.id);
+        if (planMentionLinkSync(node.id, targets, current.links).add.length > 0) pending.push([node.id, targets]);
+      } catch (error) {
+        console.error('노트 로드 실패:', node.id, error);
+      }
+    }
+    if (pending.length === 0) return;
+
+    const added = transaction('멘션 링크 생성', () =>
+      pending.reduce((sum, [nodeId, targets]) => sum + syncMentionLinks(nodeId, targets).added, 0)
+    );
+    console.log(`🔗 기존 노트의 위키 링크로 mention 링크 ${added}개 생성`);
+  }, [setAutoLinkMentions, transaction, syncMentionLinks]);
+
+  const handleLinkMention = useCallback((sourceId, targetId) => {
+    if (addLink(sourceId, targetId, MENTION_LINK_TYPE, '')) {
+      console.log(`🔗 언급 → mention 링크: ${sourceId} → ${targetId}`);
+    }
+  }, [addLink]);
+
+  return { handleNoteBlocksSaved, handleToggleAutoLinkMentions, handleLinkMention };
+}
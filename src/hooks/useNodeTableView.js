@@ -0,0 +1,49 @@
+import { useMemo, useCallback } from 'react';
+import { GRAPH_VIEW_MODE } from '../constants/ui';
+import { getTableColumns, buildNodeRows, filterNodeRows, hasActiveTableFilter } from '../utils/nodeTable';
+import { useGraphStore } from '../store/graphStore';
+import { useUIStore } from '../store/uiStore';
+
+/**
+ * 노드 표 보기 훅
+ *
+ * 역할:
+ * - 기본 열 + 속성 열 중 숨기지 않은 열, 필터/검색어에 맞는 행 계산 (정렬은 표에서)
+ * - 필터가 걸려 있으면 맞는 노드 ID (그래프에서 맞지 않는 노드를 흐리게)
+ * - 행을 열면 그 노드를 선택하고 노트 패널 열기
+ *
+ * @returns {{
+ *   isTableView: boolean,
+ *   allTableColumns: Array,
+ *   tableColumns: Array,
+ *   tableRows: Array,
+ *   tableFilterIds: Set<string>|null,
+ *   handleOpenTableNode: Function
+ * }} tableFilterIds는 필터가 없으면 null
+ */
+export function useNodeTableView() {
+  const { graph, propertySchema } = useGraphStore();
+  const { graphViewMode, tableFilters, tableQuery, tableHiddenColumns, setSelectedId, openNotePanel } = useUIStore();
+
+  const isTableView = graphViewMode === GRAPH_VIEW_MODE.TABLE;
+  const allTableColumns = useMemo(() => getTableColumns(propertySchema), [propertySchema]);
+  const tableColumns = useMemo(
+    () => allTableColumns.filter((column) => !tableHiddenColumns.includes(column.id)),
+    [allTableColumns, tableHiddenColumns]
+  );
+  const tableRows = useMemo(
+    () => filterNodeRows(buildNodeRows(graph.nodes, graph.links), tableColumns, tableFilters, tableQuery),
+    [graph, tableColumns, tableFilters, tableQuery]
+  );
+  const tableFilterIds = useMemo(
+    () => (hasActiveTableFilter(tableFilters, tableQuery) ? new Set(tableRows.map((row) => row.node.id)) : null),
+    [tableRows, tableFilters, tableQuery]
+  );
+
+  const handleOpenTableNode = useCallback((nodeId) => {
+    setSelectedId(nodeId);
+    openNotePanel();
+  }, [setSelectedId, openNotePanel]);
+
+  return { isTableView, allTableColumns, tableColumns, tableRows, tableFilterIds, handleOpenTableNode };
+}
@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * 노트 생성일(createdAt) 훅 (타임라인 뷰의 대체 날짜)
+ *
+ * 역할:
+ * - 활성화되면 저장소의 모든 노트 레코드에서 createdAt을 한 번 읽음
+ * - 이후 처음 저장되는 노트는 저장 시각을 생성일로 추가 (storage.subscribeNoteChanges)
+ *
+ * @param {boolean} enabled - 타임라인 뷰일 때만 로드
+ * @param {import('../types').StorageAdapter} storage - 저장소 어댑터
+ * @returns {Object.<string, string>} 노드 ID → createdAt (ISO 문자열)
+ */
+export function useNoteCreatedDates(enabled, storage) {
+  const [createdAtById, setCreatedAtById] = useState({});
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+
+    const unsubscribe = storage.subscribeNoteChanges((nodeId, content) => {
+      setCreatedAtById((prev) => {
+        if (!content) {
+          if (!(nodeId in prev)) return prev;
+          const next = { ...prev };
+          delete next[nodeId];
+          return next;
+        }
+        // 백업 복원은 원래 생성일이 담긴 레코드를 전달
+        if (content.createdAt) return prev[nodeId] === content.createdAt ? prev : { ...prev, [nodeId]: content.createdAt };
+        return nodeId in prev ? prev : { ...prev, [nodeId]: new Date().toISOString() };
+      });
+    });
+
+    storage.loadAllNotes()
+      .then((records) => {
+        if (cancelled) return;
+        const loaded = {};
+        records.forEach((record) => {
+          if (record.createdAt) loaded[record.id] = record.createdAt;
+        });
+        setCreatedAtById((prev) => ({ ...prev, ...loaded }));
+      })
+      .catch((error) => console.error('노트 생성일 로드 실패:', error));
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [enabled, storage]);
+
+  return createdAtById;
+}
@@ -0,0 +1,28 @@
+import { useMemo } from 'react';
+import { isColorableProperty, makePropertyColorAccessor } from '../utils/nodeProperties';
+import { useGraphStore } from '../store/graphStore';
+import { useUIStore } from '../store/uiStore';
+
+/**
+ * 속성별 노드 색칠 훅
+ *
+ * 역할:
+ * - 고른 속성의 정의로 노드 색 함수 만들기
+ * - 속성이 삭제됐거나 색칠할 수 없는 타입이면 색칠 안 함 (기본 색, 그래프 컨트롤의 선택도 비움)
+ *
+ * @returns {{
+ *   nodeColorOf: Function|null,
+ *   activeColorProperty: string|null
+ * }} nodeColorOf(node) → 색 (색칠 안 하면 null), activeColorProperty는 실제로 색칠 중인 속성 ID
+ */
+export function usePropertyColoring() {
+  const { propertySchema } = useGraphStore();
+  const { colorByProperty } = useUIStore();
+
+  const nodeColorOf = useMemo(() => {
+    const definition = propertySchema.find((def) => def.id === colorByProperty);
+    return definition && isColorableProperty(definition) ? makePropertyColorAccessor(definition) : null;
+  }, [propertySchema, colorByProperty]);
+
+  return { nodeColorOf, activeColorProperty: nodeColorOf ? colorByProperty : null };
+}
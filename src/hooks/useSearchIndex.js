@@ -0,0 +1,117 @@
+import { useRef, useState, useEffect, useCallback } from 'react';
+import { createSearchIndex } from '../utils/searchIndex';
+
+/**
+ * 전문 검색 인덱스 훅
+ *
+ * 역할:
+ * - 그래프 노드(제목/요약/태그)와 저장소의 모든 노트를 한 번 색인 (저장소가 바뀌면 다시)
+ * - 이후 변경된 노드만 다시 색인 (노드 객체 참조 비교)
+ * - saveBlockContent가 실행될 때마다 해당 노트만 다시 색인 (storage.subscribeNoteChanges)
+ * - 삭제됐던 노드가 다시 나타나면 (실행 취소, 휴지통 복원) 노트를 다시 읽어 색인
+ *
+ * @param {import('../types').Node[]} nodes - graphStore의 graph.nodes
+ * @param {import('../types').StorageAdapter} storage - 저장소 어댑터
+ * @returns {{search: function(string, Object=): Array, ready: boolean, version: number}}
+ *   - search: 검색 함수 (utils/searchIndex 참고)
+ *   - ready: 노트 초기 색인 완료 여부 (노트를 읽지 못했으면 노드 메타데이터만 색인한 채로 true)
+ *   - version: 색인이 바뀔 때마다 증가 (검색 결과 갱신용)
+ */
+export function useSearchIndex(nodes, storage) {
+  const indexRef = useRef(null);
+  if (!indexRef.current) {
+    indexRef.current = createSearchIndex();
+  }
+
+  const indexedNodesRef = useRef(new Map());
+  const removedIdsRef = useRef(new Set());   // 노트 색인을 지운 노드 (다시 나타나면 노트 재색인)
+  const [ready, setReady] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  // 노드 메타데이터 증분 색인
+  useEffect(() => {
+    const index = indexRef.current;
+    const previous = indexedNodesRef.current;
+    const removed = removedIdsRef.current;
+    const next = new Map();
+    const restored = [];
+    let changed = false;
+
+    nodes.forEach((node) => {
+      next.set(node.id, node);
+      if (previous.get(node.id) !== node) {
+        index.indexNode(node);
+        changed = true;
+      }
+      if (removed.delete(node.id)) restored.push(node.id);
+    });
+
+    previous.forEach((_, nodeId) => {
+      if (!next.has(nodeId)) {
+        index.removeNode(nodeId);
+        index.removeNote(nodeId);
+        removed.add(nodeId);
+        changed = true;
+      }
+    });
+
+    indexedNodesRef.current = next;
+    if (changed) setVersion((v) => v + 1);
+
+    // 다시 나타난 노드의 노트 재색인 (읽는 동안 다시 삭제됐으면 건너뜀)
+    restored.forEach((nodeId) => {
+      storage.loadBlockContent(nodeId)
+        .then((content) => {
+          if (!indexedNodesRef.current.has(nodeId)) return;
+          index.indexNote(nodeId, content);
+          setVersion((v) => v + 1);
+        })
+        .catch((error) => console.error('노트 재색인 실패:', nodeId, error));
+    });
+  }, [nodes, storage]);
+
+  // 노트 초기 색인 + 저장 시 증분 갱신
+  useEffect(() => {
+    const index = indexRef.current;
+    let cancelled = false;
+
+    // 초기 로드 중 저장된 노트는 초기 데이터로 덮어쓰지 않도록 기록
+    const updatedDuringLoad = new Set();
+    setReady(false);
+
+    const unsubscribe = storage.subscribeNoteChanges((nodeId, content) => {
+      updatedDuringLoad.add(nodeId);
+      index.indexNote(nodeId, content);
+      setVersion((v) => v + 1);
+    });
+
+    storage.loadAllNotes()
+      .then((records) => {
+        if (cancelled) return;
+        records.forEach((record) => {
+          if (!updatedDuringLoad.has(record.id)) {
+            index.indexNote(record.id, record);
+          }
+        });
+        setReady(true);
+        setVersion((v) => v + 1);
+      })
+      .catch((error) => {
+        // 노트를 읽지 못해도 노드 메타데이터(제목/요약/태그)로는 검색 가능
+        console.error('노트 색인 실패 (노드 정보만 검색):', error);
+        if (!cancelled) setReady(true);
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [storage]);
+
+  const search = useCallback(
+    (query, options) => indexRef.current.search(query, options),
+    []
+  );
+
+  return { search, ready, version };
+}
@@ -0,0 +1,135 @@
+import { useMemo, useCallback } from 'react';
+import { toId } from '../utils/helpers';
+import { addTagToNode, removeTagFromNode } from '../utils/tagHelpers';
+import { exportVault } from '../utils/markdownVault';
+import { downloadFile } from '../utils/download';
+import { computeAlignment } from '../graph/selection';
+import { useGraphStore } from '../store/graphStore';
+import { useUIStore } from '../store/uiStore';
+
+/**
+ * 다중 선택 (사각형/올가미) + 일괄 작업 훅
+ *
+ * 역할:
+ * - 사각형/올가미로 고른 노드를 선택 (Shift면 기존 선택에 추가)
+ * - 선택한 노드의 스타일 변경, 태그 추가/제거, 정렬, 내보내기(BibTeX/볼트), 삭제
+ * - 여러 노드를 바꾸는 작업은 실행 취소 한 단계로 묶음
+ *
+ * @param {Object} options
+ * @param {{current: Object|null}} options.fgRef - ForceGraph 인스턴스
+ * @param {Map<string, Object>} options.derivedNodeById - 그래프에 그려진 노드 객체 (정렬 시 바로 옮김)
+ * @param {Map|null} options.viewPositions - 태그/타임라인 뷰의 고정 위치 (있으면 정렬 안 함)
+ * @param {Function} options.onDeleteNodes - (nodeIds) => Promise 노드 삭제 (확인 포함)
+ * @param {Function} options.onExportBib - (scope) BibTeX 내보내기
+ * @returns {{
+ *   selectedNodes: import('../types').Node[],
+ *   handleSelectNodes: Function,
+ *   handleSelectionStyle: Function,
+ *   handleSelectionAddTag: Function,
+ *   handleSelectionRemoveTag: Function,
+ *   handleSelectionAlign: Function,
+ *   handleSelectionExport: Function,
+ *   handleSelectionDelete: Function
+ * }}
+ */
+export function useSelectionActions({ fgRef, derivedNodeById, viewPositions, onDeleteNodes, onExportBib }) {
+  const { graph, storage, transaction, setNodeStyle, updateNode, saveNodePosition } = useGraphStore();
+  const { selectedIds, setSelectedIds, addToSelection, clearSelection } = useUIStore();
+
+  const selectedNodes = useMemo(
+    () => (selectedIds.size > 0 ? graph.nodes.filter((n) => selectedIds.has(n.id)) : []),
+    [graph.nodes, selectedIds]
+  );
+
+  const handleSelectNodes = useCallback((nodeIds, additive) => {
+    if (additive) addToSelection(nodeIds);
+    else setSelectedIds(nodeIds);
+    console.log(`🔲 노드 ${nodeIds.length}개 선택${additive ? ' (추가)' : ''}`);
+  }, [addToSelection, setSelectedIds]);
+
+  const handleSelectionStyle = useCallback((patch) => {
+    transaction(`노드 ${selectedNodes.length}개 스타일 변경`, () => {
+      selectedNodes.forEach((node) => setNodeStyle(node.id, patch));
+    });
+  }, [selectedNodes, transaction, setNodeStyle]);
+
+  const handleSelectionAddTag = useCallback((category, tag) => {
+    const targets = selectedNodes.filter((node) => !(node.tags?.[category] || []).includes(tag));
+    if (targets.length === 0) return;
+    transaction(`태그 추가: ${tag}`, () => {
+      targets.forEach((node) => updateNode(node.id, { tags: addTagToNode(node.tags || {}, category, tag) }));
+    });
+  }, [selectedNodes, transaction, updateNode]);
+
+  const handleSelectionRemoveTag = useCallback((category, tag) => {
+    const targets = selectedNodes.filter((node) => (node.tags?.[category] || []).includes(tag));
+    if (targets.length === 0) return;
+    transaction(`태그 제거: ${tag}`, () => {
+      targets.forEach((node) => updateNode(node.id, { tags: removeTagFromNode(node.tags, category, tag) }));
+    });
+  }, [selectedNodes, transaction, updateNode]);
+
+  // 정렬: 그래프 위 노드를 바로 옮기고 위치 저장 (실행 취소 한 단계)
+  const handleSelectionAlign = useCallback((mode) => {
+    if (viewPositions) return;
+    const moves = computeAlignment(
+      selectedNodes.map((node) => derivedNodeById.get(node.id)).filter(Boolean),
+      mode
+    );
+    if (moves.size === 0) return;
+
+    transaction('노드 정렬', () => {
+      moves.forEach((pos, nodeId) => {
+        const node = derivedNodeById.get(nodeId);
+        node.x = node.fx = pos.x;
+        node.y = node.fy = pos.y;
+        node.vx = 0;
+        node.vy = 0;
+        saveNodePosition(nodeId, pos.x, pos.y);
+      });
+    });
+    // 시뮬레이션이 멈춰 있으면 다시 그려지지 않으므로 한 번 깨움
+    fgRef.current?.d3ReheatSimulation();
+  }, [fgRef, viewPositions, selectedNodes, derivedNodeById, transaction, saveNodePosition]);
+
+  const handleSelectionExport = useCallback(async (format) => {
+    const ids = new Set(selectedNodes.map((node) => node.id));
+    if (format === 'bib') {
+      onExportBib({ type: 'nodes', nodeIds: [...ids] });
+      return;
+    }
+
+    try {
+      // 선택 밖으로 나가는 링크는 제외 (볼트 안에 없는 노트를 가리키게 되므로)
+      const subgraph = {
+        nodes: selectedNodes,
+        links: graph.links.filter((l) => ids.has(toId(l.source)) && ids.has(toId(l.target))),
+      };
+      const { blob, noteCount, attachmentCount } = await exportVault(subgraph, storage);
+      downloadFile(blob, 'graph-selection-vault.zip');
+      console.log(`🗂️ 선택 노드 볼트 내보내기 완료: 노트 ${noteCount}개, 첨부파일 ${attachmentCount}개`);
+    } catch (error) {
+      console.error('선택 노드 내보내기 실패:', error);
+      alert(`볼트를 내보낼 수 없습니다: ${error.message}`);
+    }
+  }, [selectedNodes, graph.links, storage, onExportBib]);
+
+  const handleSelectionDelete = useCallback(async () => {
+    const ids = selectedNodes.map((node) => node.id);
+    await onDeleteNodes(ids);
+    // 취소하지 않았으면 선택도 비움 (실행 취소로 복원돼도 다시 선택되지 않도록)
+    const remaining = new Set(useGraphStore.getState().graph.nodes.map((n) => n.id));
+    if (!ids.some((id) => remaining.has(id))) clearSelection();
+  }, [selectedNodes, onDeleteNodes, clearSelection]);
+
+  return {
+    selectedNodes,
+    handleSelectNodes,
+    handleSelectionStyle,
+    handleSelectionAddTag,
+    handleSelectionRemoveTag,
+    handleSelectionAlign,
+    handleSelectionExport,
+    handleSelectionDelete,
+  };
+}
@@ -0,0 +1,74 @@
+import { useState, useCallback } from 'react';
+import { toId } from '../utils/helpers';
+import { TRASH } from '../constants/storage';
+import { useGraphStore } from '../store/graphStore';
+import { useUIStore } from '../store/uiStore';
+
+/**
+ * 노드 삭제 / 휴지통 훅
+ *
+ * 역할:
+ * - 노드 삭제 전 함께 지워지는 링크/노트/첨부파일 수를 보여주고 확인 후 휴지통으로 이동
+ *   (열린 노트의 노드를 지우면 노트 패널도 닫음)
+ * - 휴지통 모달 열기/닫기 (설정 모달에서 열면 설정 모달은 닫음)
+ * - 휴지통에서 영구 삭제 (확인 후, 실패한 노드는 알림)
+ *
+ * @returns {{
+ *   showTrash: boolean,
+ *   handleDeleteNodes: Function,
+ *   handleOpenTrash: Function,
+ *   handleCloseTrash: Function,
+ *   handlePurgeTrash: Function
+ * }} handleDeleteNodes(nodeIds) / handlePurgeTrash(nodeIds)는 Promise
+ */
+export function useTrashActions() {
+  const { graph, storage, deleteNodes, purgeTrash } = useGraphStore();
+  const { selectedId, setSelectedId, closeNotePanel, closeSettings } = useUIStore();
+
+  const [showTrash, setShowTrash] = useState(false);
+
+  const handleDeleteNodes = useCallback(async (nodeIds) => {
+    const ids = new Set(nodeIds);
+    const nodes = graph.nodes.filter((n) => ids.has(n.id));
+    if (nodes.length === 0) return;
+
+    const linkCount = graph.links.filter((l) => ids.has(toId(l.source)) || ids.has(toId(l.target))).length;
+    const { notes, attachments } = await storage.countNodeData(nodes.map((n) => n.id));
+    const message = [
+      nodes.length === 1 ? `"${nodes[0].title}" 노드를 삭제합니다.` : `노드 ${nodes.length}개를 삭제합니다.`,
+      '',
+      `- 함께 삭제되는 링크: ${linkCount}개`,
+      `- 노트 ${notes}개, 첨부파일 ${attachments}개`,
+      '',
+      `휴지통에서 ${TRASH.RETENTION_DAYS}일 동안 복원할 수 있고, 이후 노트와 첨부파일까지 영구 삭제됩니다.`,
+    ].join('\n');
+    if (!window.confirm(message)) return;
+
+    if (ids.has(selectedId)) {
+      closeNotePanel();
+      setSelectedId(null);
+    }
+    const deleted = deleteNodes([...ids]);
+    console.log(`🗑️ 노드 ${deleted}개를 휴지통으로 이동`);
+  }, [graph, storage, selectedId, closeNotePanel, setSelectedId, deleteNodes]);
+
+  const handleOpenTrash = useCallback(() => {
+    closeSettings();
+    setShowTrash(true);
+  }, [closeSettings]);
+
+  const handleCloseTrash = useCallback(() => setShowTrash(false), []);
+
+  const handlePurgeTrash = useCallback(async (nodeIds) => {
+    const message = nodeIds.length === 1
+      ? '이 노드를 노트, 버전 기록, 첨부파일과 함께 영구 삭제합니다.'
+      : `노드 ${nodeIds.length}개를 노트, 버전 기록, 첨부파일과 함께 영구 삭제합니다.`;
+    if (!window.confirm(`${message}\n되돌릴 수 없으며 실행 취소 기록도 초기화됩니다. 계속하시겠습니까?`)) return;
+
+    const { purged, failed } = await purgeTrash(nodeIds);
+    console.log(`🗑️ 휴지통에서 노드 ${purged}개 영구 삭제`);
+    if (failed.length > 0) alert(`삭제하지 못한 노드가 있습니다 (${failed.length}개). 잠시 후 다시 시도하세요.`);
+  }, [purgeTrash]);
+
+  return { showTrash, handleDeleteNodes, handleOpenTrash, handleCloseTrash, handlePurgeTrash };
+}
@@ -0,0 +1,114 @@
+import { useState, useMemo, useCallback } from 'react';
+import { findWikiLinkQuery, searchWikiLinkTargets, formatWikiLink } from '../utils/wikiLinks';
+
+/**
+ * 자동완성 목록 위치 (입력창 바로 아래)
+ * 노트 패널은 transform이 걸려 있어 fixed 요소도 패널 기준으로 배치됨 → 패널 기준 좌표로 변환
+ */
+function getPopupPosition(element) {
+  const rect = element.getBoundingClientRect();
+  const container = element.closest('.right-panel-container');
+  const origin = container ? container.getBoundingClientRect() : { top: 0, left: 0 };
+  return { top: rect.bottom - origin.top + 4, left: rect.left - origin.left };
+}
+
+/**
+ * [[위키 링크]] 자동완성 훅 (텍스트/리스트 블록 입력창)
+ *
+ * 역할:
+ * - 커서 앞에 닫히지 않은 '[['가 있으면 노드 제목 후보 표시
+ * - ↑/↓ 이동, Enter/Tab 선택, Esc 닫기 (처리한 키는 블록 에디터로 넘기지 않음)
+ * - 선택하면 '[[검색어'를 '[[노드 제목]]'으로 바꾸고 커서를 링크 뒤로 옮김
+ *
+ * @param {Object} options
+ * @param {{current: HTMLInputElement|HTMLTextAreaElement|null}} options.inputRef - 입력창
+ * @param {string} options.value - 입력창 내용
+ * @param {Function} options.onChange - (newValue) 내용 변경
+ * @param {import('../types').Node[]} options.nodes - 링크할 수 있는 노드
+ * @param {string|null} [options.excludeId] - 후보에서 뺄 노드 (노트 자신)
+ * @returns {{
+ *   suggestions: import('../types').Node[],
+ *   activeIndex: number,
+ *   position: {top: number, left: number}|null,
+ *   setActiveIndex: Function,
+ *   select: Function,
+ *   updateQuery: Function,
+ *   handleKeyDown: Function,
+ *   close: Function
+ * }} handleKeyDown(e)은 키를 처리했으면 true
+ */
+export function useWikiLinkAutocomplete({ inputRef, value, onChange, nodes, excludeId = null }) {
+  const [query, setQuery] = useState(null); // { start, query, position }
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = useMemo(
+    () => (query ? searchWikiLinkTargets(nodes, query.query, { excludeId }) : []),
+    [query, nodes, excludeId]
+  );
+
+  // 입력/커서 이동마다 호출 (onChange, onSelect)
+  const updateQuery = useCallback((element) => {
+    const next = nodes.length > 0 && element.selectionStart === element.selectionEnd
+      ? findWikiLinkQuery(element.value, element.selectionStart)
+      : null;
+    if (next?.start === query?.start && next?.query === query?.query) return;
+
+    setQuery(next ? { ...next, position: getPopupPosition(element) } : null);
+    setActiveIndex(0);
+  }, [nodes.length, query]);
+
+  const close = useCallback(() => setQuery(null), []);
+
+  const select = useCallback((node) => {
+    const element = inputRef.current;
+    if (!query || !element) return;
+
+    const link = formatWikiLink(node, nodes);
+    let after = value.slice(element.selectionStart);
+    if (after.startsWith(']]')) after = after.slice(2);
+
+    onChange(value.slice(0, query.start) + link + after);
+    setQuery(null);
+
+    const caret = query.start + link.length;
+    window.requestAnimationFrame(() => {
+      element.focus();
+      element.setSelectionRange(caret, caret);
+    });
+  }, [inputRef, query, nodes, value, onChange]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (suggestions.length === 0) return false;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+        break;
+      case 'Enter':
+      case 'Tab':
+        select(suggestions[Math.min(activeIndex, suggestions.length - 1)]);
+        break;
+      case 'Escape':
+        setQuery(null);
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  }, [suggestions, activeIndex, select]);
+
+  return {
+    suggestions,
+    activeIndex,
+    position: query?.position || null,
+    setActiveIndex,
+    select,
+    updateQuery,
+    handleKeyDown,
+    close,
+  };
+}
@@ -2,8 +2,12 @@ import { create } from 'zustand';
 import { createLocalStorageAdapter, createRemoteAdapter } from '../adapters/storage';
 import { seedCore5 } from '../data/seedData';
 import { rebuildTagsIndex, loadTagsIndex, saveTagsIndex } from '../utils/tagHelpers';
-import { STORAGE_MODE, STORAGE_KEYS } from '../constants/storage';
+import { STORAGE_MODE, STORAGE_KEYS, REMOTE_STATUS, TRASH } from '../constants/storage';
+import { toId } from '../utils/helpers';
+import { planMentionLinkSync, MENTION_LINK_TYPE } from '../utils/wikiLinks';
 import { debounce } from '../utils/debounce';
+import { normalizePropertySchema } from '../utils/nodeProperties';
+import { HISTORY } from '../constants/ui';
 
 /**
  * 그래프 데이터 스토어
@@ -13,20 +17,46 @@ import { debounce } from '../utils/debounce';
  * - 노드 스타일 (nodeStyles) 관리
  * - 노드 위치 (savedNodePositions) 관리
  * - 태그 인덱스 관리
+ * - 노드 속성 스키마 (속성 정의 목록, 그래프와 함께 저장)
+ * - 휴지통 (삭제한 노드를 TRASH.RETENTION_DAYS 동안 보관, 노트/첨부파일은 영구 삭제 때 정리)
  * - 데이터 영속성 (localStorage/Remote)
+ * - 실행 취소/다시 실행 기록 (스냅샷 방식, 최대 HISTORY.MAX_ENTRIES 단계)
  * 
  * @returns {import('../types').GraphStore}
  */
 export const useGraphStore = create((set, get) => {
-  // 저장소 초기화
-  const storageMode = STORAGE_MODE.LOCAL;
-  const storage = storageMode === STORAGE_MODE.LOCAL 
-    ? createLocalStorageAdapter() 
-    : createRemoteAdapter();
+  // 저장소 어댑터 생성 (원격 모드는 동기화 상태를 스토어에 반영)
+  const createStorage = (mode) => (
+    mode === STORAGE_MODE.REMOTE
+      ? createRemoteAdapter({
+          onStatusChange: (status, error) => set({
+            remoteStatus: status,
+            remoteError: error ? error.message : null
+          })
+        })
+      : createLocalStorageAdapter()
+  );
+
+  // 저장소 초기화 (마지막으로 선택한 모드 복원)
+  let storageMode = STORAGE_MODE.LOCAL;
+  try {
+    if (localStorage.getItem(STORAGE_KEYS.STORAGE_MODE) === STORAGE_MODE.REMOTE) {
+      storageMode = STORAGE_MODE.REMOTE;
+    }
+  } catch (error) {
+    console.error('저장소 모드 로드 실패:', error);
+  }
+  const storage = createStorage(storageMode);
   
-  const loaded = storage.load && storage.load();
+  // 초기 데이터는 항상 로컬(원격 모드에서는 오프라인 캐시)에서 동기적으로 로드
+  const loaded = createLocalStorageAdapter().load();
   const initial = loaded || seedCore5();
 
+  // 원격 모드면 서버 데이터로 비동기 갱신
+  if (storageMode === STORAGE_MODE.REMOTE) {
+    setTimeout(() => get().syncFromRemote(), 0);
+  }
+
   // 노드 위치 로드
   let savedPositions = {};
   try {
@@ -38,6 +68,33 @@ export const useGraphStore = create((set, get) => {
     console.error('노드 위치 로드 실패:', error);
   }
 
+  // 휴지통 로드
+  let savedTrash = [];
+  try {
+    const saved = localStorage.getItem(STORAGE_KEYS.TRASH);
+    if (saved) {
+      savedTrash = JSON.parse(saved);
+    }
+  } catch (error) {
+    console.error('휴지통 로드 실패:', error);
+  }
+
+  // 위키 링크 → mention 링크 자동 생성 설정
+  let autoLinkMentions = false;
+  try {
+    autoLinkMentions = localStorage.getItem(STORAGE_KEYS.MENTION_LINKS) === 'true';
+  } catch (error) {
+    console.error('멘션 링크 설정 로드 실패:', error);
+  }
+
+  const saveTrash = (trash) => {
+    try {
+      localStorage.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash));
+    } catch (error) {
+      console.error('휴지통 저장 실패:', error);
+    }
+  };
+
   // 태그 인덱스 로드
   const storedIndex = loadTagsIndex();
   const rebuiltIndex = rebuildTagsIndex(initial.nodes);
@@ -50,25 +107,104 @@ export const useGraphStore = create((set, get) => {
     }
   });
 
+  // === 실행 취소 기록 ===
+  // 상태는 불변 객체로만 교체되므로 참조를 저장하는 스냅샷으로 충분
+  let historyDepth = 0;                 // transaction 중첩 깊이 (0보다 크면 기록 생략)
+  let lastMerge = { key: null, time: 0 }; // 연속 변경 합치기 상태
+
+  const takeSnapshot = () => {
+    const state = get();
+    return {
+      graph: state.graph,
+      nodeStyles: state.nodeStyles,
+      propertySchema: state.propertySchema,
+      savedNodePositions: { ...state.savedNodePositions, ...state._pendingPositions },
+      trash: state.trash
+    };
+  };
+
+  /**
+   * 변경 직전 상태를 기록
+   * @param {string} label - 되돌릴 작업 이름 (UI 표시용)
+   * @param {string|null} mergeKey - 같은 키의 연속 변경은 한 단계로 합침 (드래그, 타이핑 등)
+   */
+  const recordHistory = (label, mergeKey = null) => {
+    if (historyDepth > 0) return;
+    
+    const now = Date.now();
+    if (mergeKey && lastMerge.key === mergeKey && now - lastMerge.time < HISTORY.MERGE_WINDOW) {
+      lastMerge.time = now;
+      return;
+    }
+    lastMerge = { key: mergeKey, time: now };
+    
+    set((state) => ({
+      history: {
+        past: [...state.history.past, { label, snapshot: takeSnapshot() }].slice(-HISTORY.MAX_ENTRIES),
+        future: []
+      }
+    }));
+  };
+
+  /**
+   * 스냅샷 상태로 복원 (그래프, 스타일, 위치, 휴지통 + 영속화)
+   */
+  const applySnapshot = (snapshot) => {
+    const { graph: { nodes: previousNodes }, trash: previousTrash } = get();
+    
+    // graph 참조를 새로 만들어 App의 derivedData가 복원된 위치로 다시 계산되게 함
+    set({
+      graph: { nodes: snapshot.graph.nodes, links: snapshot.graph.links },
+      nodeStyles: snapshot.nodeStyles,
+      propertySchema: snapshot.propertySchema,
+      savedNodePositions: snapshot.savedNodePositions,
+      _pendingPositions: {},
+      trash: snapshot.trash
+    });
+    
+    try {
+      localStorage.setItem(STORAGE_KEYS.NODE_POSITIONS, JSON.stringify(snapshot.savedNodePositions));
+    } catch (error) {
+      console.error('노드 위치 저장 실패:', error);
+    }
+    if (previousTrash !== snapshot.trash) saveTrash(snapshot.trash);
+    
+    if (previousNodes !== snapshot.graph.nodes) {
+      const updatedIndex = rebuildTagsIndex(snapshot.graph.nodes);
+      set({ tagsIndex: updatedIndex });
+      saveTagsIndex(updatedIndex);
+    }
+    
+    get().saveToStorage();
+  };
+
   return {
     // === 상태 ===
     storageMode,
     storage,
+    remoteStatus: REMOTE_STATUS.IDLE,
+    remoteError: null,
     graph: {
       nodes: initial.nodes,
       links: initial.links
     },
     nodeStyles: initial.nodeStyles || {},
+    propertySchema: normalizePropertySchema(initial.propertySchema),
     savedNodePositions: savedPositions,
     tagsIndex: mergedIndex,
+    trash: savedTrash,
+    autoLinkMentions,
+    history: { past: [], future: [] },
 
     // === 그래프 데이터 액션 ===
     setGraph: (graph) => {
+      recordHistory('그래프 변경');
       set({ graph });
       get().saveToStorage();
     },
 
     updateNode: (nodeId, patch) => {
+      recordHistory('노드 수정', `update:${nodeId}:${Object.keys(patch).sort().join(',')}`);
       set((state) => {
         const nodes = state.graph.nodes.map((n) =>
           n.id === nodeId ? { ...n, ...patch } : n
@@ -93,25 +229,197 @@ export const useGraphStore = create((set, get) => {
     },
 
     addNode: (node, link) => {
+      recordHistory('노드 추가');
       set((state) => ({
         graph: {
           nodes: [...state.graph.nodes, node],
           links: link ? [...state.graph.links, link] : state.graph.links
         }
       }));
+
+      // 태그가 있는 노드(예: 가져온 논문의 키워드)는 인덱스 재구축
+      if (node.tags && Object.keys(node.tags).length > 0) {
+        const updatedIndex = rebuildTagsIndex(get().graph.nodes);
+        set({ tagsIndex: updatedIndex });
+        saveTagsIndex(updatedIndex);
+      }
+
       get().saveToStorage();
     },
 
-    deleteNode: (nodeId) => {
-      set((state) => ({
+    deleteNode: (nodeId) => get().deleteNodes([nodeId]),
+
+    /**
+     * 노드 삭제 (휴지통으로 이동)
+     * - 연결된 링크, 스타일, 저장된 위치도 함께 제거하고 휴지통 항목에 보관
+     * - IndexedDB 노트/첨부파일은 휴지통에서 영구 삭제할 때 정리 (purgeTrash)
+     * @param {string[]} nodeIds - 삭제할 노드 ID
+     * @returns {number} 삭제한 노드 수
+     */
+    deleteNodes: (nodeIds) => {
+      const state = get();
+      const ids = new Set(nodeIds);
+      const nodes = state.graph.nodes.filter((n) => ids.has(n.id));
+      if (nodes.length === 0) return 0;
+      
+      recordHistory(nodes.length > 1 ? `노드 ${nodes.length}개 삭제` : '노드 삭제');
+      
+      const positions = { ...state.savedNodePositions, ...state._pendingPositions };
+      const touches = (link, nodeId) => toId(link.source) === nodeId || toId(link.target) === nodeId;
+      const deletedAt = new Date().toISOString();
+      const entries = nodes.map((node) => ({
+        node,
+        links: state.graph.links
+          .filter((link) => touches(link, node.id))
+          .map((link) => ({ ...link, source: toId(link.source), target: toId(link.target) })),
+        style: state.nodeStyles[node.id] || null,
+        position: positions[node.id] || null,
+        deletedAt
+      }));
+      
+      const nodeStyles = { ...state.nodeStyles };
+      nodes.forEach((node) => {
+        delete nodeStyles[node.id];
+        delete positions[node.id];
+      });
+      // 같은 노드가 이미 휴지통에 있으면 새 항목으로 교체
+      const trash = [...entries, ...state.trash.filter((entry) => !ids.has(entry.node.id))];
+      
+      set({
         graph: {
-          nodes: state.graph.nodes.filter((n) => n.id !== nodeId),
+          nodes: state.graph.nodes.filter((n) => !ids.has(n.id)),
           links: state.graph.links.filter(
-            (l) => l.source !== nodeId && l.target !== nodeId
+            (l) => !ids.has(toId(l.source)) && !ids.has(toId(l.target))
           )
-        }
-      }));
+        },
+        nodeStyles,
+        savedNodePositions: positions,
+        _pendingPositions: {},
+        trash
+      });
+      
+      try {
+        localStorage.setItem(STORAGE_KEYS.NODE_POSITIONS, JSON.stringify(positions));
+      } catch (error) {
+        console.error('노드 위치 저장 실패:', error);
+      }
+      saveTrash(trash);
+      
+      const updatedIndex = rebuildTagsIndex(get().graph.nodes);
+      set({ tagsIndex: updatedIndex });
+      saveTagsIndex(updatedIndex);
+      
+      get().saveToStorage();
+      return nodes.length;
+    },
+
+    // === 휴지통 액션 ===
+    /**
+     * 휴지통에서 노드 복원
+     * - 노드, 스타일, 위치와 양 끝 노드가 모두 있는 링크를 되살림
+     * - 그래프에 같은 ID의 노드가 이미 있으면 휴지통 항목만 제거
+     * @param {string[]} nodeIds - 복원할 노드 ID
+     * @returns {number} 복원한 노드 수
+     */
+    restoreFromTrash: (nodeIds) => {
+      const state = get();
+      const ids = new Set(nodeIds);
+      const entries = state.trash.filter((entry) => ids.has(entry.node.id));
+      if (entries.length === 0) return 0;
+      
+      recordHistory(entries.length > 1 ? `노드 ${entries.length}개 복원` : '노드 복원');
+      
+      const existingIds = new Set(state.graph.nodes.map((n) => n.id));
+      const restored = entries.filter((entry) => !existingIds.has(entry.node.id));
+      restored.forEach((entry) => existingIds.add(entry.node.id));
+      
+      const linkKey = (link) => `${toId(link.source)}->${toId(link.target)}`;
+      const linkKeys = new Set(state.graph.links.map(linkKey));
+      const links = [...state.graph.links];
+      restored.forEach((entry) => {
+        entry.links.forEach((link) => {
+          if (!existingIds.has(link.source) || !existingIds.has(link.target) || linkKeys.has(linkKey(link))) return;
+          linkKeys.add(linkKey(link));
+          links.push(link);
+        });
+      });
+      
+      const nodeStyles = { ...state.nodeStyles };
+      const positions = { ...state.savedNodePositions, ...state._pendingPositions };
+      restored.forEach((entry) => {
+        if (entry.style) nodeStyles[entry.node.id] = entry.style;
+        if (entry.position) positions[entry.node.id] = entry.position;
+      });
+      const trash = state.trash.filter((entry) => !ids.has(entry.node.id));
+      
+      set({
+        graph: {
+          nodes: [...state.graph.nodes, ...restored.map((entry) => entry.node)],
+          links
+        },
+        nodeStyles,
+        savedNodePositions: positions,
+        _pendingPositions: {},
+        trash
+      });
+      
+      try {
+        localStorage.setItem(STORAGE_KEYS.NODE_POSITIONS, JSON.stringify(positions));
+      } catch (error) {
+        console.error('노드 위치 저장 실패:', error);
+      }
+      saveTrash(trash);
+      
+      const updatedIndex = rebuildTagsIndex(get().graph.nodes);
+      set({ tagsIndex: updatedIndex });
+      saveTagsIndex(updatedIndex);
+      
       get().saveToStorage();
+      return restored.length;
+    },
+
+    /**
+     * 휴지통 항목 영구 삭제 (노트, 버전 기록, 첨부파일까지 삭제)
+     * 되돌릴 수 없으므로 실행 취소 기록도 비움 (기록 안의 노드가 노트 없이 되살아나지 않도록)
+     * @param {string[]} nodeIds - 영구 삭제할 노드 ID
+     * @returns {Promise<{purged: number, failed: string[]}>}
+     */
+    purgeTrash: async (nodeIds) => {
+      const ids = new Set(nodeIds);
+      const { storage } = get();
+      const purged = new Set();
+      const failed = [];
+      
+      for (const nodeId of ids) {
+        try {
+          if (storage.deleteNodeData) await storage.deleteNodeData(nodeId);
+          purged.add(nodeId);
+        } catch (error) {
+          console.error('노드 데이터 삭제 실패:', nodeId, error);
+          failed.push(nodeId);
+        }
+      }
+      
+      if (purged.size > 0) {
+        const trash = get().trash.filter((entry) => !purged.has(entry.node.id));
+        lastMerge = { key: null, time: 0 };
+        set({ trash, history: { past: [], future: [] } });
+        saveTrash(trash);
+      }
+      return { purged: purged.size, failed };
+    },
+
+    /**
+     * 보관 기간(TRASH.RETENTION_DAYS)이 지난 휴지통 항목 영구 삭제
+     * @returns {Promise<{purged: number, failed: string[]}>}
+     */
+    expireTrash: async () => {
+      const cutoff = Date.now() - TRASH.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const expired = get().trash
+        .filter((entry) => new Date(entry.deletedAt).getTime() < cutoff)
+        .map((entry) => entry.node.id);
+      if (expired.length === 0) return { purged: 0, failed: [] };
+      return get().purgeTrash(expired);
     },
 
     // === 링크 관리 액션 ===
@@ -119,7 +427,7 @@ export const useGraphStore = create((set, get) => {
      * 새 링크 추가
      * @param {string} sourceId - 소스 노드 ID
      * @param {string} targetId - 타겟 노드 ID
-     * @param {string} type - 링크 타입 ('based-on' | 'cited-by')
+     * @param {string} type - 링크 타입 ('based-on' | 'cited-by' | 'mention')
      * @param {string} description - 링크 설명 (선택사항)
      * @param {string} title - 링크 제목 (선택사항)
      * @returns {boolean} 성공 여부
@@ -137,6 +445,8 @@ export const useGraphStore = create((set, get) => {
         return false;
       }
       
+      recordHistory('링크 추가');
+      
       // 새 링크 생성
       const newLink = {
         source: sourceId,
@@ -164,6 +474,7 @@ export const useGraphStore = create((set, get) => {
      * @param {Object} patch - 업데이트할 필드 { title?, description? }
      */
     updateLink: (sourceId, targetId, patch) => {
+      recordHistory('링크 수정', `link:${sourceId}->${targetId}`);
       set((state) => {
         const links = state.graph.links.map((link) =>
           link.source === sourceId && link.target === targetId
@@ -188,6 +499,7 @@ export const useGraphStore = create((set, get) => {
      * @param {string} targetId - 타겟 노드 ID
      */
     deleteLink: (sourceId, targetId) => {
+      recordHistory('링크 삭제');
       set((state) => ({
         graph: {
           nodes: state.graph.nodes,
@@ -199,8 +511,43 @@ export const useGraphStore = create((set, get) => {
       get().saveToStorage();
     },
 
+    /**
+     * 노트의 [[위키 링크]]에 맞춰 'mention' 링크 추가/삭제 (실행 취소 한 단계)
+     * 다른 종류의 링크가 이미 있는 대상은 건드리지 않음
+     * @param {string} nodeId - 노트의 노드 ID
+     * @param {Set<string>} targetIds - 위키 링크가 가리키는 노드 ID
+     * @returns {{added: number, removed: number}}
+     */
+    syncMentionLinks: (nodeId, targetIds) => {
+      const { graph } = get();
+      if (!graph.nodes.some((node) => node.id === nodeId)) return { added: 0, removed: 0 };
+      
+      const { add, remove } = planMentionLinkSync(nodeId, targetIds, graph.links);
+      if (add.length === 0 && remove.length === 0) return { added: 0, removed: 0 };
+      
+      get().transaction('멘션 링크 갱신', () => {
+        remove.forEach((targetId) => get().deleteLink(nodeId, targetId));
+        add.forEach((targetId) => get().addLink(nodeId, targetId, MENTION_LINK_TYPE));
+      });
+      return { added: add.length, removed: remove.length };
+    },
+
+    /**
+     * 위키 링크 → mention 링크 자동 생성 켜기/끄기
+     * @param {boolean} enabled
+     */
+    setAutoLinkMentions: (enabled) => {
+      set({ autoLinkMentions: enabled });
+      try {
+        localStorage.setItem(STORAGE_KEYS.MENTION_LINKS, String(enabled));
+      } catch (error) {
+        console.error('멘션 링크 설정 저장 실패:', error);
+      }
+    },
+
     // === 노드 스타일 액션 ===
     setNodeStyle: (nodeId, patch) => {
+      recordHistory('스타일 변경', `style:${nodeId}:${Object.keys(patch).sort().join(',')}`);
       set((state) => ({
         nodeStyles: {
           ...state.nodeStyles,
@@ -210,10 +557,89 @@ export const useGraphStore = create((set, get) => {
       get().saveToStorage();
     },
 
+    // === 노드 속성 스키마 액션 ===
+    /**
+     * 속성 정의 추가
+     * @param {import('../utils/nodeProperties').PropertyDefinition} definition - ID는 createPropertyId로 만든 새 ID
+     */
+    addPropertyDefinition: (definition) => {
+      if (get().propertySchema.some((def) => def.id === definition.id)) {
+        console.warn('이미 존재하는 속성입니다:', definition.id);
+        return;
+      }
+      recordHistory('속성 추가');
+      set((state) => ({ propertySchema: [...state.propertySchema, { ...definition, builtIn: false }] }));
+      get().saveToStorage();
+    },
+
+    /**
+     * 속성 정의 수정 (이름, 선택지 등 - ID와 타입은 그대로)
+     * 선택지에서 빠진 값은 노드에서도 삭제
+     * @param {string} propertyId
+     * @param {Partial<import('../utils/nodeProperties').PropertyDefinition>} patch
+     */
+    updatePropertyDefinition: (propertyId, patch) => {
+      const definition = get().propertySchema.find((def) => def.id === propertyId);
+      if (!definition) return;
+      recordHistory('속성 수정', `property:${propertyId}`);
+
+      const { id: _id, type: _type, builtIn: _builtIn, ...changes } = patch;
+      const updated = { ...definition, ...changes };
+      const keptValues = updated.options ? new Set(updated.options.map((option) => option.value)) : null;
+      const dropsValue = (node) => keptValues && node.properties?.[propertyId] != null
+        && !keptValues.has(node.properties[propertyId]);
+
+      set((state) => ({
+        propertySchema: state.propertySchema.map((def) => (def.id === propertyId ? updated : def)),
+        graph: state.graph.nodes.some(dropsValue)
+          ? {
+              nodes: state.graph.nodes.map((node) => {
+                if (!dropsValue(node)) return node;
+                const properties = { ...node.properties };
+                delete properties[propertyId];
+                return { ...node, properties };
+              }),
+              links: state.graph.links
+            }
+          : state.graph
+      }));
+      get().saveToStorage();
+    },
+
+    /**
+     * 사용자 속성 삭제 (모든 노드의 값도 삭제, 기본 속성은 삭제 불가)
+     * @param {string} propertyId
+     * @returns {number} 값이 지워진 노드 수
+     */
+    removePropertyDefinition: (propertyId) => {
+      const state = get();
+      const definition = state.propertySchema.find((def) => def.id === propertyId);
+      if (!definition || definition.builtIn) return 0;
+      recordHistory('속성 삭제');
+
+      let cleared = 0;
+      const nodes = state.graph.nodes.map((node) => {
+        if (!node.properties || !(propertyId in node.properties)) return node;
+        cleared++;
+        const properties = { ...node.properties };
+        delete properties[propertyId];
+        return { ...node, properties };
+      });
+
+      set({
+        propertySchema: state.propertySchema.filter((def) => def.id !== propertyId),
+        graph: cleared > 0 ? { nodes, links: state.graph.links } : state.graph
+      });
+      get().saveToStorage();
+      return cleared;
+    },
+
     // === 노드 위치 액션 ===
     _pendingPositions: {},
     
     saveNodePosition: (nodeId, x, y) => {
+      // 드래그 한 번(여러 노드 동시 이동 포함)이 한 단계가 되도록 합침
+      recordHistory('노드 이동', 'move');
       const state = get();
       
       // 즉시 localStorage에 저장 (UI 깜빡임 방지)
@@ -247,8 +673,31 @@ export const useGraphStore = create((set, get) => {
       }
     }, 500),
 
+    /**
+     * 여러 노드 위치를 한 번에 저장 (자동 레이아웃 적용 - 실행 취소 한 단계)
+     * @param {Object<string, {x: number, y: number}>} positions - 노드 ID → 위치
+     * @param {string} [label] - 실행 취소 표시 이름
+     */
+    saveNodePositions: (positions, label = '노드 위치 변경') => {
+      recordHistory(label);
+      const state = get();
+      const newPositions = {
+        ...state.savedNodePositions,
+        ...state._pendingPositions,
+        ...positions
+      };
+      set({ savedNodePositions: newPositions, _pendingPositions: {} });
+
+      try {
+        localStorage.setItem(STORAGE_KEYS.NODE_POSITIONS, JSON.stringify(newPositions));
+      } catch (error) {
+        console.error('노드 위치 저장 실패:', error);
+      }
+    },
+
     clearNodePositions: () => {
-      set({ savedNodePositions: {} });
+      recordHistory('위치 초기화');
+      set({ savedNodePositions: {}, _pendingPositions: {} });
       try {
         localStorage.removeItem(STORAGE_KEYS.NODE_POSITIONS);
       } catch (error) {
@@ -256,36 +705,194 @@ export const useGraphStore = create((set, get) => {
       }
     },
 
+    // === 실행 취소 액션 ===
+    /**
+     * 실행 취소
+     * @returns {string|null} 취소한 작업 이름 (기록이 없으면 null)
+     */
+    undo: () => {
+      const { past, future } = get().history;
+      if (past.length === 0) return null;
+      
+      const entry = past[past.length - 1];
+      lastMerge = { key: null, time: 0 };
+      set({
+        history: {
+          past: past.slice(0, -1),
+          future: [...future, { label: entry.label, snapshot: takeSnapshot() }]
+        }
+      });
+      applySnapshot(entry.snapshot);
+      return entry.label;
+    },
+
+    /**
+     * 다시 실행
+     * @returns {string|null} 다시 실행한 작업 이름 (기록이 없으면 null)
+     */
+    redo: () => {
+      const { past, future } = get().history;
+      if (future.length === 0) return null;
+      
+      const entry = future[future.length - 1];
+      lastMerge = { key: null, time: 0 };
+      set({
+        history: {
+          past: [...past, { label: entry.label, snapshot: takeSnapshot() }],
+          future: future.slice(0, -1)
+        }
+      });
+      applySnapshot(entry.snapshot);
+      return entry.label;
+    },
+
+    /**
+     * 여러 변경을 실행 취소 한 단계로 묶기
+     * @param {string} label - 작업 이름
+     * @param {Function} fn - 변경을 수행하는 동기 함수
+     * @returns {any} fn의 반환값
+     */
+    transaction: (label, fn) => {
+      recordHistory(label);
+      historyDepth++;
+      try {
+        return fn();
+      } finally {
+        historyDepth--;
+      }
+    },
+
+    clearHistory: () => {
+      lastMerge = { key: null, time: 0 };
+      set({ history: { past: [], future: [] } });
+    },
+
     // === 태그 인덱스 액션 ===
     updateTagsIndex: (index) => {
       set({ tagsIndex: index });
       saveTagsIndex(index);
     },
 
+    // === 백업 복원 액션 ===
+    /**
+     * 백업 데이터로 그래프/스타일/속성 스키마/위치/태그 인덱스/휴지통/mention 링크 설정 교체
+     * 노트(IndexedDB)는 함께 되돌릴 수 없으므로 실행 취소 기록도 비움
+     * @param {{graph: import('../types').GraphData, nodeStyles: Object, propertySchema: Array, savedNodePositions: Object, tagsIndex: Object, trash: Array, autoLinkMentions: boolean}} data
+     */
+    restoreData: ({ graph, nodeStyles, propertySchema, savedNodePositions, tagsIndex, trash, autoLinkMentions }) => {
+      lastMerge = { key: null, time: 0 };
+      set({
+        graph: { nodes: graph.nodes, links: graph.links },
+        nodeStyles,
+        propertySchema: normalizePropertySchema(propertySchema),
+        savedNodePositions,
+        _pendingPositions: {},
+        tagsIndex,
+        trash,
+        history: { past: [], future: [] }
+      });
+      saveTrash(trash);
+      get().setAutoLinkMentions(autoLinkMentions);
+      
+      try {
+        localStorage.setItem(STORAGE_KEYS.NODE_POSITIONS, JSON.stringify(savedNodePositions));
+      } catch (error) {
+        console.error('노드 위치 저장 실패:', error);
+      }
+      saveTagsIndex(tagsIndex);
+      get().saveToStorage();
+    },
+
     // === 저장소 액션 ===
     saveToStorage: debounce(() => {
       const state = get();
       if (state.storage.save) {
-        state.storage.save({
+        // 원격 어댑터는 Promise 반환 → 실패는 remoteStatus로 표시되므로 로그만 남김
+        Promise.resolve(state.storage.save({
           nodes: state.graph.nodes,
           links: state.graph.links,
-          nodeStyles: state.nodeStyles
-        });
+          nodeStyles: state.nodeStyles,
+          propertySchema: state.propertySchema
+        })).catch((error) => console.error('저장소 저장 실패:', error));
       }
     }, 300),
 
     clearStorage: () => {
       const state = get();
       if (state.storage.clear) {
-        state.storage.clear();
+        Promise.resolve(state.storage.clear())
+          .catch((error) => console.error('저장소 삭제 실패:', error));
+      }
+    },
+
+    /**
+     * 저장소 모드 전환
+     * @param {string} mode - 'local' | 'remote'
+     * @returns {Promise<boolean>} 원격 동기화 성공 여부 (로컬 모드는 항상 true)
+     */
+    setStorageMode: async (mode) => {
+      const previous = get().storage;
+      if (previous.dispose) previous.dispose();
+      
+      set({
+        storageMode: mode,
+        storage: createStorage(mode),
+        remoteStatus: REMOTE_STATUS.IDLE,
+        remoteError: null
+      });
+      
+      try {
+        localStorage.setItem(STORAGE_KEYS.STORAGE_MODE, mode);
+      } catch (error) {
+        console.error('저장소 모드 저장 실패:', error);
+      }
+      
+      if (mode === STORAGE_MODE.REMOTE) {
+        return get().syncFromRemote();
       }
+      return true;
     },
 
-    setStorageMode: (mode) => {
-      const newStorage = mode === STORAGE_MODE.LOCAL
-        ? createLocalStorageAdapter() 
-        : createRemoteAdapter();
-      set({ storageMode: mode, storage: newStorage });
+    /**
+     * 원격 서버와 그래프 동기화
+     * - 서버에 데이터가 있으면 가져와서 현재 그래프 교체
+     * - 서버가 비어 있으면 현재 그래프를 업로드 (전환 시 데이터 유실 방지)
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    syncFromRemote: async () => {
+      const { storage } = get();
+      if (storage.mode !== STORAGE_MODE.REMOTE) return false;
+      
+      try {
+        const data = await storage.load();
+
+        // 로드 중 다른 모드로 전환된 경우 결과 무시
+        if (get().storage !== storage) return false;
+
+        if (data && Array.isArray(data.nodes)) {
+          const index = rebuildTagsIndex(data.nodes);
+          set({
+            graph: { nodes: data.nodes, links: data.links || [] },
+            nodeStyles: data.nodeStyles || {},
+            propertySchema: normalizePropertySchema(data.propertySchema),
+            tagsIndex: index,
+            history: { past: [], future: [] }
+          });
+          saveTagsIndex(index);
+        } else {
+          const state = get();
+          await storage.save({
+            nodes: state.graph.nodes,
+            links: state.graph.links,
+            nodeStyles: state.nodeStyles,
+            propertySchema: state.propertySchema
+          });
+        }
+        return true;
+      } catch (error) {
+        console.error('원격 동기화 실패:', error);
+        return false;
+      }
     }
   };
 });
@@ -1,29 +1,58 @@
 import { create } from 'zustand';
-import { NOTE_PANEL, ZOOM, GRAPH_VIEW_MODE, COLOR_HISTORY } from '../constants/ui';
+import { NOTE_PANEL, ZOOM, GRAPH_VIEW_MODE, COLOR_HISTORY, NODE_TABLE } from '../constants/ui';
+import { STORAGE_KEYS } from '../constants/storage';
+import { EMPTY_GRAPH_FILTER, normalizeGraphFilter } from '../graph/filters';
+
+// 저장된 그래프 필터 프리셋 ([{ name, filter }])
+let initialFilterPresets = [];
+try {
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.FILTER_PRESETS) || '[]');
+  if (Array.isArray(saved)) {
+    initialFilterPresets = saved
+      .filter((preset) => preset && typeof preset.name === 'string')
+      .map((preset) => ({ name: preset.name, filter: normalizeGraphFilter(preset.filter) }));
+  }
+} catch (error) {
+  console.error('필터 프리셋 로드 실패:', error);
+}
+
+const saveFilterPresets = (presets) => {
+  try {
+    localStorage.setItem(STORAGE_KEYS.FILTER_PRESETS, JSON.stringify(presets));
+  } catch (error) {
+    console.error('필터 프리셋 저장 실패:', error);
+  }
+};
 
 /**
  * UI 상태 스토어
  * 
  * 책임:
- * - 선택된 노드 관리
+ * - 선택된 노드 관리 (단일 선택 + 사각형/올가미 다중 선택)
  * - 노트 패널 상태
  * - 모달 상태
  * - 컨텍스트 메뉴 상태
  * - 미리보기 메뉴 상태
  * - 줄 레벨
- * - 그래프 뷰 모드
+ * - 그래프 뷰 모드 (태그 뷰 카테고리/드릴다운 경로 포함)
+ * - 노드 표 보기 (정렬, 열 필터, 숨긴 열 - 필터는 그래프에서도 맞지 않는 노드를 흐리게)
+ * - 그래프 필터 사이드바 (태그/그룹/링크 타입/연결 수/검색어, 흐리게/숨기기, 저장된 프리셋)
  * - 커스텀 색상 히스토리
+ * - 속성별 노드 색칠 (색 기준 속성)
+ * - 전문 검색 (검색 팔레트, 검색 결과 강조)
  * 
  * @returns {import('../types').UIStore}
  */
 export const useUIStore = create((set) => ({
   // === 상태 ===
   selectedId: null,
+  selectedIds: new Set(),      // 다중 선택 (일괄 작업 대상)
   notePanelOpen: false,
   panelWidth: Math.max(NOTE_PANEL.MIN_WIDTH, window.innerWidth * NOTE_PANEL.DEFAULT_WIDTH_RATIO),
   
   showSettings: false,
   showAddNode: false,
+  showBibImport: false,
   
   contextMenu: {
     visible: false,
@@ -40,8 +69,28 @@ export const useUIStore = create((set) => ({
   
   zoomLevel: ZOOM.DEFAULT,
   graphViewMode: GRAPH_VIEW_MODE.RELATIONSHIP,
+  tagViewCategory: null,
+  tagViewPath: [],
+  
+  // === 노드 표 보기 상태 ===
+  tableSort: [],               // [{ column, direction }] 앞쪽 키부터 비교
+  tableFilters: {},            // 열 ID → 필터 문자열
+  tableQuery: '',              // 전체 열 검색어
+  tableHiddenColumns: NODE_TABLE.DEFAULT_HIDDEN_COLUMNS,
+  
+  // === 그래프 필터 상태 ===
+  showGraphFilter: false,
+  graphFilter: EMPTY_GRAPH_FILTER,
+  graphFilterMode: 'dim',      // 'dim' | 'hide'
+  filterPresets: initialFilterPresets,
   
   customColorHistory: [],
+  colorByProperty: null,       // 노드 색 기준 속성 ID (null이면 노드 스타일/그룹 색)
+  
+  // === 검색 상태 ===
+  showSearch: false,
+  searchQuery: '',
+  searchHighlightIds: [],
   
   // === 링크 생성 상태 ===
   linkCreationMode: false,
@@ -56,12 +105,34 @@ export const useUIStore = create((set) => ({
   
   setPanelWidth: (width) => set({ panelWidth: width }),
 
+  // === 다중 선택 액션 (Set은 항상 새 객체로 교체) ===
+  setSelectedIds: (ids) => set({ selectedIds: new Set(ids) }),
+  
+  addToSelection: (ids) => set((state) => ({
+    selectedIds: new Set([...state.selectedIds, ...ids])
+  })),
+  
+  toggleSelected: (id) => set((state) => {
+    const next = new Set(state.selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return { selectedIds: next };
+  }),
+  
+  clearSelection: () => set((state) => (
+    state.selectedIds.size > 0 ? { selectedIds: new Set() } : state
+  )),
+
   // === 모달 액션 ===
   openSettings: () => set({ showSettings: true }),
   closeSettings: () => set({ showSettings: false }),
   
   openAddNode: () => set({ showAddNode: true }),
   closeAddNode: () => set({ showAddNode: false }),
+  
+  // 서지 가져오기는 노드 추가 모달에서 열림
+  openBibImport: () => set({ showBibImport: true, showAddNode: false }),
+  closeBibImport: () => set({ showBibImport: false }),
 
   // === 컨텍스트 메뉴 액션 ===
   showContextMenu: (x, y, nodeId) => set({
@@ -99,6 +170,58 @@ export const useUIStore = create((set) => ({
 
   // === 뷰 모드 액션 ===
   setGraphViewMode: (mode) => set({ graphViewMode: mode }),
+  
+  // 카테고리를 바꾸면 드릴다운 경로 초기화
+  setTagViewCategory: (category) => set({ tagViewCategory: category, tagViewPath: [] }),
+  setTagViewPath: (path) => set({ tagViewPath: path }),
+
+  // === 노드 표 보기 액션 ===
+  setTableSort: (sort) => set({ tableSort: sort }),
+  setTableFilter: (columnId, filter) => set((state) => {
+    const next = { ...state.tableFilters };
+    if (filter) next[columnId] = filter;
+    else delete next[columnId];
+    return { tableFilters: next };
+  }),
+  setTableQuery: (query) => set({ tableQuery: query }),
+  clearTableFilters: () => set({ tableFilters: {}, tableQuery: '' }),
+  toggleTableColumn: (columnId) => set((state) => ({
+    tableHiddenColumns: state.tableHiddenColumns.includes(columnId)
+      ? state.tableHiddenColumns.filter((id) => id !== columnId)
+      : [...state.tableHiddenColumns, columnId]
+  })),
+
+  // === 그래프 필터 액션 ===
+  toggleGraphFilter: () => set((state) => ({ showGraphFilter: !state.showGraphFilter })),
+  setGraphFilter: (patch) => set((state) => ({ graphFilter: { ...state.graphFilter, ...patch } })),
+  resetGraphFilter: () => set({ graphFilter: EMPTY_GRAPH_FILTER }),
+  setGraphFilterMode: (mode) => set({ graphFilterMode: mode }),
+
+  // 같은 이름의 프리셋은 덮어씀
+  saveFilterPreset: (name) => set((state) => {
+    const preset = { name, filter: state.graphFilter };
+    const exists = state.filterPresets.some((item) => item.name === name);
+    const filterPresets = exists
+      ? state.filterPresets.map((item) => (item.name === name ? preset : item))
+      : [...state.filterPresets, preset];
+    saveFilterPresets(filterPresets);
+    return { filterPresets };
+  }),
+  applyFilterPreset: (name) => set((state) => {
+    const preset = state.filterPresets.find((item) => item.name === name);
+    return preset ? { graphFilter: preset.filter } : {};
+  }),
+  deleteFilterPreset: (name) => set((state) => {
+    const filterPresets = state.filterPresets.filter((item) => item.name !== name);
+    saveFilterPresets(filterPresets);
+    return { filterPresets };
+  }),
+  // 백업 복원: 프리셋 목록 전체 교체
+  restoreFilterPresets: (presets) => {
+    const filterPresets = presets.map((preset) => ({ name: preset.name, filter: normalizeGraphFilter(preset.filter) }));
+    saveFilterPresets(filterPresets);
+    set({ filterPresets });
+  },
 
   // === 커스텀 색상 액션 ===
   addCustomColor: (color) => set((state) => {
@@ -107,6 +230,20 @@ export const useUIStore = create((set) => ({
     return { customColorHistory: newHistory.slice(0, COLOR_HISTORY.MAX_COLORS) };
   }),
 
+  // === 속성 색칠 액션 ===
+  setColorByProperty: (propertyId) => set({ colorByProperty: propertyId }),
+
+  // === 검색 액션 ===
+  openSearch: () => set({ showSearch: true }),
+  closeSearch: () => set({ showSearch: false }),
+  
+  setSearchHighlight: (query, nodeIds) => set({
+    searchQuery: query,
+    searchHighlightIds: nodeIds
+  }),
+  
+  clearSearchHighlight: () => set({ searchQuery: '', searchHighlightIds: [] }),
+
   // === 링크 생성 액션 ===
   startLinkCreation: (nodeId) => set({ 
     linkCreationMode: true, 
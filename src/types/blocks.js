@@ -20,24 +20,31 @@ export const BLOCK_TYPES = {
   FILE: 'file',
   DIVIDER: 'divider',
   QUOTE: 'quote',
+  TOGGLE: 'toggle',
+  TABLE: 'table',
 };
 
 /**
- * @typedef {'text' | 'heading1' | 'heading2' | 'heading3' | 'bulletList' | 'numberedList' | 'todoList' | 'code' | 'latex' | 'image' | 'file' | 'divider' | 'quote'} BlockType
+ * @typedef {'text' | 'heading1' | 'heading2' | 'heading3' | 'bulletList' | 'numberedList' | 'todoList' | 'code' | 'latex' | 'image' | 'file' | 'divider' | 'quote' | 'toggle' | 'table'} BlockType
  */
 
 /**
  * 블록 메타데이터
  * @typedef {Object} BlockMetadata
- * @property {string} [language] - 코드 블록의 프로그래밍 언어
+ * @property {string} [language] - 코드 블록의 프로그래밍 언어 ('auto'면 자동 감지, utils/codeHighlight 참고)
  * @property {string} [fileName] - 파일/이미지 이름
  * @property {number} [fileSize] - 파일 크기 (bytes)
  * @property {string} [mimeType] - MIME 타입
  * @property {string} [blobUrl] - Blob URL 또는 파일 ID
  * @property {boolean} [checked] - Todo 체크 상태
- * @property {number} [level] - 리스트 중첩 레벨
+ * @property {number} [level] - 중첩 레벨 (0 = 최상위, 부모는 앞쪽에서 가장 가까운 더 낮은 레벨의 블록)
+ * @property {boolean} [collapsed] - 토글 블록이 접혀 있는지 (접히면 하위 블록을 숨김)
+ * @property {string[][]} [rows] - 표 블록의 칸 (행 × 열, utils/tableBlock 참고)
+ * @property {boolean} [hasHeader] - 표 블록의 첫 행이 머리글인지
+ * @property {import('../utils/tableBlock').TableSort|null} [sort] - 표 블록의 마지막 정렬 열
  * @property {'inline' | 'block'} [displayMode] - LaTeX 표시 모드
  * @property {string} [caption] - 이미지/파일 캡션
+ * @property {import('../utils/pdfHighlights').PdfHighlight} [pdfHighlight] - 인용구의 PDF 하이라이트 위치
  */
 
 /**
@@ -45,7 +52,7 @@ export const BLOCK_TYPES = {
  * @typedef {Object} Block
  * @property {string} id - 고유 ID (UUID)
  * @property {BlockType} type - 블록 타입
- * @property {string} content - 텍스트 내용
+ * @property {string} content - 텍스트 내용 (텍스트/리스트 블록은 인라인 마크다운: **굵게**, $수식$, [[위키 링크]] 등)
  * @property {BlockMetadata} [metadata] - 타입별 메타데이터
  * @property {number} createdAt - 생성 시간 (timestamp)
  * @property {number} updatedAt - 수정 시간 (timestamp)
@@ -191,6 +198,22 @@ export const SLASH_COMMANDS = [
     description: '인용구',
     keywords: ['quote', 'blockquote', '인용'],
   },
+  {
+    id: 'toggle',
+    blockType: BLOCK_TYPES.TOGGLE,
+    label: 'Toggle',
+    icon: '▶',
+    description: '접을 수 있는 토글 (Tab으로 안에 블록 넣기)',
+    keywords: ['toggle', 'collapse', 'details', '토글', '접기'],
+  },
+  {
+    id: 'table',
+    blockType: BLOCK_TYPES.TABLE,
+    label: 'Table',
+    icon: '▦',
+    description: '표 (CSV/TSV 붙여넣기 가능)',
+    keywords: ['table', 'grid', 'csv', 'spreadsheet', '표', '테이블'],
+  },
 ];
 
 /**
@@ -227,7 +250,7 @@ export const BLOCK_DEFAULTS = {
   },
   [BLOCK_TYPES.CODE]: {
     content: '',
-    metadata: { language: 'javascript' },
+    metadata: { language: 'auto' },
   },
   [BLOCK_TYPES.LATEX]: {
     content: '',
@@ -249,8 +272,21 @@ export const BLOCK_DEFAULTS = {
     content: '',
     metadata: {},
   },
+  [BLOCK_TYPES.TOGGLE]: {
+    content: '',
+    metadata: { collapsed: false, level: 0 },
+  },
+  [BLOCK_TYPES.TABLE]: {
+    content: '',
+    metadata: { rows: [['', '', ''], ['', '', ''], ['', '', '']], hasHeader: true, sort: null },
+  },
 };
 
+/**
+ * 최대 중첩 레벨 (Tab 들여쓰기 한도)
+ */
+export const MAX_BLOCK_LEVEL = 8;
+
 /**
  * 현재 블록 시스템 버전
  */
@@ -10,6 +10,8 @@
  * @property {string} title - 노드 제목
  * @property {string} [summary] - 노드 요약
  * @property {Object.<string, string[]>} [tags] - 태그 객체 (카테고리: [태그들])
+ * @property {string} [date] - 날짜 ('YYYY' | 'YYYY-MM' | 'YYYY-MM-DD', 논문은 출판일)
+ * @property {NodeProperties} [properties] - 속성 값 (서지 정보 + 속성 스키마에 정의한 사용자 속성)
  * @property {number} [x] - X 좌표
  * @property {number} [y] - Y 좌표
  * @property {number} [fx] - 고정 X 좌표
@@ -18,11 +20,32 @@
  * @property {number} [vy] - Y 속도
  */
 
+/**
+ * @typedef {Object} BibProperties
+ * @property {string} [citationKey] - 인용 키
+ * @property {string} [entryType] - 항목 종류 (article, inproceedings, ...)
+ * @property {string[]} [authors] - 저자 목록
+ * @property {string|number} [year] - 출판 연도 (가져오기는 문자열, 속성 편집기는 숫자로 저장)
+ * @property {string} [venue] - 학회/저널
+ * @property {string} [doi] - DOI
+ * @property {string} [url] - URL
+ */
+
+/**
+ * 노드 속성 값 (키는 PropertyDefinition.id, 기본 속성은 BibProperties와 같은 키)
+ * @typedef {BibProperties & Object.<string, (string|number|boolean|string[])>} NodeProperties
+ */
+
+/**
+ * @typedef {import('../utils/nodeProperties').PropertyDefinition} PropertyDefinition
+ */
+
 /**
  * @typedef {Object} Link
  * @property {string|Node} source - 소스 노드 ID 또는 노드 객체
  * @property {string|Node} target - 타겟 노드 ID 또는 노드 객체
- * @property {string} type - 링크 타입 ('based-on' | 'cited-by')
+ * @property {string} type - 링크 타입 ('based-on' | 'cited-by' | 'mention')
+ *   mention: 노트 본문의 [[위키 링크]]로 자동 생성된 링크
  */
 
 /**
@@ -76,59 +99,159 @@
 
 /**
  * @typedef {Object} StorageAdapter
- * @property {function(): GraphData & {nodeStyles: NodeStyles}} [load] - 데이터 로드
- * @property {function(GraphData & {nodeStyles: NodeStyles}): void} [save] - 데이터 저장
- * @property {function(): void} [clear] - 데이터 삭제
+ * @property {'local'|'remote'} mode - 어댑터 타입
+ * @property {function(): (GraphData & {nodeStyles: NodeStyles})|Promise<any>} [load] - 데이터 로드 (원격은 async)
+ * @property {function(GraphData & {nodeStyles: NodeStyles}): void|Promise<void>} [save] - 데이터 저장
+ * @property {function(): void|Promise<void>} [clear] - 데이터 삭제
+ * @property {function(function(string, import('./blocks').NoteContent|null): void): function(): void} [subscribeNoteChanges] - 노트 변경 구독 (구독 해제 함수 반환)
+ * @property {function(string): Promise<string|null>} [loadNoteDetail] - 텍스트 노트 로드 (블록 변환 전)
+ * @property {function(): Promise<Array<Object>>} [loadAllNotes] - 모든 노트 레코드 로드
+ * @property {function(string): Promise<import('./blocks').NoteContent|null>} [loadBlockContent] - 블록 노트 로드
+ * @property {function(string, import('./blocks').NoteContent): Promise<void>} [saveBlockContent] - 블록 노트 저장
+ * @property {function(string, import('./blocks').NoteContent, Object=): Promise<string|null>} [recordRevision] - 버전 기록 남기기 (기기별 로컬)
+ * @property {function(string): Promise<Array<Object>>} [listRevisions] - 노드의 버전 기록 목록
+ * @property {function(string): Promise<Object|null>} [loadRevision] - 버전 기록 로드
+ * @property {function(string, string, Blob, string, string): Promise<string>} [saveAttachment] - 첨부파일 저장
+ * @property {function(string): Promise<Blob|null>} [loadAttachment] - 첨부파일 로드
+ * @property {function(string): Promise<void>} [deleteAttachment] - 첨부파일 삭제
+ * @property {function(string): Promise<{attachmentIds: string[]}>} [deleteNodeData] - 노드의 노트/버전 기록/첨부파일 영구 삭제
+ * @property {function(string[]): Promise<{notes: number, attachments: number}>} [countNodeData] - 노드들에 딸린 노트/첨부파일 개수
+ * @property {function(Iterable<string>): Promise<string[]>} [garbageCollectAttachments] - 참조가 끊긴 첨부파일 정리
+ * @property {function(Object): Promise<void>} [initializeSeedNotes] - 초기 시드 노트 저장
+ * @property {function(): Promise<{notes: Array<Object>, attachments: Array<Object>, revisions: Array<Object>}>} [exportDatabase] - 노트/첨부파일/버전 기록 전체 내보내기
+ * @property {function(Object, {replace?: boolean}=): Promise<void>} [importDatabase] - 노트/첨부파일/버전 기록 복원
+ * @property {function(): Promise<void>} [flush] - 보류된 변경사항 재전송 (원격)
+ * @property {function(): void} [dispose] - 어댑터 정리 (원격)
+ */
+
+/**
+ * 휴지통 항목 (삭제한 노드와 함께 지운 데이터)
+ * @typedef {Object} TrashEntry
+ * @property {Node} node - 삭제한 노드
+ * @property {Link[]} links - 노드에 연결되어 있던 링크 (source/target은 ID)
+ * @property {NodeStyle|null} style - 노드 스타일
+ * @property {{x: number, y: number}|null} position - 저장된 위치
+ * @property {string} deletedAt - 삭제 시각 (ISO 문자열)
+ */
+
+/**
+ * 실행 취소 기록 항목
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - 작업 이름 (예: '노드 삭제')
+ * @property {{graph: GraphData, nodeStyles: NodeStyles, propertySchema: PropertyDefinition[], savedNodePositions: NodePositions, trash: TrashEntry[]}} snapshot - 작업 직전(undo) 또는 직후(redo) 상태
  */
 
 /**
  * @typedef {Object} GraphStore
  * @property {string} storageMode - 저장소 모드 ('local' | 'remote')
  * @property {StorageAdapter} storage - 저장소 어댑터
+ * @property {string} remoteStatus - 원격 동기화 상태 ('idle' | 'syncing' | 'synced' | 'offline' | 'error')
+ * @property {string|null} remoteError - 마지막 원격 오류 메시지
  * @property {GraphData} graph - 그래프 데이터
  * @property {NodeStyles} nodeStyles - 노드 스타일
+ * @property {PropertyDefinition[]} propertySchema - 노드 속성 스키마 (기본 속성 + 사용자 속성)
  * @property {NodePositions} savedNodePositions - 저장된 노드 위치
  * @property {TagsIndex} tagsIndex - 태그 인덱스
+ * @property {TrashEntry[]} trash - 휴지통 (최근 삭제 순)
+ * @property {boolean} autoLinkMentions - 노트의 [[위키 링크]]로 mention 링크 자동 생성/삭제
+ * @property {{past: HistoryEntry[], future: HistoryEntry[]}} history - 실행 취소/다시 실행 기록
  * @property {function(GraphData): void} setGraph - 그래프 설정
  * @property {function(string, Partial<Node>): void} updateNode - 노드 업데이트
  * @property {function(Node, Link=): void} addNode - 노드 추가
- * @property {function(string): void} deleteNode - 노드 삭제
+ * @property {function(string): void} deleteNode - 노드 삭제 (휴지통으로 이동)
+ * @property {function(string[]): number} deleteNodes - 여러 노드 삭제 (휴지통으로 이동, 삭제한 수 반환)
+ * @property {function(string[]): number} restoreFromTrash - 휴지통에서 복원 (복원한 수 반환)
+ * @property {function(string[]): Promise<{purged: number, failed: string[]}>} purgeTrash - 휴지통 항목 영구 삭제 (실행 취소 기록 삭제)
+ * @property {function(): Promise<{purged: number, failed: string[]}>} expireTrash - 보관 기간이 지난 휴지통 항목 영구 삭제
+ * @property {function(string, Set<string>): {added: number, removed: number}} syncMentionLinks - 노트의 위키 링크에 맞춰 mention 링크 갱신
+ * @property {function(boolean): void} setAutoLinkMentions - mention 링크 자동 생성 설정
  * @property {function(string, Partial<NodeStyle>): void} setNodeStyle - 노드 스타일 설정
+ * @property {function(PropertyDefinition): void} addPropertyDefinition - 속성 정의 추가
+ * @property {function(string, Partial<PropertyDefinition>): void} updatePropertyDefinition - 속성 정의 수정 (빠진 선택지 값은 노드에서 삭제)
+ * @property {function(string): number} removePropertyDefinition - 사용자 속성 삭제 (노드 값도 삭제, 지운 노드 수 반환)
  * @property {function(string, number, number): void} saveNodePosition - 노드 위치 저장
+ * @property {function(Object<string, {x: number, y: number}>, string=): void} saveNodePositions - 여러 노드 위치 한 번에 저장 (실행 취소 한 단계)
  * @property {function(): void} clearNodePositions - 노드 위치 전체 삭제
  * @property {function(TagsIndex): void} updateTagsIndex - 태그 인덱스 업데이트
+ * @property {function(): (string|null)} undo - 실행 취소 (취소한 작업 이름 반환)
+ * @property {function(): (string|null)} redo - 다시 실행 (다시 실행한 작업 이름 반환)
+ * @property {function(string, Function): any} transaction - 여러 변경을 한 단계로 묶기
+ * @property {function(): void} clearHistory - 실행 취소 기록 삭제
+ * @property {function({graph: GraphData, nodeStyles: NodeStyles, propertySchema: PropertyDefinition[], savedNodePositions: NodePositions, tagsIndex: TagsIndex, trash: TrashEntry[], autoLinkMentions: boolean}): void} restoreData - 백업 데이터로 교체 (실행 취소 기록 삭제)
  * @property {function(): void} saveToStorage - 저장소에 저장
  * @property {function(): void} clearStorage - 저장소 삭제
- * @property {function(string): void} setStorageMode - 저장소 모드 설정
+ * @property {function(string): Promise<boolean>} setStorageMode - 저장소 모드 설정
+ * @property {function(): Promise<boolean>} syncFromRemote - 원격 서버와 그래프 동기화
  */
 
 /**
  * @typedef {Object} UIStore
  * @property {string|null} selectedId - 선택된 노드 ID
+ * @property {Set<string>} selectedIds - 다중 선택된 노드 ID (사각형/올가미 선택, 일괄 작업 대상)
  * @property {boolean} notePanelOpen - 노트 패널 열림 상태
  * @property {number} panelWidth - 패널 너비
  * @property {boolean} showSettings - 설정 모달 표시 여부
  * @property {boolean} showAddNode - 노드 추가 모달 표시 여부
+ * @property {boolean} showBibImport - 서지 가져오기 모달 표시 여부
  * @property {ContextMenu} contextMenu - 컨텍스트 메뉴 상태
  * @property {PreviewMenu} previewMenu - 미리보기 메뉴 상태
  * @property {number} zoomLevel - 줌 레벨
  * @property {string} graphViewMode - 그래프 뷰 모드
+ * @property {string|null} tagViewCategory - 태그 뷰 카테고리 (null이면 첫 번째 카테고리)
+ * @property {string[]} tagViewPath - 태그 뷰 드릴다운 경로 (예: ['Deep Learning', 'CNN'])
+ * @property {import('../utils/nodeTable').TableSortKey[]} tableSort - 노드 표 정렬 키 (앞쪽 키부터 비교)
+ * @property {Object.<string, string>} tableFilters - 노드 표 열 필터 (열 ID → 필터 문자열)
+ * @property {string} tableQuery - 노드 표 전체 열 검색어
+ * @property {string[]} tableHiddenColumns - 노드 표에서 숨긴 열 ID
+ * @property {boolean} showGraphFilter - 그래프 필터 사이드바 표시 여부
+ * @property {import('../graph/filters').GraphFilter} graphFilter - 그래프 필터 조건
+ * @property {'dim'|'hide'} graphFilterMode - 필터에 맞지 않는 노드를 흐리게/숨기기
+ * @property {{name: string, filter: import('../graph/filters').GraphFilter}[]} filterPresets - 저장된 필터 프리셋
  * @property {string[]} customColorHistory - 커스텀 색상 히스토리
+ * @property {string|null} colorByProperty - 노드 색을 정할 속성 ID (null이면 노드 스타일/그룹 색)
+ * @property {boolean} showSearch - 검색 팔레트 표시 여부
+ * @property {string} searchQuery - 마지막 검색어 (강조 표시 중인 검색어)
+ * @property {string[]} searchHighlightIds - 검색 결과로 강조된 노드 ID
  * @property {function(string|null): void} setSelectedId - 선택 노드 설정
  * @property {function(): void} openNotePanel - 노트 패널 열기
  * @property {function(): void} closeNotePanel - 노트 패널 닫기
  * @property {function(number): void} setPanelWidth - 패널 너비 설정
+ * @property {function(Iterable<string>): void} setSelectedIds - 다중 선택 교체
+ * @property {function(Iterable<string>): void} addToSelection - 다중 선택에 추가
+ * @property {function(string): void} toggleSelected - 노드 하나 선택/해제
+ * @property {function(): void} clearSelection - 다중 선택 해제
  * @property {function(): void} openSettings - 설정 열기
  * @property {function(): void} closeSettings - 설정 닫기
  * @property {function(): void} openAddNode - 노드 추가 모달 열기
  * @property {function(): void} closeAddNode - 노드 추가 모달 닫기
+ * @property {function(): void} openBibImport - 서지 가져오기 모달 열기 (노드 추가 모달은 닫힘)
+ * @property {function(): void} closeBibImport - 서지 가져오기 모달 닫기
  * @property {function(number, number, string): void} showContextMenu - 컨텍스트 메뉴 표시
  * @property {function(): void} hideContextMenu - 컨텍스트 메뉴 숨김
  * @property {function(string, number, number): void} handleNodeClick - 노드 클릭 처리
  * @property {function(): void} hidePreviewMenu - 미리보기 메뉴 숨김
  * @property {function(number): void} setZoomLevel - 줌 레벨 설정
  * @property {function(string): void} setGraphViewMode - 그래프 뷰 모드 설정
+ * @property {function(string|null): void} setTagViewCategory - 태그 뷰 카테고리 설정 (경로 초기화)
+ * @property {function(string[]): void} setTagViewPath - 태그 뷰 드릴다운 경로 설정
+ * @property {function(import('../utils/nodeTable').TableSortKey[]): void} setTableSort - 노드 표 정렬 설정
+ * @property {function(string, string): void} setTableFilter - 노드 표 열 필터 설정 (빈 문자열이면 해제)
+ * @property {function(string): void} setTableQuery - 노드 표 전체 검색어 설정
+ * @property {function(): void} clearTableFilters - 노드 표 필터/검색어 모두 해제
+ * @property {function(string): void} toggleTableColumn - 노드 표 열 보이기/숨기기
+ * @property {function(): void} toggleGraphFilter - 그래프 필터 사이드바 열기/닫기
+ * @property {function(Partial<import('../graph/filters').GraphFilter>): void} setGraphFilter - 그래프 필터 조건 일부 변경
+ * @property {function(): void} resetGraphFilter - 그래프 필터 조건 모두 해제
+ * @property {function('dim'|'hide'): void} setGraphFilterMode - 필터 모드 설정
+ * @property {function(string): void} saveFilterPreset - 현재 필터를 프리셋으로 저장 (같은 이름은 덮어씀)
+ * @property {function(string): void} applyFilterPreset - 프리셋 적용
+ * @property {function(string): void} deleteFilterPreset - 프리셋 삭제
  * @property {function(string): void} addCustomColor - 커스텀 색상 추가
+ * @property {function(string|null): void} setColorByProperty - 노드 색 기준 속성 설정
+ * @property {function(): void} openSearch - 검색 팔레트 열기
+ * @property {function(): void} closeSearch - 검색 팔레트 닫기
+ * @property {function(string, string[]): void} setSearchHighlight - 검색 결과 강조 설정
+ * @property {function(): void} clearSearchHighlight - 검색 결과 강조 해제
  */
 
 export {};
@@ -0,0 +1,72 @@
+/**
+ * 첨부파일 object URL 캐시
+ *
+ * - 같은 첨부파일을 여러 블록/재렌더링에서 보여줘도 blob은 한 번만 읽고 URL 하나를 공유
+ * - 참조 카운트가 0이 되면 ATTACHMENTS.URL_CACHE_TTL 뒤에 URL 해제
+ *   (노트를 다시 열거나 블록을 옮겨 다시 마운트될 때 재사용)
+ *
+ * @module utils/attachmentUrls
+ */
+
+import { ATTACHMENTS } from '../constants/storage';
+
+// fileId → { promise, url, refs, revokeTimer }
+const cache = new Map();
+
+function revoke(fileId, entry) {
+  if (cache.get(fileId) === entry) cache.delete(fileId);
+  if (entry.url) URL.revokeObjectURL(entry.url);
+}
+
+/**
+ * 첨부파일 object URL 가져오기 (참조 카운트 증가)
+ * 사용이 끝나면 반드시 releaseAttachmentUrl 호출
+ *
+ * @param {import('../types').StorageAdapter} storage
+ * @param {string} fileId - 첨부파일 ID
+ * @returns {Promise<string|null>} object URL (첨부파일이 없으면 null)
+ */
+export function acquireAttachmentUrl(storage, fileId) {
+  let entry = cache.get(fileId);
+
+  if (!entry) {
+    entry = { promise: null, url: null, refs: 0, revokeTimer: null };
+    const current = entry;
+    entry.promise = Promise.resolve(storage.loadAttachment(fileId)).then(
+      (blob) => {
+        // 로드 중에 해제되었거나 첨부파일이 없으면 캐시하지 않음
+        if (!blob || cache.get(fileId) !== current) {
+          if (cache.get(fileId) === current) cache.delete(fileId);
+          return null;
+        }
+        current.url = URL.createObjectURL(blob);
+        return current.url;
+      },
+      (error) => {
+        if (cache.get(fileId) === current) cache.delete(fileId);
+        throw error;
+      }
+    );
+    cache.set(fileId, entry);
+  }
+
+  clearTimeout(entry.revokeTimer);
+  entry.revokeTimer = null;
+  entry.refs++;
+  return entry.promise;
+}
+
+/**
+ * 첨부파일 object URL 반납 (참조 카운트 감소)
+ *
+ * @param {string} fileId - 첨부파일 ID
+ */
+export function releaseAttachmentUrl(fileId) {
+  const entry = cache.get(fileId);
+  if (!entry) return;
+
+  entry.refs = Math.max(0, entry.refs - 1);
+  if (entry.refs === 0) {
+    entry.revokeTimer = setTimeout(() => revoke(fileId, entry), ATTACHMENTS.URL_CACHE_TTL);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * 백링크 유틸리티 (이 노드를 가리키는 링크 / 링크되지 않은 언급)
+ *
+ * - 들어오는 링크: graph.links에서 target이 이 노드인 링크를 타입별로 묶음
+ * - 링크되지 않은 언급: 다른 노트의 텍스트/리스트 블록에 노드 제목이 쓰였지만
+ *   그 노트에서 이 노드로 가는 링크가 없는 경우 ([[위키 링크]] 안의 제목은 제외)
+ * - 링크하기: 언급을 [[위키 링크]]로 바꾼 블록을 만들어 줌 (그래프 링크는 호출 측에서 추가)
+ *
+ * @module utils/backlinks
+ */
+
+import { BACKLINKS } from '../constants/ui';
+import { toId } from './helpers';
+import { updateBlockContent } from './blockUtils';
+import { MENTION_LINK_TYPE, WIKI_LINK_BLOCK_TYPES, splitWikiLinks, formatWikiLink } from './wikiLinks';
+
+// 타입별 묶음 순서 (그 밖의 타입은 처음 나온 순서대로 뒤에)
+const LINK_TYPE_ORDER = ['based-on', 'cited-by', MENTION_LINK_TYPE];
+
+// 영문/숫자 제목은 단어 중간에서 일치하지 않도록 경계 확인 (한글은 조사가 붙으므로 확인 안 함)
+const WORD_CHAR = /[A-Za-z0-9_]/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const byTitle = (a, b) => (a.title || a.id).localeCompare(b.title || b.id);
+
+/**
+ * 이 노드로 들어오는 링크를 타입별로 묶음
+ *
+ * @param {string} nodeId
+ * @param {import('../types').Link[]} links - 그래프 링크
+ * @param {import('../types').Node[]} nodes - 출발 노드 제목 표시용
+ * @returns {Array<{type: string, items: Array<{source: import('../types').Node, title: string, description: string}>}>}
+ */
+export function groupIncomingLinks(nodeId, links, nodes) {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const groups = new Map(LINK_TYPE_ORDER.map((type) => [type, []]));
+
+  links.forEach((link) => {
+    if (toId(link.target) !== nodeId) return;
+    const sourceId = toId(link.source);
+    const type = link.type || 'link';
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push({
+      source: nodesById.get(sourceId) || { id: sourceId, title: sourceId },
+      title: link.title || '',
+      description: link.description || '',
+    });
+  });
+
+  return [...groups]
+    .filter(([, items]) => items.length > 0)
+    .map(([type, items]) => ({ type, items: items.sort((a, b) => byTitle(a.source, b.source)) }));
+}
+
+/**
+ * 텍스트에서 제목이 그대로 쓰인 위치 (대소문자/공백 무시, [[위키 링크]] 안은 제외)
+ *
+ * @param {string} text
+ * @param {string} title - 노드 제목
+ * @returns {Array<{index: number, length: number}>}
+ */
+export function findTitleMentions(text, title) {
+  const needle = (title || '').trim();
+  if (!text || needle.length < BACKLINKS.MIN_TITLE_LENGTH) return [];
+
+  const pattern = new RegExp(escapeRegExp(needle).replace(/\s+/g, '\\s+'), 'gi');
+  const checkStart = WORD_CHAR.test(needle[0]);
+  const checkEnd = WORD_CHAR.test(needle[needle.length - 1]);
+  const mentions = [];
+  let offset = 0;
+
+  splitWikiLinks(text).forEach((segment) => {
+    if (segment.type === 'link') {
+      offset += segment.raw.length;
+      return;
+    }
+    for (const match of segment.text.matchAll(pattern)) {
+      const index = offset + match.index;
+      const end = index + match[0].length;
+      if (checkStart && WORD_CHAR.test(text[index - 1] || '')) continue;
+      if (checkEnd && WORD_CHAR.test(text[end] || '')) continue;
+      mentions.push({ index, length: match[0].length });
+    }
+    offset += segment.text.length;
+  });
+
+  return mentions;
+}
+
+/**
+ * 언급 위치 주변 미리보기
+ */
+function makeSnippet(text, { index, length }) {
+  const radius = BACKLINKS.SNIPPET_RADIUS;
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + length + radius);
+  const flat = (value) => value.replace(/\s+/g, ' ');
+  return {
+    before: `${start > 0 ? '…' : ''}${flat(text.slice(start, index)).trimStart()}`,
+    match: flat(text.slice(index, index + length)),
+    after: `${flat(text.slice(index + length, end)).trimEnd()}${end < text.length ? '…' : ''}`,
+  };
+}
+
+/**
+ * 다른 노트에서 이 노드를 링크 없이 언급한 곳
+ * 이미 이 노드로 링크가 있는 노트, 그래프에 없는 노드의 노트, 블록 형식이 아닌 노트는 제외
+ *
+ * @param {import('../types').Node} node - 현재 노드
+ * @param {Array<Object>} records - 노트 레코드 (loadAllNotes 결과, { id, blocks })
+ * @param {import('../types').Node[]} nodes
+ * @param {import('../types').Link[]} links
+ * @returns {Array<{source: import('../types').Node, mentions: Array<{blockId: string, snippet: {before: string, match: string, after: string}}>}>}
+ */
+export function findUnlinkedMentions(node, records, nodes, links) {
+  const nodesById = new Map(nodes.map((n) => [n.id, n]));
+  const linkedSources = new Set(
+    links.filter((link) => toId(link.target) === node.id).map((link) => toId(link.source))
+  );
+  const results = [];
+
+  records.forEach((record) => {
+    const source = nodesById.get(record.id);
+    if (!source || source.id === node.id || linkedSources.has(source.id) || !Array.isArray(record.blocks)) return;
+
+    const mentions = [];
+    record.blocks.forEach((block) => {
+      if (!WIKI_LINK_BLOCK_TYPES.includes(block.type) || typeof block.content !== 'string') return;
+      findTitleMentions(block.content, node.title).forEach((mention) => {
+        mentions.push({ blockId: block.id, snippet: makeSnippet(block.content, mention) });
+      });
+    });
+
+    if (mentions.length > 0) results.push({ source, mentions });
+  });
+
+  return results.sort((a, b) => byTitle(a.source, b.source));
+}
+
+/**
+ * 블록의 첫 번째 언급을 [[위키 링크]]로 바꿈
+ * 쓰인 글자가 제목과 다르면 (대소문자 등) 표시 이름으로 남김
+ *
+ * @param {import('../types/blocks').Block[]} blocks - 언급한 노트의 블록
+ * @param {string} blockId - 언급이 있는 블록
+ * @param {import('../types').Node} node - 링크할 노드
+ * @param {import('../types').Node[]} nodes - 제목 중복 확인용
+ * @returns {import('../types/blocks').Block[]|null} 바뀐 블록, 언급이 더 이상 없으면 null
+ */
+export function linkMentionInBlocks(blocks, blockId, node, nodes) {
+  const block = blocks.find((b) => b.id === blockId);
+  if (!block || typeof block.content !== 'string') return null;
+
+  const [mention] = findTitleMentions(block.content, node.title);
+  if (!mention) return null;
+
+  const written = block.content.slice(mention.index, mention.index + mention.length).replace(/\s+/g, ' ');
+  let link = formatWikiLink(node, nodes);
+  if (written !== node.title.trim() && !link.includes('|')) {
+    link = `[[${node.title.trim()}|${written}]]`;
+  }
+
+  const content = block.content.slice(0, mention.index) + link + block.content.slice(mention.index + mention.length);
+  return updateBlockContent(blocks, blockId, content);
+}
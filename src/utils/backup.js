@@ -0,0 +1,350 @@
+/**
+ * 전체 백업 / 복원
+ *
+ * 백업 파일 (.zip)
+ * - backup.json: 그래프, 노드 스타일, 노드 위치, 태그 인덱스, 휴지통, 필터 프리셋, mention 링크 설정,
+ *   노트/버전 기록 레코드, 첨부파일 메타데이터
+ * - attachments/<첨부파일 ID>: 첨부파일 원본
+ *
+ * 복원 방식
+ * - 'merge': 같은 ID는 백업으로 덮어쓰고, 백업에 없는 현재 데이터는 유지
+ * - 'replace': 현재 데이터를 모두 지우고 백업으로 교체
+ *
+ * @module utils/backup
+ */
+
+import { BACKUP } from '../constants/storage';
+import { createZip, readZip } from './zip';
+import { rebuildTagsIndex } from './tagHelpers';
+import { toId } from './helpers';
+
+/**
+ * @typedef {Object} AppDataState
+ * @property {import('../types').GraphData} graph
+ * @property {import('../types').NodeStyles} nodeStyles
+ * @property {import('../types').PropertyDefinition[]} propertySchema
+ * @property {import('../types').NodePositions} savedNodePositions
+ * @property {import('../types').TagsIndex} tagsIndex
+ * @property {import('../types').TrashEntry[]} trash - 휴지통
+ * @property {Array<{name: string, filter: import('../graph/filters').GraphFilter}>} filterPresets - 그래프 필터 프리셋 (uiStore)
+ * @property {boolean} autoLinkMentions - 위키 링크 → mention 링크 자동 생성 설정
+ */
+
+/**
+ * @typedef {Object} Backup
+ * @property {number} schemaVersion - 백업 형식 버전
+ * @property {string} createdAt - 백업 시각 (ISO)
+ * @property {import('../types').GraphData} graph
+ * @property {import('../types').NodeStyles} nodeStyles
+ * @property {import('../types').PropertyDefinition[]} propertySchema - 속성 스키마 (이전 백업에는 없음)
+ * @property {import('../types').NodePositions} nodePositions
+ * @property {import('../types').TagsIndex} tagsIndex
+ * @property {import('../types').TrashEntry[]} trash - 휴지통 (이전 백업에는 없음)
+ * @property {Array<{name: string, filter: Object}>} filterPresets - 그래프 필터 프리셋 (이전 백업에는 없음)
+ * @property {boolean|null} autoLinkMentions - mention 링크 자동 생성 설정 (이전 백업에는 없어 null)
+ * @property {Array<Object>} notes - IndexedDB 'notes' 레코드
+ * @property {Array<Object>} revisions - IndexedDB 'revisions' 레코드
+ * @property {Array<Object>} attachments - IndexedDB 'attachments' 레코드 (blob 포함)
+ * @property {string[]} warnings - 읽는 중 발견한 문제 (예: 빠진 첨부파일)
+ */
+
+// force-graph가 노드 객체에 붙이는 시뮬레이션 필드 (비교에서 제외)
+const RUNTIME_NODE_FIELDS = ['x', 'y', 'vx', 'vy', 'fx', 'fy', 'index', '__indexColor'];
+
+const stripRuntimeFields = (node) => {
+  const copy = { ...node };
+  RUNTIME_NODE_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+const plainLink = (link) => ({ ...link, source: toId(link.source), target: toId(link.target) });
+const linkKey = (link) => `${toId(link.source)}->${toId(link.target)}`;
+const plainTrashEntry = (entry) => ({
+  ...entry,
+  node: stripRuntimeFields(entry.node),
+  links: (entry.links || []).map(plainLink),
+});
+const attachmentMeta = (record) => {
+  const meta = { ...record };
+  delete meta.blob;
+  return meta;
+};
+
+// ============================================
+// 백업 만들기
+// ============================================
+
+/**
+ * 현재 데이터 전체를 백업 파일로 만들기
+ *
+ * @param {AppDataState} state - graphStore 상태
+ * @param {import('../types').StorageAdapter} storage - 저장소 어댑터 (노트/첨부파일/버전 기록)
+ * @returns {Promise<{blob: Blob, counts: {nodes: number, notes: number, attachments: number}}>}
+ */
+export async function createBackup(state, storage) {
+  const { graph, nodeStyles, propertySchema, savedNodePositions, tagsIndex, trash, filterPresets, autoLinkMentions } = state;
+  const { notes, attachments, revisions } = await storage.exportDatabase();
+
+  const manifest = {
+    format: BACKUP.FORMAT,
+    schemaVersion: BACKUP.SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    graph: {
+      nodes: graph.nodes.map(stripRuntimeFields),
+      links: graph.links.map(plainLink),
+    },
+    nodeStyles,
+    propertySchema,
+    nodePositions: savedNodePositions,
+    tagsIndex,
+    trash: trash.map(plainTrashEntry),
+    filterPresets,
+    autoLinkMentions,
+    notes,
+    revisions,
+    attachments: attachments.map(attachmentMeta),
+  };
+
+  const files = [
+    { path: BACKUP.MANIFEST_FILE, data: JSON.stringify(manifest) },
+    ...attachments
+      .filter((record) => record.blob)
+      .map((record) => ({ path: `${BACKUP.ATTACHMENTS_DIR}/${record.id}`, data: record.blob })),
+  ];
+
+  return {
+    blob: await createZip(files),
+    counts: { nodes: graph.nodes.length, notes: notes.length, attachments: attachments.length },
+  };
+}
+
+// ============================================
+// 백업 읽기
+// ============================================
+
+// 이전 형식 → 다음 형식 변환 ({ [이전 버전]: manifest => manifest })
+const MIGRATIONS = {};
+
+/**
+ * 백업 파일 읽기 + 형식/버전 검사
+ *
+ * @param {Blob} file - 백업 .zip 파일
+ * @returns {Promise<Backup>}
+ * @throws {Error} 백업 파일이 아니거나, 더 새로운 버전에서 만든 백업일 때
+ */
+export async function readBackup(file) {
+  let entries;
+  try {
+    entries = await readZip(file);
+  } catch (error) {
+    throw new Error(`백업 파일(.zip)을 읽을 수 없습니다: ${error.message}`);
+  }
+
+  const manifestEntry = entries.find((entry) => entry.path === BACKUP.MANIFEST_FILE);
+  if (!manifestEntry) throw new Error(`${BACKUP.MANIFEST_FILE}이 없습니다. 이 앱의 백업 파일이 아닙니다.`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder('utf-8').decode(manifestEntry.data));
+  } catch {
+    throw new Error(`${BACKUP.MANIFEST_FILE}이 손상되었습니다.`);
+  }
+
+  if (manifest?.format !== BACKUP.FORMAT || !Number.isInteger(manifest.schemaVersion)) {
+    throw new Error('이 앱의 백업 파일이 아닙니다.');
+  }
+  if (manifest.schemaVersion > BACKUP.SCHEMA_VERSION) {
+    throw new Error(
+      `더 새로운 버전에서 만든 백업입니다 (백업 형식 v${manifest.schemaVersion}, 지원 v${BACKUP.SCHEMA_VERSION}). 앱을 업데이트한 뒤 복원하세요.`
+    );
+  }
+
+  for (let version = manifest.schemaVersion; version < BACKUP.SCHEMA_VERSION; version++) {
+    if (!MIGRATIONS[version]) throw new Error(`백업 형식 v${version}은 지원하지 않습니다.`);
+    manifest = MIGRATIONS[version](manifest);
+  }
+
+  if (!Array.isArray(manifest.graph?.nodes) || !Array.isArray(manifest.graph?.links)) {
+    throw new Error('백업에 그래프 데이터가 없습니다.');
+  }
+
+  const blobs = new Map(entries.map((entry) => [entry.path, entry.data]));
+  const warnings = [];
+  const attachments = (manifest.attachments || []).flatMap((meta) => {
+    const data = blobs.get(`${BACKUP.ATTACHMENTS_DIR}/${meta.id}`);
+    if (!data) {
+      warnings.push(`첨부파일 없음: ${meta.fileName || meta.id}`);
+      return [];
+    }
+    return [{ ...meta, blob: new Blob([data], { type: meta.mimeType || '' }) }];
+  });
+
+  return {
+    schemaVersion: manifest.schemaVersion,
+    createdAt: manifest.createdAt,
+    graph: manifest.graph,
+    nodeStyles: manifest.nodeStyles || {},
+    propertySchema: manifest.propertySchema || [],
+    nodePositions: manifest.nodePositions || {},
+    tagsIndex: manifest.tagsIndex || {},
+    trash: Array.isArray(manifest.trash) ? manifest.trash.filter((entry) => entry?.node?.id) : [],
+    filterPresets: Array.isArray(manifest.filterPresets)
+      ? manifest.filterPresets.filter((preset) => preset && typeof preset.name === 'string')
+      : [],
+    autoLinkMentions: typeof manifest.autoLinkMentions === 'boolean' ? manifest.autoLinkMentions : null,
+    notes: manifest.notes || [],
+    revisions: manifest.revisions || [],
+    attachments,
+    warnings,
+  };
+}
+
+// ============================================
+// 복원 미리보기 / 실행
+// ============================================
+
+/**
+ * @typedef {Object} RestoreCounts
+ * @property {number} added - 백업에만 있음 (새로 추가)
+ * @property {number} overwritten - 양쪽에 있고 내용이 다름 (백업으로 덮어씀)
+ * @property {number} unchanged - 양쪽에 같은 내용
+ * @property {number} removed - 현재에만 있음 ('replace'에서 삭제, 'merge'에서는 0)
+ */
+
+function compareRecords(current, incoming, keyOf, normalize, mode) {
+  const currentByKey = new Map(current.map((record) => [keyOf(record), record]));
+  const incomingKeys = new Set();
+  const counts = { added: 0, overwritten: 0, unchanged: 0, removed: 0 };
+  const overwrittenKeys = [];
+
+  incoming.forEach((record) => {
+    const key = keyOf(record);
+    incomingKeys.add(key);
+    const existing = currentByKey.get(key);
+    if (!existing) counts.added++;
+    else if (JSON.stringify(normalize(existing)) === JSON.stringify(normalize(record))) counts.unchanged++;
+    else {
+      counts.overwritten++;
+      overwrittenKeys.push(key);
+    }
+  });
+
+  if (mode === 'replace') {
+    counts.removed = current.filter((record) => !incomingKeys.has(keyOf(record))).length;
+  }
+  return { counts, overwrittenKeys };
+}
+
+const byId = (record) => record.id;
+const byName = (preset) => preset.name;
+const trashKey = (entry) => entry.node.id;
+const identity = (record) => record;
+
+/**
+ * 복원 미리보기: 항목별로 추가/덮어쓰기/삭제될 개수
+ *
+ * @param {Backup} backup
+ * @param {AppDataState} state - 현재 graphStore 상태
+ * @param {{notes: Array<Object>, attachments: Array<Object>, revisions: Array<Object>}} database - 현재 노트/첨부파일/버전 기록 (storage.exportDatabase)
+ * @param {'merge'|'replace'} mode
+ * @returns {{nodes: RestoreCounts, links: RestoreCounts, trash: RestoreCounts, notes: RestoreCounts, attachments: RestoreCounts, revisions: RestoreCounts, overwrittenNodes: string[], overwrittenNotes: string[]}}
+ *   overwrittenNodes / overwrittenNotes: 덮어쓸 노드 제목 / 노트의 노드 제목
+ */
+export function previewRestore(backup, state, database, mode) {
+  const nodes = compareRecords(state.graph.nodes, backup.graph.nodes, byId, stripRuntimeFields, mode);
+  const links = compareRecords(state.graph.links, backup.graph.links, linkKey, plainLink, mode);
+  const trash = compareRecords(state.trash, backup.trash, trashKey, plainTrashEntry, mode);
+  const notes = compareRecords(database.notes, backup.notes, byId, identity, mode);
+  const attachments = compareRecords(database.attachments, backup.attachments, byId, attachmentMeta, mode);
+  const revisions = compareRecords(database.revisions, backup.revisions, byId, identity, mode);
+
+  const titleOf = new Map([...backup.graph.nodes, ...state.graph.nodes].map((node) => [node.id, node.title || node.id]));
+
+  return {
+    nodes: nodes.counts,
+    links: links.counts,
+    trash: trash.counts,
+    notes: notes.counts,
+    attachments: attachments.counts,
+    revisions: revisions.counts,
+    overwrittenNodes: nodes.overwrittenKeys.map((id) => titleOf.get(id)),
+    overwrittenNotes: notes.overwrittenKeys.map((id) => titleOf.get(id) || id),
+  };
+}
+
+function mergeTagsIndex(...indexes) {
+  const merged = {};
+  indexes.forEach((index) => {
+    Object.entries(index || {}).forEach(([category, tags]) => {
+      merged[category] = [...new Set([...(merged[category] || []), ...tags])].sort();
+    });
+  });
+  return merged;
+}
+
+// 그래프에 있는 노드의 휴지통 항목은 제외 (병합으로 되살아난 노드)
+const withoutLiveNodes = (trash, nodes) => {
+  const liveIds = new Set(nodes.map((node) => node.id));
+  return trash.filter((entry) => !liveIds.has(entry.node.id));
+};
+
+/**
+ * 복원 후 graphStore / uiStore 상태 계산
+ * - replace: 휴지통/필터 프리셋도 백업으로 교체 (mention 링크 설정은 백업에 있으면 백업 값)
+ * - merge: 휴지통/필터 프리셋은 같은 노드/이름을 백업으로 덮어쓰고, 설정은 현재 값 유지
+ *
+ * @param {Backup} backup
+ * @param {AppDataState} state - 현재 graphStore 상태 + filterPresets (uiStore)
+ * @param {'merge'|'replace'} mode
+ * @returns {AppDataState}
+ */
+export function buildRestoredState(backup, state, mode) {
+  if (mode === 'replace') {
+    return {
+      graph: { nodes: backup.graph.nodes, links: backup.graph.links },
+      nodeStyles: backup.nodeStyles,
+      propertySchema: backup.propertySchema,
+      savedNodePositions: backup.nodePositions,
+      tagsIndex: mergeTagsIndex(backup.tagsIndex, rebuildTagsIndex(backup.graph.nodes)),
+      trash: withoutLiveNodes(backup.trash, backup.graph.nodes),
+      filterPresets: backup.filterPresets,
+      autoLinkMentions: backup.autoLinkMentions ?? state.autoLinkMentions,
+    };
+  }
+
+  // 현재 순서를 유지하면서 같은 ID는 백업으로 교체, 새 항목은 뒤에 추가
+  const mergeList = (current, incoming, keyOf) => {
+    const incomingByKey = new Map(incoming.map((item) => [keyOf(item), item]));
+    const merged = current.map((item) => incomingByKey.get(keyOf(item)) || item);
+    const currentKeys = new Set(current.map(keyOf));
+    return [...merged, ...incoming.filter((item) => !currentKeys.has(keyOf(item)))];
+  };
+
+  const nodes = mergeList(state.graph.nodes, backup.graph.nodes, byId);
+  return {
+    graph: { nodes, links: mergeList(state.graph.links, backup.graph.links, linkKey) },
+    nodeStyles: { ...state.nodeStyles, ...backup.nodeStyles },
+    propertySchema: mergeList(state.propertySchema, backup.propertySchema, byId),
+    savedNodePositions: { ...state.savedNodePositions, ...backup.nodePositions },
+    tagsIndex: mergeTagsIndex(state.tagsIndex, backup.tagsIndex, rebuildTagsIndex(nodes)),
+    trash: withoutLiveNodes(mergeList(state.trash, backup.trash, trashKey), nodes),
+    filterPresets: mergeList(state.filterPresets, backup.filterPresets, byName),
+    autoLinkMentions: state.autoLinkMentions,
+  };
+}
+
+/**
+ * 노트/버전 기록/첨부파일을 저장소에 복원
+ * 그래프 상태는 호출 측에서 buildRestoredState 결과로 교체 (graphStore.restoreData)
+ *
+ * @param {Backup} backup
+ * @param {'merge'|'replace'} mode
+ * @param {import('../types').StorageAdapter} storage - 저장소 어댑터
+ * @returns {Promise<void>}
+ */
+export async function restoreDatabase(backup, mode, storage) {
+  await storage.importDatabase(
+    { notes: backup.notes, attachments: backup.attachments, revisions: backup.revisions },
+    { replace: mode === 'replace' }
+  );
+}
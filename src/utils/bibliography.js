@@ -0,0 +1,561 @@
+/**
+ * 서지 정보 파싱 (BibTeX / RIS) + BibTeX 내보내기
+ *
+ * 두 형식을 같은 구조의 항목(BibEntry)으로 변환하고, 노드의 서지 정보를 BibTeX로 직렬화
+ * - BibTeX: @string 매크로, 중첩 중괄호, "..." 값, # 연결, crossref 지원
+ * - RIS: TY ~ ER 레코드, 반복 태그(AU, KW 등) 지원
+ *
+ * 인용 관계 필드 (BibTeX)
+ * - crossref, cites, references: 이 항목이 참고한 항목의 키 → based-on
+ * - citedby, cited-by: 이 항목을 인용한 항목의 키 → cited-by
+ *
+ * @module utils/bibliography
+ */
+
+/**
+ * @typedef {Object} BibEntry
+ * @property {string} key - 인용 키 (RIS는 ID 태그 또는 자동 생성)
+ * @property {string} entryType - 항목 종류 (article, inproceedings, ...)
+ * @property {string} title - 제목
+ * @property {string[]} authors - 저자 목록
+ * @property {string} year - 출판 연도 ('' 가능)
+ * @property {string} date - 노드 날짜 ('YYYY' | 'YYYY-MM' | 'YYYY-MM-DD', '' 가능)
+ * @property {string} venue - 학회/저널
+ * @property {string} doi - DOI (https://doi.org/ 접두어 제거)
+ * @property {string} url - URL
+ * @property {string} abstract - 초록
+ * @property {string[]} keywords - 키워드
+ * @property {string[]} references - 이 항목이 참고한 항목 키
+ * @property {string[]} citedBy - 이 항목을 인용한 항목 키
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+// LaTeX 악센트 명령 → 결합 문자
+const LATEX_ACCENTS = {
+  '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303',
+  '=': '\u0304', '"': '\u0308', c: '\u0327', v: '\u030C', H: '\u030B',
+};
+
+// LaTeX 특수 문자 명령
+const LATEX_SYMBOLS = {
+  ss: 'ß', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å', ae: 'æ', AE: 'Æ', l: 'ł', L: 'Ł', i: 'ı',
+};
+
+const RIS_TYPES = {
+  JOUR: 'article',
+  JFULL: 'article',
+  MGZN: 'article',
+  CONF: 'inproceedings',
+  CPAPER: 'inproceedings',
+  BOOK: 'book',
+  CHAP: 'incollection',
+  THES: 'phdthesis',
+  RPRT: 'techreport',
+  ELEC: 'misc',
+  GEN: 'misc',
+};
+
+/**
+ * LaTeX 표기를 일반 텍스트로 변환 (중괄호, 악센트, 이스케이프 제거)
+ * @param {string} value
+ * @returns {string}
+ */
+export function cleanLatex(value) {
+  return value
+    .replace(/\\([`'^~="])\s*\{?\s*([A-Za-z])\s*\}?/g, (_, accent, ch) => (ch + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\([cvH])\s*\{\s*([A-Za-z])\s*\}/g, (_, accent, ch) => (ch + LATEX_ACCENTS[accent]).normalize('NFC'))
+    .replace(/\\(ss|aa|AA|ae|AE|o|O|l|L|i)(?![A-Za-z])\s?/g, (_, name) => LATEX_SYMBOLS[name])
+    .replace(/\\(?:textit|textbf|emph|textsc|texttt|mathrm)\s*\{/g, '{')
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/---?/g, (dash) => (dash.length === 3 ? '—' : '–'))
+    .replace(/~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * DOI 정규화 (비교/저장용)
+ * @param {string} value - DOI 또는 DOI URL
+ * @returns {string} 예: '10.1000/xyz123'
+ */
+export function normalizeDoi(value) {
+  return (value || '')
+    .trim()
+    .replace(/^(?:https?:\/\/)?(?:dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '')
+    .toLowerCase();
+}
+
+/**
+ * 제목 정규화 (중복 비교용 - 대소문자, 공백, 문장부호 무시)
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeTitle(value) {
+  return (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+const splitKeys = (value) => (value || '')
+  .split(/[\s,;]+/)
+  .map((key) => key.trim())
+  .filter(Boolean);
+
+const makeDate = (year, month, day) => {
+  if (!/^\d{4}$/.test(year || '')) return '';
+  if (!month) return year;
+  const mm = String(month).padStart(2, '0');
+  return day ? `${year}-${mm}-${String(day).padStart(2, '0')}` : `${year}-${mm}`;
+};
+
+// ============================================
+// BibTeX
+// ============================================
+
+/**
+ * BibTeX 텍스트 → 항목 목록
+ *
+ * @param {string} text - .bib 파일 내용
+ * @returns {{entries: BibEntry[], errors: string[]}} 파싱 결과 (항목별 오류는 건너뛰고 기록)
+ */
+export function parseBibTeX(text) {
+  const entries = [];
+  const errors = [];
+  const macros = Object.fromEntries(Object.keys(MONTHS).map((m) => [m, m]));
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  // 중괄호로 감싼 값 (중첩 허용, 바깥 중괄호 제외)
+  const readBraced = () => {
+    let depth = 0;
+    const start = pos + 1;
+    for (; pos < text.length; pos++) {
+      if (text[pos] === '\\') { pos++; continue; }
+      if (text[pos] === '{') depth++;
+      else if (text[pos] === '}') {
+        depth--;
+        if (depth === 0) {
+          pos++;
+          return text.slice(start, pos - 1);
+        }
+      }
+    }
+    throw new Error('닫히지 않은 중괄호');
+  };
+
+  // 따옴표로 감싼 값 (중괄호 안의 따옴표는 무시)
+  const readQuoted = () => {
+    let depth = 0;
+    const start = ++pos;
+    for (; pos < text.length; pos++) {
+      if (text[pos] === '\\') { pos++; continue; }
+      if (text[pos] === '{') depth++;
+      else if (text[pos] === '}') depth--;
+      else if (text[pos] === '"' && depth === 0) {
+        pos++;
+        return text.slice(start, pos - 1);
+      }
+    }
+    throw new Error('닫히지 않은 따옴표');
+  };
+
+  const readIdentifier = () => {
+    const match = /^[^\s,={}()"#]+/.exec(text.slice(pos, pos + 256));
+    if (!match) return '';
+    pos += match[0].length;
+    return match[0];
+  };
+
+  // 값: 부분1 # 부분2 # ...
+  const readValue = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (text[pos] === '{') parts.push(readBraced());
+      else if (text[pos] === '"') parts.push(readQuoted());
+      else {
+        const word = readIdentifier();
+        if (!word) throw new Error(`값이 없습니다 (위치 ${pos})`);
+        parts.push(/^\d+$/.test(word) ? word : (macros[word.toLowerCase()] ?? word));
+      }
+      skipSpace();
+      if (text[pos] !== '#') break;
+      pos++;
+    }
+    return parts.join('');
+  };
+
+  // name = value, ... (닫는 괄호까지)
+  const readFields = (close) => {
+    const fields = {};
+    for (;;) {
+      skipSpace();
+      if (text[pos] === ',') { pos++; continue; }
+      if (text[pos] === close) { pos++; return fields; }
+      if (pos >= text.length) throw new Error('항목이 닫히지 않았습니다');
+      const name = readIdentifier().toLowerCase();
+      skipSpace();
+      if (!name || text[pos] !== '=') throw new Error(`필드 형식 오류 (위치 ${pos})`);
+      pos++;
+      fields[name] = readValue();
+    }
+  };
+
+  while ((pos = text.indexOf('@', pos)) !== -1) {
+    pos++;
+    const type = readIdentifier().toLowerCase();
+    skipSpace();
+    const open = text[pos];
+    if (open !== '{' && open !== '(') continue;
+    const close = open === '{' ? '}' : ')';
+    const entryStart = pos;
+
+    try {
+      if (type === 'comment') {
+        if (open === '{') readBraced();
+        continue;
+      }
+      pos++;
+
+      if (type === 'preamble') {
+        readValue();
+        skipSpace();
+        pos++;
+        continue;
+      }
+
+      if (type === 'string') {
+        Object.entries(readFields(close)).forEach(([name, value]) => {
+          macros[name] = value;
+        });
+        continue;
+      }
+
+      skipSpace();
+      const key = readIdentifier();
+      skipSpace();
+      if (text[pos] === ',') pos++;
+      const fields = readFields(close);
+      entries.push({ type, key, fields });
+    } catch (error) {
+      errors.push(`@${type} (${text.slice(entryStart, entryStart + 40).split('\n')[0]}...): ${error.message}`);
+      pos = entryStart + 1;
+    }
+  }
+
+  // crossref 대상의 필드 상속 (예: inproceedings ← proceedings의 booktitle, year)
+  const byKey = new Map(entries.map((e) => [e.key.toLowerCase(), e]));
+  entries.forEach((entry) => {
+    const parent = entry.fields.crossref && byKey.get(entry.fields.crossref.toLowerCase());
+    if (!parent) return;
+    Object.entries(parent.fields).forEach(([name, value]) => {
+      if (name !== 'title' && !(name in entry.fields)) entry.fields[name] = value;
+    });
+    if (!entry.fields.booktitle && parent.fields.title) entry.fields.booktitle = parent.fields.title;
+  });
+
+  return {
+    entries: entries.map(({ type, key, fields }) => toBibEntry(type, key, fields)),
+    errors,
+  };
+}
+
+/**
+ * BibTeX 필드 → BibEntry
+ */
+function toBibEntry(type, key, fields) {
+  const get = (name) => cleanLatex(fields[name] || '');
+  const dateField = get('date');
+  const year = get('year') || (dateField.match(/^\d{4}/) || [''])[0];
+  const monthRaw = get('month').toLowerCase();
+  const month = MONTHS[monthRaw.slice(0, 3)] || (/^\d{1,2}$/.test(monthRaw) ? Number(monthRaw) : null);
+  const dateFromField = /^\d{4}-\d{1,2}(-\d{1,2})?$/.test(dateField) ? dateField : '';
+
+  return {
+    key,
+    entryType: type,
+    title: get('title'),
+    authors: (fields.author || fields.editor || '')
+      .split(/\s+and\s+/i)
+      .map(cleanLatex)
+      .filter(Boolean),
+    year,
+    date: dateFromField || makeDate(year, month),
+    venue: get('journal') || get('journaltitle') || get('booktitle') || get('howpublished')
+      || get('school') || get('institution') || get('publisher'),
+    doi: normalizeDoi(get('doi')),
+    url: get('url'),
+    abstract: get('abstract'),
+    keywords: get('keywords').split(/[,;]/).map((k) => k.trim()).filter(Boolean),
+    references: [
+      ...splitKeys(fields.crossref),
+      ...splitKeys(fields.cites),
+      ...splitKeys(fields.references),
+    ],
+    citedBy: [
+      ...splitKeys(fields.citedby),
+      ...splitKeys(fields['cited-by']),
+    ],
+  };
+}
+
+// ============================================
+// RIS
+// ============================================
+
+/**
+ * RIS 텍스트 → 항목 목록
+ *
+ * @param {string} text - .ris 파일 내용
+ * @returns {{entries: BibEntry[], errors: string[]}}
+ */
+export function parseRIS(text) {
+  const records = [];
+  const errors = [];
+  let current = null;
+  let lastTag = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const match = /^([A-Z][A-Z0-9]) {2}-(?: (.*))?$/.exec(line);
+    if (!match) {
+      // 이어지는 줄은 직전 태그 값에 붙임
+      if (current && lastTag && line.trim()) {
+        const values = current[lastTag];
+        values[values.length - 1] += ` ${line.trim()}`;
+      }
+      return;
+    }
+
+    const [, tag, rawValue = ''] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      if (current) errors.push(`${index + 1}행: ER 없이 새 레코드가 시작되었습니다`);
+      current = { TY: [value] };
+      lastTag = 'TY';
+      return;
+    }
+    if (!current) return;
+    if (tag === 'ER') {
+      records.push(current);
+      current = null;
+      lastTag = null;
+      return;
+    }
+    (current[tag] = current[tag] || []).push(value);
+    lastTag = tag;
+  });
+
+  if (current) {
+    records.push(current);
+    errors.push('마지막 레코드에 ER 태그가 없습니다');
+  }
+
+  const entries = records.map((record, i) => {
+    const first = (...tags) => {
+      for (const tag of tags) {
+        if (record[tag]?.[0]) return record[tag][0];
+      }
+      return '';
+    };
+    const all = (...tags) => tags.flatMap((tag) => record[tag] || []).filter(Boolean);
+
+    // PY/DA: 'YYYY/MM/DD/기타' 형식
+    const [year = '', month, day] = (first('PY', 'Y1', 'DA') || '').split('/');
+    const doi = normalizeDoi(first('DO'));
+
+    return {
+      key: first('ID') || `ris${i + 1}`,
+      entryType: RIS_TYPES[first('TY')] || 'misc',
+      title: first('TI', 'T1', 'CT', 'BT'),
+      authors: all('AU', 'A1', 'A2'),
+      year: (year.match(/^\d{4}/) || [''])[0],
+      date: makeDate((year.match(/^\d{4}/) || [''])[0], Number(month) || null, Number(day) || null),
+      venue: first('T2', 'JO', 'JF', 'JA', 'T3', 'PB'),
+      doi,
+      url: first('UR', 'L2'),
+      abstract: first('AB', 'N2'),
+      keywords: all('KW'),
+      references: [],
+      citedBy: [],
+    };
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * 파일 형식을 판별해 파싱
+ *
+ * @param {string} text - 파일 내용
+ * @param {string} [fileName] - 파일 이름 (확장자로 형식 판별)
+ * @returns {{format: 'bibtex'|'ris', entries: BibEntry[], errors: string[]}}
+ */
+export function parseBibliography(text, fileName = '') {
+  const isRis = /\.ris$/i.test(fileName) || (!/\.bib$/i.test(fileName) && /^\s*TY {2}-/m.test(text));
+  return isRis
+    ? { format: 'ris', ...parseRIS(text) }
+    : { format: 'bibtex', ...parseBibTeX(text) };
+}
+
+// ============================================
+// BibTeX 내보내기
+// ============================================
+
+const TITLE_STOP_WORDS = new Set(['a', 'an', 'the', 'on', 'of', 'in', 'for', 'to', 'and', 'with', 'from', 'by', 'at']);
+const VALID_KEY = /^[^\s,{}"#%'()=\\~]+$/;
+
+// 키에 쓸 수 있는 ASCII 문자만 남김
+const asciiWord = (value) => (value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9]/g, '')
+  .toLowerCase();
+
+// 'Last, First' 또는 'First Last' → 'Last'
+const lastName = (author) => {
+  const trimmed = (author || '').trim();
+  if (trimmed.includes(',')) return trimmed.split(',')[0];
+  const parts = trimmed.split(/\s+/);
+  return parts[parts.length - 1];
+};
+
+/**
+ * 노드별 인용 키 생성
+ *
+ * - properties.citationKey가 있으면 그대로 사용 (가져온 논문)
+ * - 없으면 "저자성 + 연도 + 제목 첫 단어" (예: vaswani2017attention)
+ * - 충돌하면 노드 ID 순서대로 a, b, c... 접미사 (같은 그래프에서는 항상 같은 키)
+ *
+ * @param {import('../types').Node[]} nodes - 전체 노드 (부분 내보내기여도 전체 기준으로 생성)
+ * @returns {Map<string, string>} 노드 ID → 인용 키
+ */
+export function makeCitationKeys(nodes) {
+  const keys = new Map();
+  const used = new Set();
+  const sorted = [...nodes].sort((a, b) => a.id.localeCompare(b.id));
+
+  // 1) 지정된 키 먼저 확보
+  sorted.forEach((node) => {
+    const key = node.properties?.citationKey;
+    if (key && VALID_KEY.test(key) && !used.has(key.toLowerCase())) {
+      keys.set(node.id, key);
+      used.add(key.toLowerCase());
+    }
+  });
+
+  // 2) 나머지는 자동 생성
+  sorted.forEach((node) => {
+    if (keys.has(node.id)) return;
+    const props = node.properties || {};
+    const author = asciiWord(lastName(props.authors?.[0]));
+    const year = String(props.year || node.date || '').slice(0, 4);
+    const word = (node.title || '')
+      .split(/\s+/)
+      .map(asciiWord)
+      .find((w) => w && !TITLE_STOP_WORDS.has(w)) || '';
+    const base = `${author}${year}${word}` || `node${asciiWord(node.id)}`;
+
+    let key = base;
+    for (let i = 0; used.has(key.toLowerCase()); i++) {
+      key = `${base}${String.fromCharCode(97 + (i % 26))}${i >= 26 ? Math.floor(i / 26) : ''}`;
+    }
+    keys.set(node.id, key);
+    used.add(key.toLowerCase());
+  });
+
+  return keys;
+}
+
+// BibTeX 값 이스케이프 (특수 문자, 짝이 맞지 않는 중괄호)
+function escapeBibValue(value) {
+  const escaped = String(value).replace(/([&%$#_])/g, '\\$1');
+  let depth = 0;
+  for (const ch of escaped) {
+    if (ch === '{') depth++;
+    else if (ch === '}' && --depth < 0) break;
+  }
+  return (depth === 0 ? escaped : escaped.replace(/[{}]/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+const VENUE_FIELD = {
+  article: 'journal',
+  inproceedings: 'booktitle',
+  incollection: 'booktitle',
+  conference: 'booktitle',
+  phdthesis: 'school',
+  mastersthesis: 'school',
+  techreport: 'institution',
+  book: 'publisher',
+};
+
+/**
+ * 노드 목록 → BibTeX 문자열
+ *
+ * 링크는 내보내는 노드끼리만 인용 관계 필드로 기록 (가져오기와 같은 규칙)
+ * - { source: A, target: B, type: 'based-on' } → A의 cites에 B
+ * - { source: C, target: A, type: 'cited-by' } → A의 citedby에 C
+ *
+ * @param {import('../types').Node[]} nodes - 내보낼 노드
+ * @param {import('../types').Link[]} links - 그래프 링크
+ * @param {Map<string, string>} keys - makeCitationKeys 결과
+ * @param {function(import('../types').Node): Array<[string, string]>} [extraFieldsOf] - 노드별 추가 필드 (속성 스키마의 사용자 속성 등)
+ * @returns {string} .bib 파일 내용
+ */
+export function formatBibTeX(nodes, links, keys, extraFieldsOf = null) {
+  const exported = new Set(nodes.map((n) => n.id));
+  const cites = new Map();
+  const citedBy = new Map();
+  const push = (map, id, value) => map.set(id, [...(map.get(id) || []), value]);
+
+  links.forEach((link) => {
+    const source = typeof link.source === 'object' ? link.source.id : link.source;
+    const target = typeof link.target === 'object' ? link.target.id : link.target;
+    if (!exported.has(source) || !exported.has(target)) return;
+    if (link.type === 'based-on') push(cites, source, keys.get(target));
+    else if (link.type === 'cited-by') push(citedBy, target, keys.get(source));
+  });
+
+  return nodes.map((node) => {
+    const props = node.properties || {};
+    const entryType = (props.entryType || 'misc').toLowerCase();
+    const month = /^\d{4}-(\d{2})/.exec(node.date || '')?.[1];
+    const keywords = [...new Set(Object.values(node.tags || {}).flat())];
+
+    const fields = [
+      ['title', node.title ? `{${escapeBibValue(node.title)}}` : null],
+      ['author', props.authors?.length ? props.authors.map(escapeBibValue).join(' and ') : null],
+      ['year', props.year || (node.date || '').slice(0, 4) || null],
+      ['month', month ? String(Number(month)) : null],
+      [VENUE_FIELD[entryType] || 'howpublished', props.venue ? escapeBibValue(props.venue) : null],
+      ['doi', props.doi || null],
+      ['url', props.url || null],
+      ['abstract', node.summary ? escapeBibValue(node.summary) : null],
+      ['keywords', keywords.length ? keywords.map(escapeBibValue).join(', ') : null],
+      ['cites', cites.get(node.id)?.join(', ') || null],
+      ['citedby', citedBy.get(node.id)?.join(', ') || null],
+    ].filter(([, value]) => value);
+
+    // 추가 필드는 표준 필드와 이름이 겹치지 않을 때만
+    if (extraFieldsOf) {
+      const used = new Set(fields.map(([name]) => name));
+      extraFieldsOf(node).forEach(([name, value]) => {
+        if (value && !used.has(name)) fields.push([name, escapeBibValue(value)]);
+      });
+    }
+
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@${entryType}{${keys.get(node.id)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import { cleanLatex, normalizeDoi, parseBibTeX, parseRIS, parseBibliography, makeCitationKeys, formatBibTeX } from './bibliography';
+
+describe('cleanLatex / normalizeDoi', () => {
+  it('악센트, 이스케이프, 중괄호, 대시를 일반 텍스트로', () => {
+    expect(cleanLatex("{M}\\\"uller and Garc\\'{i}a --- \\&\\% {\\textit{Deep}} \\ss")).toBe('Müller and García — &% Deep ß');
+  });
+
+  it('DOI URL/접두어를 떼고 소문자로', () => {
+    expect(normalizeDoi('https://doi.org/10.1000/ABC')).toBe('10.1000/abc');
+    expect(normalizeDoi('doi: 10.1000/x')).toBe('10.1000/x');
+  });
+});
+
+describe('parseBibTeX', () => {
+  it('@string 매크로, # 연결, 따옴표 값, 월 이름으로 날짜 생성', () => {
+    const { entries, errors } = parseBibTeX(`
+      @string{nips = "Advances in " # "NeurIPS"}
+      @inproceedings{vaswani2017,
+        title = {Attention Is {All} You Need},
+        author = "Ashish Vaswani and Noam Shazeer",
+        booktitle = nips,
+        year = 2017,
+        month = dec,
+        doi = {https://doi.org/10.5555/3295222},
+        keywords = {transformer; attention}
+      }
+    `);
+
+    expect(errors).toEqual([]);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      key: 'vaswani2017',
+      entryType: 'inproceedings',
+      title: 'Attention Is All You Need',
+      authors: ['Ashish Vaswani', 'Noam Shazeer'],
+      year: '2017',
+      date: '2017-12',
+      venue: 'Advances in NeurIPS',
+      doi: '10.5555/3295222',
+      keywords: ['transformer', 'attention'],
+    });
+  });
+
+  it('crossref 대상의 필드를 상속하고 참고 관계로 기록', () => {
+    const { entries } = parseBibTeX(`
+      @inproceedings{paper, title = {Paper}, crossref = {proc}, cites = {a, b}, citedby = {c}}
+      @proceedings{proc, title = {Proceedings of X}, year = {2020}}
+    `);
+
+    expect(entries[0]).toMatchObject({
+      venue: 'Proceedings of X',
+      year: '2020',
+      references: ['proc', 'a', 'b'],
+      citedBy: ['c'],
+    });
+  });
+
+  it('깨진 항목은 오류로 기록하고 다음 항목은 계속 읽음', () => {
+    const { entries, errors } = parseBibTeX('@article{bad, title = {Unclosed}\n@article{good, title = {Good}}');
+    expect(entries.map((entry) => entry.key)).toEqual(['good']);
+    expect(errors).toHaveLength(1);
+  });
+});
+
+describe('parseRIS', () => {
+  it('반복 태그, 이어지는 줄, PY 날짜', () => {
+    const { entries, errors } = parseRIS([
+      'TY  - JOUR',
+      'TI  - Deep Residual',
+      '      Learning',
+      'AU  - He, Kaiming',
+      'AU  - Zhang, Xiangyu',
+      'PY  - 2016/06/27/',
+      'JO  - CVPR',
+      'KW  - resnet',
+      'DO  - 10.1109/CVPR.2016.90',
+      'ER  - ',
+    ].join('\r\n'));
+
+    expect(errors).toEqual([]);
+    expect(entries[0]).toMatchObject({
+      key: 'ris1',
+      entryType: 'article',
+      title: 'Deep Residual Learning',
+      authors: ['He, Kaiming', 'Zhang, Xiangyu'],
+      year: '2016',
+      date: '2016-06-27',
+      venue: 'CVPR',
+      doi: '10.1109/cvpr.2016.90',
+      keywords: ['resnet'],
+    });
+  });
+
+  it('ER 없이 끝난 레코드도 읽고 오류로 알림', () => {
+    const { entries, errors } = parseRIS('TY  - BOOK\nTI  - Book');
+    expect(entries[0]).toMatchObject({ entryType: 'book', title: 'Book' });
+    expect(errors).toHaveLength(1);
+  });
+});
+
+describe('parseBibliography', () => {
+  it('확장자, 없으면 내용으로 형식 판별', () => {
+    expect(parseBibliography('TY  - JOUR\nTI  - A\nER  - ').format).toBe('ris');
+    expect(parseBibliography('TY  - JOUR', 'refs.bib').format).toBe('bibtex');
+    expect(parseBibliography('@misc{a, title={A}}').format).toBe('bibtex');
+  });
+});
+
+describe('makeCitationKeys', () => {
+  it('지정된 키 우선, 나머지는 저자성+연도+제목 첫 단어 (충돌하면 노드 ID 순으로 접미사)', () => {
+    const keys = makeCitationKeys([
+      { id: 'n2', title: 'The Attention Paper', properties: { authors: ['Vaswani, Ashish'], year: '2017' } },
+      { id: 'n1', title: 'Attention again', properties: { authors: ['Ashish Vaswani'], year: '2017' } },
+      { id: 'n3', title: 'Imported', properties: { citationKey: 'vaswani2017attention' } },
+      { id: 'n4', title: '' },
+    ]);
+
+    expect(Object.fromEntries(keys)).toEqual({
+      n3: 'vaswani2017attention',
+      n1: 'vaswani2017attentiona',
+      n2: 'vaswani2017attentionb',
+      n4: 'noden4',
+    });
+  });
+});
+
+describe('formatBibTeX', () => {
+  const nodes = [
+    { id: 'a', title: 'Model {A} & Co', date: '2020-03', summary: 'About 50%', tags: { T: ['x', 'x'] }, properties: { entryType: 'article', authors: ['Kim, A'], venue: 'J. ML' } },
+    { id: 'b', title: 'B', properties: {} },
+    { id: 'c', title: 'Outside', properties: {} },
+  ];
+  const links = [
+    { source: 'a', target: 'b', type: 'based-on' },
+    { source: 'b', target: 'a', type: 'cited-by' },
+    { source: 'a', target: 'c', type: 'based-on' },
+  ];
+  const keys = new Map([['a', 'keyA'], ['b', 'keyB'], ['c', 'keyC']]);
+
+  it('내보내는 노드끼리의 링크만 cites/citedby로, 특수 문자는 이스케이프', () => {
+    const text = formatBibTeX(nodes.slice(0, 2), links, keys, () => [['title', 'ignored'], ['rating', '4']]);
+
+    expect(text).toBe([
+      '@article{keyA,',
+      '  title = {{Model {A} \\& Co}},',
+      '  author = {Kim, A},',
+      '  year = {2020},',
+      '  month = {3},',
+      '  journal = {J. ML},',
+      '  abstract = {About 50\\%},',
+      '  keywords = {x},',
+      '  cites = {keyB},',
+      '  citedby = {keyB},',
+      '  rating = {4}',
+      '}',
+      '',
+      '@misc{keyB,',
+      '  title = {{B}},',
+      '  rating = {4}',
+      '}',
+      '',
+    ].join('\n'));
+  });
+
+  it('내보낸 BibTeX를 다시 읽으면 같은 서지 정보와 인용 관계', () => {
+    const { entries } = parseBibTeX(formatBibTeX(nodes.slice(0, 2), links, keys));
+    expect(entries[0]).toMatchObject({
+      key: 'keyA',
+      title: 'Model A & Co',
+      authors: ['Kim, A'],
+      date: '2020-03',
+      venue: 'J. ML',
+      references: ['keyB'],
+      citedBy: ['keyB'],
+    });
+  });
+});
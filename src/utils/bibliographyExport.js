@@ -0,0 +1,112 @@
+/**
+ * BibTeX 내보내기 범위 선택
+ *
+ * 내보내기 범위
+ * - 'all': 모든 노드
+ * - 'tag': 카테고리의 태그(계층 태그는 하위 태그 포함)가 붙은 노드
+ * - 'neighborhood': 선택 노드와 depth 단계 안에 연결된 노드 (방향 무관)
+ * - 'nodes': 지정한 노드 (다중 선택)
+ *
+ * 속성 스키마의 서지 외 속성(평점, 읽기 상태, 사용자 속성 등)은 속성 ID를 이름으로 한 필드로 추가
+ *
+ * @module utils/bibliographyExport
+ */
+
+import { makeCitationKeys, formatBibTeX } from './bibliography';
+import { getPropertyValue, formatPropertyValue, PROPERTY_TYPES } from './nodeProperties';
+import { matchesTagPrefix } from './tagHelpers';
+import { toId } from './helpers';
+
+/**
+ * @typedef {Object} BibExportScope
+ * @property {'all'|'tag'|'neighborhood'|'nodes'} type - 범위 종류
+ * @property {string} [category] - 'tag': 태그 카테고리
+ * @property {string} [tag] - 'tag': 태그 (접두어 일치)
+ * @property {string} [nodeId] - 'neighborhood': 중심 노드
+ * @property {number} [depth] - 'neighborhood': 연결 단계 (기본 1)
+ * @property {string[]} [nodeIds] - 'nodes': 내보낼 노드
+ */
+
+/**
+ * 범위에 해당하는 노드 선택
+ *
+ * @param {import('../types').GraphData} graph
+ * @param {BibExportScope} scope
+ * @returns {import('../types').Node[]} 그래프 순서를 유지한 노드 목록
+ */
+export function selectExportNodes(graph, scope) {
+  if (scope.type === 'tag') {
+    if (!scope.category || !scope.tag) return [];
+    return graph.nodes.filter((node) =>
+      (node.tags?.[scope.category] || []).some((tag) => matchesTagPrefix(tag, scope.tag))
+    );
+  }
+
+  if (scope.type === 'nodes') {
+    const included = new Set(scope.nodeIds || []);
+    return graph.nodes.filter((node) => included.has(node.id));
+  }
+
+  if (scope.type === 'neighborhood') {
+    if (!scope.nodeId) return [];
+    const included = new Set([scope.nodeId]);
+    let frontier = [scope.nodeId];
+
+    for (let step = 0; step < (scope.depth || 1) && frontier.length > 0; step++) {
+      const current = new Set(frontier);
+      frontier = [];
+      graph.links.forEach((link) => {
+        const source = toId(link.source);
+        const target = toId(link.target);
+        const next = current.has(source) ? target : current.has(target) ? source : null;
+        if (next && !included.has(next)) {
+          included.add(next);
+          frontier.push(next);
+        }
+      });
+    }
+    return graph.nodes.filter((node) => included.has(node.id));
+  }
+
+  return graph.nodes;
+}
+
+// 표준 BibTeX 필드로 이미 쓰는 속성
+const BIB_FIELD_PROPERTIES = new Set(['authors', 'year', 'venue', 'doi', 'url']);
+
+/**
+ * 속성 스키마 → 노드별 추가 BibTeX 필드 (값이 있는 서지 외 속성만)
+ * 별점은 숫자, 체크박스는 true, 선택은 선택지 이름, 목록은 쉼표로 연결
+ *
+ * @param {import('./nodeProperties').PropertyDefinition[]} schema
+ * @returns {function(import('../types').Node): Array<[string, string]>}
+ */
+export function makePropertyBibFields(schema) {
+  const definitions = schema.filter((definition) => !BIB_FIELD_PROPERTIES.has(definition.id));
+  return (node) => definitions.flatMap((definition) => {
+    const value = getPropertyValue(node, definition);
+    if (value === undefined) return [];
+    const text = definition.type === PROPERTY_TYPES.RATING ? String(value)
+      : definition.type === PROPERTY_TYPES.CHECKBOX ? 'true'
+        : formatPropertyValue(definition, value);
+    return [[definition.id.toLowerCase(), text]];
+  });
+}
+
+/**
+ * 범위의 노드를 BibTeX로 변환
+ * 인용 키는 전체 그래프 기준으로 만들어, 범위가 달라도 같은 노드는 같은 키를 가짐
+ *
+ * @param {import('../types').GraphData} graph
+ * @param {BibExportScope} scope
+ * @param {import('./nodeProperties').PropertyDefinition[]} [schema] - 속성 스키마 (서지 외 속성을 필드로 추가)
+ * @returns {{text: string, count: number}}
+ */
+export function exportBibTeX(graph, scope, schema = []) {
+  const nodes = selectExportNodes(graph, scope);
+  const keys = makeCitationKeys(graph.nodes);
+  return {
+    text: nodes.length > 0 ? formatBibTeX(nodes, graph.links, keys, makePropertyBibFields(schema)) : '',
+    count: nodes.length,
+  };
+}
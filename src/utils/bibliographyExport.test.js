@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { selectExportNodes, makePropertyBibFields, exportBibTeX } from './bibliographyExport';
+import { PROPERTY_TYPES } from './nodeProperties';
+
+const graph = {
+  nodes: [
+    { id: 'a', title: 'A', tags: { 주제: ['ML > NLP'] } },
+    { id: 'b', title: 'B', tags: { 주제: ['ML'] } },
+    { id: 'c', title: 'C', tags: { 주제: ['MLOps'] } },
+    { id: 'd', title: 'D', tags: {} },
+  ],
+  links: [
+    { source: 'a', target: 'b', type: 'based-on' },
+    { source: { id: 'c' }, target: { id: 'b' }, type: 'cited-by' },
+    { source: 'c', target: 'd', type: 'based-on' },
+  ],
+};
+const ids = (nodes) => nodes.map((node) => node.id);
+
+describe('selectExportNodes', () => {
+  it('태그는 계층 경계에서만 접두어 일치 (ML은 ML > NLP 포함, MLOps 제외)', () => {
+    expect(ids(selectExportNodes(graph, { type: 'tag', category: '주제', tag: 'ML' }))).toEqual(['a', 'b']);
+    expect(ids(selectExportNodes(graph, { type: 'tag', category: '주제', tag: '' }))).toEqual([]);
+  });
+
+  it('이웃은 방향과 무관하게 depth 단계까지', () => {
+    expect(ids(selectExportNodes(graph, { type: 'neighborhood', nodeId: 'a' }))).toEqual(['a', 'b']);
+    expect(ids(selectExportNodes(graph, { type: 'neighborhood', nodeId: 'a', depth: 3 }))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('지정 노드는 그래프 순서로, 그 밖에는 전체', () => {
+    expect(ids(selectExportNodes(graph, { type: 'nodes', nodeIds: ['d', 'a'] }))).toEqual(['a', 'd']);
+    expect(ids(selectExportNodes(graph, { type: 'all' }))).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('makePropertyBibFields / exportBibTeX', () => {
+  const schema = [
+    { id: 'year', name: '연도', type: PROPERTY_TYPES.NUMBER },
+    { id: 'rating', name: '평점', type: PROPERTY_TYPES.RATING, max: 5 },
+  ];
+
+  it('서지 외 속성만 값이 있을 때 필드로 (속성 ID를 소문자 이름으로)', () => {
+    const fieldsOf = makePropertyBibFields(schema);
+    expect(fieldsOf({ id: 'x', properties: { year: 2020, rating: 4 } })).toEqual([['rating', '4']]);
+    expect(fieldsOf({ id: 'y', properties: {} })).toEqual([]);
+  });
+
+  it('범위의 노드 수와 함께 내보내고, 노드가 없으면 빈 문자열', () => {
+    const result = exportBibTeX(graph, { type: 'nodes', nodeIds: ['a'] }, schema);
+    expect(result.count).toBe(1);
+    expect(result.text).toMatch(/^@misc\{nodea,\n {2}title = \{\{A\}\},\n {2}keywords = \{ML > NLP\}\n\}\n$/);
+    expect(exportBibTeX(graph, { type: 'tag', category: '없음', tag: 'x' })).toEqual({ text: '', count: 0 });
+  });
+});
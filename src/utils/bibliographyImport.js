@@ -0,0 +1,147 @@
+/**
+ * 서지 항목 가져오기 계획
+ *
+ * 파싱된 BibEntry 목록을 그래프에 추가할 노드/링크로 변환
+ * - 기존 노드 및 파일 내부 항목끼리 DOI → 제목 순으로 중복 검사
+ * - 인용 키(references/citedBy)를 노드 ID로 해석해 링크 생성
+ *   · A가 B를 참고 (cites/references/crossref) → { source: A, target: B, type: 'based-on' }
+ *   · A를 C가 인용 (citedby)                    → { source: C, target: A, type: 'cited-by' }
+ * - 선택한 노드와의 연결 (노드 추가 모달과 같은 의미/방향)
+ *   · 'based-on': 선택 노드가 가져온 논문을 참고 → { source: 선택 노드, target: 가져온 노드 }, group 2
+ *   · 'cited-by': 가져온 논문이 선택 노드를 인용 → { source: 가져온 노드, target: 선택 노드 }, group 3
+ *
+ * @module utils/bibliographyImport
+ */
+
+import { genId } from './helpers';
+import { normalizeDoi, normalizeTitle } from './bibliography';
+
+/**
+ * @typedef {Object} BibImportItem
+ * @property {import('./bibliography').BibEntry} entry - 파싱된 항목
+ * @property {'new'|'duplicate'|'skipped'} status - 새 노드 / 기존 노드와 중복 / 제목 없음
+ * @property {string|null} nodeId - 생성될 노드 ID 또는 중복된 기존 노드 ID
+ * @property {'doi'|'title'|null} matchedBy - 중복 판정 기준
+ */
+
+/**
+ * @typedef {Object} BibImportPlan
+ * @property {BibImportItem[]} items - 항목별 처리 결과 (파일 순서)
+ * @property {import('../types').Node[]} nodes - 추가할 노드
+ * @property {Array<{source: string, target: string, type: string}>} links - 추가할 링크 (기존 링크 제외)
+ */
+
+/**
+ * BibEntry → 노드
+ * 서지 정보는 node.properties에, 출판일은 타임라인용 node.date에 저장
+ */
+function entryToNode(entry, id, group) {
+  const properties = {
+    citationKey: entry.key,
+    entryType: entry.entryType,
+    authors: entry.authors,
+    year: entry.year,
+    venue: entry.venue,
+    doi: entry.doi,
+    url: entry.url,
+  };
+  Object.keys(properties).forEach((name) => {
+    const value = properties[name];
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) delete properties[name];
+  });
+
+  const node = {
+    id,
+    group,
+    title: entry.title,
+    summary: entry.abstract || '',
+    tags: entry.keywords.length > 0 ? { Keywords: [...new Set(entry.keywords)] } : {},
+    properties,
+  };
+  if (entry.date) node.date = entry.date;
+  return node;
+}
+
+/**
+ * 가져오기 계획 생성 (그래프는 변경하지 않음)
+ *
+ * @param {import('./bibliography').BibEntry[]} entries - 파싱된 항목
+ * @param {import('../types').GraphData} graph - 현재 그래프
+ * @param {Object} [options]
+ * @param {string|null} [options.connectTo] - 가져온 논문을 연결할 노드 ID
+ * @param {'based-on'|'cited-by'} [options.linkType] - 연결 방향
+ * @returns {BibImportPlan}
+ */
+export function planBibliographyImport(entries, graph, { connectTo = null, linkType = 'based-on' } = {}) {
+  const byDoi = new Map();
+  const byTitle = new Map();
+  const byKey = new Map();
+
+  graph.nodes.forEach((node) => {
+    const doi = normalizeDoi(node.properties?.doi);
+    if (doi) byDoi.set(doi, node.id);
+    const title = normalizeTitle(node.title);
+    if (title) byTitle.set(title, node.id);
+    if (node.properties?.citationKey) byKey.set(node.properties.citationKey.toLowerCase(), node.id);
+  });
+
+  const group = linkType === 'cited-by' ? 3 : 2;
+  const items = [];
+  const nodes = [];
+
+  entries.forEach((entry) => {
+    if (!entry.title) {
+      items.push({ entry, status: 'skipped', nodeId: null, matchedBy: null });
+      return;
+    }
+
+    const doi = entry.doi;
+    const title = normalizeTitle(entry.title);
+    const duplicateId = (doi && byDoi.get(doi)) || byTitle.get(title);
+
+    if (duplicateId) {
+      items.push({
+        entry,
+        status: 'duplicate',
+        nodeId: duplicateId,
+        matchedBy: doi && byDoi.get(doi) ? 'doi' : 'title',
+      });
+      if (entry.key && !byKey.has(entry.key.toLowerCase())) byKey.set(entry.key.toLowerCase(), duplicateId);
+      return;
+    }
+
+    const node = entryToNode(entry, genId(), group);
+    nodes.push(node);
+    items.push({ entry, status: 'new', nodeId: node.id, matchedBy: null });
+
+    if (doi) byDoi.set(doi, node.id);
+    byTitle.set(title, node.id);
+    if (entry.key) byKey.set(entry.key.toLowerCase(), node.id);
+  });
+
+  // 링크 (중복/자기 자신/기존 링크 제외)
+  const existing = new Set(graph.links.map((l) => `${l.source}->${l.target}`));
+  const links = [];
+  const addLink = (source, target, type) => {
+    if (!source || !target || source === target) return;
+    const key = `${source}->${target}`;
+    if (existing.has(key)) return;
+    existing.add(key);
+    links.push({ source, target, type });
+  };
+
+  items.forEach(({ entry, status, nodeId }) => {
+    if (status === 'skipped') return;
+    entry.references.forEach((key) => addLink(nodeId, byKey.get(key.toLowerCase()), 'based-on'));
+    entry.citedBy.forEach((key) => addLink(byKey.get(key.toLowerCase()), nodeId, 'cited-by'));
+  });
+
+  if (connectTo) {
+    nodes.forEach((node) => {
+      if (linkType === 'cited-by') addLink(node.id, connectTo, 'cited-by');
+      else addLink(connectTo, node.id, 'based-on');
+    });
+  }
+
+  return { items, nodes, links };
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { planBibliographyImport } from './bibliographyImport';
+
+const entry = (key, title, extra = {}) => ({
+  key,
+  entryType: 'article',
+  title,
+  authors: [],
+  year: '',
+  date: '',
+  venue: '',
+  doi: '',
+  url: '',
+  abstract: '',
+  keywords: [],
+  references: [],
+  citedBy: [],
+  ...extra,
+});
+
+const graph = {
+  nodes: [
+    { id: 'core', title: 'Core Paper', properties: { doi: '10.1/core' } },
+    { id: 'old', title: 'Old Paper' },
+  ],
+  links: [],
+};
+
+describe('planBibliographyImport', () => {
+  it('DOI → 제목 순으로 기존 노드와 중복 검사, 제목 없는 항목은 건너뜀', () => {
+    const { items, nodes } = planBibliographyImport([
+      entry('a', 'Renamed Core', { doi: '10.1/core' }),
+      entry('b', 'old  paper!'),
+      entry('c', ''),
+      entry('d', 'New Paper', { date: '2021-05', keywords: ['x', 'x'] }),
+    ], graph);
+
+    expect(items.map((item) => [item.status, item.matchedBy])).toEqual([
+      ['duplicate', 'doi'],
+      ['duplicate', 'title'],
+      ['skipped', null],
+      ['new', null],
+    ]);
+    expect(items[0].nodeId).toBe('core');
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0]).toMatchObject({ title: 'New Paper', group: 2, date: '2021-05', tags: { Keywords: ['x'] } });
+    expect(nodes[0].properties).toEqual({ citationKey: 'd', entryType: 'article' });
+  });
+
+  it('파일 안의 중복 항목은 한 노드로 합침', () => {
+    const { nodes, items } = planBibliographyImport([entry('a', 'Same'), entry('b', 'same')], graph);
+    expect(nodes).toHaveLength(1);
+    expect(items[1]).toMatchObject({ status: 'duplicate', nodeId: nodes[0].id });
+  });
+
+  it('참고(cites)는 based-on, 인용(citedby)은 cited-by로 (중복 항목의 키도 해석)', () => {
+    const { nodes, links } = planBibliographyImport([
+      entry('core2020', 'Core Paper'),
+      entry('p', 'P', { references: ['CORE2020', 'missing'], citedBy: ['q'] }),
+      entry('q', 'Q'),
+    ], graph);
+    const [p, q] = nodes;
+
+    expect(links).toEqual([
+      { source: p.id, target: 'core', type: 'based-on' },
+      { source: q.id, target: p.id, type: 'cited-by' },
+    ]);
+  });
+
+  it('선택 노드와의 연결은 노드 추가 모달과 같은 방향', () => {
+    const basedOn = planBibliographyImport([entry('a', 'A')], graph, { connectTo: 'core', linkType: 'based-on' });
+    expect(basedOn.links).toEqual([{ source: 'core', target: basedOn.nodes[0].id, type: 'based-on' }]);
+
+    const citedBy = planBibliographyImport([entry('a', 'A')], graph, { connectTo: 'core', linkType: 'cited-by' });
+    expect(citedBy.nodes[0].group).toBe(3);
+    expect(citedBy.links).toEqual([{ source: citedBy.nodes[0].id, target: 'core', type: 'cited-by' }]);
+  });
+
+  it('이미 있는 링크는 다시 만들지 않음', () => {
+    const withLink = { ...graph, links: [{ source: 'old', target: 'core', type: 'based-on' }] };
+    const { links } = planBibliographyImport([entry('o', 'Old Paper', { references: ['c'] }), entry('c', 'Core Paper')], withLink);
+    expect(links).toEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * 블록 단위 비교 (버전 기록 diff)
+ *
+ * 블록 ID를 기준으로 두 블록 배열을 비교
+ * - added: 새 버전에만 있는 블록
+ * - removed: 이전 버전에만 있는 블록
+ * - modified: 같은 블록인데 타입/내용/메타데이터가 바뀜
+ * - moved: 순서가 바뀐 블록 (내용 변경 여부는 changed로 표시)
+ * - unchanged: 변경 없음
+ *
+ * @module utils/blockDiff
+ */
+
+/**
+ * @typedef {Object} BlockDiffEntry
+ * @property {'added'|'removed'|'modified'|'moved'|'unchanged'} status
+ * @property {import('../types/blocks').Block} [before] - 이전 버전 블록
+ * @property {import('../types/blocks').Block} [after] - 새 버전 블록
+ * @property {boolean} [changed] - moved인 경우 내용도 바뀌었는지
+ */
+
+/**
+ * 블록 내용 비교 (updatedAt 등 시간 필드 제외)
+ */
+function isSameBlock(a, b) {
+  return a.type === b.type
+    && JSON.stringify(a.content) === JSON.stringify(b.content)
+    && JSON.stringify(a.metadata || {}) === JSON.stringify(b.metadata || {});
+}
+
+/**
+ * 두 ID 배열의 최장 공통 부분 수열 (순서가 유지된 블록)
+ * @returns {Set<string>} 순서가 유지된 블록 ID
+ */
+function longestCommonIds(beforeIds, afterIds) {
+  const n = beforeIds.length;
+  const m = afterIds.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = beforeIds[i] === afterIds[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const kept = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (beforeIds[i] === afterIds[j]) {
+      kept.add(beforeIds[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return kept;
+}
+
+/**
+ * 블록 배열 비교
+ *
+ * 결과 순서는 새 버전 기준이며, 삭제된 블록은 이전 버전에서의 위치에 끼워 넣음
+ *
+ * @param {import('../types/blocks').Block[]} beforeBlocks - 이전 버전
+ * @param {import('../types/blocks').Block[]} afterBlocks - 새 버전
+ * @returns {BlockDiffEntry[]}
+ */
+export function diffBlocks(beforeBlocks = [], afterBlocks = []) {
+  const beforeById = new Map(beforeBlocks.map((b) => [b.id, b]));
+  const afterById = new Map(afterBlocks.map((b) => [b.id, b]));
+  const kept = longestCommonIds(beforeBlocks.map((b) => b.id), afterBlocks.map((b) => b.id));
+
+  const entries = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < beforeBlocks.length || j < afterBlocks.length) {
+    const before = beforeBlocks[i];
+    const after = afterBlocks[j];
+
+    if (before && after && before.id === after.id && kept.has(before.id)) {
+      entries.push({
+        status: isSameBlock(before, after) ? 'unchanged' : 'modified',
+        before,
+        after,
+      });
+      i++;
+      j++;
+    } else if (before && !kept.has(before.id)) {
+      // 이동된 블록은 새 위치에서 표시
+      if (!afterById.has(before.id)) {
+        entries.push({ status: 'removed', before });
+      }
+      i++;
+    } else if (after) {
+      const original = beforeById.get(after.id);
+      entries.push(original
+        ? { status: 'moved', before: original, after, changed: !isSameBlock(original, after) }
+        : { status: 'added', after });
+      j++;
+    } else {
+      i++;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * 변경 요약 (추가/삭제/수정/이동 개수)
+ * @param {BlockDiffEntry[]} entries
+ * @returns {{added: number, removed: number, modified: number, moved: number}}
+ */
+export function summarizeDiff(entries) {
+  const summary = { added: 0, removed: 0, modified: 0, moved: 0 };
+  entries.forEach((entry) => {
+    if (entry.status in summary) summary[entry.status]++;
+  });
+  return summary;
+}
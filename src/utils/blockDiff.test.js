@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { diffBlocks, summarizeDiff } from './blockDiff';
+
+const block = (id, content, extra = {}) => ({ id, type: 'text', content, metadata: {}, ...extra });
+const statuses = (entries) => entries.map((entry) => [entry.status, (entry.after || entry.before).id]);
+
+describe('diffBlocks', () => {
+  it('추가/삭제/수정/유지를 새 버전 순서로, 삭제는 원래 위치에 표시', () => {
+    const before = [block('a', 'A'), block('b', 'B'), block('c', 'C')];
+    const after = [block('a', 'A'), block('c', 'C2'), block('d', 'D')];
+
+    expect(statuses(diffBlocks(before, after))).toEqual([
+      ['unchanged', 'a'],
+      ['removed', 'b'],
+      ['modified', 'c'],
+      ['added', 'd'],
+    ]);
+  });
+
+  it('순서가 바뀐 블록은 새 위치에서 moved로, 내용 변경 여부는 changed로', () => {
+    const before = [block('a', 'A'), block('b', 'B'), block('c', 'C')];
+    const after = [block('c', 'C!'), block('a', 'A'), block('b', 'B')];
+
+    const entries = diffBlocks(before, after);
+    expect(statuses(entries)).toEqual([['moved', 'c'], ['unchanged', 'a'], ['unchanged', 'b']]);
+    expect(entries[0].changed).toBe(true);
+  });
+
+  it('updatedAt 같은 시간 필드는 비교하지 않음', () => {
+    const entries = diffBlocks([block('a', 'A', { updatedAt: 1 })], [block('a', 'A', { updatedAt: 2 })]);
+    expect(entries[0].status).toBe('unchanged');
+  });
+
+  it('메타데이터 변경은 수정으로 봄', () => {
+    const entries = diffBlocks([block('a', 'A')], [block('a', 'A', { metadata: { level: 1 } })]);
+    expect(entries[0].status).toBe('modified');
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('상태별 개수 (unchanged는 세지 않음)', () => {
+    const before = ['a', 'b', 'c', 'd', 'e'].map((id) => block(id, id.toUpperCase()));
+    const after = [block('d', 'D'), block('a', 'A2'), block('c', 'C'), block('f', 'F')];
+
+    expect(summarizeDiff(diffBlocks(before, after))).toEqual({ added: 1, removed: 2, modified: 1, moved: 1 });
+  });
+});
@@ -1,9 +1,57 @@
 /**
  * 기존 텍스트 노트 → 블록 시스템 마이그레이션
+ *
+ * 인라인 서식(**굵게**, `코드`, $수식$, [링크](url) 등)은 마크다운 그대로 block.content에 두므로
+ * 블록 ↔ 텍스트 변환에서 따로 처리하지 않음 (utils/inlineMarkdown 참고)
+ *
+ * 중첩(metadata.level)은 리스트 들여쓰기로 주고받음: 하위 항목은 상위 항목의 표시 너비만큼 들여씀
+ * ("- "/"- [ ] "/토글은 2칸, "1. "은 3칸 - CommonMark/Obsidian에서 중첩 목록으로 읽히는 최소 너비)
+ * 하위 텍스트 블록(토글/리스트 안의 문단)은 리스트 항목 이어쓰기처럼 상위 항목의 내용 위치까지 모든 줄을 들여씀
+ * 그 밖의 블록(제목, 코드 등)은 텍스트로 바꾸면 최상위로 돌아감
+ * 읽을 때는 상위 항목보다 더 들여쓴 항목을 하위로 봄 (예전 형식인 공백 2칸 들여쓰기도 그대로 읽힘)
+ * 토글은 "▶ 제목"(접힘) / "▼ 제목"(펼침) 한 줄, 하위 블록은 그 아래 들여쓴 줄
+ * 표는 마크다운(GFM) 표: 머리글 줄 + 구분선(| --- |) + 행 (utils/tableBlock 참고)
  */
 
 import { BLOCK_TYPES, BLOCK_SYSTEM_VERSION } from '../types/blocks';
-import { createBlock } from './blockUtils';
+import { createBlock, isAttachmentId, getBlockLevel, normalizeBlockLevels } from './blockUtils';
+import { isMarkdownTableSeparator, parseMarkdownTable, tableToMarkdown } from './tableBlock';
+
+// ![파일명](경로) "캡션"
+const IMAGE_LINE = /^!\[([^\]]*)\]\(([^)\s]*)\)(?:\s+"(.*)")?$/;
+// [📎 파일명](경로)
+const FILE_LINE = /^\[📎\s*([^\]]*)\]\(([^)\s]*)\)$/;
+
+// ▶ 접힌 토글 / ▼ 펼친 토글
+const TOGGLE_LINE = /^([▶▼])\s(.*)$/;
+
+// 텍스트 문단을 앞 블록의 하위로 둘 수 있는 블록 (마크다운의 리스트 항목 이어쓰기와 같은 규칙)
+const NESTABLE_PARENT_TYPES = [
+  BLOCK_TYPES.BULLET_LIST,
+  BLOCK_TYPES.NUMBERED_LIST,
+  BLOCK_TYPES.TODO_LIST,
+  BLOCK_TYPES.TOGGLE,
+];
+
+// 하위 항목 들여쓰기 = 상위 항목의 표시("- ", "1. " 등) 너비
+const LIST_MARKER_WIDTH = {
+  [BLOCK_TYPES.BULLET_LIST]: 2,
+  [BLOCK_TYPES.NUMBERED_LIST]: 3,
+  [BLOCK_TYPES.TODO_LIST]: 2,
+  [BLOCK_TYPES.TOGGLE]: 2,
+};
+
+// 줄 앞 들여쓰기 칸 수 (탭 1개 = 공백 2칸)
+function indentWidth(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length;
+}
+
+// 문단의 이어지는 줄에서 첫 줄 들여쓰기만큼 앞 공백 제거
+function stripIndent(line, width) {
+  if (!width) return line;
+  const expanded = line.replace(/^[ \t]+/, (space) => space.replace(/\t/g, '  '));
+  return expanded.replace(new RegExp(`^ {0,${width}}`), '');
+}
 
 /**
  * 기존 텍스트 노트를 블록 시스템으로 변환
@@ -26,15 +74,44 @@ export function migrateTextToBlocks(detailedNote) {
   const blocks = [];
   
   let currentTextBlock = '';
+  let currentTextMetadata = {};
+  let currentTextIndent = 0;
+  
+  // 열린 리스트/토글 항목의 들여쓰기 (바깥 → 안쪽)
+  // 새 항목은 자기보다 덜 들여쓴 항목들의 하위 (들여쓰기 너비는 상위 표시 너비와 달라도 됨)
+  const openItems = [];
+  const nestingLevel = (line) => {
+    const width = indentWidth(line);
+    while (openItems.length > 0 && openItems[openItems.length - 1] >= width) openItems.pop();
+    return openItems.length;
+  };
+  const listMetadata = (line, metadata = {}) => {
+    const level = nestingLevel(line);
+    openItems.push(indentWidth(line));
+    return level > 0 ? { ...metadata, level } : metadata;
+  };
+  // 들여쓴 문단의 레벨 (앞 블록이 리스트/토글이거나 중첩된 텍스트일 때만, 아니면 일반 문단)
+  const textMetadata = (line, previousBlock) => {
+    const canNest = previousBlock
+      && (NESTABLE_PARENT_TYPES.includes(previousBlock.type) || getBlockLevel(previousBlock) > 0);
+    const level = canNest ? nestingLevel(line) : 0;
+    return level > 0 ? { level } : {};
+  };
   
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
     const trimmed = line.trim();
     
+    // 리스트/토글/텍스트가 아닌 블록(제목, 코드 등) 다음에는 열린 항목 없음
+    const lastBlock = blocks[blocks.length - 1];
+    if (lastBlock && !NESTABLE_PARENT_TYPES.includes(lastBlock.type) && lastBlock.type !== BLOCK_TYPES.TEXT) {
+      openItems.length = 0;
+    }
+    
     // 빈 줄은 현재 텍스트 블록 완성
     if (trimmed === '') {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       continue;
@@ -43,7 +120,7 @@ export function migrateTextToBlocks(detailedNote) {
     // 마크다운 헤딩 감지
     if (trimmed.startsWith('# ')) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       blocks.push(createBlock(BLOCK_TYPES.HEADING1, trimmed.substring(2).trim()));
@@ -52,7 +129,7 @@ export function migrateTextToBlocks(detailedNote) {
     
     if (trimmed.startsWith('## ')) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       blocks.push(createBlock(BLOCK_TYPES.HEADING2, trimmed.substring(3).trim()));
@@ -61,53 +138,108 @@ export function migrateTextToBlocks(detailedNote) {
     
     if (trimmed.startsWith('### ')) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       blocks.push(createBlock(BLOCK_TYPES.HEADING3, trimmed.substring(4).trim()));
       continue;
     }
     
+    // 토글 감지
+    const toggleMatch = trimmed.match(TOGGLE_LINE);
+    if (toggleMatch) {
+      if (currentTextBlock) {
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
+        currentTextBlock = '';
+      }
+      const collapsed = toggleMatch[1] === '▶';
+      blocks.push(createBlock(BLOCK_TYPES.TOGGLE, toggleMatch[2].trim(), listMetadata(line, { collapsed })));
+      continue;
+    }
+    
+    // 체크박스 감지 (글머리 기호보다 먼저 검사해야 "- [x]"가 목록으로 바뀌지 않음)
+    if (trimmed.match(/^[-*]\s\[([ xX])\]\s/)) {
+      if (currentTextBlock) {
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
+        currentTextBlock = '';
+      }
+      const checked = /^[-*]\s\[[xX]\]/.test(trimmed);
+      const content = trimmed.replace(/^[-*]\s\[([ xX])\]\s/, '');
+      blocks.push(createBlock(BLOCK_TYPES.TODO_LIST, content, listMetadata(line, { checked })));
+      continue;
+    }
+    
     // 리스트 감지
     if (trimmed.match(/^[-*•]\s/)) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
-      blocks.push(createBlock(BLOCK_TYPES.BULLET_LIST, trimmed.substring(2).trim()));
+      blocks.push(createBlock(BLOCK_TYPES.BULLET_LIST, trimmed.substring(2).trim(), listMetadata(line)));
       continue;
     }
     
     if (trimmed.match(/^\d+\.\s/)) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       const content = trimmed.replace(/^\d+\.\s/, '');
-      blocks.push(createBlock(BLOCK_TYPES.NUMBERED_LIST, content));
+      blocks.push(createBlock(BLOCK_TYPES.NUMBERED_LIST, content, listMetadata(line)));
+      continue;
+    }
+    
+    // 이미지 / 첨부파일 링크 감지 (한 줄 전체가 링크일 때만)
+    const imageMatch = trimmed.match(IMAGE_LINE);
+    if (imageMatch) {
+      if (currentTextBlock) {
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
+        currentTextBlock = '';
+      }
+      const [, fileName, src, caption] = imageMatch;
+      blocks.push(createBlock(BLOCK_TYPES.IMAGE, src, {
+        fileName,
+        ...(caption ? { caption } : {}),
+      }));
+      continue;
+    }
+    
+    const fileMatch = trimmed.match(FILE_LINE);
+    if (fileMatch) {
+      if (currentTextBlock) {
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
+        currentTextBlock = '';
+      }
+      const [, fileName, href] = fileMatch;
+      blocks.push(createBlock(BLOCK_TYPES.FILE, '', { fileName, blobUrl: href }));
       continue;
     }
     
-    // 체크박스 감지
-    if (trimmed.match(/^-\s\[([ x])\]\s/)) {
+    // 마크다운 표 감지 (| 머리글 | 다음 줄이 | --- | 구분선)
+    if (trimmed.includes('|') && i + 1 < lines.length && isMarkdownTableSeparator(lines[i + 1])) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
-      const checked = trimmed.includes('[x]');
-      const content = trimmed.replace(/^-\s\[([ x])\]\s/, '');
-      blocks.push(createBlock(BLOCK_TYPES.TODO_LIST, content, { checked }));
+      const tableLines = [trimmed, lines[i + 1].trim()];
+      i++;
+      while (i + 1 < lines.length && lines[i + 1].trim() && lines[i + 1].includes('|')) {
+        i++;
+        tableLines.push(lines[i].trim());
+      }
+      blocks.push(createBlock(BLOCK_TYPES.TABLE, '', { ...parseMarkdownTable(tableLines), sort: null }));
       continue;
     }
     
     // 코드 블록 감지 (```)
     if (trimmed.startsWith('```')) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       
-      const language = trimmed.substring(3).trim() || 'plaintext';
+      // 언어 표시가 없으면 자동 감지
+      const language = trimmed.substring(3).trim() || 'auto';
       const codeLines = [];
       i++; // 다음 줄로
       
@@ -123,7 +255,7 @@ export function migrateTextToBlocks(detailedNote) {
     // LaTeX 수식 감지 ($$)
     if (trimmed.startsWith('$$') && trimmed.endsWith('$$')) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       const latex = trimmed.slice(2, -2).trim();
@@ -134,7 +266,7 @@ export function migrateTextToBlocks(detailedNote) {
     // 구분선 감지
     if (trimmed.match(/^(-{3,}|_{3,}|\*{3,})$/)) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
       blocks.push(createBlock(BLOCK_TYPES.DIVIDER));
@@ -144,20 +276,30 @@ export function migrateTextToBlocks(detailedNote) {
     // 인용구 감지
     if (trimmed.startsWith('> ')) {
       if (currentTextBlock) {
-        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+        blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
         currentTextBlock = '';
       }
-      blocks.push(createBlock(BLOCK_TYPES.QUOTE, trimmed.substring(2).trim()));
+      // 연속된 인용 줄은 한 블록으로
+      const quoteLines = [trimmed.substring(2).trim()];
+      while (i + 1 < lines.length && lines[i + 1].trim().startsWith('> ')) {
+        i++;
+        quoteLines.push(lines[i].trim().substring(2).trim());
+      }
+      blocks.push(createBlock(BLOCK_TYPES.QUOTE, quoteLines.join('\n')));
       continue;
     }
     
-    // 일반 텍스트 누적
-    currentTextBlock += (currentTextBlock ? '\n' : '') + line;
+    // 일반 텍스트 누적 (첫 줄 들여쓰기 → 중첩 레벨, 이어지는 줄은 같은 만큼 들여쓰기 제거)
+    if (!currentTextBlock) {
+      currentTextMetadata = textMetadata(line, blocks[blocks.length - 1]);
+      currentTextIndent = currentTextMetadata.level ? indentWidth(line) : 0;
+    }
+    currentTextBlock += (currentTextBlock ? '\n' : '') + stripIndent(line, currentTextIndent);
   }
   
   // 마지막 텍스트 블록 추가
   if (currentTextBlock) {
-    blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim()));
+    blocks.push(createBlock(BLOCK_TYPES.TEXT, currentTextBlock.trim(), currentTextMetadata));
   }
   
   // 블록이 하나도 없으면 빈 텍스트 블록 추가
@@ -167,7 +309,7 @@ export function migrateTextToBlocks(detailedNote) {
   
   return {
     version: BLOCK_SYSTEM_VERSION,
-    blocks,
+    blocks: normalizeBlockLevels(blocks),
     attachments: {},
   };
 }
@@ -175,13 +317,41 @@ export function migrateTextToBlocks(detailedNote) {
 /**
  * 블록 시스템을 텍스트로 변환 (백업/내보내기용)
  * 
+ * 결과는 마크다운이며 migrateTextToBlocks로 다시 블록으로 읽을 수 있음
+ * 
  * @param {import('../types/blocks').NoteContent} content
+ * @param {Object} [options]
+ * @param {function(import('../types/blocks').Block): (string|null)} [options.resolveAsset] -
+ *   이미지/파일 블록의 링크 경로 (null이면 metadata.blobUrl 또는 이미지 URL 사용)
  * @returns {string}
  */
-export function blocksToText(content) {
+export function blocksToText(content, { resolveAsset } = {}) {
   if (!content || !content.blocks) return '';
   
-  return content.blocks.map(block => {
+  // 이미지 블록의 content가 데이터 URL이나 첨부파일 ID면 본문에 넣지 않음
+  const assetPath = (block) =>
+    (resolveAsset && resolveAsset(block)) ||
+    block.metadata?.blobUrl ||
+    (block.type === BLOCK_TYPES.IMAGE && !/^(data|blob):/.test(block.content || '') && !isAttachmentId(block.content)
+      ? block.content || ''
+      : '');
+  
+  // columns[level]: 그 레벨 항목의 들여쓰기 칸 수 (상위 항목들의 표시 너비 합)
+  const columns = [0];
+  const indent = (block) => ' '.repeat(columns[Math.min(getBlockLevel(block), columns.length - 1)]);
+  const track = (block) => {
+    const level = Math.min(getBlockLevel(block), columns.length - 1);
+    if (LIST_MARKER_WIDTH[block.type]) {
+      columns.length = level + 1;
+      columns.push(columns[level] + LIST_MARKER_WIDTH[block.type]);
+    } else if (block.type === BLOCK_TYPES.TEXT && level > 0) {
+      columns.length = level + 1;   // 상위 항목의 이어쓰기 문단: 상위 항목들은 그대로 열려 있음
+    } else {
+      columns.length = 1;   // 그 밖의 블록은 최상위로 나가므로 목록이 끊김
+    }
+  };
+  
+  const blockToMarkdown = (block) => {
     switch (block.type) {
       case BLOCK_TYPES.HEADING1:
         return `# ${block.content}`;
@@ -193,18 +363,19 @@ export function blocksToText(content) {
         return `### ${block.content}`;
       
       case BLOCK_TYPES.BULLET_LIST:
-        return `- ${block.content}`;
+        return `${indent(block)}- ${block.content}`;
       
       case BLOCK_TYPES.NUMBERED_LIST:
-        return `1. ${block.content}`;
+        return `${indent(block)}1. ${block.content}`;
       
       case BLOCK_TYPES.TODO_LIST: {
         const checkbox = block.metadata?.checked ? '[x]' : '[ ]';
-        return `- ${checkbox} ${block.content}`;
+        return `${indent(block)}- ${checkbox} ${block.content}`;
       }
       
       case BLOCK_TYPES.CODE: {
-        const lang = block.metadata?.language || '';
+        const language = block.metadata?.language;
+        const lang = language && language !== 'auto' ? language : '';
         return `\`\`\`${lang}\n${block.content}\n\`\`\``;
       }
       
@@ -213,22 +384,39 @@ export function blocksToText(content) {
       
       case BLOCK_TYPES.IMAGE: {
         const caption = block.metadata?.caption ? ` "${block.metadata.caption}"` : '';
-        return `![${block.metadata?.fileName || 'image'}](${block.metadata?.blobUrl || ''})${caption}`;
+        return `![${block.metadata?.fileName || 'image'}](${assetPath(block)})${caption}`;
       }
       
       case BLOCK_TYPES.FILE:
-        return `[📎 ${block.metadata?.fileName || 'file'}](${block.metadata?.blobUrl || ''})`;
+        return `[📎 ${block.metadata?.fileName || 'file'}](${assetPath(block)})`;
       
       case BLOCK_TYPES.DIVIDER:
         return '---';
       
       case BLOCK_TYPES.QUOTE:
-        return `> ${block.content}`;
+        return block.content.split('\n').map((line) => `> ${line}`).join('\n');
+      
+      case BLOCK_TYPES.TOGGLE:
+        return `${indent(block)}${block.metadata?.collapsed ? '▶' : '▼'} ${block.content}`;
+      
+      case BLOCK_TYPES.TABLE:
+        return tableToMarkdown(block.metadata?.rows, block.metadata?.hasHeader !== false);
+      
+      case BLOCK_TYPES.TEXT: {
+        if (getBlockLevel(block) === 0) return block.content;
+        const prefix = indent(block);
+        return block.content.split('\n').map((line) => (line ? prefix + line : line)).join('\n');
+      }
       
-      case BLOCK_TYPES.TEXT:
       default:
         return block.content;
     }
+  };
+  
+  return content.blocks.map(block => {
+    const text = blockToMarkdown(block);
+    track(block);
+    return text;
   }).join('\n\n');
 }
 
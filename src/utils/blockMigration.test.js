@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { blocksToText, migrateTextToBlocks } from './blockMigration';
+import { createBlock, getBlockLevel } from './blockUtils';
+import { BLOCK_TYPES } from '../types/blocks';
+
+// 블록 → 마크다운 → 블록 왕복 후 비교할 모양 (타입, 내용, 중첩 단계)
+const roundTrip = (blocks) => migrateTextToBlocks(blocksToText({ blocks })).blocks;
+const shape = (blocks) => blocks.map((block) => [block.type, block.content, getBlockLevel(block)]);
+
+describe('blocksToText / migrateTextToBlocks', () => {
+  it('중첩 번호 목록은 "1. " 너비(3칸)만큼 들여쓰고 그대로 돌아옴', () => {
+    const blocks = [0, 1, 2].map((level) =>
+      createBlock(BLOCK_TYPES.NUMBERED_LIST, `item ${level}`, level > 0 ? { level } : {})
+    );
+
+    expect(blocksToText({ blocks })).toBe('1. item 0\n\n   1. item 1\n\n      1. item 2');
+    expect(shape(roundTrip(blocks))).toEqual(shape(blocks));
+  });
+
+  it('토글 안의 텍스트 문단은 이어쓰기로 들여쓰고 하위 단계가 유지됨', () => {
+    const blocks = [
+      createBlock(BLOCK_TYPES.TOGGLE, 'toggle', { collapsed: false }),
+      createBlock(BLOCK_TYPES.TEXT, 'child text', { level: 1 }),
+    ];
+
+    expect(blocksToText({ blocks })).toBe('▼ toggle\n\n  child text');
+    expect(shape(roundTrip(blocks))).toEqual(shape(blocks));
+  });
+
+  it('여러 줄 하위 문단과 더 깊은 목록도 왕복됨', () => {
+    const blocks = [
+      createBlock(BLOCK_TYPES.TOGGLE, 'toggle', { collapsed: false }),
+      createBlock(BLOCK_TYPES.TEXT, 'first line\nsecond line', { level: 1 }),
+      createBlock(BLOCK_TYPES.NUMBERED_LIST, 'step', { level: 1 }),
+      createBlock(BLOCK_TYPES.TEXT, 'step note', { level: 2 }),
+      createBlock(BLOCK_TYPES.BULLET_LIST, 'sibling', { level: 1 }),
+      createBlock(BLOCK_TYPES.TEXT, 'top'),
+    ];
+
+    expect(shape(roundTrip(blocks))).toEqual(shape(blocks));
+  });
+
+  it('최상위 텍스트 뒤의 목록은 새 목록으로 시작함', () => {
+    const blocks = [
+      createBlock(BLOCK_TYPES.BULLET_LIST, 'a'),
+      createBlock(BLOCK_TYPES.TEXT, 'paragraph'),
+      createBlock(BLOCK_TYPES.BULLET_LIST, 'b'),
+    ];
+
+    expect(blocksToText({ blocks })).toBe('- a\n\nparagraph\n\n- b');
+    expect(shape(roundTrip(blocks))).toEqual(shape(blocks));
+  });
+});
@@ -2,7 +2,7 @@
  * 블록 관리 유틸리티 함수
  */
 
-import { BLOCK_TYPES, BLOCK_DEFAULTS, BLOCK_SYSTEM_VERSION } from '../types/blocks';
+import { BLOCK_TYPES, BLOCK_DEFAULTS, BLOCK_SYSTEM_VERSION, MAX_BLOCK_LEVEL } from '../types/blocks';
 
 /**
  * UUID 생성
@@ -12,6 +12,34 @@ export function generateBlockId() {
   return `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * 첨부파일 ID 생성 (IndexedDB attachments 저장소 키)
+ * @returns {string}
+ */
+export function generateAttachmentId() {
+  return `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * 첨부파일 ID인지 확인 (data:/blob: URL 등 직접 저장된 값과 구분)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isAttachmentId(value) {
+  return typeof value === 'string' && value.startsWith('file_');
+}
+
+/**
+ * 블록이 참조하는 첨부파일 ID 목록
+ * @param {import('../types/blocks').Block} block
+ * @returns {string[]}
+ */
+export function getBlockAttachmentIds(block) {
+  if (!block || (block.type !== BLOCK_TYPES.FILE && block.type !== BLOCK_TYPES.IMAGE)) return [];
+  // 이미지 블록은 원본 + 썸네일 (metadata.thumbnailId)
+  return [block.content, block.metadata?.thumbnailId].filter(isAttachmentId);
+}
+
 /**
  * 새 블록 생성
  * @param {string} type - 블록 타입
@@ -89,13 +117,16 @@ export function insertBlock(blocks, newBlock, index) {
 }
 
 /**
- * 블록 삭제
+ * 블록 삭제 (하위 블록은 한 단계 올라가 삭제된 블록 자리를 대신함)
  * @param {import('../types/blocks').Block[]} blocks
  * @param {string} blockId
  * @returns {import('../types/blocks').Block[]}
  */
 export function deleteBlock(blocks, blockId) {
-  return blocks.filter(b => b.id !== blockId);
+  const index = findBlockIndex(blocks, blockId);
+  if (index === -1) return blocks;
+  const lifted = shiftLevels(blocks, index + 1, getSubtreeEnd(blocks, index), -1);
+  return normalizeBlockLevels(lifted.filter(b => b.id !== blockId));
 }
 
 /**
@@ -143,10 +174,12 @@ export function changeBlockType(blocks, blockId, newType) {
     if (block.id !== blockId) return block;
     
     const defaults = BLOCK_DEFAULTS[newType] || BLOCK_DEFAULTS[BLOCK_TYPES.TEXT];
+    const level = getBlockLevel(block);
     
+    // 타입이 바뀌어도 트리 안의 위치(중첩 레벨)는 유지
     return updateBlock(block, {
       type: newType,
-      metadata: { ...defaults.metadata },
+      metadata: level > 0 ? { ...defaults.metadata, level } : { ...defaults.metadata },
     });
   });
 }
@@ -186,12 +219,259 @@ export function getAdjacentBlockId(blocks, currentBlockId, direction) {
   return blocks[adjacentIndex].id;
 }
 
+// ---------------------------------------------------------------------------
+// 블록 트리
+// 블록은 평평한 배열 그대로 두고 metadata.level로 트리를 표현:
+// 부모는 앞쪽에서 가장 가까운, 레벨이 더 낮은 블록. 하위 블록은 부모 바로 뒤에 이어짐
+// ---------------------------------------------------------------------------
+
 /**
- * 블록이 비어있는지 확인
+ * 블록 중첩 레벨 (0 = 최상위)
+ * @param {import('../types/blocks').Block} block
+ * @returns {number}
+ */
+export function getBlockLevel(block) {
+  return block?.metadata?.level || 0;
+}
+
+// 레벨만 바꾼 블록 (같으면 그대로)
+function withLevel(block, level) {
+  return getBlockLevel(block) === level
+    ? block
+    : updateBlock(block, { metadata: { ...block.metadata, level } });
+}
+
+// [start, end) 블록의 레벨을 delta만큼 이동
+function shiftLevels(blocks, start, end, delta) {
+  if (delta === 0 || start >= end) return blocks;
+  return blocks.map((block, index) =>
+    index >= start && index < end ? withLevel(block, Math.max(0, getBlockLevel(block) + delta)) : block
+  );
+}
+
+/**
+ * 블록 + 하위 블록 전체가 끝나는 위치 (다음 형제 또는 상위 블록의 인덱스)
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {number} index
+ * @returns {number}
+ */
+export function getSubtreeEnd(blocks, index) {
+  const level = getBlockLevel(blocks[index]);
+  let end = index + 1;
+  while (end < blocks.length && getBlockLevel(blocks[end]) > level) end++;
+  return end;
+}
+
+/**
+ * 레벨 정리: 첫 블록은 0, 각 블록은 앞 블록보다 최대 한 단계만 깊게
+ * @param {import('../types/blocks').Block[]} blocks
+ * @returns {import('../types/blocks').Block[]} 바뀐 것이 없으면 같은 배열
+ */
+export function normalizeBlockLevels(blocks) {
+  let previousLevel = -1;
+  let changed = false;
+  const result = blocks.map((block) => {
+    const level = Math.min(getBlockLevel(block), previousLevel + 1, MAX_BLOCK_LEVEL);
+    previousLevel = level;
+    if (level === getBlockLevel(block)) return block;
+    changed = true;
+    return withLevel(block, level);
+  });
+  return changed ? result : blocks;
+}
+
+/**
+ * 들여쓰기 (Tab): 앞 블록의 자식이 됨, 하위 블록도 함께 이동
+ * 새 부모가 접힌 토글이면 펼쳐서 옮긴 블록이 보이게 함
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {string} blockId
+ * @returns {import('../types/blocks').Block[]} 들여쓸 수 없으면 같은 배열
+ */
+export function indentBlock(blocks, blockId) {
+  const index = findBlockIndex(blocks, blockId);
+  if (index <= 0) return blocks;
+
+  const level = getBlockLevel(blocks[index]);
+  // 이미 앞 블록의 자식이거나 한도에 닿음
+  if (level > getBlockLevel(blocks[index - 1]) || level >= MAX_BLOCK_LEVEL) return blocks;
+
+  const newBlocks = shiftLevels(blocks, index, getSubtreeEnd(blocks, index), 1);
+  const parentIndex = findParentIndex(newBlocks, index);
+  const parent = newBlocks[parentIndex];
+  if (parent?.type === BLOCK_TYPES.TOGGLE && parent.metadata?.collapsed) {
+    newBlocks[parentIndex] = updateBlock(parent, { metadata: { ...parent.metadata, collapsed: false } });
+  }
+  return newBlocks;
+}
+
+/**
+ * 내어쓰기 (Shift+Tab): 부모의 형제가 됨, 하위 블록도 함께 이동
+ * (뒤따르던 형제 블록은 내어쓴 블록의 자식이 됨)
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {string} blockId
+ * @returns {import('../types/blocks').Block[]} 이미 최상위면 같은 배열
+ */
+export function outdentBlock(blocks, blockId) {
+  const index = findBlockIndex(blocks, blockId);
+  if (index === -1 || getBlockLevel(blocks[index]) === 0) return blocks;
+  return shiftLevels(blocks, index, getSubtreeEnd(blocks, index), -1);
+}
+
+/**
+ * 부모 블록 인덱스 (최상위면 -1)
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {number} index
+ * @returns {number}
+ */
+export function findParentIndex(blocks, index) {
+  const level = getBlockLevel(blocks[index]);
+  for (let i = index - 1; i >= 0; i--) {
+    if (getBlockLevel(blocks[i]) < level) return i;
+  }
+  return -1;
+}
+
+/**
+ * blocks[index] 바로 뒤에 새 블록을 만들 위치와 레벨 (Enter 등)
+ * - 펼친 토글이나 하위 블록이 있는 블록: 첫 번째 자식으로
+ * - 접힌 토글: 숨겨진 하위 블록 뒤에 형제로
+ * - 그 외: 바로 뒤에 형제로
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {number} index
+ * @returns {{index: number, level: number}}
+ */
+export function getInsertionPoint(blocks, index) {
+  const block = blocks[index];
+  const level = getBlockLevel(block);
+  const end = getSubtreeEnd(blocks, index);
+
+  if (block.type === BLOCK_TYPES.TOGGLE) {
+    return block.metadata?.collapsed ? { index: end, level } : { index: index + 1, level: level + 1 };
+  }
+  return end > index + 1 ? { index: index + 1, level: level + 1 } : { index: index + 1, level };
+}
+
+/**
+ * 블록을 하위 블록과 함께 이동 (드래그 앤 드롭)
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {number} fromIndex - 옮길 블록
+ * @param {number} targetIndex - 놓은 자리의 블록
+ * @param {'top' | 'bottom'} position - 대상 블록의 위(같은 레벨 형제) / 아래(getInsertionPoint 규칙)
+ * @returns {import('../types/blocks').Block[]} 옮길 수 없으면(자기 하위로 이동 등) 같은 배열
+ */
+export function moveBlockSubtree(blocks, fromIndex, targetIndex, position) {
+  const end = getSubtreeEnd(blocks, fromIndex);
+  if (!blocks[fromIndex] || !blocks[targetIndex] || (targetIndex >= fromIndex && targetIndex < end)) return blocks;
+
+  const { index: insertAt, level } = position === 'top'
+    ? { index: targetIndex, level: getBlockLevel(blocks[targetIndex]) }
+    : getInsertionPoint(blocks, targetIndex);
+
+  const subtree = shiftLevels(blocks, fromIndex, end, level - getBlockLevel(blocks[fromIndex])).slice(fromIndex, end);
+  const rest = [...blocks.slice(0, fromIndex), ...blocks.slice(end)];
+  const restIndex = insertAt > fromIndex ? insertAt - subtree.length : insertAt;
+  rest.splice(restIndex, 0, ...subtree);
+  return normalizeBlockLevels(rest);
+}
+
+/**
+ * 블록을 하위 블록과 함께 복제 (하위 블록 바로 뒤에 삽입)
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {string} blockId
+ * @returns {import('../types/blocks').Block[]}
+ */
+export function duplicateBlockSubtree(blocks, blockId) {
+  const index = findBlockIndex(blocks, blockId);
+  if (index === -1) return blocks;
+
+  const end = getSubtreeEnd(blocks, index);
+  const now = Date.now();
+  const copies = blocks.slice(index, end).map((block) => ({
+    ...block,
+    id: generateBlockId(),
+    createdAt: now,
+    updatedAt: now,
+  }));
+  return [...blocks.slice(0, end), ...copies, ...blocks.slice(end)];
+}
+
+/**
+ * 접힌 토글 안에 있어서 보이지 않는 블록 ID
+ * @param {import('../types/blocks').Block[]} blocks
+ * @returns {Set<string>}
+ */
+export function getHiddenBlockIds(blocks) {
+  const hidden = new Set();
+  let collapsedLevel = null;
+  blocks.forEach((block) => {
+    const level = getBlockLevel(block);
+    if (collapsedLevel !== null && level > collapsedLevel) {
+      hidden.add(block.id);
+      return;
+    }
+    collapsedLevel = block.type === BLOCK_TYPES.TOGGLE && block.metadata?.collapsed ? level : null;
+  });
+  return hidden;
+}
+
+// 1 → a, 26 → z, 27 → aa
+function toAlphabetic(number) {
+  let label = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(97 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+const ROMAN_NUMERALS = [
+  [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+  [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i'],
+];
+
+function toRoman(number) {
+  let rest = number;
+  return ROMAN_NUMERALS.reduce((label, [value, numeral]) => {
+    while (rest >= value) {
+      label += numeral;
+      rest -= value;
+    }
+    return label;
+  }, '');
+}
+
+/**
+ * 번호 매기기 목록의 표시 번호 (레벨마다 1. → a. → i. 반복)
+ * 같은 레벨에서 번호 목록이 끊기면 다시 1부터, 자식 블록은 부모 번호를 끊지 않음
+ * @param {import('../types/blocks').Block[]} blocks
+ * @returns {Map<string, string>} blockId → "1." / "b." / "iii."
+ */
+export function getNumberedListLabels(blocks) {
+  const labels = new Map();
+  const counters = [];
+  blocks.forEach((block) => {
+    const level = getBlockLevel(block);
+    counters.length = level + 1; // 더 깊은 레벨의 번호는 새로 시작
+    if (block.type !== BLOCK_TYPES.NUMBERED_LIST) {
+      counters[level] = 0;
+      return;
+    }
+    const number = (counters[level] || 0) + 1;
+    counters[level] = number;
+    const label = [String(number), toAlphabetic(number), toRoman(number)][level % 3];
+    labels.set(block.id, `${label}.`);
+  });
+  return labels;
+}
+
+/**
+ * 블록이 비어있는지 확인 (표는 모든 칸이 비었을 때)
  * @param {import('../types/blocks').Block} block
  * @returns {boolean}
  */
 export function isBlockEmpty(block) {
+  if (block.type === BLOCK_TYPES.TABLE) {
+    return !(block.metadata?.rows || []).some(row => row.some(cell => cell && cell.trim() !== ''));
+  }
   return !block.content || block.content.trim() === '';
 }
 
@@ -0,0 +1,174 @@
+/**
+ * 코드 블록 구문 강조 (highlight.js)
+ *
+ * - 필요한 언어만 등록해서 번들 크기를 줄임 (highlight.js/lib/core)
+ * - metadata.language가 'auto'면 자주 쓰는 언어 중에서 자동 감지
+ * - 결과 HTML은 highlight.js가 이스케이프한 코드 + <span class="hljs-..."> 토큰
+ *
+ * @module utils/codeHighlight
+ */
+
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import clojure from 'highlight.js/lib/languages/clojure';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import dart from 'highlight.js/lib/languages/dart';
+import diff from 'highlight.js/lib/languages/diff';
+import dockerfile from 'highlight.js/lib/languages/dockerfile';
+import elixir from 'highlight.js/lib/languages/elixir';
+import fortran from 'highlight.js/lib/languages/fortran';
+import go from 'highlight.js/lib/languages/go';
+import graphql from 'highlight.js/lib/languages/graphql';
+import haskell from 'highlight.js/lib/languages/haskell';
+import ini from 'highlight.js/lib/languages/ini';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import julia from 'highlight.js/lib/languages/julia';
+import kotlin from 'highlight.js/lib/languages/kotlin';
+import latex from 'highlight.js/lib/languages/latex';
+import lua from 'highlight.js/lib/languages/lua';
+import makefile from 'highlight.js/lib/languages/makefile';
+import markdown from 'highlight.js/lib/languages/markdown';
+import mathematica from 'highlight.js/lib/languages/mathematica';
+import matlab from 'highlight.js/lib/languages/matlab';
+import ocaml from 'highlight.js/lib/languages/ocaml';
+import perl from 'highlight.js/lib/languages/perl';
+import php from 'highlight.js/lib/languages/php';
+import plaintext from 'highlight.js/lib/languages/plaintext';
+import powershell from 'highlight.js/lib/languages/powershell';
+import python from 'highlight.js/lib/languages/python';
+import r from 'highlight.js/lib/languages/r';
+import ruby from 'highlight.js/lib/languages/ruby';
+import rust from 'highlight.js/lib/languages/rust';
+import scala from 'highlight.js/lib/languages/scala';
+import scheme from 'highlight.js/lib/languages/scheme';
+import scss from 'highlight.js/lib/languages/scss';
+import sql from 'highlight.js/lib/languages/sql';
+import stata from 'highlight.js/lib/languages/stata';
+import swift from 'highlight.js/lib/languages/swift';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+/**
+ * 자동 감지 (metadata.language 값)
+ */
+export const AUTO_LANGUAGE = 'auto';
+
+/**
+ * 코드 블록 언어 목록 (id = metadata.language 값, 언어 선택 메뉴 순서)
+ * 기존 블록의 값(javascript, python, java, html, css, json, markdown, bash, sql, plaintext)은 그대로 유지
+ */
+export const CODE_LANGUAGES = [
+  { id: 'javascript', label: 'JavaScript', grammar: javascript },
+  { id: 'typescript', label: 'TypeScript', grammar: typescript },
+  { id: 'python', label: 'Python', grammar: python },
+  { id: 'r', label: 'R', grammar: r },
+  { id: 'julia', label: 'Julia', grammar: julia },
+  { id: 'matlab', label: 'MATLAB', grammar: matlab },
+  { id: 'mathematica', label: 'Mathematica', grammar: mathematica },
+  { id: 'stata', label: 'Stata', grammar: stata },
+  { id: 'latex', label: 'LaTeX', grammar: latex },
+  { id: 'sql', label: 'SQL', grammar: sql },
+  { id: 'bash', label: 'Bash', grammar: bash },
+  { id: 'powershell', label: 'PowerShell', grammar: powershell },
+  { id: 'html', label: 'HTML / XML', grammar: xml },
+  { id: 'css', label: 'CSS', grammar: css },
+  { id: 'scss', label: 'SCSS', grammar: scss },
+  { id: 'json', label: 'JSON', grammar: json },
+  { id: 'yaml', label: 'YAML', grammar: yaml },
+  { id: 'ini', label: 'INI / TOML', grammar: ini },
+  { id: 'markdown', label: 'Markdown', grammar: markdown },
+  { id: 'java', label: 'Java', grammar: java },
+  { id: 'kotlin', label: 'Kotlin', grammar: kotlin },
+  { id: 'scala', label: 'Scala', grammar: scala },
+  { id: 'c', label: 'C', grammar: c },
+  { id: 'cpp', label: 'C++', grammar: cpp },
+  { id: 'csharp', label: 'C#', grammar: csharp },
+  { id: 'go', label: 'Go', grammar: go },
+  { id: 'rust', label: 'Rust', grammar: rust },
+  { id: 'swift', label: 'Swift', grammar: swift },
+  { id: 'dart', label: 'Dart', grammar: dart },
+  { id: 'php', label: 'PHP', grammar: php },
+  { id: 'ruby', label: 'Ruby', grammar: ruby },
+  { id: 'perl', label: 'Perl', grammar: perl },
+  { id: 'lua', label: 'Lua', grammar: lua },
+  { id: 'haskell', label: 'Haskell', grammar: haskell },
+  { id: 'ocaml', label: 'OCaml', grammar: ocaml },
+  { id: 'elixir', label: 'Elixir', grammar: elixir },
+  { id: 'clojure', label: 'Clojure', grammar: clojure },
+  { id: 'scheme', label: 'Scheme', grammar: scheme },
+  { id: 'fortran', label: 'Fortran', grammar: fortran },
+  { id: 'graphql', label: 'GraphQL', grammar: graphql },
+  { id: 'dockerfile', label: 'Dockerfile', grammar: dockerfile },
+  { id: 'makefile', label: 'Makefile', grammar: makefile },
+  { id: 'diff', label: 'Diff', grammar: diff },
+  { id: 'plaintext', label: 'Plain Text', grammar: plaintext },
+];
+
+CODE_LANGUAGES.forEach(({ id, grammar }) => hljs.registerLanguage(id, grammar));
+
+// 자동 감지에서 빼는 언어: 드물게 쓰거나 다른 언어 코드를 자기 것으로 잘못 감지하는 문법
+// (일반 텍스트는 감지 실패 시 기본값)
+const NOT_DETECTED = new Set([
+  'plaintext', 'scss', 'stata', 'mathematica', 'scheme', 'clojure', 'fortran', 'ocaml', 'elixir', 'dart',
+  'ini', 'makefile', 'dockerfile', 'graphql', 'diff', 'perl', 'haskell', 'lua', 'powershell', 'scala',
+  'kotlin', 'swift', 'php', 'ruby', 'csharp', 'c',
+]);
+const DETECTABLE_LANGUAGES = CODE_LANGUAGES.map(({ id }) => id).filter((id) => !NOT_DETECTED.has(id));
+
+// highlight.js 점수로는 잘 안 잡히는 언어의 확실한 표시 (점수 비교보다 먼저 검사)
+const LANGUAGE_HINTS = [
+  { language: 'latex', pattern: /\\(documentclass|usepackage|begin\{|section\{|frac\{)/ },
+  { language: 'r', pattern: /(^|\n)\s*(library|require)\([\w.]+\)|[\w)\]]\s+<-\s+\S/ },
+  { language: 'java', pattern: /\bpublic\s+(static\s+)?(class|void)\b|\bSystem\.out\.print/ },
+  { language: 'typescript', pattern: /\binterface\s+\w+\s*\{|:\s*(number|string|boolean)\b/ },
+];
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * 언어 표시 이름 (목록에 없으면 id 그대로)
+ *
+ * @param {string} language
+ * @returns {string}
+ */
+export function getCodeLanguageLabel(language) {
+  if (language === AUTO_LANGUAGE) return 'Auto';
+  return CODE_LANGUAGES.find(({ id }) => id === language)?.label || language;
+}
+
+/**
+ * 코드 구문 강조
+ * 등록되지 않은 언어(```js 같은 별칭 포함)는 highlight.js 별칭으로 찾고, 없으면 일반 텍스트
+ *
+ * @param {string} code
+ * @param {string} language - metadata.language ('auto'면 자동 감지)
+ * @returns {{html: string, language: string}} 강조된 HTML과 실제로 사용한 언어 id
+ */
+export function highlightCode(code, language) {
+  const source = code || '';
+
+  if (language === AUTO_LANGUAGE) {
+    if (!source.trim()) return { html: escapeHtml(source), language: 'plaintext' };
+    const hint = LANGUAGE_HINTS.find(({ pattern }) => pattern.test(source));
+    if (hint) return highlightCode(source, hint.language);
+    const result = hljs.highlightAuto(source, DETECTABLE_LANGUAGES);
+    return { html: result.value, language: result.language || 'plaintext' };
+  }
+
+  const grammar = hljs.getLanguage(language);
+  if (!grammar) return { html: escapeHtml(source), language: 'plaintext' };
+
+  // 별칭(js, py 등)은 목록의 id로 바꿔서 돌려줌
+  const known = CODE_LANGUAGES.find(({ id }) => hljs.getLanguage(id) === grammar);
+  return {
+    html: hljs.highlight(source, { language, ignoreIllegals: true }).value,
+    language: known ? known.id : language,
+  };
+}
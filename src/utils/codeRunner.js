@@ -0,0 +1,181 @@
+/**
+ * JavaScript 코드 블록 실행기
+ *
+ * - sandbox="allow-scripts" iframe(고유 origin) 안에서 만든 전용 Worker에서 실행
+ *   → 앱의 DOM, localStorage/IndexedDB, 쿠키에 접근 불가
+ *   → 별도 스레드라서 `while (true) {}` 같은 무한 루프도 편집기를 멈추지 않음
+ * - console.log/info/warn/error/debug 출력, return 값, 예외를 모아서 돌려줌 (최상위 await 사용 가능)
+ * - 시간 제한을 넘기면 iframe이 worker.terminate()로 중단 (코드가 양보하지 않아도 멈춤)
+ *   iframe이 끝내 응답하지 않으면 잠시 뒤 iframe을 제거
+ * - 코드는 postMessage로 넘기므로 srcdoc HTML에 섞이지 않음
+ *
+ * @module utils/codeRunner
+ */
+
+import { CODE_BLOCK } from '../constants/ui';
+
+const MESSAGE_SOURCE = 'graph-note-code-runner';
+
+// Worker에서 실행되는 스크립트 (console 가로채기 + 코드 실행)
+const WORKER_SOURCE = `
+  function send(type, data) {
+    self.postMessage(Object.assign({ type: type }, data));
+  }
+  function format(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.name + ': ' + value.message;
+    if (value === undefined || typeof value === 'number' || typeof value === 'boolean'
+      || typeof value === 'symbol' || typeof value === 'function') return String(value);
+    if (typeof value === 'bigint') return value + 'n';
+    if (value instanceof Map) return 'Map(' + value.size + ') ' + format(Object.fromEntries(value));
+    if (value instanceof Set) return 'Set(' + value.size + ') ' + format(Array.from(value));
+    var seen = [];
+    try {
+      return JSON.stringify(value, function (key, item) {
+        if (typeof item === 'bigint') return item + 'n';
+        if (typeof item === 'function') return '[Function ' + (item.name || 'anonymous') + ']';
+        if (item && typeof item === 'object') {
+          if (seen.indexOf(item) !== -1) return '[Circular]';
+          seen.push(item);
+        }
+        return item;
+      }, 2);
+    } catch (error) {
+      return String(value);
+    }
+  }
+  // 출력 줄 수 제한 + 1줄까지만 보냄 (출력만 하는 무한 루프가 앱 스레드에 메시지를 쌓지 않도록)
+  var maxLines = Infinity;
+  var lineCount = 0;
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    console[level] = function () {
+      if (lineCount++ > maxLines) return;
+      send('log', { level: level, text: Array.prototype.map.call(arguments, format).join(' ') });
+    };
+  });
+  self.addEventListener('unhandledrejection', function (event) {
+    send('log', { level: 'error', text: 'Uncaught (in promise) ' + format(event.reason) });
+  });
+  self.addEventListener('message', function (event) {
+    maxLines = event.data.maxLines;
+    var start = performance.now();
+    function finish(data) {
+      send('done', Object.assign({ duration: performance.now() - start }, data));
+    }
+    try {
+      var AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+      new AsyncFunction(event.data.code)().then(function (value) {
+        finish({ result: value === undefined ? null : format(value) });
+      }, function (error) {
+        finish({ error: format(error) });
+      });
+    } catch (error) {
+      finish({ error: format(error) });
+    }
+  });
+`;
+
+// iframe 안에서 실행되는 스크립트 (Worker 생성 + 메시지 중계 + 시간 제한)
+const RUNNER_HTML = `<!DOCTYPE html><html><body><script>
+(function () {
+  var SOURCE = '${MESSAGE_SOURCE}';
+  function send(type, data) {
+    parent.postMessage(Object.assign({ source: SOURCE, type: type }, data), '*');
+  }
+  window.addEventListener('message', function (event) {
+    if (!event.data || typeof event.data.code !== 'string') return;
+    var worker;
+    try {
+      var url = URL.createObjectURL(new Blob([${JSON.stringify(WORKER_SOURCE)}], { type: 'text/javascript' }));
+      worker = new Worker(url);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      send('done', { error: 'Worker를 만들 수 없습니다: ' + error.message });
+      return;
+    }
+    var start = performance.now();
+    var timer = setTimeout(function () {
+      worker.terminate();
+      send('done', { timedOut: true, duration: performance.now() - start });
+    }, event.data.timeout);
+    worker.onmessage = function (message) {
+      if (message.data.type === 'done') {
+        clearTimeout(timer);
+        worker.terminate();
+      }
+      send(message.data.type, message.data);
+    };
+    worker.onerror = function (error) {
+      error.preventDefault();
+      clearTimeout(timer);
+      worker.terminate();
+      send('done', { error: error.message || 'Worker 오류' });
+    };
+    worker.postMessage({ code: event.data.code, maxLines: event.data.maxLines });
+  });
+  send('ready');
+})();
+</script></body></html>`;
+
+/**
+ * @typedef {Object} CodeRunResult
+ * @property {{level: 'log'|'info'|'warn'|'error'|'debug', text: string}[]} logs - console 출력
+ * @property {string|null} [result] - return 값 (없으면 null)
+ * @property {string} [error] - 예외 메시지 (문법 오류 포함)
+ * @property {boolean} [timedOut] - 시간 제한을 넘겨 중단됨
+ * @property {number} [duration] - 실행 시간 (ms)
+ */
+
+/**
+ * JavaScript 코드 실행
+ *
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - 시간 제한 (ms)
+ * @returns {Promise<CodeRunResult>}
+ */
+export function runJavaScript(code, { timeout = CODE_BLOCK.RUN_TIMEOUT } = {}) {
+  return new Promise((resolve) => {
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('sandbox', 'allow-scripts');
+    iframe.style.display = 'none';
+    iframe.srcdoc = RUNNER_HTML;
+
+    const logs = [];
+    let timer = null;
+
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+      iframe.remove();
+      resolve({ logs, ...outcome });
+    };
+
+    function handleMessage(event) {
+      if (event.source !== iframe.contentWindow || event.data?.source !== MESSAGE_SOURCE) return;
+      const { type } = event.data;
+
+      if (type === 'ready') {
+        iframe.contentWindow.postMessage({ code, timeout, maxLines: CODE_BLOCK.MAX_OUTPUT_LINES }, '*');
+      } else if (type === 'log') {
+        if (logs.length < CODE_BLOCK.MAX_OUTPUT_LINES) {
+          logs.push({ level: event.data.level, text: event.data.text });
+        } else if (logs.length === CODE_BLOCK.MAX_OUTPUT_LINES) {
+          logs.push({ level: 'warn', text: `… 출력이 ${CODE_BLOCK.MAX_OUTPUT_LINES}줄을 넘어 나머지는 생략합니다` });
+        }
+      } else if (type === 'done') {
+        finish({
+          result: event.data.result ?? null,
+          error: event.data.error,
+          timedOut: event.data.timedOut,
+          duration: event.data.duration,
+        });
+      }
+    }
+
+    window.addEventListener('message', handleMessage);
+    // 정상이면 iframe이 시간 제한에 맞춰 Worker를 끝내고 알려 줌 (이 타이머는 iframe이 응답하지 않을 때만)
+    timer = setTimeout(() => finish({ timedOut: true }), timeout + CODE_BLOCK.RUN_TIMEOUT_GRACE);
+    document.body.appendChild(iframe);
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * 노드 날짜 유틸리티
+ *
+ * 노드 날짜(node.date)는 정밀도가 다른 세 가지 형식을 허용
+ * - 'YYYY' (예: 논문 출판 연도)
+ * - 'YYYY-MM'
+ * - 'YYYY-MM-DD'
+ *
+ * ISO 문자열(노트 createdAt 등)도 앞부분만 읽어 같은 방식으로 처리
+ *
+ * @module utils/dateHelpers
+ */
+
+const NODE_DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?/;
+const STRICT_NODE_DATE_PATTERN = /^\d{4}(-\d{1,2}(-\d{1,2})?)?$/;
+
+/**
+ * 노드 날짜 문자열을 타임스탬프(ms, UTC)로 변환
+ *
+ * @param {string} value - 'YYYY' | 'YYYY-MM' | 'YYYY-MM-DD' | ISO 문자열
+ * @returns {number|null} 타임스탬프 (해석할 수 없으면 null)
+ *
+ * @example
+ * parseNodeDate('2017')        // 2017-01-01
+ * parseNodeDate('2017-06')     // 2017-06-01
+ * parseNodeDate('2017-06-12')  // 2017-06-12
+ */
+export function parseNodeDate(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(NODE_DATE_PATTERN);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) : 1;
+  const day = match[3] ? Number(match[3]) : 1;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * 노드 날짜 입력값 검증 (빈 문자열은 "날짜 없음"으로 허용)
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidNodeDate(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return true;
+  return STRICT_NODE_DATE_PATTERN.test(trimmed) && parseNodeDate(trimmed) != null;
+}
+
+/**
+ * 노드 날짜 입력값 정규화 (월/일을 두 자리로)
+ *
+ * @param {string} value - 검증된 날짜 문자열
+ * @returns {string} 정규화된 문자열 (예: '2017-6' → '2017-06')
+ */
+export function normalizeNodeDate(value) {
+  return (value || '')
+    .trim()
+    .split('-')
+    .map((part, i) => (i === 0 ? part : part.padStart(2, '0')))
+    .join('-');
+}
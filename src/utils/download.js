@@ -0,0 +1,41 @@
+/**
+ * 파일 다운로드 유틸리티
+ *
+ * @module utils/download
+ */
+
+/**
+ * Blob/텍스트를 파일로 다운로드
+ *
+ * @param {Blob|string} content - 파일 내용 (문자열이면 mimeType으로 Blob 생성)
+ * @param {string} fileName - 저장할 파일 이름
+ * @param {string} [mimeType] - 문자열일 때 MIME 타입
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  // 다운로드가 시작된 뒤 URL 해제
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 파일 이름에 쓸 수 없는 문자 제거
+ *
+ * @param {string} name
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function toSafeFileName(name, fallback = 'untitled') {
+  const safe = (name || '')
+    .replace(/[\\/:*?"<>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+  return safe || fallback;
+}
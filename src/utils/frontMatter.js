@@ -0,0 +1,275 @@
+/**
+ * 마크다운 YAML front-matter 읽기/쓰기
+ *
+ * 노트 내보내기에 필요한 YAML 부분집합만 지원
+ * - 스칼라: 문자열(따옴표/일반), 숫자, true/false, null
+ * - 블록 맵/리스트 (들여쓰기), 리스트 안의 맵
+ * - 흐름 리스트 [a, b], 블록 스칼라 | / >
+ * - 앵커/별칭, 여러 문서, 복잡한 키는 지원하지 않음
+ *
+ * @module utils/frontMatter
+ */
+
+const FENCE = '---';
+
+// ============================================
+// 쓰기
+// ============================================
+
+const PLAIN_KEY = /^[A-Za-z0-9_-]+$/;
+
+const formatKey = (key) => (PLAIN_KEY.test(key) ? key : JSON.stringify(key));
+
+function formatScalar(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  // JSON 문자열은 YAML 큰따옴표 문자열로도 유효
+  return JSON.stringify(String(value));
+}
+
+const isEmpty = (value) =>
+  value == null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+function stringifyValue(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => item != null)
+      .map((item) => {
+        if (typeof item === 'object' && !Array.isArray(item)) {
+          const lines = stringifyMap(item, indent + 2);
+          return `${pad}- ${lines.slice(indent + 2)}`;
+        }
+        return `${pad}- ${formatScalar(item)}`;
+      })
+      .join('\n');
+  }
+
+  return stringifyMap(value, indent);
+}
+
+function stringifyMap(map, indent) {
+  const pad = ' '.repeat(indent);
+  return Object.keys(map)
+    .filter((key) => !isEmpty(map[key]))
+    .map((key) => {
+      const value = map[key];
+      if (typeof value === 'object') {
+        return `${pad}${formatKey(key)}:\n${stringifyValue(value, indent + 2)}`;
+      }
+      return `${pad}${formatKey(key)}: ${formatScalar(value)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * 객체를 front-matter가 붙은 마크다운으로 변환
+ * 빈 값(null, '', [], {})은 생략
+ *
+ * @param {Object} data - front-matter 데이터
+ * @param {string} body - 본문 마크다운
+ * @returns {string}
+ */
+export function stringifyFrontMatter(data, body = '') {
+  const yaml = stringifyMap(data, 0);
+  return `${FENCE}\n${yaml}${yaml ? '\n' : ''}${FENCE}\n\n${body}`;
+}
+
+// ============================================
+// 읽기
+// ============================================
+
+function parseQuoted(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+// 따옴표 밖의 쉼표로 분리 (흐름 리스트용)
+function splitFlow(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) items.push(current);
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+function parseScalar(raw) {
+  let text = raw.trim();
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const quote = text[0];
+    const end = text.lastIndexOf(quote);
+    return parseQuoted(end > 0 ? text.slice(0, end + 1) : `${text}${quote}`);
+  }
+  // 줄 끝 주석 제거
+  text = text.replace(/\s+#.*$/, '');
+  if (text.startsWith('[') && text.endsWith(']')) return splitFlow(text.slice(1, -1)).map(parseScalar);
+  if (text === '{}') return {};
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// "key: value" → [key, value] (따옴표 키 지원), 맵 항목이 아니면 null
+function splitKeyValue(text) {
+  const quoted = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+(.*))?$/);
+  if (quoted) return [parseQuoted(quoted[1]), quoted[2] ?? ''];
+  const plain = text.match(/^([^\s"'#[\]{}][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (plain) return [plain[1], plain[2] ?? ''];
+  return null;
+}
+
+const isListItem = (text) => text === '-' || text.startsWith('- ');
+
+function createParser(lines) {
+  let index = 0;
+
+  const peek = () => lines[index];
+
+  function parseBlockScalar(style, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.text !== '' && line.indent <= parentIndent) break;
+      if (line.text !== '' && blockIndent === null) blockIndent = line.indent;
+      collected.push(line.text === '' ? '' : line.raw.slice(blockIndent ?? 0));
+      index++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1] === '') collected.pop();
+    return style === '|' ? collected.join('\n') : collected.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function parseValue(rest, indent) {
+    if (rest === '|' || rest === '|-' || rest === '>' || rest === '>-') {
+      return parseBlockScalar(rest[0], indent);
+    }
+    if (rest !== '') return parseScalar(rest);
+
+    const next = peek();
+    // 값이 다음 줄에 있는 경우: 더 깊은 들여쓰기, 또는 같은 들여쓰기의 리스트
+    if (next && (next.indent > indent || (next.indent === indent && isListItem(next.text)))) {
+      return parseBlock(next.indent);
+    }
+    return null;
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    while (index < lines.length) {
+      const line = peek();
+      if (line.text === '') { index++; continue; }
+      if (line.indent !== indent || isListItem(line.text)) break;
+      const pair = splitKeyValue(line.text);
+      if (!pair) throw new Error(`YAML 형식 오류 (${line.number}행): ${line.text}`);
+      index++;
+      map[pair[0]] = parseValue(pair[1].trim(), indent);
+    }
+    return map;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    while (index < lines.length) {
+      const line = peek();
+      if (line.text === '') { index++; continue; }
+      if (line.indent !== indent || !isListItem(line.text)) break;
+      const rest = line.text.slice(1).trim();
+
+      if (rest === '') {
+        index++;
+        list.push(parseValue('', indent));
+      } else if (!rest.startsWith('[') && splitKeyValue(rest)) {
+        // "- key: value" → 리스트 안의 맵, 첫 줄을 항목 들여쓰기로 다시 읽음
+        const itemIndent = indent + (line.text.length - rest.length);
+        lines[index] = { ...line, indent: itemIndent, text: rest };
+        list.push(parseMap(itemIndent));
+      } else {
+        index++;
+        list.push(parseScalar(rest));
+      }
+    }
+    return list;
+  }
+
+  function parseBlock(indent) {
+    const line = peek();
+    return line && isListItem(line.text) ? parseList(indent) : parseMap(indent);
+  }
+
+  return { parseBlock };
+}
+
+/**
+ * YAML 부분집합 파싱
+ *
+ * @param {string} yaml
+ * @returns {Object} 최상위 맵 (비어 있으면 {})
+ * @throws {Error} 지원하지 않는 형식일 때
+ */
+export function parseYaml(yaml) {
+  const lines = yaml
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((raw, i) => {
+      const text = raw.trim();
+      return {
+        raw,
+        number: i + 1,
+        indent: raw.length - raw.trimStart().length,
+        text: text.startsWith('#') ? '' : text,
+      };
+    });
+
+  const firstLine = lines.find((line) => line.text !== '');
+  if (!firstLine) return {};
+
+  const parser = createParser(lines);
+  const result = parser.parseBlock(firstLine.indent);
+  if (Array.isArray(result)) throw new Error('front-matter 최상위는 맵이어야 합니다');
+  return result;
+}
+
+/**
+ * 마크다운에서 front-matter 분리
+ *
+ * @param {string} text - 마크다운 전체
+ * @returns {{data: Object, body: string, error: string|null}}
+ *   front-matter가 없으면 data는 {}; 파싱 실패 시 error에 메시지
+ */
+export function parseFrontMatter(text) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n?---[ \t]*(?:\n|$)/);
+  if (!match) return { data: {}, body: normalized, error: null };
+
+  const body = normalized.slice(match[0].length).replace(/^\n/, '');
+  try {
+    return { data: parseYaml(match[1]), body, error: null };
+  } catch (error) {
+    return { data: {}, body, error: error.message };
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { stringifyFrontMatter, parseFrontMatter, parseYaml } from './frontMatter';
+
+describe('stringifyFrontMatter', () => {
+  it('빈 값은 생략하고, 특수 문자가 있는 키와 문자열은 따옴표로', () => {
+    const text = stringifyFrontMatter(
+      { id: 'n1', title: 'A: "B"', 'my key': 1, empty: '', none: null, list: [], done: true },
+      '본문'
+    );
+    expect(text).toBe('---\nid: "n1"\ntitle: "A: \\"B\\""\n"my key": 1\ndone: true\n---\n\n본문');
+  });
+
+  it('중첩 맵, 리스트, 리스트 안의 맵을 그대로 다시 읽음', () => {
+    const data = {
+      title: '제목',
+      tags: { 주제: ['ML > NLP', 'CV'] },
+      links: [{ target: 'b', type: 'based-on' }, { target: 'c', type: 'cited-by' }],
+      year: 2020,
+    };
+    const { data: parsed, body, error } = parseFrontMatter(stringifyFrontMatter(data, '# 본문\n'));
+
+    expect(error).toBeNull();
+    expect(parsed).toEqual(data);
+    expect(body).toBe('# 본문\n');
+  });
+});
+
+describe('parseFrontMatter', () => {
+  it('front-matter가 없으면 본문 그대로', () => {
+    expect(parseFrontMatter('# 제목\n내용')).toEqual({ data: {}, body: '# 제목\n내용', error: null });
+  });
+
+  it('BOM, CRLF, 주석, 흐름 리스트, 작은따옴표, null/불리언', () => {
+    const text = '\uFEFF---\r\n# 주석\r\naliases: [a, "b, c", \'d\'\'s\']\r\nnote: ~\r\ndraft: false # 끝 주석\r\n---\r\nbody';
+    expect(parseFrontMatter(text)).toEqual({
+      data: { aliases: ['a', 'b, c', "d's"], note: null, draft: false },
+      body: 'body',
+      error: null,
+    });
+  });
+
+  it('블록 스칼라 | 는 줄바꿈 유지, > 는 한 줄로', () => {
+    const { data } = parseFrontMatter('---\nliteral: |\n  first\n  second\nfolded: >\n  one\n  two\n---\n');
+    expect(data).toEqual({ literal: 'first\nsecond', folded: 'one two' });
+  });
+
+  it('형식 오류는 error에 담고 (행 번호는 front-matter 기준) 본문은 돌려줌', () => {
+    const result = parseFrontMatter('---\ntitle: ok\n[bad]\n---\nbody');
+    expect(result.data).toEqual({});
+    expect(result.body).toBe('body');
+    expect(result.error).toMatch(/2행/);
+  });
+});
+
+describe('parseYaml', () => {
+  it('최상위가 리스트면 오류', () => {
+    expect(() => parseYaml('- a\n- b')).toThrow();
+    expect(parseYaml('\n  \n')).toEqual({});
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * 이미지 블록 첨부파일 유틸리티
+ *
+ * - 이미지 원본은 첨부파일 저장소에 blob으로 저장하고 블록 content에는 첨부파일 ID만 보관
+ * - 큰 이미지는 썸네일을 함께 저장 (metadata.thumbnailId, 에디터에는 썸네일 표시)
+ * - 예전 방식(content에 base64 데이터 URL)의 이미지 블록을 첨부파일로 변환
+ *
+ * @module utils/imageAttachments
+ */
+
+import { IMAGE_ATTACHMENTS, STORAGE_KEYS } from '../constants/storage';
+import { BLOCK_TYPES } from '../types/blocks';
+import { generateAttachmentId } from './blockUtils';
+
+// 썸네일을 만들지 않는 형식: GIF(애니메이션 손실), SVG(벡터)
+const THUMBNAIL_SOURCE_TYPES = /^image\/(png|jpe?g|webp|bmp|avif)$/;
+
+/**
+ * 이미지 크기 측정 + 필요하면 썸네일 생성
+ *
+ * @param {Blob} blob - 이미지 원본
+ * @returns {Promise<{width: number, height: number, thumbnail: Blob|null}|null>}
+ *   브라우저가 디코딩할 수 없는 형식이면 null
+ */
+async function createThumbnail(blob) {
+  if (typeof createImageBitmap === 'undefined' || typeof document === 'undefined') return null;
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch {
+    return null;
+  }
+
+  try {
+    const { width, height } = bitmap;
+    const longest = Math.max(width, height);
+    const isLarge = longest > IMAGE_ATTACHMENTS.THUMBNAIL_MAX_DIMENSION || blob.size > IMAGE_ATTACHMENTS.THUMBNAIL_MIN_SIZE;
+    if (!isLarge || !THUMBNAIL_SOURCE_TYPES.test(blob.type)) return { width, height, thumbnail: null };
+
+    const scale = Math.min(1, IMAGE_ATTACHMENTS.THUMBNAIL_MAX_DIMENSION / longest);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    const thumbnail = await new Promise((resolve) =>
+      canvas.toBlob(resolve, IMAGE_ATTACHMENTS.THUMBNAIL_TYPE, IMAGE_ATTACHMENTS.THUMBNAIL_QUALITY)
+    );
+    // 원본보다 크면 썸네일 의미 없음
+    return { width, height, thumbnail: thumbnail && thumbnail.size < blob.size ? thumbnail : null };
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+/**
+ * 이미지를 첨부파일로 저장 (큰 이미지는 썸네일도 저장)
+ *
+ * @param {import('../types').StorageAdapter} storage
+ * @param {string} nodeId - 노드 ID
+ * @param {Blob} blob - 이미지 원본
+ * @param {string} fileName - 파일 이름
+ * @returns {Promise<{fileId: string, metadata: Object}>} 블록 content / metadata로 쓸 값
+ *   metadata: fileName, fileSize, mimeType, uploadedAt, (width, height, thumbnailId)
+ */
+export async function saveImageAttachment(storage, nodeId, blob, fileName) {
+  const mimeType = blob.type || 'application/octet-stream';
+  const measured = await createThumbnail(blob);
+
+  const fileId = generateAttachmentId();
+  await storage.saveAttachment(nodeId, fileId, blob, fileName, mimeType);
+
+  const metadata = { fileName, fileSize: blob.size, mimeType, uploadedAt: Date.now() };
+  if (measured) {
+    metadata.width = measured.width;
+    metadata.height = measured.height;
+  }
+
+  // 썸네일 저장 실패는 원본만으로 표시
+  if (measured?.thumbnail) {
+    try {
+      const thumbnailId = generateAttachmentId();
+      await storage.saveAttachment(nodeId, thumbnailId, measured.thumbnail, `thumbnail - ${fileName}`, measured.thumbnail.type);
+      metadata.thumbnailId = thumbnailId;
+    } catch (error) {
+      console.error('썸네일 저장 실패:', fileName, error);
+    }
+  }
+
+  return { fileId, metadata };
+}
+
+/**
+ * content에 base64 데이터 URL을 담은 (예전 방식) 이미지 블록인지 확인
+ *
+ * @param {import('../types/blocks').Block} block
+ * @returns {boolean}
+ */
+export function isBase64ImageBlock(block) {
+  return block?.type === BLOCK_TYPES.IMAGE && /^data:/.test(block.content || '');
+}
+
+/**
+ * base64 이미지 블록을 첨부파일 참조 블록으로 변환 (캡션 등 기존 metadata 유지)
+ *
+ * @param {import('../types').StorageAdapter} storage
+ * @param {string} nodeId - 노드 ID
+ * @param {import('../types/blocks').Block} block - isBase64ImageBlock인 블록
+ * @returns {Promise<import('../types/blocks').Block>}
+ */
+export async function convertBase64ImageBlock(storage, nodeId, block) {
+  const blob = await (await fetch(block.content)).blob();
+  const fileName = block.metadata?.fileName || `image.${(blob.type.split('/')[1] || 'png').replace('+xml', '')}`;
+  const { fileId, metadata } = await saveImageAttachment(storage, nodeId, blob, fileName);
+  return { ...block, content: fileId, metadata: { ...block.metadata, ...metadata } };
+}
+
+/**
+ * 저장된 모든 노트의 base64 이미지 블록을 첨부파일로 변환 (앱 시작 시 한 번)
+ *
+ * - 완료되면 STORAGE_KEYS.IMAGE_MIGRATION에 기록해 다시 실행하지 않음
+ * - 실패한 노트가 있으면 기록하지 않고 다음 실행 때 다시 시도
+ * - 버전 기록 안의 base64 이미지는 그대로 둠 (보관 기간이 지나면 정리됨)
+ *
+ * @param {import('../types').StorageAdapter} storage
+ * @returns {Promise<{notes: number, images: number, failed: string[]}|null>} 이미 완료했으면 null
+ */
+export async function migrateBase64Images(storage) {
+  if (localStorage.getItem(STORAGE_KEYS.IMAGE_MIGRATION)) return null;
+
+  const records = await storage.loadAllNotes();
+  const result = { notes: 0, images: 0, failed: [] };
+
+  for (const record of records) {
+    if (!Array.isArray(record.blocks) || !record.blocks.some(isBase64ImageBlock)) continue;
+
+    try {
+      const blocks = [];
+      let converted = 0;
+      for (const block of record.blocks) {
+        if (isBase64ImageBlock(block)) {
+          blocks.push(await convertBase64ImageBlock(storage, record.id, block));
+          converted++;
+        } else {
+          blocks.push(block);
+        }
+      }
+
+      await storage.saveBlockContent(record.id, {
+        version: record.version,
+        blocks,
+        attachments: record.attachments,
+      });
+      result.notes++;
+      result.images += converted;
+    } catch (error) {
+      console.error('이미지 블록 변환 실패:', record.id, error);
+      result.failed.push(record.id);
+    }
+  }
+
+  if (result.failed.length === 0) {
+    localStorage.setItem(STORAGE_KEYS.IMAGE_MIGRATION, new Date().toISOString());
+  }
+  console.log(`🖼️ 이미지 블록 변환 완료: 노트 ${result.notes}개, 이미지 ${result.images}개`);
+  return result;
+}
@@ -0,0 +1,299 @@
+/**
+ * 텍스트/리스트 블록의 인라인 서식 (마크다운 문법 그대로 Block.content에 저장)
+ *
+ * - 굵게 **text**, 기울임 *text* / _text_, 코드 `code`, 취소선 ~~text~~,
+ *   형광펜 ==text==, 링크 [text](https://...), 수식 $x^2$ (KaTeX), [[위키 링크]]
+ * - 링크 주소 안의 괄호는 짝이 맞으면 주소에 포함 (CommonMark): [x](https://en.wikipedia.org/wiki/Foo_(bar))
+ * - 저장 형식이 마크다운이므로 blocksToText / migrateTextToBlocks가 그대로 주고받음
+ * - \* 처럼 백슬래시로 문법 문자를 글자로 쓸 수 있음
+ * - 수식은 Pandoc 규칙: 여는 $ 뒤와 닫는 $ 앞에 공백 없음, 닫는 $ 뒤에 숫자 없음 ("$5 and $6"은 글자)
+ *
+ * @module utils/inlineMarkdown
+ */
+
+/**
+ * @typedef {{type: 'text', text: string}
+ *   | {type: 'bold'|'italic'|'strike'|'highlight', children: InlineNode[]}
+ *   | {type: 'code', text: string}
+ *   | {type: 'math', latex: string}
+ *   | {type: 'link', href: string, children: InlineNode[]}
+ *   | {type: 'wiki', target: string, alias: string|null, raw: string}} InlineNode
+ */
+
+/**
+ * 서식 종류 → 감싸는 문자 (단축키로 넣고 뺄 때 사용)
+ */
+export const INLINE_MARKS = {
+  bold: '**',
+  italic: '*',
+  code: '`',
+  strike: '~~',
+  highlight: '==',
+  math: '$',
+};
+
+// 쌍으로 감싸는 서식 (긴 것부터 검사)
+const PAIRED_MARKS = [
+  { marker: '**', type: 'bold' },
+  { marker: '~~', type: 'strike' },
+  { marker: '==', type: 'highlight' },
+];
+
+const ESCAPABLE = '\\`*_~=$[]()';
+const WIKI_LINK = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/y;
+const MARKDOWN_LINK_TEXT = /\[([^\]\n]+)\]\(/y;
+const SAFE_HREF = /^(https?:|mailto:)/i;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const isSpace = (ch) => ch === undefined || /\s/.test(ch);
+
+/**
+ * 닫는 쌍 문자 위치 (내용이 비었거나 공백으로 시작/끝나면 서식이 아님)
+ */
+function findClosing(text, marker, from) {
+  if (isSpace(text[from])) return -1;
+  let index = text.indexOf(marker, from);
+  while (index !== -1) {
+    if (index > from && !isSpace(text[index - 1]) && text[index - 1] !== '\\') {
+      // ***굵게 기울임*** 처럼 같은 문자가 더 이어지면 마지막 쌍에서 닫음
+      while (text[index + marker.length] === marker[0]) index++;
+      return index;
+    }
+    index = text.indexOf(marker, index + 1);
+  }
+  return -1;
+}
+
+/**
+ * 기울임 닫는 문자 (** 쌍은 건너뜀, _는 단어 중간에서 닫지 않음)
+ */
+function findItalicClosing(text, char, from) {
+  if (isSpace(text[from])) return -1;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] !== char) continue;
+    if (text[i + 1] === char) {
+      i++;
+      continue;
+    }
+    if (i > from && !isSpace(text[i - 1]) && !(char === '_' && WORD_CHAR.test(text[i + 1] || ''))) return i;
+  }
+  return -1;
+}
+
+/**
+ * 링크 주소를 닫는 ) 위치 (주소는 공백 없음, 안쪽 괄호는 짝이 맞아야 함, \( \)는 글자)
+ */
+function findLinkClosing(text, from) {
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    if (isSpace(ch)) return -1;
+    if (ch === '\\' && (text[i + 1] === '(' || text[i + 1] === ')')) {
+      i++;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      if (depth === 0) return i > from ? i : -1;
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 닫는 $ 위치 (공백 뒤가 아니고, 뒤에 숫자가 오지 않음)
+ */
+function findMathClosing(text, from) {
+  if (isSpace(text[from]) || text[from] === '$') return -1;
+  for (let i = from + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === '$') {
+      return !isSpace(text[i - 1]) && !/\d/.test(text[i + 1] || '') ? i : -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 인라인 마크다운 → 노드 목록
+ *
+ * @param {string} text
+ * @returns {InlineNode[]}
+ */
+export function parseInline(text) {
+  const source = text || '';
+  const nodes = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    // 백슬래시 이스케이프
+    if (ch === '\\' && ESCAPABLE.includes(source[i + 1] || '\n')) {
+      buffer += source[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // 코드 (안쪽은 서식 없음)
+    if (ch === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end > i + 1) {
+        push({ type: 'code', text: source.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // 수식
+    if (ch === '$') {
+      const end = findMathClosing(source, i + 1);
+      if (end !== -1) {
+        push({ type: 'math', latex: source.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // [[위키 링크]] / [링크](주소)
+    if (ch === '[') {
+      WIKI_LINK.lastIndex = i;
+      const wiki = WIKI_LINK.exec(source);
+      if (wiki) {
+        push({ type: 'wiki', target: wiki[1].trim(), alias: wiki[2]?.trim() || null, raw: wiki[0] });
+        i += wiki[0].length;
+        continue;
+      }
+      MARKDOWN_LINK_TEXT.lastIndex = i;
+      const link = MARKDOWN_LINK_TEXT.exec(source);
+      const hrefStart = link ? i + link[0].length : -1;
+      const end = link ? findLinkClosing(source, hrefStart) : -1;
+      if (end !== -1) {
+        const href = source.slice(hrefStart, end).replace(/\\([()])/g, '$1');
+        push({ type: 'link', href, children: parseInline(link[1]) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // **굵게** / ~~취소선~~ / ==형광펜==
+    const paired = PAIRED_MARKS.find(({ marker }) => source.startsWith(marker, i));
+    if (paired) {
+      const start = i + paired.marker.length;
+      const end = findClosing(source, paired.marker, start);
+      if (end !== -1) {
+        push({ type: paired.type, children: parseInline(source.slice(start, end)) });
+        i = end + paired.marker.length;
+        continue;
+      }
+      // 닫히지 않은 쌍 문자는 글자로 (뒤쪽 기울임과 섞이지 않게)
+      buffer += paired.marker;
+      i = start;
+      continue;
+    }
+
+    // *기울임* / _기울임_ (_는 단어 중간에서 시작하지 않음: snake_case)
+    if ((ch === '*' || ch === '_') && source[i + 1] !== ch
+      && !(ch === '_' && WORD_CHAR.test(source[i - 1] || ''))) {
+      const end = findItalicClosing(source, ch, i + 1);
+      if (end !== -1) {
+        push({ type: 'italic', children: parseInline(source.slice(i + 1, end)) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * 서식(위키 링크 포함)이 하나라도 있는지 (읽기 화면으로 렌더링할지 결정)
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasInlineFormatting(text) {
+  if (typeof text !== 'string' || !/[*_`~=$[\\]/.test(text)) return false;
+  return parseInline(text).some((node) => node.type !== 'text');
+}
+
+/**
+ * 링크로 열어도 안전한 주소인지 (http/https/mailto만)
+ *
+ * @param {string} href
+ * @returns {boolean}
+ */
+export function isSafeHref(href) {
+  return SAFE_HREF.test(href || '');
+}
+
+// marker 바로 앞까지 같은 문자가 몇 개 이어지는지 (* 하나는 기울임, ** 는 굵게)
+function countRun(text, index, char, direction) {
+  let count = 0;
+  for (let i = index; i >= 0 && i < text.length && text[i] === char; i += direction) count++;
+  return count;
+}
+
+/**
+ * 선택 영역에 서식 넣기/빼기 (편집 단축키)
+ * - 선택 영역 바로 바깥이나 양 끝에 같은 문자가 있으면 제거, 없으면 감쌈
+ * - 선택 영역이 없으면 빈 서식을 넣고 커서를 가운데에 둠
+ *
+ * @param {string} text
+ * @param {number} start - selectionStart
+ * @param {number} end - selectionEnd
+ * @param {keyof INLINE_MARKS} mark
+ * @returns {{text: string, start: number, end: number}} 바뀐 내용과 새 선택 영역
+ */
+export function toggleInlineMark(text, start, end, mark) {
+  const selected = text.slice(start, end);
+
+  const marker = INLINE_MARKS[mark];
+  const size = marker.length;
+  // 기울임 *는 굵게 **와 구별 (같은 문자가 1개 또는 3개 이어질 때만 기울임)
+  const matchesRun = (count) => (mark === 'italic' ? count === 1 || count === 3 : count >= size);
+
+  const wrappedOutside = text.slice(start - size, start) === marker && text.slice(end, end + size) === marker
+    && matchesRun(countRun(text, start - 1, marker[0], -1)) && matchesRun(countRun(text, end, marker[0], 1));
+  if (wrappedOutside) {
+    return {
+      text: text.slice(0, start - size) + selected + text.slice(end + size),
+      start: start - size,
+      end: end - size,
+    };
+  }
+
+  const wrappedInside = selected.length >= size * 2 && selected.startsWith(marker) && selected.endsWith(marker)
+    && matchesRun(countRun(selected, 0, marker[0], 1));
+  if (wrappedInside) {
+    const inner = selected.slice(size, -size);
+    return { text: text.slice(0, start) + inner + text.slice(end), start, end: start + inner.length };
+  }
+
+  return {
+    text: text.slice(0, start) + marker + selected + marker + text.slice(end),
+    start: start + size,
+    end: end + size,
+  };
+}
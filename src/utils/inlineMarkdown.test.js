@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { parseInline, hasInlineFormatting, isSafeHref, toggleInlineMark } from './inlineMarkdown';
+
+const text = (value) => ({ type: 'text', text: value });
+
+describe('parseInline', () => {
+  it('굵게/기울임/코드/취소선/형광펜 (중첩 포함)', () => {
+    expect(parseInline('**굵게 *기울임*** `a*b*` ~~취소~~ ==형광==')).toEqual([
+      { type: 'bold', children: [text('굵게 '), { type: 'italic', children: [text('기울임')] }] },
+      text(' '),
+      { type: 'code', text: 'a*b*' },
+      text(' '),
+      { type: 'strike', children: [text('취소')] },
+      text(' '),
+      { type: 'highlight', children: [text('형광')] },
+    ]);
+  });
+
+  it('단어 중간의 _, 공백으로 시작하는 쌍, 이스케이프는 글자', () => {
+    expect(parseInline('snake_case_name')).toEqual([text('snake_case_name')]);
+    expect(parseInline('a ** b ** c')).toEqual([text('a ** b ** c')]);
+    expect(parseInline('\\*literal\\*')).toEqual([text('*literal*')]);
+  });
+
+  it('수식은 Pandoc 규칙 ("$5 and $6"은 글자)', () => {
+    expect(parseInline('$x^2$ 와 $5 and $6')).toEqual([
+      { type: 'math', latex: 'x^2' },
+      text(' 와 $5 and $6'),
+    ]);
+  });
+
+  it('[[위키 링크]]와 별칭', () => {
+    expect(parseInline('[[Attention|논문]]')).toEqual([
+      { type: 'wiki', target: 'Attention', alias: '논문', raw: '[[Attention|논문]]' },
+    ]);
+  });
+
+  it('링크 주소 안의 짝이 맞는 괄호는 주소에 포함 (Wikipedia 주소)', () => {
+    expect(parseInline('see [Foo](https://en.wikipedia.org/wiki/Foo_(bar)) now')).toEqual([
+      text('see '),
+      { type: 'link', href: 'https://en.wikipedia.org/wiki/Foo_(bar)', children: [text('Foo')] },
+      text(' now'),
+    ]);
+  });
+
+  it('링크 주소의 \\( \\)는 글자 괄호, 짝이 안 맞거나 공백이 있으면 링크가 아님', () => {
+    expect(parseInline('[a](https://x.org/\\)y)')).toEqual([
+      { type: 'link', href: 'https://x.org/)y', children: [text('a')] },
+    ]);
+    expect(parseInline('[a](https://x.org/(y)')).toEqual([text('[a](https://x.org/(y)')]);
+    expect(parseInline('[a](https://x.org/ y)')).toEqual([text('[a](https://x.org/ y)')]);
+    // 링크 뒤의 괄호 설명은 링크에 포함되지 않음
+    expect(parseInline('([a](https://x.org))')).toEqual([
+      text('('),
+      { type: 'link', href: 'https://x.org', children: [text('a')] },
+      text(')'),
+    ]);
+  });
+});
+
+describe('hasInlineFormatting / isSafeHref', () => {
+  it('서식이 있는지', () => {
+    expect(hasInlineFormatting('plain text (with parens)')).toBe(false);
+    expect(hasInlineFormatting('a [[b]]')).toBe(true);
+  });
+
+  it('http/https/mailto만 안전한 주소', () => {
+    expect(isSafeHref('https://a.b')).toBe(true);
+    expect(isSafeHref('mailto:a@b.c')).toBe(true);
+    expect(isSafeHref('javascript:alert(1)')).toBe(false);
+  });
+});
+
+describe('toggleInlineMark', () => {
+  it('감싸고, 다시 하면 풀고, 선택이 없으면 커서를 가운데에', () => {
+    expect(toggleInlineMark('a word b', 2, 6, 'bold')).toEqual({ text: 'a **word** b', start: 4, end: 8 });
+    expect(toggleInlineMark('a **word** b', 4, 8, 'bold')).toEqual({ text: 'a word b', start: 2, end: 6 });
+    expect(toggleInlineMark('a **word** b', 2, 10, 'bold')).toEqual({ text: 'a word b', start: 2, end: 6 });
+    expect(toggleInlineMark('ab', 1, 1, 'code')).toEqual({ text: 'a``b', start: 2, end: 2 });
+  });
+
+  it('기울임은 굵게 안쪽에서 새로 감쌈', () => {
+    expect(toggleInlineMark('**word**', 2, 6, 'italic')).toEqual({ text: '***word***', start: 3, end: 7 });
+  });
+});
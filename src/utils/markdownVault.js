@@ -0,0 +1,484 @@
+/**
+ * 마크다운 볼트 내보내기/가져오기 (Obsidian 호환)
+ *
+ * 볼트 구조
+ * - <노드 제목>.md: 노드 하나당 파일 하나
+ *   · YAML front-matter: id, title, group, date, summary, tags, tagCategories, properties, links
+ *   · 본문: 블록 노트 (blocksToText) + 자동 생성된 링크 목록 ([[wikilink]])
+ * - attachments/: 이미지/첨부파일 블록의 원본 파일
+ *
+ * front-matter 필드
+ * - tags: Obsidian 태그 목록 ('카테고리/태그/하위태그', 공백은 '-')
+ * - tagCategories: 원래 태그 구조 { 카테고리: [태그] } (가져올 때 tags보다 우선)
+ * - links: 이 노드에서 나가는 링크 [{ target: 노드 ID, type, title, description }]
+ *
+ * 가져올 때 links가 없는 노트(일반 Obsidian 노트)는 본문의 [[wikilink]]를
+ * 'mention' 링크로 변환 (블록 에디터의 위키 링크와 같은 종류)
+ *
+ * @module utils/markdownVault
+ */
+
+import { blocksToText, migrateTextToBlocks } from './blockMigration';
+import { generateAttachmentId, isAttachmentId } from './blockUtils';
+import { saveImageAttachment } from './imageAttachments';
+import { stringifyFrontMatter, parseFrontMatter } from './frontMatter';
+import { createZip, readZip } from './zip';
+import { toSafeFileName } from './download';
+import { normalizeTitle } from './bibliography';
+import { isValidNodeDate, normalizeNodeDate } from './dateHelpers';
+import { genId, toId } from './helpers';
+import { MENTION_LINK_TYPE } from './wikiLinks';
+import { BLOCK_TYPES } from '../types/blocks';
+
+export const VAULT_ATTACHMENTS_DIR = 'attachments';
+
+// 본문 끝의 자동 생성 링크 목록 시작 표시 (Obsidian에서는 보이지 않는 HTML 주석)
+const LINKS_MARKER = '<!-- graph-links -->';
+
+const WIKILINK = /(!?)\[\[([^\]|#^]+)(?:[#^][^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg|bmp|avif)$/i;
+
+const MIME_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  svg: 'image/svg+xml', bmp: 'image/bmp', avif: 'image/avif', pdf: 'application/pdf',
+  txt: 'text/plain', md: 'text/markdown', json: 'application/json', zip: 'application/zip',
+};
+
+const guessMimeType = (fileName) =>
+  MIME_TYPES[(fileName.split('.').pop() || '').toLowerCase()] || 'application/octet-stream';
+
+// Obsidian 링크에 쓸 수 없는 문자([]#^|)까지 제거한 파일 이름
+const toVaultName = (name, fallback) => toSafeFileName((name || '').replace(/[[\]#^|]/g, ''), fallback);
+
+const baseName = (path) => path.split('/').pop();
+// 마크다운 링크 경로 (공백/괄호도 인코딩)
+const encodePath = (path) => encodeURI(path).replace(/\(/g, '%28').replace(/\)/g, '%29');
+const stripExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+/**
+ * 대소문자 구분 없이 겹치지 않는 이름 생성기
+ * 'name', 'name (2)', 'name (3)' ...
+ */
+function createNameRegistry() {
+  const used = new Set();
+  return (name, extension = '') => {
+    let candidate = `${name}${extension}`;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${name} (${n})${extension}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+}
+
+// ============================================
+// 내보내기
+// ============================================
+
+// 'Category' + 'a > b c' → 'Category/a/b-c'
+const toObsidianTag = (category, tag) =>
+  [category, ...tag.split(/\s*>\s*/)].map((part) => part.trim().replace(/\s+/g, '-')).join('/');
+
+/**
+ * 그래프 전체를 마크다운 볼트 ZIP으로 내보내기
+ *
+ * @param {import('../types').GraphData} graph
+ * @param {import('../types').StorageAdapter} storage - 블록 노트/첨부파일 로드
+ * @returns {Promise<{blob: Blob, noteCount: number, attachmentCount: number}>}
+ */
+export async function exportVault(graph, storage) {
+  const uniqueNote = createNameRegistry();
+  const uniqueAttachment = createNameRegistry();
+
+  const fileNames = new Map(
+    graph.nodes.map((node) => [node.id, stripExtension(uniqueNote(toVaultName(node.title, node.id), '.md'))])
+  );
+
+  const wikilink = (nodeId) => {
+    const name = fileNames.get(nodeId);
+    const title = graph.nodes.find((n) => n.id === nodeId)?.title;
+    return title && title !== name ? `[[${name}|${title}]]` : `[[${name}]]`;
+  };
+
+  const files = [];
+  let attachmentCount = 0;
+
+  for (const node of graph.nodes) {
+    const noteName = fileNames.get(node.id);
+
+    const content = await storage.loadBlockContent?.(node.id);
+
+    // 이미지/첨부파일 블록을 attachments/ 파일로 저장하고 경로를 본문 링크로 사용
+    const assetPaths = new Map();
+    for (const block of content?.blocks || []) {
+      if (block.type !== BLOCK_TYPES.IMAGE && block.type !== BLOCK_TYPES.FILE) continue;
+      let blob = null;
+      try {
+        if (block.type === BLOCK_TYPES.IMAGE && /^(data|blob):/.test(block.content || '')) {
+          blob = await (await fetch(block.content)).blob();
+        } else if (isAttachmentId(block.content)) {
+          blob = await storage.loadAttachment?.(block.content);
+        }
+      } catch (error) {
+        console.error('첨부파일 읽기 실패:', block.metadata?.fileName, error);
+      }
+
+      if (blob) {
+        const fileName = uniqueAttachment(toVaultName(`${noteName} - ${block.metadata?.fileName || block.type}`, block.id));
+        const path = `${VAULT_ATTACHMENTS_DIR}/${fileName}`;
+        files.push({ path, data: blob });
+        assetPaths.set(block.id, encodePath(path));
+        attachmentCount++;
+      } else if (block.type === BLOCK_TYPES.IMAGE && /^https?:/.test(block.content || '')) {
+        assetPaths.set(block.id, block.content);
+      }
+    }
+
+    // 아직 블록으로 마이그레이션되지 않은 텍스트 노트는 원문 그대로
+    const body = content
+      ? blocksToText(content, { resolveAsset: (block) => assetPaths.get(block.id) || null })
+      : (await storage.loadNoteDetail?.(node.id)) || '';
+
+    const outgoing = graph.links.filter((link) => toId(link.source) === node.id);
+    const tagCategories = node.tags || {};
+
+    const frontMatter = {
+      id: node.id,
+      title: node.title,
+      group: node.group,
+      date: node.date,
+      summary: node.summary,
+      tags: Object.keys(tagCategories).flatMap((category) =>
+        tagCategories[category].map((tag) => toObsidianTag(category, tag))
+      ),
+      tagCategories,
+      properties: node.properties,
+      links: outgoing.map((link) => ({
+        target: toId(link.target),
+        type: link.type,
+        title: link.title,
+        description: link.description,
+      })),
+    };
+
+    const linkSection = outgoing.length > 0
+      ? `\n\n${LINKS_MARKER}\n## Links\n\n${outgoing
+        .map((link) => `- ${link.type}: ${wikilink(toId(link.target))}`)
+        .join('\n')}`
+      : '';
+
+    files.push({
+      path: `${noteName}.md`,
+      data: `${stringifyFrontMatter(frontMatter, body.trim())}${linkSection}\n`,
+    });
+  }
+
+  return { blob: await createZip(files), noteCount: graph.nodes.length, attachmentCount };
+}
+
+// ============================================
+// 가져오기
+// ============================================
+
+/**
+ * @typedef {Object} VaultFile
+ * @property {string} path - 볼트 기준 경로 ('/' 구분)
+ * @property {Uint8Array|Blob} data - 파일 내용
+ */
+
+/**
+ * 선택한 파일을 볼트 파일 목록으로 변환
+ * - .zip 파일은 압축을 풀어 사용
+ * - 폴더 선택(webkitdirectory)은 webkitRelativePath 사용
+ * - .obsidian 설정 폴더와 숨김 파일은 제외
+ *
+ * @param {FileList|File[]} fileList
+ * @returns {Promise<VaultFile[]>}
+ */
+export async function readVaultFiles(fileList) {
+  const files = [];
+  for (const file of Array.from(fileList)) {
+    if (/\.zip$/i.test(file.name)) {
+      files.push(...await readZip(file));
+    } else {
+      files.push({ path: file.webkitRelativePath || file.name, data: file });
+    }
+  }
+  return files.filter((file) => !file.path.split('/').some((part) => part.startsWith('.')));
+}
+
+async function readText(data) {
+  return data instanceof Blob ? data.text() : new TextDecoder('utf-8').decode(data);
+}
+
+// 'a/b/../c d.png' 정규화 (URL 인코딩 해제)
+function resolvePath(dir, href) {
+  let decoded = href.replace(/^<|>$/g, '');
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // 잘못된 인코딩은 그대로 사용
+  }
+  const parts = [];
+  [...(decoded.startsWith('/') ? [] : dir.split('/')), ...decoded.split('/')].forEach((part) => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+// tagCategories 우선, 없으면 Obsidian tags 목록 ('카테고리/태그/하위' 또는 '태그')
+function parseTags(data) {
+  const categories = data.tagCategories;
+  if (categories && typeof categories === 'object' && !Array.isArray(categories)) {
+    const tags = {};
+    Object.keys(categories).forEach((category) => {
+      const list = Array.isArray(categories[category]) ? categories[category] : [categories[category]];
+      const values = list.filter((tag) => tag != null && tag !== '').map(String);
+      if (values.length > 0) tags[category] = [...new Set(values)];
+    });
+    return tags;
+  }
+
+  const list = Array.isArray(data.tags)
+    ? data.tags
+    : typeof data.tags === 'string' ? data.tags.split(/[,\s]+/) : [];
+  const tags = {};
+  list.filter(Boolean).map((tag) => String(tag).replace(/^#/, '')).forEach((tag) => {
+    const parts = tag.split('/').filter(Boolean);
+    const [category, ...rest] = parts.length > 1 ? parts : ['Tags', ...parts];
+    if (rest.length === 0) return;
+    tags[category] = [...new Set([...(tags[category] || []), rest.join(' > ')])];
+  });
+  return tags;
+}
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @typedef {Object} VaultImportItem
+ * @property {string} path - 마크다운 파일 경로
+ * @property {string} title - 노드 제목
+ * @property {'new'|'duplicate'} status - 새 노드 / 기존 노드와 중복 (노트 내용은 덮어쓰지 않음)
+ * @property {string} nodeId - 생성될 노드 ID 또는 중복된 기존 노드 ID
+ * @property {'id'|'title'|null} matchedBy - 중복 판정 기준
+ */
+
+/**
+ * @typedef {Object} VaultImportPlan
+ * @property {VaultImportItem[]} items
+ * @property {import('../types').Node[]} nodes - 추가할 노드
+ * @property {Array<{source: string, target: string, type: string, title?: string, description?: string}>} links - 추가할 링크
+ * @property {Array<{nodeId: string, path: string, body: string}>} notes - 새 노드에 저장할 본문
+ * @property {string[]} errors - 파일별 오류 메시지
+ */
+
+/**
+ * 볼트 가져오기 계획 생성 (그래프는 변경하지 않음)
+ *
+ * 중복 판정: 같은 ID + 같은 제목 → 'id', 같은 제목 → 'title'
+ * ID만 같고 제목이 다르면 새 ID로 가져옴
+ *
+ * @param {VaultFile[]} files - readVaultFiles 결과
+ * @param {import('../types').GraphData} graph - 현재 그래프
+ * @returns {Promise<VaultImportPlan>}
+ */
+export async function planVaultImport(files, graph) {
+  const errors = [];
+  const existingById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const existingByTitle = new Map(graph.nodes.map((node) => [normalizeTitle(node.title), node.id]));
+  const usedIds = new Set(graph.nodes.map((node) => node.id));
+
+  const notes = [];
+  for (const file of files.filter((f) => /\.md$/i.test(f.path))) {
+    const text = await readText(file.data);
+    const { data, body, error } = parseFrontMatter(text);
+    if (error) errors.push(`${file.path}: front-matter 무시됨 (${error})`);
+    const markerIndex = body.indexOf(LINKS_MARKER);
+    notes.push({
+      file,
+      data,
+      body: (markerIndex >= 0 ? body.slice(0, markerIndex) : body).trim(),
+      linkSection: markerIndex >= 0 ? body.slice(markerIndex) : '',
+      name: stripExtension(baseName(file.path)),
+    });
+  }
+
+  const items = [];
+  const nodes = [];
+  const idMap = new Map(); // 볼트 ID → 그래프 노드 ID
+  const nameMap = new Map(); // 파일 이름/제목(소문자) → 그래프 노드 ID
+
+  notes.forEach((note) => {
+    const { data } = note;
+    const vaultId = data.id != null ? String(data.id) : null;
+    const title = data.title != null && String(data.title).trim() ? String(data.title).trim() : note.name;
+    const normalized = normalizeTitle(title);
+
+    const sameNode = vaultId && existingById.get(vaultId);
+    let status = 'new';
+    let matchedBy = null;
+    let nodeId;
+
+    if (sameNode && normalizeTitle(sameNode.title) === normalized) {
+      status = 'duplicate';
+      matchedBy = 'id';
+      nodeId = vaultId;
+    } else if (normalized && existingByTitle.has(normalized)) {
+      status = 'duplicate';
+      matchedBy = 'title';
+      nodeId = existingByTitle.get(normalized);
+    } else {
+      nodeId = vaultId && !usedIds.has(vaultId) ? vaultId : genId();
+      while (usedIds.has(nodeId)) nodeId = genId();
+      usedIds.add(nodeId);
+
+      const node = {
+        id: nodeId,
+        group: [1, 2, 3].includes(data.group) ? data.group : 2,
+        title,
+        summary: data.summary != null ? String(data.summary) : '',
+        tags: parseTags(data),
+      };
+      const date = data.date != null ? String(data.date).trim() : '';
+      if (date && isValidNodeDate(date)) node.date = normalizeNodeDate(date);
+      if (isPlainObject(data.properties)) node.properties = data.properties;
+
+      nodes.push(node);
+      existingByTitle.set(normalized, nodeId);
+    }
+
+    note.nodeId = nodeId;
+    if (vaultId && !idMap.has(vaultId)) idMap.set(vaultId, nodeId);
+    [note.name, title].forEach((name) => {
+      if (!nameMap.has(name.toLowerCase())) nameMap.set(name.toLowerCase(), nodeId);
+    });
+    items.push({ path: note.file.path, title, status, nodeId, matchedBy });
+  });
+
+  // 링크 (중복/자기 자신/기존 링크 제외)
+  const existingLinks = new Set(graph.links.map((l) => `${toId(l.source)}->${toId(l.target)}`));
+  const links = [];
+  const addLink = (source, target, type, extra = {}) => {
+    if (!source || !target || source === target) return;
+    const key = `${source}->${target}`;
+    if (existingLinks.has(key)) return;
+    existingLinks.add(key);
+    links.push({ source, target, type, ...extra });
+  };
+
+  const resolveWikilink = (target) => nameMap.get(baseName(target.trim()).replace(/\.md$/i, '').toLowerCase());
+
+  const resolveTarget = (target) => {
+    const value = String(target ?? '').trim();
+    const wiki = value.match(/^\[\[([^\]|#^]+)/);
+    if (wiki) return resolveWikilink(wiki[1]);
+    return idMap.get(value) || (existingById.has(value) ? value : resolveWikilink(value));
+  };
+
+  notes.forEach((note) => {
+    if (Array.isArray(note.data.links)) {
+      note.data.links.forEach((link) => {
+        const target = resolveTarget(isPlainObject(link) ? link.target : link);
+        if (!target) return;
+        addLink(note.nodeId, target, (isPlainObject(link) && link.type) || 'based-on', {
+          title: isPlainObject(link) && link.title ? String(link.title) : '',
+          description: isPlainObject(link) && link.description ? String(link.description) : '',
+        });
+      });
+      return;
+    }
+
+    // front-matter 링크가 없는 일반 노트: 본문 [[wikilink]] (이미지 임베드 ![[...]] 제외)
+    for (const match of `${note.body}\n${note.linkSection}`.matchAll(WIKILINK)) {
+      if (match[1]) continue;
+      addLink(note.nodeId, resolveWikilink(match[2]), MENTION_LINK_TYPE);
+    }
+  });
+
+  const newIds = new Set(nodes.map((node) => node.id));
+  return {
+    items,
+    nodes,
+    links,
+    notes: notes
+      .filter((note) => newIds.has(note.nodeId) && note.body)
+      .map((note) => ({ nodeId: note.nodeId, path: note.file.path, body: note.body })),
+    errors,
+  };
+}
+
+// Obsidian 임베드 ![[파일]] → 마크다운 이미지/파일 링크 줄
+function convertEmbeds(body) {
+  return body.replace(/^(\s*)!\[\[([^\]|#^]+)(?:\|[^\]]*)?\]\]\s*$/gm, (line, indent, target) => {
+    const name = baseName(target.trim());
+    const href = encodePath(target.trim());
+    return IMAGE_EXTENSIONS.test(name) ? `${indent}![${name}](${href})` : `${indent}[📎 ${name}](${href})`;
+  });
+}
+
+/**
+ * 가져온 새 노드의 본문을 블록 노트로 저장
+ * - 이미지/파일: 첨부파일 저장소에 저장하고 블록에는 파일 ID (이미지는 썸네일 포함)
+ * - 볼트에서 찾을 수 없는 경로는 링크 그대로 유지
+ *
+ * @param {VaultImportPlan} plan
+ * @param {VaultFile[]} files - readVaultFiles 결과
+ * @param {import('../types').StorageAdapter} storage
+ * @returns {Promise<{saved: number, failed: string[]}>}
+ */
+export async function saveVaultNotes(plan, files, storage) {
+  const byPath = new Map(files.map((file) => [file.path, file]));
+  const byName = new Map();
+  files.forEach((file) => {
+    const name = baseName(file.path).toLowerCase();
+    if (!byName.has(name)) byName.set(name, file);
+  });
+
+  const findFile = (noteDir, href) => {
+    if (!href || /^[a-z]+:/i.test(href)) return null;
+    const path = resolvePath(noteDir, href);
+    return byPath.get(path) || byName.get(baseName(path).toLowerCase()) || null;
+  };
+
+  const failed = [];
+  let saved = 0;
+
+  for (const note of plan.notes) {
+    try {
+      const noteDir = note.path.split('/').slice(0, -1).join('/');
+      const content = migrateTextToBlocks(convertEmbeds(note.body));
+
+      for (const block of content.blocks) {
+        if (block.type !== BLOCK_TYPES.IMAGE && block.type !== BLOCK_TYPES.FILE) continue;
+        const href = block.type === BLOCK_TYPES.IMAGE ? block.content : block.metadata?.blobUrl;
+        const file = findFile(noteDir, href);
+        if (!file) continue;
+
+        const fileName = block.metadata?.fileName || baseName(file.path);
+        const mimeType = guessMimeType(baseName(file.path));
+        const blob = file.data instanceof Blob ? file.data : new Blob([file.data], { type: mimeType });
+        const metadata = { ...block.metadata };
+        delete metadata.blobUrl;
+
+        if (block.type === BLOCK_TYPES.IMAGE) {
+          const image = await saveImageAttachment(storage, note.nodeId, new Blob([blob], { type: mimeType }), fileName);
+          block.content = image.fileId;
+          block.metadata = { ...metadata, ...image.metadata };
+        } else {
+          const fileId = generateAttachmentId();
+          await storage.saveAttachment(note.nodeId, fileId, blob, fileName, mimeType);
+          block.content = fileId;
+          block.metadata = { ...metadata, fileName, fileSize: blob.size, mimeType, uploadedAt: Date.now() };
+        }
+      }
+
+      await storage.saveBlockContent(note.nodeId, content);
+      saved++;
+    } catch (error) {
+      console.error('볼트 노트 저장 실패:', note.path, error);
+      failed.push(note.path);
+    }
+  }
+
+  return { saved, failed };
+}
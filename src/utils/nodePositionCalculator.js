@@ -117,3 +117,41 @@ export function getParentPosition(parentId, savedNodePositions, graphNodes) {
   // 기본값 (원점)
   return { x: 0, y: 0 };
 }
+
+/**
+ * 여러 새 노드의 위치를 한 번에 계산 (예: 서지 가져오기)
+ * 
+ * 앞에서 배치한 새 노드도 부모/충돌 검사에 포함하고, 부모 주변이 차면 거리를 넓혀 다시 시도
+ * 
+ * @param {Array<{id: string, parentId: string|null}>} requests - 배치할 노드와 부모 노드 ID (배치 순서대로)
+ * @param {import('../types').NodePositions} existingPositions - 기존 노드 위치 맵
+ * @param {Array} graphNodes - 그래프 노드 배열
+ * @param {number} [maxRings] - 거리를 넓혀 시도할 최대 횟수
+ * @returns {import('../types').NodePositions} 새 노드 ID → 위치
+ */
+export function findPositionsForNewNodes(requests, existingPositions, graphNodes, maxRings = 8) {
+  const occupied = { ...existingPositions };
+  const placed = {};
+  
+  requests.forEach(({ id, parentId }) => {
+    const parent = parentId ? getParentPosition(parentId, occupied, graphNodes) : { x: 0, y: 0 };
+    let position = null;
+    
+    for (let ring = 0; ring < maxRings; ring++) {
+      const offset = ring * NODE_PLACEMENT.MIN_NODE_GAP;
+      position = findValidPositionForNewNode({
+        parentX: parent.x,
+        parentY: parent.y,
+        existingPositions: occupied,
+        minDistance: NODE_PLACEMENT.MIN_DISTANCE + offset,
+        maxDistance: NODE_PLACEMENT.MAX_DISTANCE + offset,
+      });
+      if (position.found) break;
+    }
+    
+    placed[id] = { x: position.x, y: position.y };
+    occupied[id] = placed[id];
+  });
+  
+  return placed;
+}
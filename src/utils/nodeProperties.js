@@ -0,0 +1,422 @@
+/**
+ * 노드 속성 (타입이 있는 "논문 속성") + 속성 스키마 레지스트리
+ *
+ * - 값은 node.properties[속성 ID]에 저장 (서지 가져오기가 쓰는 authors/year/venue/doi/url과 같은 자리)
+ * - 스키마(속성 정의 목록)는 그래프와 함께 저장 (graphStore.propertySchema → 저장소/백업)
+ * - 기본 속성은 삭제할 수 없고, 사용자 속성은 추가/이름 변경/삭제 가능
+ * - 입력값은 validatePropertyValue로 타입별 검사 후 저장 (빈 값은 속성 제거)
+ * - 스키마에 없는 값(citationKey, entryType 등 서지 메타데이터)은 그대로 보존
+ *
+ * @module utils/nodeProperties
+ */
+
+import { PROPERTY_COLORS } from '../constants/nodeLayout';
+import { isValidNodeDate, normalizeNodeDate, parseNodeDate } from './dateHelpers';
+import { normalizeDoi } from './bibliography';
+
+/**
+ * 속성 타입
+ */
+export const PROPERTY_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  URL: 'url',
+  DOI: 'doi',
+  LIST: 'list',
+  SELECT: 'select',
+  RATING: 'rating',
+  CHECKBOX: 'checkbox',
+};
+
+/**
+ * 타입 표시 이름 (속성 추가 메뉴 순서)
+ */
+export const PROPERTY_TYPE_LABELS = {
+  [PROPERTY_TYPES.TEXT]: '텍스트',
+  [PROPERTY_TYPES.NUMBER]: '숫자',
+  [PROPERTY_TYPES.DATE]: '날짜',
+  [PROPERTY_TYPES.URL]: 'URL',
+  [PROPERTY_TYPES.DOI]: 'DOI',
+  [PROPERTY_TYPES.LIST]: '목록',
+  [PROPERTY_TYPES.SELECT]: '선택',
+  [PROPERTY_TYPES.RATING]: '별점',
+  [PROPERTY_TYPES.CHECKBOX]: '체크박스',
+};
+
+/**
+ * @typedef {Object} PropertyOption
+ * @property {string} value - 저장되는 값
+ * @property {string} label - 표시 이름
+ * @property {string} color - 색상 (노드 색칠, 배지)
+ */
+
+/**
+ * @typedef {Object} PropertyDefinition
+ * @property {string} id - node.properties의 키
+ * @property {string} name - 표시 이름
+ * @property {'text'|'number'|'date'|'url'|'doi'|'list'|'select'|'rating'|'checkbox'} type
+ * @property {boolean} [builtIn] - 기본 속성 (삭제 불가)
+ * @property {boolean} [integer] - number: 정수만
+ * @property {number} [min] - number: 최솟값
+ * @property {number} [max] - number: 최댓값 / rating: 최대 별 개수
+ * @property {PropertyOption[]} [options] - select: 선택지
+ */
+
+/**
+ * 기본 속성 (논문 정보 + 읽기 기록)
+ * @type {PropertyDefinition[]}
+ */
+export const DEFAULT_PROPERTY_SCHEMA = [
+  { id: 'authors', name: '저자', type: PROPERTY_TYPES.LIST, builtIn: true },
+  { id: 'year', name: '연도', type: PROPERTY_TYPES.NUMBER, integer: true, min: 1000, max: 9999, builtIn: true },
+  { id: 'venue', name: '학회/저널', type: PROPERTY_TYPES.TEXT, builtIn: true },
+  { id: 'doi', name: 'DOI', type: PROPERTY_TYPES.DOI, builtIn: true },
+  { id: 'url', name: 'URL', type: PROPERTY_TYPES.URL, builtIn: true },
+  { id: 'rating', name: '평점', type: PROPERTY_TYPES.RATING, max: 5, builtIn: true },
+  {
+    id: 'readingStatus',
+    name: '읽기 상태',
+    type: PROPERTY_TYPES.SELECT,
+    builtIn: true,
+    options: [
+      { value: 'to-read', label: '읽을 예정', color: '#60a5fa' },
+      { value: 'reading', label: '읽는 중', color: '#fbbf24' },
+      { value: 'read', label: '다 읽음', color: '#34d399' },
+      { value: 'skimmed', label: '훑어봄', color: '#a78bfa' },
+    ],
+  },
+  { id: 'dateRead', name: '읽은 날', type: PROPERTY_TYPES.DATE, builtIn: true },
+];
+
+// 노드 속성으로 쓸 수 없는 키 (서지 가져오기가 쓰는 메타데이터)
+const RESERVED_IDS = new Set(['citationKey', 'entryType']);
+
+const DEFAULT_RATING_MAX = 5;
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+const isEmptyValue = (value) =>
+  value == null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+
+// ============================================
+// 스키마
+// ============================================
+
+/**
+ * 저장된 스키마 정리 (빠진 기본 속성 추가, 잘못된 정의 제거)
+ * 기본 속성은 이름/선택지만 저장값을 따르고 타입은 항상 기본값
+ *
+ * @param {PropertyDefinition[]} [schema]
+ * @returns {PropertyDefinition[]}
+ */
+export function normalizePropertySchema(schema) {
+  const stored = Array.isArray(schema) ? schema : [];
+  const storedById = new Map(
+    stored.filter((def) => def && typeof def.id === 'string').map((def) => [def.id, def])
+  );
+
+  const builtIns = DEFAULT_PROPERTY_SCHEMA.map((def) => {
+    const saved = storedById.get(def.id);
+    if (!saved) return def;
+    return {
+      ...def,
+      name: typeof saved.name === 'string' && saved.name.trim() ? saved.name : def.name,
+      ...(def.type === PROPERTY_TYPES.SELECT && Array.isArray(saved.options) ? { options: saved.options } : {}),
+    };
+  });
+
+  const builtInIds = new Set(DEFAULT_PROPERTY_SCHEMA.map((def) => def.id));
+  const custom = stored.filter((def) =>
+    def
+    && typeof def.id === 'string'
+    && !builtInIds.has(def.id)
+    && !RESERVED_IDS.has(def.id)
+    && Object.values(PROPERTY_TYPES).includes(def.type)
+    && typeof def.name === 'string'
+  ).map((def) => ({ ...def, builtIn: false }));
+
+  // 기본 속성 먼저, 사용자 속성은 추가한 순서대로
+  return [...builtIns, ...custom];
+}
+
+/**
+ * 속성 이름 → 새 속성 ID (영문/숫자는 camelCase, 그 밖의 이름은 prop1, prop2...)
+ *
+ * @param {string} name
+ * @param {PropertyDefinition[]} schema - 현재 스키마 (ID 충돌 검사)
+ * @returns {string}
+ */
+export function createPropertyId(name, schema) {
+  const used = new Set([...schema.map((def) => def.id), ...RESERVED_IDS]);
+  const words = name.trim().toLowerCase().match(/[a-z0-9]+/g) || [];
+  const base = words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+  const start = /^[a-z]/.test(base) ? base : 'prop';
+
+  let id = start === 'prop' ? 'prop1' : start;
+  for (let i = 2; used.has(id); i++) id = `${start}${i}`;
+  return id;
+}
+
+/**
+ * 선택지 문자열 목록 → 선택지 (색상은 팔레트를 돌아가며)
+ *
+ * @param {string[]} labels
+ * @param {PropertyOption[]} [existing] - 기존 선택지 (같은 이름은 값/색상 유지)
+ * @returns {PropertyOption[]}
+ */
+export function createPropertyOptions(labels, existing = []) {
+  const unique = [...new Set(labels.map((label) => label.trim()).filter(Boolean))];
+  return unique.map((label, i) => {
+    const previous = existing.find((option) => option.label === label);
+    return previous || {
+      value: label,
+      label,
+      color: PROPERTY_COLORS.OPTIONS[i % PROPERTY_COLORS.OPTIONS.length],
+    };
+  });
+}
+
+// ============================================
+// 값 검사 / 표시
+// ============================================
+
+/**
+ * 입력값 검사 + 저장 형식으로 변환
+ * - text/url/doi/date/number: 문자열 입력 (앞뒤 공백 무시)
+ * - list: 문자열 배열 (빈 항목/중복 제거)
+ * - select: 선택지의 value / rating: 0~max 정수 / checkbox: boolean
+ *
+ * @param {PropertyDefinition} definition
+ * @param {any} input
+ * @returns {{value: any, error: string|null}} value가 undefined면 속성 삭제
+ */
+export function validatePropertyValue(definition, input) {
+  const ok = (value) => ({ value: isEmptyValue(value) ? undefined : value, error: null });
+  const fail = (error) => ({ value: undefined, error });
+  const text = typeof input === 'string' ? input.trim() : input;
+
+  if (text == null || text === '') return ok(undefined);
+
+  switch (definition.type) {
+    case PROPERTY_TYPES.NUMBER: {
+      const number = typeof text === 'number' ? text : Number(String(text).replace(/,/g, ''));
+      if (!Number.isFinite(number)) return fail('숫자를 입력하세요');
+      if (definition.integer && !Number.isInteger(number)) return fail('정수를 입력하세요');
+      if (definition.min != null && number < definition.min) return fail(`${definition.min} 이상이어야 합니다`);
+      if (definition.max != null && number > definition.max) return fail(`${definition.max} 이하여야 합니다`);
+      return ok(number);
+    }
+
+    case PROPERTY_TYPES.DATE:
+      return isValidNodeDate(String(text))
+        ? ok(normalizeNodeDate(String(text)))
+        : fail('YYYY, YYYY-MM 또는 YYYY-MM-DD 형식이어야 합니다');
+
+    case PROPERTY_TYPES.URL: {
+      try {
+        const url = new URL(String(text));
+        return /^https?:$/.test(url.protocol) ? ok(String(text)) : fail('http(s) 주소만 쓸 수 있습니다');
+      } catch {
+        return fail('올바른 URL이 아닙니다 (https://...)');
+      }
+    }
+
+    case PROPERTY_TYPES.DOI: {
+      const doi = normalizeDoi(String(text));
+      return DOI_PATTERN.test(doi) ? ok(doi) : fail('DOI 형식이 아닙니다 (예: 10.1000/xyz123)');
+    }
+
+    case PROPERTY_TYPES.LIST: {
+      const items = (Array.isArray(text) ? text : [text])
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+      return ok([...new Set(items)]);
+    }
+
+    case PROPERTY_TYPES.SELECT:
+      return (definition.options || []).some((option) => option.value === text)
+        ? ok(text)
+        : fail('선택지에 없는 값입니다');
+
+    case PROPERTY_TYPES.RATING: {
+      const max = definition.max || DEFAULT_RATING_MAX;
+      const rating = Number(text);
+      return Number.isInteger(rating) && rating >= 0 && rating <= max
+        ? ok(rating || undefined)
+        : fail(`0~${max} 사이의 정수여야 합니다`);
+    }
+
+    case PROPERTY_TYPES.CHECKBOX:
+      return ok(text === true || text === 'true');
+
+    default:
+      return ok(String(text));
+  }
+}
+
+/**
+ * 노드의 속성값 (저장된 값의 타입이 정의와 다르면 가능한 만큼 변환, 안 되면 undefined)
+ * 예: 서지 가져오기가 문자열로 저장한 year → 숫자
+ *
+ * @param {import('../types').Node} node
+ * @param {PropertyDefinition} definition
+ * @returns {any}
+ */
+export function getPropertyValue(node, definition) {
+  const raw = node.properties?.[definition.id];
+  if (isEmptyValue(raw)) return undefined;
+  if (definition.type === PROPERTY_TYPES.LIST && !Array.isArray(raw)) return [String(raw)];
+  if (definition.type === PROPERTY_TYPES.CHECKBOX) return raw === true || raw === 'true';
+  if (typeof raw === 'string' && [PROPERTY_TYPES.NUMBER, PROPERTY_TYPES.RATING].includes(definition.type)) {
+    return validatePropertyValue(definition, raw).value;
+  }
+  return raw;
+}
+
+/**
+ * node.properties에 값 설정 (빈 값은 키 삭제, 다른 속성은 그대로)
+ *
+ * @param {Object} [properties] - node.properties
+ * @param {string} id - 속성 ID
+ * @param {any} value - validatePropertyValue의 value
+ * @returns {Object} 새 properties 객체
+ */
+export function setPropertyValue(properties, id, value) {
+  const next = { ...(properties || {}) };
+  if (isEmptyValue(value)) delete next[id];
+  else next[id] = value;
+  return next;
+}
+
+/**
+ * 선택지 찾기 (select 속성)
+ * @param {PropertyDefinition} definition
+ * @param {string} value
+ * @returns {PropertyOption|null}
+ */
+export function findPropertyOption(definition, value) {
+  return (definition.options || []).find((option) => option.value === value) || null;
+}
+
+/**
+ * 속성값 → 표시 문자열 (목록은 쉼표로, 선택은 선택지 이름, 별점은 ★)
+ *
+ * @param {PropertyDefinition} definition
+ * @param {any} value - getPropertyValue 결과
+ * @returns {string} 값이 없으면 ''
+ */
+export function formatPropertyValue(definition, value) {
+  if (isEmptyValue(value)) return '';
+
+  switch (definition.type) {
+    case PROPERTY_TYPES.LIST:
+      return value.join(', ');
+    case PROPERTY_TYPES.SELECT:
+      return findPropertyOption(definition, value)?.label || String(value);
+    case PROPERTY_TYPES.RATING: {
+      const max = definition.max || DEFAULT_RATING_MAX;
+      return '★'.repeat(Math.min(value, max)) + '☆'.repeat(Math.max(max - value, 0));
+    }
+    case PROPERTY_TYPES.CHECKBOX:
+      return '✓';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * 속성값 비교 (정렬용, 빈 값은 항상 뒤로)
+ * - number/rating: 숫자, date: 시간순, select: 선택지 순서, checkbox: 체크된 것 먼저
+ * - 그 밖에는 자연 정렬 (목록은 첫 항목 기준)
+ *
+ * @param {PropertyDefinition} definition
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+export function comparePropertyValues(definition, a, b) {
+  const emptyA = isEmptyValue(a);
+  const emptyB = isEmptyValue(b);
+  if (emptyA || emptyB) return Number(emptyA) - Number(emptyB);
+
+  switch (definition.type) {
+    case PROPERTY_TYPES.NUMBER:
+    case PROPERTY_TYPES.RATING:
+      return a - b;
+    case PROPERTY_TYPES.DATE:
+      return (parseNodeDate(a) || 0) - (parseNodeDate(b) || 0);
+    case PROPERTY_TYPES.SELECT: {
+      const options = definition.options || [];
+      return options.findIndex((o) => o.value === a) - options.findIndex((o) => o.value === b);
+    }
+    case PROPERTY_TYPES.CHECKBOX:
+      return 0;
+    default:
+      return formatPropertyValue(definition, a).localeCompare(formatPropertyValue(definition, b), undefined, {
+        numeric: true,
+        sensitivity: 'base',
+      });
+  }
+}
+
+// ============================================
+// 색칠 (그래프 노드 색상)
+// ============================================
+
+/**
+ * 노드 색칠 기준으로 쓸 수 있는 속성인지 (값 종류가 정해진 타입)
+ * @param {PropertyDefinition} definition
+ * @returns {boolean}
+ */
+export function isColorableProperty(definition) {
+  return [PROPERTY_TYPES.SELECT, PROPERTY_TYPES.RATING, PROPERTY_TYPES.CHECKBOX].includes(definition.type);
+}
+
+/**
+ * 속성 색칠 범례 (값 → 색상, 마지막은 "값 없음")
+ *
+ * @param {PropertyDefinition} definition - isColorableProperty인 속성
+ * @returns {Array<{value: any, label: string, color: string}>}
+ */
+export function getPropertyLegend(definition) {
+  const empty = { value: undefined, label: '값 없음', color: PROPERTY_COLORS.EMPTY };
+
+  switch (definition.type) {
+    case PROPERTY_TYPES.SELECT:
+      return [...(definition.options || []).map(({ value, label, color }) => ({ value, label, color })), empty];
+    case PROPERTY_TYPES.RATING: {
+      const max = definition.max || DEFAULT_RATING_MAX;
+      return [
+        ...Array.from({ length: max }, (_, i) => max - i).map((rating) => ({
+          value: rating,
+          label: formatPropertyValue(definition, rating),
+          color: ratingColor(rating, max),
+        })),
+        empty,
+      ];
+    }
+    case PROPERTY_TYPES.CHECKBOX:
+      return [{ value: true, label: '✓ 체크됨', color: PROPERTY_COLORS.CHECKED }, { ...empty, label: '체크 안 됨' }];
+    default:
+      return [empty];
+  }
+}
+
+// 별점 색상 (낮음 → 높음, 팔레트 양 끝 사이에서 고름)
+function ratingColor(rating, max) {
+  const scale = PROPERTY_COLORS.RATING;
+  const index = Math.round(((rating - 1) / Math.max(max - 1, 1)) * (scale.length - 1));
+  return scale[Math.min(Math.max(index, 0), scale.length - 1)];
+}
+
+/**
+ * 노드 → 색상 함수 (그래프 렌더러가 노드마다 호출)
+ *
+ * @param {PropertyDefinition} definition - isColorableProperty인 속성
+ * @returns {function(import('../types').Node): string}
+ */
+export function makePropertyColorAccessor(definition) {
+  const legend = getPropertyLegend(definition);
+  const colors = new Map(legend.filter((entry) => entry.value !== undefined).map((entry) => [entry.value, entry.color]));
+  return (node) => colors.get(getPropertyValue(node, definition)) || PROPERTY_COLORS.EMPTY;
+}
@@ -0,0 +1,293 @@
+/**
+ * 노드 표 보기 데이터 (열 정의, 셀 값, 열 필터, 다중 열 정렬)
+ *
+ * - 기본 열: 제목, 그룹, 태그, 들어오는/나가는 링크 수, 요약
+ * - 속성 열: 속성 스키마의 속성마다 하나 (열 ID는 'prop:' + 속성 ID)
+ * - 열 필터는 표시 문자열에 포함되는지 검사 (대소문자 무시)
+ *   숫자 열(링크 수, 숫자, 별점)은 ">= 3", "< 2000", "= 5" 같은 비교식도 사용 가능
+ * - 정렬은 [{ column, direction }] 순서대로 비교 (빈 값은 방향과 관계없이 항상 뒤로)
+ *
+ * @module utils/nodeTable
+ */
+
+import { toId } from './helpers';
+import {
+  PROPERTY_TYPES,
+  getPropertyValue,
+  formatPropertyValue,
+  comparePropertyValues,
+} from './nodeProperties';
+
+/**
+ * 그룹 표시 이름
+ */
+export const NODE_GROUP_LABELS = {
+  1: 'Core',
+  2: 'Based On',
+  3: 'Cited By',
+};
+
+/**
+ * @typedef {Object} TableColumn
+ * @property {string} id - 열 ID (속성 열은 'prop:<속성 ID>')
+ * @property {string} label - 머리글
+ * @property {'text'|'group'|'tags'|'count'|'property'} kind
+ * @property {boolean} [editable] - 표에서 바로 편집 가능
+ * @property {import('./nodeProperties').PropertyDefinition} [definition] - 속성 열의 속성 정의
+ */
+
+/**
+ * @typedef {Object} TableSortKey
+ * @property {string} column - 열 ID
+ * @property {'asc'|'desc'} direction
+ */
+
+/**
+ * @typedef {Object} NodeRow
+ * @property {import('../types').Node} node
+ * @property {number} inLinks - 들어오는 링크 수
+ * @property {number} outLinks - 나가는 링크 수
+ */
+
+const BASE_COLUMNS = [
+  { id: 'title', label: '제목', kind: 'text', editable: true },
+  { id: 'group', label: '그룹', kind: 'group', editable: true },
+  { id: 'tags', label: '태그', kind: 'tags' },
+  { id: 'inLinks', label: '← 링크', kind: 'count' },
+  { id: 'outLinks', label: '링크 →', kind: 'count' },
+  { id: 'summary', label: '요약', kind: 'text', editable: true },
+];
+
+export const PROPERTY_COLUMN_PREFIX = 'prop:';
+
+const NUMERIC_PROPERTY_TYPES = [PROPERTY_TYPES.NUMBER, PROPERTY_TYPES.RATING];
+const COMPARISON = /^(>=|<=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/;
+
+/**
+ * 표의 전체 열 (기본 열 + 속성 스키마 순서의 속성 열)
+ *
+ * @param {import('./nodeProperties').PropertyDefinition[]} schema
+ * @returns {TableColumn[]}
+ */
+export function getTableColumns(schema) {
+  return [
+    ...BASE_COLUMNS,
+    ...schema.map((definition) => ({
+      id: `${PROPERTY_COLUMN_PREFIX}${definition.id}`,
+      label: definition.name,
+      kind: 'property',
+      editable: true,
+      definition,
+    })),
+  ];
+}
+
+/**
+ * 노드마다 한 행 (링크 수 포함, 그래프 순서 유지)
+ *
+ * @param {import('../types').Node[]} nodes
+ * @param {import('../types').Link[]} links
+ * @returns {NodeRow[]}
+ */
+export function buildNodeRows(nodes, links) {
+  const inCount = new Map();
+  const outCount = new Map();
+  links.forEach((link) => {
+    const source = toId(link.source);
+    const target = toId(link.target);
+    outCount.set(source, (outCount.get(source) || 0) + 1);
+    inCount.set(target, (inCount.get(target) || 0) + 1);
+  });
+  return nodes.map((node) => ({
+    node,
+    inLinks: inCount.get(node.id) || 0,
+    outLinks: outCount.get(node.id) || 0,
+  }));
+}
+
+/**
+ * 셀 값 (정렬/필터 기준, 값이 없으면 undefined)
+ *
+ * @param {NodeRow} row
+ * @param {TableColumn} column
+ * @returns {any}
+ */
+export function getCellValue(row, column) {
+  switch (column.kind) {
+    case 'property':
+      return getPropertyValue(row.node, column.definition);
+    case 'count':
+      return row[column.id];
+    case 'tags': {
+      const tags = Object.entries(row.node.tags || {}).flatMap(([category, list]) =>
+        list.map((tag) => `${category}: ${tag}`)
+      );
+      return tags.length > 0 ? tags : undefined;
+    }
+    default: {
+      const value = row.node[column.id];
+      return value === '' || value == null ? undefined : value;
+    }
+  }
+}
+
+/**
+ * 셀 표시 문자열
+ *
+ * @param {NodeRow} row
+ * @param {TableColumn} column
+ * @returns {string}
+ */
+export function getCellText(row, column) {
+  const value = getCellValue(row, column);
+  if (value === undefined) return '';
+  switch (column.kind) {
+    case 'property':
+      return formatPropertyValue(column.definition, value);
+    case 'group':
+      return NODE_GROUP_LABELS[value] || String(value);
+    case 'tags':
+      return value.join(', ');
+    default:
+      return String(value);
+  }
+}
+
+// 숫자로 비교할 수 있는 열 (링크 수, 숫자/별점 속성)
+function isNumericColumn(column) {
+  return column.kind === 'count'
+    || (column.kind === 'property' && NUMERIC_PROPERTY_TYPES.includes(column.definition.type));
+}
+
+/**
+ * 행이 열 필터에 맞는지
+ *
+ * @param {NodeRow} row
+ * @param {TableColumn} column
+ * @param {string} filter - 필터 문자열 (비었으면 항상 true)
+ * @returns {boolean}
+ */
+export function matchesColumnFilter(row, column, filter) {
+  const text = (filter || '').trim();
+  if (!text) return true;
+
+  const comparison = isNumericColumn(column) ? COMPARISON.exec(text) : null;
+  if (comparison) {
+    const value = getCellValue(row, column);
+    if (typeof value !== 'number') return false;
+    const target = Number(comparison[2]);
+    switch (comparison[1]) {
+      case '>=': return value >= target;
+      case '<=': return value <= target;
+      case '>': return value > target;
+      case '<': return value < target;
+      default: return value === target;
+    }
+  }
+
+  return getCellText(row, column).toLowerCase().includes(text.toLowerCase());
+}
+
+/**
+ * 열 필터 + 전체 검색어로 행 거르기
+ * 전체 검색어는 보이는 열 중 하나라도 포함하면 통과
+ *
+ * @param {NodeRow[]} rows
+ * @param {TableColumn[]} columns - 보이는 열 (전체 검색 대상)
+ * @param {Object.<string, string>} filters - 열 ID → 필터 문자열
+ * @param {string} [query] - 전체 검색어
+ * @returns {NodeRow[]}
+ */
+export function filterNodeRows(rows, columns, filters, query = '') {
+  const byId = new Map(columns.map((column) => [column.id, column]));
+  const active = Object.entries(filters)
+    .filter(([id, filter]) => byId.has(id) && filter.trim())
+    .map(([id, filter]) => [byId.get(id), filter]);
+  const needle = query.trim().toLowerCase();
+
+  return rows.filter((row) =>
+    active.every(([column, filter]) => matchesColumnFilter(row, column, filter))
+    && (!needle || columns.some((column) => getCellText(row, column).toLowerCase().includes(needle)))
+  );
+}
+
+/**
+ * 필터가 하나라도 걸려 있는지
+ *
+ * @param {Object.<string, string>} filters
+ * @param {string} [query]
+ * @returns {boolean}
+ */
+export function hasActiveTableFilter(filters, query = '') {
+  return !!query.trim() || Object.values(filters).some((filter) => filter.trim());
+}
+
+function compareCells(column, a, b) {
+  switch (column.kind) {
+    case 'property':
+      return comparePropertyValues(column.definition, a, b);
+    case 'count':
+    case 'group':
+      return a - b;
+    default: {
+      const left = Array.isArray(a) ? a.join(', ') : String(a);
+      const right = Array.isArray(b) ? b.join(', ') : String(b);
+      return left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+    }
+  }
+}
+
+/**
+ * 다중 열 정렬 (앞 키가 같으면 다음 키로, 모두 같으면 그래프 순서)
+ *
+ * @param {NodeRow[]} rows
+ * @param {TableColumn[]} columns - 전체 열
+ * @param {TableSortKey[]} sort
+ * @returns {NodeRow[]}
+ */
+export function sortNodeRows(rows, columns, sort) {
+  const keys = sort
+    .map(({ column, direction }) => ({ column: columns.find((item) => item.id === column), sign: direction === 'desc' ? -1 : 1 }))
+    .filter(({ column }) => column);
+  if (keys.length === 0) return rows;
+
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const { column, sign } of keys) {
+        const left = getCellValue(a.row, column);
+        const right = getCellValue(b.row, column);
+        if (left === undefined || right === undefined) {
+          if (left !== right) return left === undefined ? 1 : -1;
+          continue;
+        }
+        const order = compareCells(column, left, right);
+        if (order !== 0) return order * sign;
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+}
+
+/**
+ * 머리글 클릭에 따른 정렬 키 변경
+ * - 클릭: 이 열만으로 정렬 (오름차순 → 내림차순 → 정렬 해제)
+ * - Shift+클릭: 정렬 키에 추가하거나 이 열의 방향만 바꿈 (내림차순 다음은 키에서 제거)
+ *
+ * @param {TableSortKey[]} sort
+ * @param {string} columnId
+ * @param {boolean} additive - Shift+클릭
+ * @returns {TableSortKey[]}
+ */
+export function toggleSortKey(sort, columnId, additive) {
+  const current = sort.find((key) => key.column === columnId);
+  const next = !current
+    ? { column: columnId, direction: 'asc' }
+    : current.direction === 'asc' ? { column: columnId, direction: 'desc' } : null;
+
+  if (!additive) return next ? [next] : [];
+  if (!current) return [...sort, next];
+  return next
+    ? sort.map((key) => (key.column === columnId ? next : key))
+    : sort.filter((key) => key.column !== columnId);
+}
@@ -0,0 +1,93 @@
+/**
+ * PDF 문서 로딩 / 페이지 렌더링 (pdfjs-dist)
+ *
+ * - pdfjs는 번들이 커서 PDF 뷰어를 열 때 동적 import로 불러옴
+ *   (`import('../../utils/pdfDocument')`)
+ * - 워커 스크립트는 Vite가 별도 파일로 내보내고 URL만 넘김
+ *
+ * @module utils/pdfDocument
+ */
+
+import { getDocument, GlobalWorkerOptions, TextLayer } from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+GlobalWorkerOptions.workerSrc = workerUrl;
+
+/**
+ * PDF 첨부파일 열기
+ *
+ * @param {Blob} blob - PDF 파일
+ * @returns {Promise<import('pdfjs-dist').PDFDocumentProxy>} 다 쓰면 destroy() 호출
+ */
+export async function openPdfDocument(blob) {
+  const data = new Uint8Array(await blob.arrayBuffer());
+  return getDocument({ data }).promise;
+}
+
+/**
+ * 모든 페이지의 기본 크기 (scale 1, CSS px)
+ * 렌더링 전에 페이지 자리를 잡아 스크롤 위치가 흔들리지 않게 함
+ *
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdf
+ * @returns {Promise<Array<{width: number, height: number}>>}
+ */
+export async function getPageSizes(pdf) {
+  const sizes = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const { width, height } = page.getViewport({ scale: 1 });
+    sizes.push({ width, height });
+  }
+  return sizes;
+}
+
+/**
+ * 페이지를 canvas에 그리고 선택 가능한 텍스트 레이어를 만듦
+ *
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdf
+ * @param {number} pageNumber - 1부터 시작
+ * @param {{canvas: HTMLCanvasElement, textLayer: HTMLElement, scale: number}} target
+ * @returns {{promise: Promise<void>, cancel: Function}}
+ */
+export function renderPdfPage(pdf, pageNumber, { canvas, textLayer, scale }) {
+  let renderTask = null;
+  let textLayerTask = null;
+  let cancelled = false;
+  let done = false;
+
+  const promise = (async () => {
+    const page = await pdf.getPage(pageNumber);
+    if (cancelled) return;
+
+    const viewport = page.getViewport({ scale });
+    const outputScale = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(viewport.width * outputScale);
+    canvas.height = Math.floor(viewport.height * outputScale);
+
+    renderTask = page.render({
+      canvas,
+      viewport,
+      transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : undefined,
+    });
+
+    textLayer.replaceChildren();
+    textLayerTask = new TextLayer({
+      textContentSource: page.streamTextContent(),
+      container: textLayer,
+      viewport,
+    });
+
+    await Promise.all([renderTask.promise, textLayerTask.render()]);
+    done = true;
+  })();
+
+  return {
+    promise,
+    cancel: () => {
+      if (done) return;
+      cancelled = true;
+      renderTask?.cancel();
+      textLayerTask?.cancel();
+    },
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * PDF 하이라이트 ↔ 인용구 블록 유틸리티
+ *
+ * - 노드의 PDF는 FILE 블록(첨부파일)으로 보관 → 뷰어 파일 목록
+ * - 하이라이트는 QUOTE 블록으로 저장하고 metadata.pdfHighlight에 위치를 기록
+ *   { fileId, fileName, page, rects } (rects: 페이지 크기 대비 0~1 비율이라 확대/축소와 무관)
+ *
+ * @module utils/pdfHighlights
+ */
+
+import { BLOCK_TYPES } from '../types/blocks';
+import { createBlock, isAttachmentId } from './blockUtils';
+
+/**
+ * @typedef {Object} PdfHighlightRect
+ * @property {number} x - 왼쪽 (페이지 너비 대비)
+ * @property {number} y - 위쪽 (페이지 높이 대비)
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} PdfHighlight
+ * @property {string} fileId - PDF 첨부파일 ID
+ * @property {string} fileName - PDF 파일 이름 (첨부파일이 사라져도 표시용)
+ * @property {number} page - 페이지 번호 (1부터)
+ * @property {PdfHighlightRect[]} rects - 하이라이트 영역
+ */
+
+/**
+ * PDF 첨부파일 블록인지 확인
+ *
+ * @param {import('../types/blocks').Block} block
+ * @returns {boolean}
+ */
+export function isPdfFileBlock(block) {
+  if (block?.type !== BLOCK_TYPES.FILE || !isAttachmentId(block.content)) return false;
+  const { mimeType = '', fileName = '' } = block.metadata || {};
+  return mimeType === 'application/pdf' || /\.pdf$/i.test(fileName);
+}
+
+/**
+ * 노트에 첨부된 PDF 목록 (블록 순서, 중복 제거)
+ *
+ * @param {import('../types/blocks').Block[]} blocks
+ * @returns {Array<{fileId: string, fileName: string}>}
+ */
+export function getPdfAttachments(blocks) {
+  const seen = new Set();
+  const files = [];
+  for (const block of blocks) {
+    if (!isPdfFileBlock(block) || seen.has(block.content)) continue;
+    seen.add(block.content);
+    files.push({ fileId: block.content, fileName: block.metadata?.fileName || 'document.pdf' });
+  }
+  return files;
+}
+
+/**
+ * 특정 PDF의 하이라이트 목록 (뷰어에 겹쳐 그릴 영역)
+ *
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {string} fileId - PDF 첨부파일 ID
+ * @returns {Array<{blockId: string, page: number, rects: PdfHighlightRect[]}>}
+ */
+export function getPdfHighlights(blocks, fileId) {
+  return blocks
+    .filter((block) => block.type === BLOCK_TYPES.QUOTE && block.metadata?.pdfHighlight?.fileId === fileId)
+    .map((block) => ({
+      blockId: block.id,
+      page: block.metadata.pdfHighlight.page,
+      rects: block.metadata.pdfHighlight.rects || [],
+    }));
+}
+
+/**
+ * 하이라이트로 인용구 블록 생성
+ *
+ * @param {PdfHighlight & {text: string}} highlight - 선택한 텍스트와 위치
+ * @returns {import('../types/blocks').Block}
+ */
+export function createPdfHighlightBlock({ text, fileId, fileName, page, rects }) {
+  return createBlock(BLOCK_TYPES.QUOTE, text, {
+    pdfHighlight: { fileId, fileName, page, rects },
+  });
+}
+
+/**
+ * 클라이언트 좌표 사각형들을 페이지 기준 비율로 변환
+ * 같은 줄에서 이어지는 사각형(텍스트 조각)은 하나로 합침
+ *
+ * @param {Array<{left: number, top: number, width: number, height: number}>} clientRects
+ * @param {{left: number, top: number, width: number, height: number}} pageRect - 페이지 요소 위치
+ * @returns {PdfHighlightRect[]}
+ */
+export function normalizeSelectionRects(clientRects, pageRect) {
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const merged = [];
+
+  const sorted = [...clientRects]
+    .filter((rect) => rect.width > 0 && rect.height > 0)
+    .sort((a, b) => a.top - b.top || a.left - b.left);
+
+  for (const rect of sorted) {
+    const last = merged[merged.length - 1];
+    const sameLine = last && Math.abs(last.top - rect.top) < rect.height / 2;
+    if (sameLine && rect.left <= last.right + rect.height) {
+      last.right = Math.max(last.right, rect.left + rect.width);
+      last.bottom = Math.max(last.bottom, rect.top + rect.height);
+    } else {
+      merged.push({ left: rect.left, top: rect.top, right: rect.left + rect.width, bottom: rect.top + rect.height });
+    }
+  }
+
+  return merged
+    .map((rect) => {
+      // 페이지 밖으로 나간 부분은 잘라냄
+      const left = Math.max(rect.left, pageRect.left);
+      const top = Math.max(rect.top, pageRect.top);
+      const right = Math.min(rect.right, pageRect.left + pageRect.width);
+      const bottom = Math.min(rect.bottom, pageRect.top + pageRect.height);
+      return {
+        x: round((left - pageRect.left) / pageRect.width),
+        y: round((top - pageRect.top) / pageRect.height),
+        width: round((right - left) / pageRect.width),
+        height: round((bottom - top) / pageRect.height),
+      };
+    })
+    .filter((rect) => rect.width > 0 && rect.height > 0);
+}
@@ -0,0 +1,267 @@
+/**
+ * 전문 검색 인덱스 (Inverted Index)
+ *
+ * 이 파일의 역할:
+ * - 노드 제목/요약/태그와 블록 노트 내용을 단어 단위로 색인
+ * - 노드나 노트가 바뀌면 해당 문서만 다시 색인 (증분 갱신)
+ * - 접두어 매칭 검색 + 필드 가중치 기반 점수 계산
+ *
+ * 색인 단위(문서):
+ * - `${nodeId}::title`, `${nodeId}::summary`, `${nodeId}::tags`
+ * - `${nodeId}::block::${blockId}` (블록 하나당 문서 하나)
+ *
+ * @module utils/searchIndex
+ */
+
+import { SEARCH } from '../constants/ui';
+import { tableToPlainText } from './tableBlock';
+
+// 필드별 가중치 (제목 일치가 가장 중요)
+const FIELD_WEIGHT = {
+  title: 5,
+  tags: 3,
+  summary: 2,
+  block: 1,
+};
+
+// 유니코드 문자/숫자 연속 구간을 단어로 취급 (한글, 영문, 숫자 모두 지원)
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * 텍스트를 검색용 토큰 배열로 분리 (소문자, 중복 포함)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * 노드 태그 객체를 검색용 텍스트로 변환
+ * @param {import('../types').TagsIndex} tags - { category: [tag, ...] }
+ * @returns {string}
+ */
+function tagsToText(tags) {
+  if (!tags || typeof tags !== 'object') return '';
+  return Object.entries(tags)
+    .map(([category, list]) => `${category}: ${(list || []).join(', ')}`)
+    .join(' · ');
+}
+
+/**
+ * 블록에서 검색 대상 텍스트 추출
+ * @param {import('../types/blocks').Block} block
+ * @returns {string}
+ */
+function blockToText(block) {
+  const parts = [];
+  if (typeof block.content === 'string') parts.push(block.content);
+  if (block.metadata?.caption) parts.push(block.metadata.caption);
+  if (block.metadata?.fileName) parts.push(block.metadata.fileName);
+  if (Array.isArray(block.metadata?.rows)) parts.push(tableToPlainText(block.metadata.rows));
+  return parts.join(' ');
+}
+
+/**
+ * 쿼리 토큰이 처음 나타나는 위치 주변을 잘라 미리보기 문자열 생성
+ * @param {string} text - 원문
+ * @param {string[]} queryTokens - 소문자 쿼리 토큰
+ * @returns {string}
+ */
+function makeSnippet(text, queryTokens) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+
+  let hit = -1;
+  for (const token of queryTokens) {
+    const pos = lower.indexOf(token);
+    if (pos !== -1 && (hit === -1 || pos < hit)) hit = pos;
+  }
+
+  const radius = SEARCH.SNIPPET_RADIUS;
+  if (hit === -1 || flat.length <= radius * 2) {
+    return flat.length > radius * 2 ? `${flat.slice(0, radius * 2)}…` : flat;
+  }
+
+  const start = Math.max(0, hit - radius);
+  const end = Math.min(flat.length, hit + radius);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * 검색 인덱스 생성
+ *
+ * @returns {{
+ *   indexNode: function(import('../types').Node): void,
+ *   removeNode: function(string): void,
+ *   indexNote: function(string, Object|null): void,
+ *   removeNote: function(string): void,
+ *   search: function(string, Object=): Array<SearchResult>,
+ *   size: function(): number
+ * }}
+ *
+ * @typedef {Object} SearchMatch
+ * @property {'title'|'summary'|'tags'|'block'} field - 일치한 필드
+ * @property {string} snippet - 일치 위치 주변 텍스트
+ * @property {string} [blockId] - 블록에서 일치한 경우 블록 ID
+ *
+ * @typedef {Object} SearchResult
+ * @property {string} nodeId - 노드 ID
+ * @property {number} score - 관련도 점수 (높을수록 관련)
+ * @property {SearchMatch[]} matches - 일치 항목 (점수순)
+ */
+export function createSearchIndex() {
+  /** @type {Map<string, Map<string, number>>} 단어 → (문서 → 등장 횟수) */
+  const postings = new Map();
+  /** @type {Map<string, {nodeId: string, field: string, blockId?: string, text: string, terms: string[]}>} */
+  const docs = new Map();
+  /** @type {Map<string, Set<string>>} 노드 ID → 노드 필드 문서 키 */
+  const nodeDocs = new Map();
+  /** @type {Map<string, Set<string>>} 노드 ID → 블록 문서 키 */
+  const noteDocs = new Map();
+
+  const addDoc = (key, doc, owner) => {
+    const counts = new Map();
+    for (const term of tokenize(doc.text)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    if (counts.size === 0) return;
+
+    counts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(key, count);
+    });
+    docs.set(key, { ...doc, terms: [...counts.keys()] });
+    owner.add(key);
+  };
+
+  const removeDocs = (registry, nodeId) => {
+    const keys = registry.get(nodeId);
+    if (!keys) return;
+
+    keys.forEach((key) => {
+      const doc = docs.get(key);
+      if (!doc) return;
+      doc.terms.forEach((term) => {
+        const posting = postings.get(term);
+        if (!posting) return;
+        posting.delete(key);
+        if (posting.size === 0) postings.delete(term);
+      });
+      docs.delete(key);
+    });
+    registry.delete(nodeId);
+  };
+
+  /**
+   * 노드 메타데이터(제목/요약/태그) 색인 (기존 색인은 교체)
+   */
+  const indexNode = (node) => {
+    removeDocs(nodeDocs, node.id);
+    const owner = new Set();
+    nodeDocs.set(node.id, owner);
+
+    addDoc(`${node.id}::title`, { nodeId: node.id, field: 'title', text: node.title || node.id }, owner);
+    addDoc(`${node.id}::summary`, { nodeId: node.id, field: 'summary', text: node.summary || '' }, owner);
+    addDoc(`${node.id}::tags`, { nodeId: node.id, field: 'tags', text: tagsToText(node.tags) }, owner);
+  };
+
+  /**
+   * 노트 내용 색인 (기존 색인은 교체)
+   * @param {string} nodeId
+   * @param {Object|null} note - NoteContent 또는 { detailedNote } (기존 텍스트 노트)
+   */
+  const indexNote = (nodeId, note) => {
+    removeDocs(noteDocs, nodeId);
+    if (!note) return;
+
+    const owner = new Set();
+    noteDocs.set(nodeId, owner);
+
+    if (Array.isArray(note.blocks)) {
+      note.blocks.forEach((block) => {
+        addDoc(
+          `${nodeId}::block::${block.id}`,
+          { nodeId, field: 'block', blockId: block.id, text: blockToText(block) },
+          owner
+        );
+      });
+    } else if (typeof note.detailedNote === 'string') {
+      addDoc(`${nodeId}::block::legacy`, { nodeId, field: 'block', text: note.detailedNote }, owner);
+    }
+  };
+
+  /**
+   * 검색
+   * - 모든 쿼리 단어가 한 노드 안에서(필드 무관) 일치해야 결과에 포함 (AND)
+   * - 쿼리 단어는 색인 단어의 접두어로 매칭 (완전 일치는 가산점)
+   *
+   * @param {string} query - 검색어
+   * @param {Object} [options]
+   * @param {number} [options.limit] - 최대 결과 수
+   * @param {string[]} [options.fields] - 검색할 필드 제한 (예: ['tags'])
+   * @returns {SearchResult[]}
+   */
+  const search = (query, { limit = SEARCH.MAX_RESULTS, fields } = {}) => {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    /** @type {Map<string, {score: number, matched: Set<string>, docs: Map<string, number>}>} */
+    const byNode = new Map();
+
+    queryTokens.forEach((token) => {
+      postings.forEach((posting, term) => {
+        if (!term.startsWith(token)) return;
+        const exactBonus = term === token ? 1 : 0.5;
+
+        posting.forEach((count, key) => {
+          const doc = docs.get(key);
+          if (fields && !fields.includes(doc.field)) return;
+          // 삭제된 노드의 노트는 결과에서 제외
+          if (!nodeDocs.has(doc.nodeId)) return;
+
+          const weight = FIELD_WEIGHT[doc.field] * exactBonus * (1 + Math.log(count));
+          let entry = byNode.get(doc.nodeId);
+          if (!entry) {
+            entry = { score: 0, matched: new Set(), docs: new Map() };
+            byNode.set(doc.nodeId, entry);
+          }
+          entry.score += weight;
+          entry.matched.add(token);
+          entry.docs.set(key, (entry.docs.get(key) || 0) + weight);
+        });
+      });
+    });
+
+    const results = [];
+    byNode.forEach((entry, nodeId) => {
+      if (entry.matched.size < queryTokens.length) return;
+
+      const matches = [...entry.docs.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, SEARCH.MAX_MATCHES_PER_NODE)
+        .map(([key]) => {
+          const doc = docs.get(key);
+          return {
+            field: doc.field,
+            snippet: makeSnippet(doc.text, queryTokens),
+            ...(doc.blockId ? { blockId: doc.blockId } : {}),
+          };
+        });
+
+      results.push({ nodeId, score: entry.score, matches });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  };
+
+  return {
+    indexNode,
+    removeNode: (nodeId) => removeDocs(nodeDocs, nodeId),
+    indexNote,
+    removeNote: (nodeId) => removeDocs(noteDocs, nodeId),
+    search,
+    size: () => docs.size,
+  };
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, createSearchIndex } from './searchIndex';
+
+const makeIndex = () => {
+  const index = createSearchIndex();
+  index.indexNode({ id: 'a', title: 'Attention Is All You Need', summary: 'Transformer 구조', tags: { 분야: ['NLP'] } });
+  index.indexNode({ id: 'b', title: 'BERT', summary: 'Pre-training of deep transformers', tags: {} });
+  index.indexNote('b', { blocks: [{ id: 'blk1', type: 'text', content: 'masked language model 설명' }] });
+  return index;
+};
+
+describe('tokenize', () => {
+  it('한글/영문/숫자 연속 구간을 소문자 단어로 나눔', () => {
+    expect(tokenize('GPT-4 모델, 2023년!')).toEqual(['gpt', '4', '모델', '2023년']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('접두어로 찾고 제목 일치를 요약 일치보다 앞에 둠', () => {
+    const results = makeIndex().search('transform');
+    expect(results.map((result) => result.nodeId)).toEqual(['a', 'b']);
+  });
+
+  it('모든 쿼리 단어가 한 노드 안에 있어야 결과에 포함 (필드는 달라도 됨)', () => {
+    const index = makeIndex();
+    expect(index.search('bert masked').map((result) => result.nodeId)).toEqual(['b']);
+    expect(index.search('attention masked')).toEqual([]);
+  });
+
+  it('블록에서 일치하면 블록 ID와 미리보기를 돌려줌', () => {
+    const [result] = makeIndex().search('masked');
+    expect(result.matches[0]).toEqual({ field: 'block', snippet: 'masked language model 설명', blockId: 'blk1' });
+  });
+
+  it('필드를 제한해 검색', () => {
+    const index = makeIndex();
+    expect(index.search('nlp', { fields: ['tags'] }).map((result) => result.nodeId)).toEqual(['a']);
+    expect(index.search('nlp', { fields: ['title'] })).toEqual([]);
+  });
+
+  it('노드/노트를 다시 색인하거나 지우면 이전 단어는 검색되지 않음', () => {
+    const index = makeIndex();
+    index.indexNote('b', { blocks: [{ id: 'blk1', type: 'text', content: 'next sentence prediction' }] });
+    expect(index.search('masked')).toEqual([]);
+    expect(index.search('sentence').map((result) => result.nodeId)).toEqual(['b']);
+
+    // 노드가 지워지면 남은 노트 색인도 결과에서 제외
+    index.removeNode('b');
+    expect(index.search('sentence')).toEqual([]);
+  });
+
+  it('기존 텍스트 노트(detailedNote)도 색인', () => {
+    const index = makeIndex();
+    index.indexNote('a', { detailedNote: 'multi-head self attention' });
+    expect(index.search('multi head').map((result) => result.nodeId)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * 표 블록 데이터 유틸리티
+ *
+ * 표는 metadata.rows(string[][], 모든 행의 칸 수가 같음)에 저장하고 block.content는 비워 둠
+ * - metadata.hasHeader: 첫 행이 머리글인지
+ * - metadata.sort: 마지막으로 정렬한 열 ({ column, direction }), 다른 편집을 하면 지워짐
+ * - 칸 안의 줄바꿈은 그대로 저장 (마크다운 표에서는 <br>)
+ * 모든 함수는 새 배열을 돌려줌 (원본 불변)
+ *
+ * @module utils/tableBlock
+ */
+
+/**
+ * @typedef {Object} TableSort
+ * @property {number} column - 열 인덱스
+ * @property {'asc'|'desc'} direction
+ */
+
+// | --- | :---: | ---: |
+const MARKDOWN_SEPARATOR = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+
+/**
+ * 빈 표
+ * @param {number} rowCount
+ * @param {number} columnCount
+ * @returns {string[][]}
+ */
+export function createTableRows(rowCount, columnCount) {
+  return Array.from({ length: rowCount }, () => Array(columnCount).fill(''));
+}
+
+/**
+ * 저장된 행을 직사각형으로 맞춤 (짧은 행은 빈 칸으로 채움, 비었으면 1×1)
+ * @param {Array<Array<string>>} [rows]
+ * @returns {string[][]}
+ */
+export function normalizeTableRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return createTableRows(1, 1);
+  const width = Math.max(1, ...rows.map((row) => (Array.isArray(row) ? row.length : 0)));
+  return rows.map((row) => {
+    const cells = Array.isArray(row) ? row.map((cell) => (cell == null ? '' : String(cell))) : [];
+    return cells.length === width ? cells : [...cells, ...Array(width - cells.length).fill('')];
+  });
+}
+
+/**
+ * 표 안의 글자 (검색/미리보기용, 칸은 " | ", 행은 줄바꿈으로 구분)
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export function tableToPlainText(rows) {
+  return normalizeTableRows(rows)
+    .map((row) => row.filter(Boolean).join(' | '))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * 칸 수정
+ */
+export function setTableCell(rows, rowIndex, columnIndex, value) {
+  return rows.map((row, r) => (r === rowIndex ? row.map((cell, c) => (c === columnIndex ? value : cell)) : row));
+}
+
+/**
+ * index 위치에 빈 행 추가
+ */
+export function insertTableRow(rows, index) {
+  return [...rows.slice(0, index), Array(rows[0].length).fill(''), ...rows.slice(index)];
+}
+
+/**
+ * 행 삭제 (마지막 한 행은 남김)
+ */
+export function removeTableRow(rows, index) {
+  return rows.length > 1 ? rows.filter((_, r) => r !== index) : rows;
+}
+
+/**
+ * index 위치에 빈 열 추가
+ */
+export function insertTableColumn(rows, index) {
+  return rows.map((row) => [...row.slice(0, index), '', ...row.slice(index)]);
+}
+
+/**
+ * 열 삭제 (마지막 한 열은 남김)
+ */
+export function removeTableColumn(rows, index) {
+  return rows[0].length > 1 ? rows.map((row) => row.filter((_, c) => c !== index)) : rows;
+}
+
+// 숫자로 읽을 수 있는 칸 ("1,234", "85.2%", "-3" 등)
+function toNumber(cell) {
+  const text = cell.trim().replace(/,/g, '').replace(/%$/, '');
+  return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+}
+
+/**
+ * 열 기준 정렬 (머리글 행은 제자리, 빈 칸은 항상 뒤로)
+ * 두 칸이 모두 숫자면 숫자로, 아니면 자연 정렬("item 2" < "item 10")로 비교
+ *
+ * @param {string[][]} rows
+ * @param {number} column
+ * @param {'asc'|'desc'} direction
+ * @param {boolean} hasHeader
+ * @returns {string[][]}
+ */
+export function sortTableRows(rows, column, direction, hasHeader) {
+  const header = hasHeader ? rows.slice(0, 1) : [];
+  const body = hasHeader ? rows.slice(1) : rows;
+  const sign = direction === 'desc' ? -1 : 1;
+
+  const sorted = [...body].sort((a, b) => {
+    const left = a[column] || '';
+    const right = b[column] || '';
+    if (!left.trim() || !right.trim()) return (left.trim() ? 0 : 1) - (right.trim() ? 0 : 1);
+    const leftNumber = toNumber(left);
+    const rightNumber = toNumber(right);
+    const order = leftNumber !== null && rightNumber !== null
+      ? leftNumber - rightNumber
+      : left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+    return order * sign;
+  });
+
+  return [...header, ...sorted];
+}
+
+/**
+ * CSV / TSV 텍스트 → 행 배열 (탭이 있으면 TSV, 아니면 CSV, 큰따옴표 인용 지원)
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseDelimitedText(text) {
+  const source = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  const delimiter = source.includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n') {
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return normalizeTableRows(rows);
+}
+
+/**
+ * 붙여넣은 행들을 (rowIndex, columnIndex)부터 덮어쓰기 (모자라면 행/열을 늘림)
+ *
+ * @param {string[][]} rows
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @param {string[][]} pasted
+ * @returns {string[][]}
+ */
+export function pasteTableCells(rows, rowIndex, columnIndex, pasted) {
+  const height = Math.max(rows.length, rowIndex + pasted.length);
+  const width = Math.max(rows[0].length, columnIndex + pasted[0].length);
+  return Array.from({ length: height }, (_, r) =>
+    Array.from({ length: width }, (_, c) => {
+      const value = pasted[r - rowIndex]?.[c - columnIndex];
+      return value !== undefined ? value : rows[r]?.[c] || '';
+    })
+  );
+}
+
+// 표 한 줄에 들어가도록 | 는 \|, 줄바꿈은 <br>
+const escapeCell = (cell) => cell.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+
+/**
+ * 표 → 마크다운(GFM) 표
+ * 머리글이 없는 표는 빈 머리글 행을 씀 (parseMarkdownTable이 다시 머리글 없음으로 읽음)
+ *
+ * @param {string[][]} rows
+ * @param {boolean} hasHeader
+ * @returns {string}
+ */
+export function tableToMarkdown(rows, hasHeader) {
+  const table = normalizeTableRows(rows);
+  const width = table[0].length;
+  const header = hasHeader ? table[0] : Array(width).fill('');
+  const body = hasHeader ? table.slice(1) : table;
+  const line = (cells) => `| ${cells.map(escapeCell).join(' | ')} |`;
+  return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+}
+
+/**
+ * 마크다운 표의 머리글 구분선인지 (| --- | :---: |)
+ * 세로선이 없는 "---"는 구분선 블록이므로 제외
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isMarkdownTableSeparator(line) {
+  const trimmed = line.trim();
+  return trimmed.includes('|') && MARKDOWN_SEPARATOR.test(trimmed);
+}
+
+// | a | b\|c | d<br>e | → ['a', 'b|c', 'd\ne']
+function parseMarkdownRow(line) {
+  const inner = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  return inner.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|').replace(/<br\s*\/?>/gi, '\n'));
+}
+
+/**
+ * 마크다운 표 줄들 → 표 데이터 (첫 줄 머리글, 둘째 줄 구분선)
+ *
+ * @param {string[]} lines
+ * @returns {{rows: string[][], hasHeader: boolean}}
+ */
+export function parseMarkdownTable(lines) {
+  const header = parseMarkdownRow(lines[0]);
+  const body = lines.slice(2).map(parseMarkdownRow);
+  const hasHeader = header.some((cell) => cell !== '');
+  const rows = hasHeader || body.length === 0 ? [header, ...body] : body;
+  return { rows: normalizeTableRows(rows), hasHeader };
+}
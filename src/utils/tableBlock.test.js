@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTableRows,
+  tableToPlainText,
+  insertTableRow,
+  removeTableRow,
+  insertTableColumn,
+  removeTableColumn,
+  sortTableRows,
+  parseDelimitedText,
+  pasteTableCells,
+  tableToMarkdown,
+  isMarkdownTableSeparator,
+  parseMarkdownTable,
+} from './tableBlock';
+
+describe('normalizeTableRows / 행·열 편집', () => {
+  it('짧은 행은 빈 칸으로 채우고, 비었으면 1×1', () => {
+    expect(normalizeTableRows([['a', 'b'], ['c'], null])).toEqual([['a', 'b'], ['c', ''], ['', '']]);
+    expect(normalizeTableRows(undefined)).toEqual([['']]);
+  });
+
+  it('행/열 추가·삭제는 새 배열, 마지막 한 행/열은 남김', () => {
+    const rows = [['a', 'b']];
+    expect(insertTableRow(rows, 0)).toEqual([['', ''], ['a', 'b']]);
+    expect(insertTableColumn(rows, 1)).toEqual([['a', '', 'b']]);
+    expect(removeTableColumn(rows, 0)).toEqual([['b']]);
+    expect(removeTableRow(rows, 0)).toBe(rows);
+    expect(removeTableColumn([['a']], 0)).toEqual([['a']]);
+    expect(rows).toEqual([['a', 'b']]);
+  });
+
+  it('검색용 글자는 빈 칸/빈 행을 빼고 이음', () => {
+    expect(tableToPlainText([['a', '', 'b'], ['', '', '']])).toBe('a | b');
+  });
+});
+
+describe('sortTableRows', () => {
+  const rows = [['이름', '점수'], ['item 10', '1,200'], ['item 2', ''], ['Item 1', '85%']];
+
+  it('머리글은 제자리, 숫자는 숫자로, 빈 칸은 방향과 무관하게 뒤로', () => {
+    expect(sortTableRows(rows, 1, 'asc', true).map((row) => row[0])).toEqual(['이름', 'Item 1', 'item 10', 'item 2']);
+    expect(sortTableRows(rows, 1, 'desc', true).map((row) => row[0])).toEqual(['이름', 'item 10', 'Item 1', 'item 2']);
+  });
+
+  it('글자는 자연 정렬 (대소문자 무시)', () => {
+    expect(sortTableRows(rows, 0, 'asc', true).map((row) => row[0])).toEqual(['이름', 'Item 1', 'item 2', 'item 10']);
+  });
+});
+
+describe('parseDelimitedText', () => {
+  it('CSV 인용 칸 안의 쉼표, 따옴표("")', () => {
+    expect(parseDelimitedText('a,"b, c","say ""hi"""\r\n1,2\r\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', '2', ''],
+    ]);
+  });
+
+  it('인용 칸 안의 줄바꿈은 칸 안에 남음 (새 행이 아님)', () => {
+    expect(parseDelimitedText('name,note\n"Kim","line 1\nline 2"\nLee,ok')).toEqual([
+      ['name', 'note'],
+      ['Kim', 'line 1\nline 2'],
+      ['Lee', 'ok'],
+    ]);
+  });
+
+  it('탭이 있으면 TSV', () => {
+    expect(parseDelimitedText('a\tb,c\n1\t2')).toEqual([['a', 'b,c'], ['1', '2']]);
+  });
+});
+
+describe('pasteTableCells', () => {
+  it('붙여넣은 위치부터 덮어쓰고 모자라면 표를 늘림', () => {
+    expect(pasteTableCells([['a', 'b'], ['c', 'd']], 1, 1, [['x', 'y'], ['z', 'w']])).toEqual([
+      ['a', 'b', ''],
+      ['c', 'x', 'y'],
+      ['', 'z', 'w'],
+    ]);
+  });
+});
+
+describe('tableToMarkdown / parseMarkdownTable', () => {
+  const toLines = (markdown) => markdown.split('\n');
+
+  it('| 와 줄바꿈을 이스케이프하고 그대로 다시 읽음', () => {
+    const rows = [['머리', 'a|b'], ['line 1\nline 2', '']];
+    const markdown = tableToMarkdown(rows, true);
+
+    expect(markdown).toBe('| 머리 | a\\|b |\n| --- | --- |\n| line 1<br>line 2 |  |');
+    expect(parseMarkdownTable(toLines(markdown))).toEqual({ rows, hasHeader: true });
+  });
+
+  it('머리글 없는 표는 빈 머리글 행으로 쓰고 머리글 없음으로 읽음', () => {
+    const rows = [['a', 'b']];
+    expect(parseMarkdownTable(toLines(tableToMarkdown(rows, false)))).toEqual({ rows, hasHeader: false });
+  });
+
+  it('<br/> 변형도 줄바꿈으로 읽음', () => {
+    expect(parseMarkdownTable(['| a<br/>b | c<BR>d |', '|---|---|']).rows).toEqual([['a\nb', 'c\nd']]);
+  });
+
+  it('구분선 판별 (세로선 없는 ---는 구분선 블록)', () => {
+    expect(isMarkdownTableSeparator('| --- | :---: | ---: |')).toBe(true);
+    expect(isMarkdownTableSeparator('---')).toBe(false);
+    expect(isMarkdownTableSeparator('| a | b |')).toBe(false);
+  });
+});
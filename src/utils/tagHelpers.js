@@ -351,22 +351,26 @@ export function formatTagForStorage(tag) {
 }
 
 /**
- * 태그 계층 구조로 파싱 (향후 사용)
- * @param {string} tag - 태그 문자열 (예: "Deep Learning/CNN")
+ * 태그 계층 구조로 파싱
+ * 저장 형식(" > ")과 경로 형식("/") 모두 지원
+ * @param {string} tag - 태그 문자열 (예: "Deep Learning > CNN" 또는 "Deep Learning/CNN")
  * @returns {string[]} 계층 배열 (예: ["Deep Learning", "CNN"])
  */
 export function parseTagHierarchy(tag) {
-  return tag.split('/').map(part => part.trim()).filter(part => part.length > 0);
+  return tag.split(/[>/]/).map(part => part.trim()).filter(part => part.length > 0);
 }
 
 /**
- * 태그가 특정 접두사와 일치하는지 확인 (향후 계층 검색용)
+ * 태그가 계층 접두사와 일치하는지 확인 (같은 태그이거나 그 하위 태그)
+ * 계층 단위로 비교하므로 "AI > ML"은 "AI > ML > CNN"과 일치하지만 "AI > MLOps"와는 일치하지 않음
  * @param {string} tag - 태그 문자열
- * @param {string} prefix - 접두사
+ * @param {string} prefix - 접두사 (예: "AI > ML", "AI>ML"도 같은 뜻)
  * @returns {boolean} 일치 여부
  */
 export function matchesTagPrefix(tag, prefix) {
-  return tag.startsWith(prefix);
+  const normalizedTag = formatTagForStorage(tag);
+  const normalizedPrefix = formatTagForStorage(prefix);
+  return normalizedTag === normalizedPrefix || normalizedTag.startsWith(`${normalizedPrefix} > `);
 }
 
 /**
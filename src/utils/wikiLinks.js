@@ -0,0 +1,188 @@
+/**
+ * 블록 본문의 [[위키 링크]] 유틸리티
+ *
+ * - 문법: [[노드 제목]] 또는 [[노드 제목|표시 이름]] (Obsidian과 같은 형식)
+ * - 대상은 노드 제목(대소문자/공백 무시)으로 찾고, 없으면 노드 ID로 찾음
+ * - 텍스트/리스트 블록의 위키 링크는 설정에 따라 'mention' 링크로 그래프에 반영
+ *
+ * @module utils/wikiLinks
+ */
+
+import { BLOCK_TYPES } from '../types/blocks';
+import { toId } from './helpers';
+
+export const MENTION_LINK_TYPE = 'mention';
+
+// 위키 링크를 인식하는 블록 (입력창이 한 줄/여러 줄 텍스트인 블록)
+export const WIKI_LINK_BLOCK_TYPES = [
+  BLOCK_TYPES.TEXT,
+  BLOCK_TYPES.BULLET_LIST,
+  BLOCK_TYPES.NUMBERED_LIST,
+  BLOCK_TYPES.TODO_LIST,
+  BLOCK_TYPES.TOGGLE,
+];
+
+// [[대상]] / [[대상|표시 이름]] (대상에는 [ ] | 줄바꿈 불가)
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g;
+
+// 제목에 있으면 [[제목]]으로 쓸 수 없는 문자
+const UNSAFE_TITLE = /[[\]|\n]/;
+
+const normalizeTarget = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * 위키 링크가 있는지 확인
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasWikiLinks(text) {
+  return typeof text === 'string' && text.includes('[[') && new RegExp(WIKI_LINK_PATTERN.source).test(text);
+}
+
+/**
+ * 텍스트를 일반 텍스트 / 위키 링크 조각으로 나눔 (렌더링용)
+ *
+ * @param {string} text
+ * @returns {Array<{type: 'text', text: string} | {type: 'link', target: string, alias: string|null, raw: string}>}
+ */
+export function splitWikiLinks(text) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of (text || '').matchAll(WIKI_LINK_PATTERN)) {
+    if (match.index > lastIndex) segments.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    segments.push({
+      type: 'link',
+      target: match[1].trim(),
+      alias: match[2]?.trim() || null,
+      raw: match[0],
+    });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < (text || '').length) segments.push({ type: 'text', text: text.slice(lastIndex) });
+  return segments;
+}
+
+/**
+ * 위키 링크 대상 → 노드 찾기용 함수 (제목 우선, 없으면 ID)
+ *
+ * @param {import('../types').Node[]} nodes
+ * @returns {(target: string) => import('../types').Node|null}
+ */
+export function createWikiLinkResolver(nodes) {
+  const byTitle = new Map();
+  const byId = new Map();
+  nodes.forEach((node) => {
+    byId.set(node.id, node);
+    const key = normalizeTarget(node.title || '');
+    if (key && !byTitle.has(key)) byTitle.set(key, node);
+  });
+  return (target) => byTitle.get(normalizeTarget(target)) || byId.get(target.trim()) || null;
+}
+
+/**
+ * 노드를 가리키는 위키 링크 문자열
+ * 제목에 쓸 수 없는 문자가 있거나 같은 제목의 노드가 여러 개면 ID로 링크하고 제목을 표시 이름으로 사용
+ *
+ * @param {import('../types').Node} node
+ * @param {import('../types').Node[]} nodes - 제목 중복 확인용
+ * @returns {string}
+ */
+export function formatWikiLink(node, nodes) {
+  const title = (node.title || '').trim();
+  const key = normalizeTarget(title);
+  const isAmbiguous = nodes.some((other) => other.id !== node.id && normalizeTarget(other.title || '') === key);
+
+  if (title && !UNSAFE_TITLE.test(title) && !isAmbiguous) return `[[${title}]]`;
+  const label = title.replace(/[[\]|\n]/g, ' ').replace(/\s+/g, ' ').trim();
+  return label ? `[[${node.id}|${label}]]` : `[[${node.id}]]`;
+}
+
+/**
+ * 커서 앞의 아직 닫히지 않은 [[ 입력 찾기 (자동완성용)
+ *
+ * @param {string} text
+ * @param {number} cursor - 커서 위치
+ * @returns {{start: number, query: string}|null} start: '[[' 위치
+ */
+export function findWikiLinkQuery(text, cursor) {
+  const before = (text || '').slice(0, cursor);
+  const start = before.lastIndexOf('[[');
+  if (start === -1) return null;
+
+  const query = before.slice(start + 2);
+  if (/[[\]|\n]/.test(query)) return null;
+  return { start, query };
+}
+
+/**
+ * 자동완성 후보 (제목이 검색어로 시작하는 노드 먼저)
+ *
+ * @param {import('../types').Node[]} nodes
+ * @param {string} query
+ * @param {{excludeId?: string, limit?: number}} [options]
+ * @returns {import('../types').Node[]}
+ */
+export function searchWikiLinkTargets(nodes, query, { excludeId = null, limit = 8 } = {}) {
+  const q = normalizeTarget(query);
+  return nodes
+    .filter((node) => node.id !== excludeId)
+    .map((node) => {
+      const title = normalizeTarget(node.title || node.id);
+      const index = title.indexOf(q);
+      return { node, rank: index === 0 ? 0 : index > 0 ? 1 : -1 };
+    })
+    .filter(({ rank }) => rank >= 0)
+    .sort((a, b) => a.rank - b.rank || (a.node.title || '').localeCompare(b.node.title || ''))
+    .slice(0, limit)
+    .map(({ node }) => node);
+}
+
+/**
+ * 블록들이 위키 링크로 가리키는 노드 ID (자기 자신, 찾을 수 없는 대상 제외)
+ *
+ * @param {import('../types/blocks').Block[]} blocks
+ * @param {import('../types').Node[]} nodes
+ * @param {string} selfId - 노트의 노드 ID
+ * @returns {Set<string>}
+ */
+export function collectWikiLinkTargets(blocks, nodes, selfId) {
+  const resolve = createWikiLinkResolver(nodes);
+  const targets = new Set();
+
+  blocks.forEach((block) => {
+    if (!WIKI_LINK_BLOCK_TYPES.includes(block.type)) return;
+    splitWikiLinks(block.content).forEach((segment) => {
+      if (segment.type !== 'link') return;
+      const node = resolve(segment.target);
+      if (node && node.id !== selfId) targets.add(node.id);
+    });
+  });
+
+  return targets;
+}
+
+/**
+ * 노트의 위키 링크와 그래프의 'mention' 링크 비교
+ * - 추가: 위키 링크가 있지만 이 노드에서 나가는 링크가 하나도 없는 대상
+ *   (based-on 등 다른 링크가 이미 있으면 mention 링크를 만들지 않음)
+ * - 삭제: 위키 링크가 사라진 mention 링크
+ *
+ * @param {string} nodeId - 노트의 노드 ID
+ * @param {Set<string>} targetIds - collectWikiLinkTargets 결과
+ * @param {import('../types').Link[]} links - 그래프 링크
+ * @returns {{add: string[], remove: string[]}} 대상 노드 ID
+ */
+export function planMentionLinkSync(nodeId, targetIds, links) {
+  const outgoing = links.filter((link) => toId(link.source) === nodeId);
+  const linkedTargets = new Set(outgoing.map((link) => toId(link.target)));
+
+  return {
+    add: [...targetIds].filter((id) => !linkedTargets.has(id)),
+    remove: outgoing
+      .filter((link) => link.type === MENTION_LINK_TYPE && !targetIds.has(toId(link.target)))
+      .map((link) => toId(link.target)),
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * 최소 ZIP 읽기/쓰기 유틸리티
+ *
+ * - 쓰기: 무압축(STORE) 방식, 파일 이름은 UTF-8 (플래그 bit 11)
+ * - 읽기: STORE + DEFLATE (브라우저 DecompressionStream('deflate-raw') 사용)
+ * - ZIP64, 암호화, 분할 압축은 지원하지 않음
+ *
+ * @module utils/zip
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date → MS-DOS 날짜/시간 (2초 단위)
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  return new TextEncoder().encode(String(data ?? ''));
+}
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} path - 압축 파일 안의 경로 ('/' 구분)
+ * @property {Uint8Array|ArrayBuffer|Blob|string} data - 파일 내용 (문자열은 UTF-8)
+ */
+
+/**
+ * ZIP 파일 만들기
+ *
+ * @param {ZipEntry[]} files - 파일 목록 (같은 경로는 호출 측에서 중복 제거)
+ * @returns {Promise<Blob>} application/zip Blob
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const bytes = await toBytes(file.data);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, METHOD_STORE, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, bytes);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, CENTRAL_HEADER, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, UTF8_FLAG, true);
+    header.setUint16(10, METHOD_STORE, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, bytes.length, true);
+    header.setUint32(24, bytes.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(header, name);
+
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('이 브라우저는 압축된 ZIP 항목을 풀 수 없습니다 (DecompressionStream 미지원)');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * ZIP 파일 읽기 (폴더 항목은 제외)
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} source - ZIP 파일
+ * @returns {Promise<Array<{path: string, data: Uint8Array}>>}
+ * @throws {Error} ZIP 형식이 아니거나 지원하지 않는 압축 방식일 때
+ */
+export async function readZip(source) {
+  const bytes = await toBytes(source);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // 파일 끝에서 End of Central Directory 찾기 (주석 최대 64KB)
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error('ZIP 파일이 아닙니다');
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const utf8 = new TextDecoder('utf-8');
+  const legacy = new TextDecoder('windows-1252');
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_HEADER) throw new Error('손상된 ZIP 파일입니다');
+    const flags = view.getUint16(pointer + 8, true);
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const nameBytes = bytes.subarray(pointer + 46, pointer + 46 + nameLength);
+    const path = (flags & UTF8_FLAG ? utf8 : legacy).decode(nameBytes);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`암호화된 항목은 지원하지 않습니다: ${path}`);
+
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORE) data = raw.slice();
+    else if (method === METHOD_DEFLATE) data = await inflateRaw(raw);
+    else throw new Error(`지원하지 않는 압축 방식 (${method}): ${path}`);
+
+    entries.push({ path, data });
+  }
+
+  return entries;
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { createZip, readZip } from './zip';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+// DEFLATE 항목 하나짜리 ZIP (다른 프로그램이 만든 압축 파일 흉내, CRC는 읽을 때 검사하지 않으므로 0)
+async function makeDeflatedZip(path, content) {
+  const raw = new TextEncoder().encode(content);
+  const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const data = new Uint8Array(await new Response(stream).arrayBuffer());
+  const name = new TextEncoder().encode(path);
+
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, data.length, true);
+  local.setUint32(22, raw.length, true);
+  local.setUint16(26, name.length, true);
+
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint16(10, 8, true);
+  central.setUint32(20, data.length, true);
+  central.setUint32(24, raw.length, true);
+  central.setUint16(28, name.length, true);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + name.length, true);
+  end.setUint32(16, 30 + name.length + data.length, true);
+
+  return new Blob([local, name, data, central, name, end]);
+}
+
+describe('createZip / readZip', () => {
+  it('문자열/바이너리 파일과 UTF-8 경로를 그대로 왕복', async () => {
+    const binary = new Uint8Array([0, 255, 1, 254]);
+    const zip = await createZip([
+      { path: 'notes/한글 노트.md', data: '# 제목\n내용' },
+      { path: 'attachments/image.png', data: binary },
+      { path: 'empty.txt', data: '' },
+    ]);
+    expect(zip.type).toBe('application/zip');
+
+    const entries = await readZip(zip);
+    expect(entries.map((entry) => entry.path)).toEqual(['notes/한글 노트.md', 'attachments/image.png', 'empty.txt']);
+    expect(text(entries[0].data)).toBe('# 제목\n내용');
+    expect([...entries[1].data]).toEqual([...binary]);
+    expect(entries[2].data).toHaveLength(0);
+  });
+
+  it('DEFLATE 항목을 풂', async () => {
+    const content = 'deflate '.repeat(100);
+    const [entry] = await readZip(await makeDeflatedZip('a.md', content));
+    expect(entry.path).toBe('a.md');
+    expect(text(entry.data)).toBe(content);
+  });
+
+  it('ZIP이 아니면 오류', async () => {
+    await expect(readZip(new TextEncoder().encode('not a zip file at all, just text'))).rejects.toThrow('ZIP 파일이 아닙니다');
+  });
+});